@@ -0,0 +1,127 @@
+/**
+ * domain/entities/AlertRule.js
+ * * Production-Ready Domain Entity.
+ * One condition to watch a symbol for. The rule only describes the
+ * condition; MonitorAlerts decides when it fires (de-duplication and
+ * cooldown).
+ * * TYPES:
+ * - above / below:  the price is at or beyond level.
+ * - crosses:        the price moves through level between two quotes
+ *                   (direction 'up', 'down' or 'any').
+ * - percent-move:   the session change versus the previous close reaches
+ *                   percent, either way.
+ * - stale:          no fresh quote for longer than maxAgeMs.
+ */
+
+import { ValidationError } from '../errors/DomainErrors.js';
+
+export const ALERT_TYPES = Object.freeze(['above', 'below', 'crosses', 'percent-move', 'stale']);
+export const CROSS_DIRECTIONS = Object.freeze(['up', 'down', 'any']);
+
+/**
+ * Quiet period after a rule fires, unless the rule sets its own.
+ */
+export const DEFAULT_COOLDOWN_MS = 5 * 60_000;
+
+export class AlertRule {
+    /**
+     * @param {Object} params
+     * @param {string} params.symbol - Ticker symbol (e.g., 'SPX')
+     * @param {string} params.type - One of ALERT_TYPES
+     * @param {string} [params.id] - Stable name for logs and webhooks; derived from the condition when absent
+     * @param {number} [params.level] - Price level (above, below, crosses)
+     * @param {string} [params.direction='any'] - Crossing direction (crosses)
+     * @param {number} [params.percent] - Move size in percent (percent-move)
+     * @param {number} [params.maxAgeMs] - Longest acceptable quote age (stale)
+     * @param {number} [params.cooldownMs=DEFAULT_COOLDOWN_MS] - Quiet period after firing; 0 disables it
+     * @param {string} [params.message] - Free text sent with every notification
+     */
+    constructor({ symbol, type, id, level, direction = 'any', percent, maxAgeMs, cooldownMs = DEFAULT_COOLDOWN_MS, message = null }) {
+        // 1. DATA VALIDATION (The Entity defends itself)
+        if (!symbol || typeof symbol !== 'string' || symbol.trim() === '') {
+            throw new ValidationError('AlertRule requires a valid string symbol.', { field: 'symbol' });
+        }
+        const cleanSymbol = symbol.trim().toUpperCase();
+        if (!ALERT_TYPES.includes(type)) {
+            throw new ValidationError(`AlertRule for ${cleanSymbol} has an unknown type: ${type}`, {
+                field: 'type',
+                hint: `Use one of: ${ALERT_TYPES.join(', ')}.`
+            });
+        }
+        const usesLevel = ['above', 'below', 'crosses'].includes(type);
+        if (usesLevel && !isPositive(level)) {
+            throw new ValidationError(`AlertRule ${type} for ${cleanSymbol} needs a positive level: ${level}`, { field: 'level' });
+        }
+        if (type === 'crosses' && !CROSS_DIRECTIONS.includes(direction)) {
+            throw new ValidationError(`AlertRule crosses for ${cleanSymbol} has an invalid direction: ${direction}`, {
+                field: 'direction',
+                hint: `Use one of: ${CROSS_DIRECTIONS.join(', ')}.`
+            });
+        }
+        if (type === 'percent-move' && !isPositive(percent)) {
+            throw new ValidationError(`AlertRule percent-move for ${cleanSymbol} needs a positive percent: ${percent}`, { field: 'percent' });
+        }
+        if (type === 'stale' && !(Number.isInteger(maxAgeMs) && maxAgeMs > 0)) {
+            throw new ValidationError(`AlertRule stale for ${cleanSymbol} needs a positive maxAgeMs: ${maxAgeMs}`, { field: 'maxAgeMs' });
+        }
+        if (!(Number.isInteger(cooldownMs) && cooldownMs >= 0)) {
+            throw new ValidationError(`AlertRule for ${cleanSymbol} has an invalid cooldownMs: ${cooldownMs}`, { field: 'cooldownMs' });
+        }
+        if (id !== undefined && (typeof id !== 'string' || id.trim() === '')) {
+            throw new ValidationError(`AlertRule for ${cleanSymbol} has an invalid id: ${id}`, { field: 'id' });
+        }
+
+        this.symbol = cleanSymbol;
+        this.type = type;
+        this.level = usesLevel ? level : null;
+        this.direction = type === 'crosses' ? direction : null;
+        this.percent = type === 'percent-move' ? percent : null;
+        this.maxAgeMs = type === 'stale' ? maxAgeMs : null;
+        this.cooldownMs = cooldownMs;
+        this.message = message;
+        this.id = id?.trim() ?? `${cleanSymbol}-${type}-${this.level ?? this.percent ?? this.maxAgeMs}`;
+
+        // 2. IMMUTABILITY
+        Object.freeze(this);
+    }
+
+    /**
+     * The condition in words, for banners and logs (e.g., 'SPX crosses 7000 up').
+     * @returns {string}
+     */
+    describe() {
+        switch (this.type) {
+            case 'crosses':
+                return `${this.symbol} crosses ${this.level}${this.direction === 'any' ? '' : ` ${this.direction}`}`;
+            case 'percent-move':
+                return `${this.symbol} moves ${this.percent}% from the previous close`;
+            case 'stale':
+                return `${this.symbol} has no quote for ${this.maxAgeMs / 1000}s`;
+            default:
+                return `${this.symbol} ${this.type} ${this.level}`;
+        }
+    }
+
+    /**
+     * Formats the entity for logging or export.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            symbol: this.symbol,
+            type: this.type,
+            level: this.level,
+            direction: this.direction,
+            percent: this.percent,
+            maxAgeMs: this.maxAgeMs,
+            cooldownMs: this.cooldownMs,
+            message: this.message
+        };
+    }
+}
+
+/** @private */
+function isPositive(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
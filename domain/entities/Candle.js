@@ -0,0 +1,91 @@
+/**
+ * domain/entities/Candle.js
+ * * Production-Ready Domain Entity.
+ * Represents one immutable OHLCV bar of historical market data.
+ */
+
+import { ValidationError } from '../errors/DomainErrors.js';
+
+/**
+ * Supported bar resolutions mapped to their nominal length in milliseconds.
+ * Minute resolutions use the bare number; 'M' is approximated as 30 days.
+ */
+export const CANDLE_RESOLUTIONS = Object.freeze({
+    '1': 60_000,
+    '5': 300_000,
+    '15': 900_000,
+    '30': 1_800_000,
+    '60': 3_600_000,
+    'D': 86_400_000,
+    'W': 604_800_000,
+    'M': 2_592_000_000
+});
+
+export class Candle {
+    /**
+     * @param {Object} params
+     * @param {string} params.symbol - Ticker symbol (e.g., 'SPX')
+     * @param {string} params.resolution - One of CANDLE_RESOLUTIONS
+     * @param {number} params.timestamp - Unix timestamp (ms) of the bar open
+     * @param {number} params.open - Opening price
+     * @param {number} params.high - Highest traded price
+     * @param {number} params.low - Lowest traded price
+     * @param {number} params.close - Closing price
+     * @param {number} [params.volume] - Traded volume
+     * @param {string} [params.source] - The name of the adapter that provided the data
+     */
+    constructor({ symbol, resolution, timestamp, open, high, low, close, volume, source }) {
+        // 1. DATA VALIDATION (The Entity defends itself)
+        if (!symbol || typeof symbol !== 'string') {
+            throw new ValidationError('Candle requires a valid string symbol.');
+        }
+        if (!Object.hasOwn(CANDLE_RESOLUTIONS, resolution)) {
+            throw new ValidationError(`Candle for ${symbol} has an unsupported resolution: ${resolution}`);
+        }
+        if (!timestamp || typeof timestamp !== 'number') {
+            throw new ValidationError(`Candle for ${symbol} requires a valid numerical timestamp.`);
+        }
+        for (const [field, value] of Object.entries({ open, high, low, close })) {
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                throw new ValidationError(`Candle for ${symbol} has an invalid ${field}: ${value}`);
+            }
+        }
+        if (high < Math.max(open, close) || low > Math.min(open, close)) {
+            throw new ValidationError(`Candle for ${symbol} has a high/low range that excludes its open/close.`);
+        }
+        if (volume !== undefined && volume !== null && (typeof volume !== 'number' || volume < 0)) {
+            throw new ValidationError(`Candle for ${symbol} has an invalid volume: ${volume}`);
+        }
+
+        this.symbol = symbol.toUpperCase();
+        this.resolution = resolution;
+        this.timestamp = timestamp;
+        this.open = open;
+        this.high = high;
+        this.low = low;
+        this.close = close;
+        this.volume = volume ?? null;
+        this.source = source || 'UNKNOWN';
+
+        // 2. IMMUTABILITY
+        Object.freeze(this);
+    }
+
+    /**
+     * Formats the entity for logging or export.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            symbol: this.symbol,
+            resolution: this.resolution,
+            openedAt: new Date(this.timestamp).toISOString(),
+            open: this.open,
+            high: this.high,
+            low: this.low,
+            close: this.close,
+            volume: this.volume,
+            source: this.source
+        };
+    }
+}
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { Candle } from './Candle.js';
+import { ValidationError } from '../errors/DomainErrors.js';
+
+const base = { symbol: 'spx', resolution: 'D', timestamp: Date.UTC(2026, 0, 2), open: 100, high: 105, low: 98, close: 103, volume: 1200 };
+
+describe('Candle Entity', () => {
+    it('should normalize the symbol, default the source and freeze the bar', () => {
+        const candle = new Candle({ ...base, volume: undefined });
+
+        expect(candle).toMatchObject({ symbol: 'SPX', volume: null, source: 'UNKNOWN' });
+        expect(Object.isFrozen(candle)).toBe(true);
+        expect(candle.toJSON()).toMatchObject({ symbol: 'SPX', resolution: 'D', open: 100, close: 103 });
+    });
+
+    it('should reject a high/low range that excludes the open or close', () => {
+        expect(() => new Candle({ ...base, high: 97, low: 98 })).toThrow(ValidationError);
+        expect(() => new Candle({ ...base, high: 102 })).toThrow('high/low range that excludes its open/close');
+        expect(() => new Candle({ ...base, low: 101 })).toThrow('high/low range that excludes its open/close');
+        expect(new Candle({ ...base, high: 103, low: 100 })).toMatchObject({ high: 103, low: 100 });
+    });
+
+    it('should reject unknown resolutions, missing timestamps and invalid prices or volume', () => {
+        expect(() => new Candle({ ...base, resolution: '2' })).toThrow('unsupported resolution: 2');
+        expect(() => new Candle({ ...base, timestamp: 0 })).toThrow('valid numerical timestamp');
+        expect(() => new Candle({ ...base, open: Number.NaN })).toThrow('invalid open');
+        expect(() => new Candle({ ...base, close: -1 })).toThrow('invalid close');
+        expect(() => new Candle({ ...base, volume: -5 })).toThrow('invalid volume');
+        expect(() => new Candle({ ...base, symbol: '' })).toThrow(ValidationError);
+    });
+});
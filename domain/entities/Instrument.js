@@ -0,0 +1,104 @@
+/**
+ * domain/entities/Instrument.js
+ * * Production-Ready Domain Entity.
+ * A tradable instrument under its canonical symbol, with the contract
+ * details needed to price it (currency, tick size, multiplier) and the
+ * symbol each provider knows it by (SPX is ^GSPC on Yahoo, .INX on Google).
+ */
+
+import { ValidationError } from '../errors/DomainErrors.js';
+
+/**
+ * Asset classes an instrument may belong to.
+ */
+export const ASSET_CLASSES = Object.freeze(['index', 'equity', 'future', 'crypto', 'fx']);
+
+/**
+ * Canonical symbols: letters and digits, optionally with '.', '-' or '/' inside (BRK.B, BTC-USD).
+ */
+export const CANONICAL_SYMBOL = /^[A-Z0-9][A-Z0-9./-]{0,19}$/;
+
+/**
+ * Provider names key the aliases: lower-case, as in the manifest (e.g., 'finnhub').
+ */
+const PROVIDER_NAME = /^[a-z][a-z0-9-]*$/;
+
+export class Instrument {
+    /**
+     * @param {Object} params
+     * @param {string} params.symbol - Canonical ticker (e.g., 'SPX'); stored uppercase
+     * @param {string} params.assetClass - One of ASSET_CLASSES
+     * @param {string} params.currency - ISO 4217 code the instrument is quoted in (e.g., 'USD')
+     * @param {number} [params.tickSize=0.01] - Smallest price increment
+     * @param {number} [params.multiplier=1] - Currency value of one point per unit (50 for ES)
+     * @param {string|null} [params.name=null] - Display name (e.g., 'S&P 500 Index')
+     * @param {Object<string, string>} [params.aliases={}] - Provider name -> that provider's symbol
+     */
+    constructor({ symbol, assetClass, currency, tickSize = 0.01, multiplier = 1, name = null, aliases = {} }) {
+        // 1. DATA VALIDATION (The Entity defends itself)
+        const cleanSymbol = typeof symbol === 'string' ? symbol.trim().toUpperCase() : '';
+        if (!CANONICAL_SYMBOL.test(cleanSymbol)) {
+            throw new ValidationError(`Invalid instrument symbol: "${symbol}"`, { field: 'symbol' });
+        }
+        if (!ASSET_CLASSES.includes(assetClass)) {
+            throw new ValidationError(`Instrument ${cleanSymbol} has an unknown asset class: ${assetClass}`, {
+                field: 'assetClass',
+                hint: `Use one of: ${ASSET_CLASSES.join(', ')}.`
+            });
+        }
+        if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) {
+            throw new ValidationError(`Instrument ${cleanSymbol} requires a three-letter currency code, got: ${currency}`, { field: 'currency' });
+        }
+        for (const [field, value] of Object.entries({ tickSize, multiplier })) {
+            if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+                throw new ValidationError(`Instrument ${cleanSymbol} has an invalid ${field}: ${value}`, { field });
+            }
+        }
+        if (name !== null && typeof name !== 'string') {
+            throw new ValidationError(`Instrument ${cleanSymbol} has an invalid name: ${name}`, { field: 'name' });
+        }
+        if (typeof aliases !== 'object' || aliases === null || Array.isArray(aliases)) {
+            throw new ValidationError(`Instrument ${cleanSymbol} requires aliases keyed by provider.`, { field: 'aliases' });
+        }
+        for (const [provider, alias] of Object.entries(aliases)) {
+            if (!PROVIDER_NAME.test(provider) || typeof alias !== 'string' || alias.trim() === '') {
+                throw new ValidationError(`Instrument ${cleanSymbol} has an invalid alias for "${provider}": ${alias}`, { field: `aliases.${provider}` });
+            }
+        }
+
+        this.symbol = cleanSymbol;
+        this.assetClass = assetClass;
+        this.currency = currency;
+        this.tickSize = tickSize;
+        this.multiplier = multiplier;
+        this.name = name;
+        this.aliases = Object.freeze(Object.fromEntries(Object.entries(aliases).map(([provider, alias]) => [provider, alias.trim()])));
+
+        // 2. IMMUTABILITY
+        Object.freeze(this);
+    }
+
+    /**
+     * @param {string} provider - Provider name (e.g., 'finnhub').
+     * @returns {string} The provider's symbol; the canonical one when it has no alias.
+     */
+    symbolFor(provider) {
+        return this.aliases[provider] ?? this.symbol;
+    }
+
+    /**
+     * Formats the entity for logging or export.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            symbol: this.symbol,
+            name: this.name,
+            assetClass: this.assetClass,
+            currency: this.currency,
+            tickSize: this.tickSize,
+            multiplier: this.multiplier,
+            aliases: { ...this.aliases }
+        };
+    }
+}
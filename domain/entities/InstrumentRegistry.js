@@ -0,0 +1,165 @@
+/**
+ * domain/entities/InstrumentRegistry.js
+ * * Production-Ready Domain Entity.
+ * The instruments the system knows, looked up by canonical symbol or by
+ * any provider alias. resolve() is the single place user input becomes an
+ * Instrument: unknown input is rejected with the closest known symbols,
+ * and an alias shared by several instruments is rejected as ambiguous.
+ */
+
+import { Instrument } from './Instrument.js';
+import { SymbolNotFoundError, ValidationError } from '../errors/DomainErrors.js';
+
+/**
+ * Suggestions offered for an unknown symbol.
+ */
+const MAX_SUGGESTIONS = 3;
+
+export class InstrumentRegistry {
+    #bySymbol;
+    #byAlias;
+
+    /**
+     * @param {Object} params
+     * @param {Instrument[]} params.instruments
+     * @param {string} [params.origin='the instrument registry file'] - Where they were loaded from; named in hints.
+     */
+    constructor({ instruments, origin = 'the instrument registry file' }) {
+        // 1. DATA VALIDATION (The Entity defends itself)
+        if (!Array.isArray(instruments) || instruments.some(instrument => !(instrument instanceof Instrument))) {
+            throw new ValidationError('InstrumentRegistry requires a list of Instrument entities.', { field: 'instruments' });
+        }
+        const bySymbol = new Map();
+        for (const instrument of instruments) {
+            if (bySymbol.has(instrument.symbol)) {
+                throw new ValidationError(`Instrument ${instrument.symbol} is listed twice.`, { field: 'symbol' });
+            }
+            bySymbol.set(instrument.symbol, instrument);
+        }
+
+        // Aliases are matched case-insensitively; one alias may name several instruments
+        const byAlias = new Map();
+        for (const instrument of instruments) {
+            for (const [provider, alias] of Object.entries(instrument.aliases)) {
+                const key = alias.toUpperCase();
+                const owner = bySymbol.get(key);
+                if (owner && owner !== instrument) {
+                    throw new ValidationError(`The ${provider} alias of ${instrument.symbol} is the canonical symbol of ${owner.symbol}.`, {
+                        field: `aliases.${provider}`
+                    });
+                }
+                if (!byAlias.has(key)) byAlias.set(key, new Set());
+                byAlias.get(key).add(instrument);
+            }
+        }
+
+        this.origin = origin;
+        this.#bySymbol = bySymbol;
+        this.#byAlias = byAlias;
+
+        // 2. IMMUTABILITY
+        Object.freeze(this);
+    }
+
+    /**
+     * @returns {Instrument[]} Every instrument, in registry order.
+     */
+    get instruments() {
+        return [...this.#bySymbol.values()];
+    }
+
+    /**
+     * Turns user input into an Instrument. The canonical symbol wins over an
+     * alias; stray flag prefixes ('--SPX') and case are ignored.
+     * @param {string} input - Canonical symbol or any provider alias (e.g., '^GSPC').
+     * @returns {Instrument}
+     * @throws {ValidationError} If the input is empty or names several instruments.
+     * @throws {SymbolNotFoundError} If nothing matches; the hint lists the closest symbols.
+     */
+    resolve(input) {
+        const key = typeof input === 'string' ? input.trim().replace(/^-+/, '').toUpperCase() : '';
+        if (key === '') {
+            throw new ValidationError('A symbol is required.', { field: 'symbol' });
+        }
+
+        const instrument = this.#bySymbol.get(key);
+        if (instrument) return instrument;
+
+        const matches = [...(this.#byAlias.get(key) ?? [])];
+        if (matches.length === 1) return matches[0];
+        if (matches.length > 1) {
+            const symbols = matches.map(({ symbol }) => symbol);
+            throw new ValidationError(`Symbol "${key}" is ambiguous: it names ${symbols.join(', ')}.`, {
+                field: 'symbol',
+                hint: `Use the canonical symbol (e.g., ${symbols[0]}).`
+            });
+        }
+
+        const suggestions = this.suggest(key);
+        throw new SymbolNotFoundError(key, 'the instrument registry', {
+            hint: suggestions.length > 0
+                ? `Did you mean ${suggestions.join(', ')}? Otherwise add it to ${this.origin}.`
+                : `Add it to ${this.origin}.`
+        });
+    }
+
+    /**
+     * The instrument a provider knows by a symbol: the reverse of
+     * Instrument.symbolFor().
+     * @param {string} provider - Provider name (e.g., 'finnhub').
+     * @param {string} providerSymbol - That provider's symbol (e.g., '^GSPC').
+     * @returns {Instrument|null} null unless exactly one instrument maps to it.
+     */
+    fromProvider(provider, providerSymbol) {
+        const key = String(providerSymbol).toUpperCase();
+        const matches = this.instruments.filter(instrument => instrument.symbolFor(provider).toUpperCase() === key);
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    /**
+     * The canonical symbols closest to an input: prefix matches first, then
+     * by edit distance against symbols and aliases.
+     * @param {string} input
+     * @returns {string[]} Up to three canonical symbols.
+     */
+    suggest(input) {
+        const key = String(input).toUpperCase();
+        const limit = Math.max(1, Math.floor(key.length / 3));
+        const scored = new Map();
+        const consider = (name, instrument) => {
+            const score = name.startsWith(key) || key.startsWith(name) ? 0 : editDistance(key, name);
+            if (score > limit) return;
+            scored.set(instrument.symbol, Math.min(score, scored.get(instrument.symbol) ?? Infinity));
+        };
+
+        for (const instrument of this.#bySymbol.values()) consider(instrument.symbol, instrument);
+        for (const [alias, instruments] of this.#byAlias) {
+            for (const instrument of instruments) consider(alias, instrument);
+        }
+        return [...scored].sort(([a, x], [b, y]) => x - y || a.localeCompare(b)).slice(0, MAX_SUGGESTIONS).map(([symbol]) => symbol);
+    }
+
+    /**
+     * Formats the entity for logging or export.
+     * @returns {Object}
+     */
+    toJSON() {
+        return { instruments: this.instruments.map(instrument => instrument.toJSON()) };
+    }
+}
+
+/**
+ * Levenshtein distance.
+ * @private
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
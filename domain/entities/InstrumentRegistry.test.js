@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { Instrument } from './Instrument.js';
+import { InstrumentRegistry } from './InstrumentRegistry.js';
+import { SymbolNotFoundError, ValidationError } from '../errors/DomainErrors.js';
+
+const registry = new InstrumentRegistry({
+    origin: 'test registry',
+    instruments: [
+        new Instrument({ symbol: 'SPX', assetClass: 'index', currency: 'USD', aliases: { yahoo: '^GSPC', google: '.INX' } }),
+        new Instrument({ symbol: 'SPY', assetClass: 'equity', currency: 'USD' }),
+        new Instrument({ symbol: 'ES', assetClass: 'future', currency: 'USD', tickSize: 0.25, multiplier: 50, aliases: { yahoo: 'ES=F' } }),
+        new Instrument({ symbol: 'BTC-USD', assetClass: 'crypto', currency: 'USD', aliases: { kraken: 'XBT' } }),
+        new Instrument({ symbol: 'BTC-EUR', assetClass: 'crypto', currency: 'EUR', aliases: { kraken: 'XBT' } })
+    ]
+});
+
+describe('InstrumentRegistry', () => {
+    it('should resolve canonical symbols and any provider alias', () => {
+        expect(registry.resolve('spx').symbol).toBe('SPX');
+        expect(registry.resolve('--SPX').symbol).toBe('SPX');
+        expect(registry.resolve('^gspc').symbol).toBe('SPX');
+        expect(registry.resolve('.INX').symbol).toBe('SPX');
+        expect(registry.resolve('ES=F').symbolFor('yahoo')).toBe('ES=F');
+        expect(registry.resolve('ES').symbolFor('finnhub')).toBe('ES');
+    });
+
+    it('should map a provider symbol back to its instrument, unless it is shared', () => {
+        expect(registry.fromProvider('yahoo', '^gspc').symbol).toBe('SPX');
+        expect(registry.fromProvider('finnhub', 'SPY').symbol).toBe('SPY');
+        expect(registry.fromProvider('google', 'SPX')).toBeNull();
+        expect(registry.fromProvider('kraken', 'XBT')).toBeNull();
+    });
+
+    it('should reject ambiguous and unknown symbols with suggestions', () => {
+        expect(() => registry.resolve('XBT')).toThrow(ValidationError);
+        expect(() => registry.resolve('XBT')).toThrow('ambiguous: it names BTC-USD, BTC-EUR');
+
+        const unknown = (() => {
+            try {
+                registry.resolve('SPZ');
+            } catch (error) {
+                return error;
+            }
+        })();
+        expect(unknown).toBeInstanceOf(SymbolNotFoundError);
+        expect(unknown.hint).toBe('Did you mean SPX, SPY? Otherwise add it to test registry.');
+        expect(() => registry.resolve('ZZZZZZ')).toThrow(SymbolNotFoundError);
+        expect(() => registry.resolve('  ')).toThrow(ValidationError);
+    });
+
+    it('should refuse duplicate symbols and aliases that shadow another instrument', () => {
+        const spx = new Instrument({ symbol: 'SPX', assetClass: 'index', currency: 'USD' });
+        expect(() => new InstrumentRegistry({ instruments: [spx, spx] })).toThrow('listed twice');
+        expect(() => new InstrumentRegistry({
+            instruments: [spx, new Instrument({ symbol: 'SPY', assetClass: 'equity', currency: 'USD', aliases: { broken: 'spx' } })]
+        })).toThrow('canonical symbol of SPX');
+        expect(() => new Instrument({ symbol: 'SPX', assetClass: 'bond', currency: 'USD' })).toThrow(ValidationError);
+    });
+});
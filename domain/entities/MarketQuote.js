@@ -5,6 +5,15 @@
  * This is the 'Universal Language' used by all Use Cases and Adapters.
  */
 
+import { ValidationError } from '../errors/DomainErrors.js';
+
+/**
+ * Optional numeric fields that make up the session snapshot.
+ * PRICE_FIELDS must be non-negative; SIGNED_FIELDS may go either way.
+ */
+const PRICE_FIELDS = ['open', 'high', 'low', 'previousClose', 'bid', 'ask'];
+const SIGNED_FIELDS = ['change', 'changePercent'];
+
 export class MarketQuote {
     /**
      * @param {Object} params
@@ -12,17 +21,49 @@ export class MarketQuote {
      * @param {number} params.price - Current market price
      * @param {number} params.timestamp - Unix timestamp (ms) of the quote
      * @param {string} params.source - The name of the adapter that provided the data
+     * @param {number} [params.open] - Session open price
+     * @param {number} [params.high] - Session high price
+     * @param {number} [params.low] - Session low price
+     * @param {number} [params.previousClose] - Prior session close
+     * @param {number} [params.change] - Absolute change versus previousClose
+     * @param {number} [params.changePercent] - Percent change versus previousClose
+     * @param {number} [params.bid] - Best bid
+     * @param {number} [params.ask] - Best ask
+     * @param {number} [params.volume] - Session volume
+     * @param {boolean} [params.fromCache=false] - True when served from a local cache rather than the provider
+     * @param {string} [params.servedBy] - The provider-chain link (e.g., '2:MockMarketAdapter') that answered
      */
-    constructor({ symbol, price, timestamp, source }) {
+    constructor({
+        symbol, price, timestamp, source,
+        open, high, low, previousClose, change, changePercent, bid, ask, volume,
+        fromCache = false, servedBy = null
+    }) {
         // 1. DATA VALIDATION (The Entity defends itself)
         if (!symbol || typeof symbol !== 'string') {
-            throw new Error('[Entity] MarketQuote requires a valid string symbol.');
+            throw new ValidationError('MarketQuote requires a valid string symbol.');
         }
         if (typeof price !== 'number' || price < 0) {
-            throw new Error(`[Entity] MarketQuote for ${symbol} has an invalid price: ${price}`);
+            throw new ValidationError(`MarketQuote for ${symbol} has an invalid price: ${price}`);
         }
         if (!timestamp || typeof timestamp !== 'number') {
-            throw new Error(`[Entity] MarketQuote for ${symbol} requires a valid numerical timestamp.`);
+            throw new ValidationError(`MarketQuote for ${symbol} requires a valid numerical timestamp.`);
+        }
+
+        const optional = { open, high, low, previousClose, change, changePercent, bid, ask, volume };
+        for (const [field, value] of Object.entries(optional)) {
+            if (value === undefined || value === null) continue;
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new ValidationError(`MarketQuote for ${symbol} has a non-numeric ${field}: ${value}`);
+            }
+            if (!SIGNED_FIELDS.includes(field) && value < 0) {
+                throw new ValidationError(`MarketQuote for ${symbol} has a negative ${field}: ${value}`);
+            }
+        }
+        if (isSet(high) && isSet(low) && high < low) {
+            throw new ValidationError(`MarketQuote for ${symbol} has high (${high}) below low (${low}).`);
+        }
+        if (isSet(bid) && isSet(ask) && bid > ask) {
+            throw new ValidationError(`MarketQuote for ${symbol} has a crossed book: bid (${bid}) above ask (${ask}).`);
         }
 
         this.symbol = symbol.toUpperCase();
@@ -30,7 +71,25 @@ export class MarketQuote {
         this.timestamp = timestamp;
         this.source = source || 'UNKNOWN';
 
-        // 2. IMMUTABILITY
+        // 2. SESSION SNAPSHOT
+        // Missing fields are normalised to null so every adapter yields the same shape.
+        for (const field of PRICE_FIELDS) {
+            this[field] = isSet(optional[field]) ? optional[field] : null;
+        }
+        this.volume = isSet(volume) ? volume : null;
+
+        // Derive the change figures when the provider only reports a previous close
+        const canDerive = isSet(previousClose) && previousClose > 0;
+        this.change = isSet(change)
+            ? change
+            : (canDerive ? round(price - previousClose, 4) : null);
+        this.changePercent = isSet(changePercent)
+            ? changePercent
+            : (canDerive ? round(((price - previousClose) / previousClose) * 100, 4) : null);
+        this.fromCache = Boolean(fromCache);
+        this.servedBy = servedBy || null;
+
+        // 3. IMMUTABILITY
         // In production, Domain Entities should not be changed once created.
         // If the price changes, a NEW MarketQuote should be instantiated.
         Object.freeze(this);
@@ -45,6 +104,16 @@ export class MarketQuote {
         return Date.now() - this.timestamp;
     }
 
+    /**
+     * Creates a new quote with selected fields replaced.
+     * The entity is frozen, so this is the only way to 'modify' one.
+     * @param {Object} overrides - Constructor params to replace.
+     * @returns {MarketQuote}
+     */
+    clone(overrides = {}) {
+        return new MarketQuote({ ...this, ...overrides });
+    }
+
     /**
      * Formats the entity for logging or drafting.
      * @returns {Object}
@@ -53,9 +122,30 @@ export class MarketQuote {
         return {
             symbol: this.symbol,
             price: this.price,
+            open: this.open,
+            high: this.high,
+            low: this.low,
+            previousClose: this.previousClose,
+            change: this.change,
+            changePercent: this.changePercent,
+            bid: this.bid,
+            ask: this.ask,
+            volume: this.volume,
             capturedAt: new Date(this.timestamp).toISOString(),
             source: this.source,
+            fromCache: this.fromCache,
+            servedBy: this.servedBy,
             isStale: this.getAge() > 60000 // Flag data older than 1 minute
         };
     }
 }
+
+/** @private */
+function isSet(value) {
+    return value !== undefined && value !== null;
+}
+
+/** @private */
+function round(value, digits) {
+    return parseFloat(value.toFixed(digits));
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { MarketQuote } from './MarketQuote.js';
+
+const base = { symbol: 'spx', price: 6834.5, timestamp: Date.now(), source: 'Test' };
+
+describe('MarketQuote Entity', () => {
+    it('should normalise missing snapshot fields to null', () => {
+        const quote = new MarketQuote(base);
+
+        expect(quote.symbol).toBe('SPX');
+        expect(quote.open).toBeNull();
+        expect(quote.volume).toBeNull();
+        expect(quote.change).toBeNull();
+        expect(quote.toJSON()).toHaveProperty('changePercent', null);
+    });
+
+    it('should derive change figures from the previous close', () => {
+        const quote = new MarketQuote({ ...base, price: 110, previousClose: 100 });
+
+        expect(quote.change).toBe(10);
+        expect(quote.changePercent).toBe(10);
+    });
+
+    it('should keep provider-supplied change figures', () => {
+        const quote = new MarketQuote({ ...base, previousClose: 6800, change: -1.5, changePercent: -0.02 });
+
+        expect(quote.change).toBe(-1.5);
+        expect(quote.changePercent).toBe(-0.02);
+    });
+
+    it('should reject invalid snapshot fields', () => {
+        expect(() => new MarketQuote({ ...base, high: 'abc' })).toThrow('non-numeric high');
+        expect(() => new MarketQuote({ ...base, volume: -1 })).toThrow('negative volume');
+        expect(() => new MarketQuote({ ...base, high: 10, low: 20 })).toThrow('high (10) below low (20)');
+    });
+
+    it('should reject a crossed book but accept a locked one', () => {
+        expect(() => new MarketQuote({ ...base, bid: 101, ask: 100.5 })).toThrow('crossed book: bid (101) above ask (100.5)');
+        expect(new MarketQuote({ ...base, bid: 100.5, ask: 100.5 })).toMatchObject({ bid: 100.5, ask: 100.5 });
+        expect(new MarketQuote({ ...base, bid: 100.5 })).toMatchObject({ bid: 100.5, ask: null });
+    });
+
+    it('should be immutable', () => {
+        const quote = new MarketQuote(base);
+        expect(Object.isFrozen(quote)).toBe(true);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * domain/entities/OptionChain.js
+ * * Production-Ready Domain Entity.
+ * Every listed contract of one underlying for one expiry, with the
+ * underlying price the chain was captured at.
+ */
+
+import { ValidationError } from '../errors/DomainErrors.js';
+import { OptionContract, isCalendarDate } from './OptionContract.js';
+
+export class OptionChain {
+    /**
+     * @param {Object} params
+     * @param {string} params.underlying - Ticker of the underlying (e.g., 'SPX')
+     * @param {string} params.expiry - Expiry date, YYYY-MM-DD
+     * @param {number} params.spot - Underlying price when the chain was captured
+     * @param {number} params.timestamp - Unix timestamp (ms) of the capture
+     * @param {OptionContract[]} params.contracts - Calls and puts, any order
+     * @param {string} [params.source] - The name of the adapter that provided the data
+     */
+    constructor({ underlying, expiry, spot, timestamp, contracts, source }) {
+        // 1. DATA VALIDATION (The Entity defends itself)
+        if (!underlying || typeof underlying !== 'string') {
+            throw new ValidationError('OptionChain requires a valid string underlying.');
+        }
+        const cleanUnderlying = underlying.toUpperCase();
+        if (!isCalendarDate(expiry)) {
+            throw new ValidationError(`OptionChain for ${cleanUnderlying} has an invalid expiry: ${expiry}`);
+        }
+        if (typeof spot !== 'number' || !Number.isFinite(spot) || spot <= 0) {
+            throw new ValidationError(`OptionChain for ${cleanUnderlying} has an invalid spot price: ${spot}`);
+        }
+        if (!timestamp || typeof timestamp !== 'number') {
+            throw new ValidationError(`OptionChain for ${cleanUnderlying} requires a valid numerical timestamp.`);
+        }
+        if (!Array.isArray(contracts)) {
+            throw new ValidationError(`OptionChain for ${cleanUnderlying} requires a list of contracts.`);
+        }
+        const stray = contracts.find(contract => !(contract instanceof OptionContract)
+            || contract.underlying !== cleanUnderlying || contract.expiry !== expiry);
+        if (stray) {
+            throw new ValidationError(`OptionChain for ${cleanUnderlying} ${expiry} holds a contract of another chain: ${JSON.stringify(stray)}`);
+        }
+
+        this.underlying = cleanUnderlying;
+        this.expiry = expiry;
+        this.spot = spot;
+        this.timestamp = timestamp;
+        this.contracts = Object.freeze([...contracts].sort((a, b) => a.strike - b.strike || a.type.localeCompare(b.type)));
+        this.source = source || 'UNKNOWN';
+
+        // 2. IMMUTABILITY
+        Object.freeze(this);
+    }
+
+    /**
+     * @returns {number[]} Distinct strikes, ascending.
+     */
+    get strikes() {
+        return [...new Set(this.contracts.map(({ strike }) => strike))];
+    }
+
+    /**
+     * Formats the entity for logging or export.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            underlying: this.underlying,
+            expiry: this.expiry,
+            spot: this.spot,
+            capturedAt: new Date(this.timestamp).toISOString(),
+            source: this.source,
+            contracts: this.contracts.map(contract => contract.toJSON())
+        };
+    }
+}
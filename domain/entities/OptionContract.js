@@ -0,0 +1,159 @@
+/**
+ * domain/entities/OptionContract.js
+ * * Production-Ready Domain Entity.
+ * Represents one listed option (one strike, one side, one expiry) with the
+ * open interest and implied volatility needed to price its gamma.
+ */
+
+import { ValidationError } from '../errors/DomainErrors.js';
+
+export const OPTION_TYPES = Object.freeze(['call', 'put']);
+
+/**
+ * Shares per contract for US equity and index options.
+ */
+export const CONTRACT_MULTIPLIER = 100;
+
+/**
+ * Expiries are calendar dates (YYYY-MM-DD).
+ */
+export const EXPIRY_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+
+const MS_PER_YEAR = 365 * 86_400_000;
+
+/**
+ * Floor on time to expiry so gamma stays finite on the expiry day itself.
+ */
+const MIN_YEARS_TO_EXPIRY = 3_600_000 / MS_PER_YEAR;
+
+export class OptionContract {
+    /**
+     * @param {Object} params
+     * @param {string} params.underlying - Ticker of the underlying (e.g., 'SPX')
+     * @param {('call'|'put')} params.type - One of OPTION_TYPES
+     * @param {number} params.strike - Strike price
+     * @param {string} params.expiry - Expiry date, YYYY-MM-DD
+     * @param {number} params.openInterest - Open contracts
+     * @param {number} params.impliedVolatility - Annualised, as a fraction (0.18 for 18%)
+     * @param {number} [params.gamma] - Provider gamma per share; computed from the volatility when absent
+     * @param {number} [params.volume] - Contracts traded in the session
+     * @param {string} [params.source] - The name of the adapter that provided the data
+     */
+    constructor({ underlying, type, strike, expiry, openInterest, impliedVolatility, gamma, volume, source }) {
+        // 1. DATA VALIDATION (The Entity defends itself)
+        if (!underlying || typeof underlying !== 'string') {
+            throw new ValidationError('OptionContract requires a valid string underlying.');
+        }
+        if (!OPTION_TYPES.includes(type)) {
+            throw new ValidationError(`OptionContract on ${underlying} has an invalid type: ${type}`);
+        }
+        if (!isPositive(strike)) {
+            throw new ValidationError(`OptionContract on ${underlying} has an invalid strike: ${strike}`);
+        }
+        if (!isCalendarDate(expiry)) {
+            throw new ValidationError(`OptionContract on ${underlying} has an invalid expiry: ${expiry}`);
+        }
+        if (!Number.isInteger(openInterest) || openInterest < 0) {
+            throw new ValidationError(`OptionContract on ${underlying} has an invalid open interest: ${openInterest}`);
+        }
+        if (!isPositive(impliedVolatility)) {
+            throw new ValidationError(`OptionContract on ${underlying} has an invalid implied volatility: ${impliedVolatility}`);
+        }
+        if (gamma !== undefined && gamma !== null && (!Number.isFinite(gamma) || gamma < 0)) {
+            throw new ValidationError(`OptionContract on ${underlying} has an invalid gamma: ${gamma}`);
+        }
+
+        this.underlying = underlying.toUpperCase();
+        this.type = type;
+        this.strike = strike;
+        this.expiry = expiry;
+        this.openInterest = openInterest;
+        this.impliedVolatility = impliedVolatility;
+        this.gamma = gamma ?? null;
+        this.volume = volume ?? null;
+        this.source = source || 'UNKNOWN';
+
+        // 2. IMMUTABILITY
+        Object.freeze(this);
+    }
+
+    /**
+     * Years left until the close on the expiry date, floored at one hour.
+     * @param {number} asOf - Unix timestamp (ms).
+     * @returns {number}
+     */
+    yearsToExpiry(asOf) {
+        return Math.max(MIN_YEARS_TO_EXPIRY, (expiryTimestamp(this.expiry) - asOf) / MS_PER_YEAR);
+    }
+
+    /**
+     * Black-Scholes gamma per share had the underlying traded at spot,
+     * from the contract's implied volatility.
+     * @param {number} spot - Underlying price.
+     * @param {number} asOf - Unix timestamp (ms).
+     * @returns {number}
+     */
+    gammaAt(spot, asOf) {
+        return blackScholesGamma({ spot, strike: this.strike, years: this.yearsToExpiry(asOf), volatility: this.impliedVolatility });
+    }
+
+    /**
+     * Formats the entity for logging or export.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            underlying: this.underlying,
+            type: this.type,
+            strike: this.strike,
+            expiry: this.expiry,
+            openInterest: this.openInterest,
+            impliedVolatility: this.impliedVolatility,
+            gamma: this.gamma,
+            volume: this.volume,
+            source: this.source
+        };
+    }
+}
+
+/**
+ * Black-Scholes gamma (identical for calls and puts). Rates and dividends
+ * are taken as zero: over an options chain's horizon they barely move gamma.
+ * @param {Object} params
+ * @param {number} params.spot - Underlying price.
+ * @param {number} params.strike
+ * @param {number} params.years - Time to expiry in years.
+ * @param {number} params.volatility - Annualised implied volatility (fraction).
+ * @returns {number} Gamma per share.
+ */
+export function blackScholesGamma({ spot, strike, years, volatility }) {
+    const deviation = volatility * Math.sqrt(years);
+    const d1 = (Math.log(spot / strike) + (volatility * volatility / 2) * years) / deviation;
+    return Math.exp(-d1 * d1 / 2) / Math.sqrt(2 * Math.PI) / (spot * deviation);
+}
+
+/**
+ * When an expiry date stops trading: 16:00 New York, taken as 20:00 UTC
+ * (an hour late in winter, which gamma does not notice).
+ * @param {string} expiry - YYYY-MM-DD.
+ * @returns {number} Unix timestamp (ms).
+ */
+export function expiryTimestamp(expiry) {
+    return Date.parse(`${expiry}T20:00:00Z`);
+}
+
+/**
+ * Whether a value is a real YYYY-MM-DD date (2026-02-30 is not).
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isCalendarDate(value) {
+    if (typeof value !== 'string' || !EXPIRY_FORMAT.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/** @private */
+function isPositive(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
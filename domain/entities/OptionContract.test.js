@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { OptionContract, blackScholesGamma } from './OptionContract.js';
+import { OptionChain } from './OptionChain.js';
+import { ValidationError } from '../errors/DomainErrors.js';
+
+const base = { underlying: 'spx', type: 'call', strike: 6850, expiry: '2026-01-16', openInterest: 1200, impliedVolatility: 0.18 };
+
+describe('OptionContract Entity', () => {
+    it('should reject impossible strikes, expiries and open interest', () => {
+        expect(() => new OptionContract({ ...base, type: 'straddle' })).toThrow(ValidationError);
+        expect(() => new OptionContract({ ...base, strike: 0 })).toThrow('invalid strike');
+        expect(() => new OptionContract({ ...base, expiry: '2026-02-30' })).toThrow('invalid expiry');
+        expect(() => new OptionContract({ ...base, openInterest: 1.5 })).toThrow('invalid open interest');
+        expect(new OptionContract(base)).toMatchObject({ underlying: 'SPX', gamma: null, volume: null, source: 'UNKNOWN' });
+    });
+
+    it('should price Black-Scholes gamma and floor time to expiry at one hour', () => {
+        // S = K = 100, one year, 20% vol: d1 = 0.1, gamma = phi(0.1) / 20
+        expect(blackScholesGamma({ spot: 100, strike: 100, years: 1, volatility: 0.2 })).toBeCloseTo(0.0198476, 6);
+
+        const contract = new OptionContract(base);
+        const afterClose = Date.parse('2026-01-16T21:00:00Z');
+        expect(contract.yearsToExpiry(afterClose)).toBeCloseTo(1 / (365 * 24), 8);
+        expect(contract.gammaAt(6850, afterClose)).toBeGreaterThan(contract.gammaAt(6850, Date.parse('2026-01-02T15:00:00Z')));
+    });
+});
+
+describe('OptionChain Entity', () => {
+    it('should sort contracts by strike and refuse contracts of another chain', () => {
+        const put = new OptionContract({ ...base, type: 'put', strike: 6800 });
+        const call = new OptionContract(base);
+        const chain = new OptionChain({ underlying: 'SPX', expiry: '2026-01-16', spot: 6834.5, timestamp: Date.now(), contracts: [call, put] });
+
+        expect(chain.contracts).toEqual([put, call]);
+        expect(chain.strikes).toEqual([6800, 6850]);
+        expect(Object.isFrozen(chain.contracts)).toBe(true);
+        expect(() => new OptionChain({ ...chain, contracts: [new OptionContract({ ...base, expiry: '2026-01-23' })] }))
+            .toThrow('contract of another chain');
+    });
+});
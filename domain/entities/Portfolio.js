@@ -0,0 +1,50 @@
+/**
+ * domain/entities/Portfolio.js
+ * * Production-Ready Domain Entity.
+ * A named list of positions. The same symbol may appear in several
+ * positions (separate lots); each is valued on its own.
+ */
+
+import { ValidationError } from '../errors/DomainErrors.js';
+import { Position } from './Position.js';
+
+export class Portfolio {
+    /**
+     * @param {Object} params
+     * @param {string} params.name - Shown in reports (e.g., the file name)
+     * @param {Position[]} params.positions - At least one
+     */
+    constructor({ name, positions }) {
+        // 1. DATA VALIDATION (The Entity defends itself)
+        if (!name || typeof name !== 'string') {
+            throw new ValidationError('Portfolio requires a name.', { field: 'name' });
+        }
+        if (!Array.isArray(positions) || positions.length === 0) {
+            throw new ValidationError(`Portfolio "${name}" holds no positions.`, { field: 'positions' });
+        }
+        if (!positions.every(position => position instanceof Position)) {
+            throw new ValidationError(`Portfolio "${name}" holds something other than a Position.`, { field: 'positions' });
+        }
+
+        this.name = name;
+        this.positions = Object.freeze([...positions]);
+
+        // 2. IMMUTABILITY
+        Object.freeze(this);
+    }
+
+    /**
+     * @returns {string[]} Distinct symbols, in first-held order.
+     */
+    get symbols() {
+        return [...new Set(this.positions.map(({ symbol }) => symbol))];
+    }
+
+    /**
+     * Formats the entity for logging or export.
+     * @returns {Object}
+     */
+    toJSON() {
+        return { name: this.name, positions: this.positions.map(position => position.toJSON()) };
+    }
+}
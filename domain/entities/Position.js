@@ -0,0 +1,80 @@
+/**
+ * domain/entities/Position.js
+ * * Production-Ready Domain Entity.
+ * One holding: a quantity of a symbol bought (or sold short) at a cost
+ * basis. Futures and options carry a contract multiplier (50 for ES), so
+ * one contract moves multiplier x the quoted price.
+ */
+
+import { ValidationError } from '../errors/DomainErrors.js';
+
+export class Position {
+    /**
+     * @param {Object} params
+     * @param {string} params.symbol - Ticker symbol (e.g., 'ES')
+     * @param {number} params.quantity - Units or contracts held; negative for a short position
+     * @param {number} params.costBasis - Average price paid per unit, in quote terms
+     * @param {number} [params.multiplier=1] - Currency value of one point per unit (50 for ES);
+     *   readers fill it from the instrument registry, so the default only suits plain shares
+     */
+    constructor({ symbol, quantity, costBasis, multiplier = 1 }) {
+        // 1. DATA VALIDATION (The Entity defends itself)
+        if (!symbol || typeof symbol !== 'string' || symbol.trim() === '') {
+            throw new ValidationError('Position requires a valid string symbol.', { field: 'symbol' });
+        }
+        if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity === 0) {
+            throw new ValidationError(`Position in ${symbol} has an invalid quantity: ${quantity}`, { field: 'quantity' });
+        }
+        if (typeof costBasis !== 'number' || !Number.isFinite(costBasis) || costBasis < 0) {
+            throw new ValidationError(`Position in ${symbol} has an invalid cost basis: ${costBasis}`, { field: 'costBasis' });
+        }
+        if (typeof multiplier !== 'number' || !Number.isFinite(multiplier) || multiplier <= 0) {
+            throw new ValidationError(`Position in ${symbol} has an invalid multiplier: ${multiplier}`, { field: 'multiplier' });
+        }
+
+        this.symbol = symbol.trim().toUpperCase();
+        this.quantity = quantity;
+        this.costBasis = costBasis;
+        this.multiplier = multiplier;
+
+        // 2. IMMUTABILITY
+        Object.freeze(this);
+    }
+
+    /**
+     * What the position cost to open (negative proceeds for a short).
+     * @returns {number}
+     */
+    get costValue() {
+        return this.quantity * this.costBasis * this.multiplier;
+    }
+
+    /**
+     * Marks the position to a price.
+     * @param {number} price - Latest quoted price.
+     * @returns {{marketValue: number, unrealizedPnl: number, unrealizedPnlPercent: number|null}}
+     *   The percentage is relative to the cost; null when the position cost nothing.
+     */
+    valueAt(price) {
+        const marketValue = this.quantity * price * this.multiplier;
+        const unrealizedPnl = marketValue - this.costValue;
+        return {
+            marketValue,
+            unrealizedPnl,
+            unrealizedPnlPercent: this.costValue === 0 ? null : (unrealizedPnl / Math.abs(this.costValue)) * 100
+        };
+    }
+
+    /**
+     * Formats the entity for logging or export.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            symbol: this.symbol,
+            quantity: this.quantity,
+            costBasis: this.costBasis,
+            multiplier: this.multiplier
+        };
+    }
+}
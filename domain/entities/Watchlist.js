@@ -0,0 +1,118 @@
+/**
+ * domain/entities/Watchlist.js
+ * * Production-Ready Domain Entity.
+ * A named, ordered list of symbols, and the last successful snapshot of
+ * each so the next run can be compared against it. Changes return a new
+ * Watchlist; an instance never changes.
+ */
+
+import { ValidationError } from '../errors/DomainErrors.js';
+
+/**
+ * Names double as file names: letters, digits, '-' and '_', up to 64 characters.
+ */
+export const WATCHLIST_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * @typedef {Object} LastResult
+ * @property {number} price
+ * @property {number|null} changePercent - Session change when the snapshot was taken.
+ * @property {number} capturedAt - Unix timestamp (ms) of the quote.
+ * @property {string} source - Adapter that provided it.
+ */
+
+export class Watchlist {
+    /**
+     * @param {Object} params
+     * @param {string} params.name - Case-insensitive; stored lowercase
+     * @param {string[]} [params.symbols=[]] - Uppercased and de-duplicated, in order
+     * @param {Object<string, LastResult>} [params.lastResults={}] - Keyed by symbol
+     * @param {number|null} [params.updatedAt=null] - Unix timestamp (ms) of the last change or run
+     */
+    constructor({ name, symbols = [], lastResults = {}, updatedAt = null }) {
+        // 1. DATA VALIDATION (The Entity defends itself)
+        const cleanName = typeof name === 'string' ? name.trim().toLowerCase() : '';
+        if (!WATCHLIST_NAME_PATTERN.test(cleanName)) {
+            throw new ValidationError(`Invalid watchlist name: "${name}"`, {
+                field: 'name',
+                hint: 'Use letters, digits, "-" and "_" (e.g., morning-futures).'
+            });
+        }
+        if (!Array.isArray(symbols) || symbols.some(symbol => typeof symbol !== 'string')) {
+            throw new ValidationError(`Watchlist "${cleanName}" requires a list of ticker symbols.`, { field: 'symbols' });
+        }
+        if (typeof lastResults !== 'object' || lastResults === null || Array.isArray(lastResults)) {
+            throw new ValidationError(`Watchlist "${cleanName}" has malformed last results.`, { field: 'lastResults' });
+        }
+        if (updatedAt !== null && !Number.isFinite(updatedAt)) {
+            throw new ValidationError(`Watchlist "${cleanName}" has an invalid updatedAt: ${updatedAt}`, { field: 'updatedAt' });
+        }
+
+        this.name = cleanName;
+        this.symbols = Object.freeze(cleanSymbols(symbols));
+        // Only symbols still on the list keep a last result
+        this.lastResults = Object.freeze(Object.fromEntries(this.symbols
+            .filter(symbol => Object.hasOwn(lastResults, symbol))
+            .map(symbol => [symbol, Object.freeze({ ...lastResults[symbol] })])));
+        this.updatedAt = updatedAt;
+
+        // 2. IMMUTABILITY
+        Object.freeze(this);
+    }
+
+    /**
+     * @param {string[]} symbols - Appended in order; symbols already listed are skipped.
+     * @param {number} [now=Date.now()]
+     * @returns {Watchlist}
+     */
+    withSymbols(symbols, now = Date.now()) {
+        return new Watchlist({ ...this.toJSON(), symbols: [...this.symbols, ...symbols], updatedAt: now });
+    }
+
+    /**
+     * @param {string[]} symbols - Symbols to drop, with their last results.
+     * @param {number} [now=Date.now()]
+     * @returns {Watchlist}
+     */
+    withoutSymbols(symbols, now = Date.now()) {
+        const removed = new Set(cleanSymbols(symbols));
+        return new Watchlist({ ...this.toJSON(), symbols: this.symbols.filter(symbol => !removed.has(symbol)), updatedAt: now });
+    }
+
+    /**
+     * Keeps each quote as its symbol's last result; other symbols keep theirs.
+     * @param {Object[]} quotes - MarketQuote entities.
+     * @param {number} [now=Date.now()]
+     * @returns {Watchlist}
+     */
+    withResults(quotes, now = Date.now()) {
+        const latest = Object.fromEntries(quotes.map(quote => [quote.symbol, {
+            price: quote.price,
+            changePercent: quote.changePercent ?? null,
+            capturedAt: quote.timestamp,
+            source: quote.source
+        }]));
+        return new Watchlist({ ...this.toJSON(), lastResults: { ...this.lastResults, ...latest }, updatedAt: now });
+    }
+
+    /**
+     * Formats the entity for logging or export.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            symbols: [...this.symbols],
+            lastResults: { ...this.lastResults },
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+/**
+ * Uppercased, de-duplicated, without accidental flag prefixes ('--ES').
+ * @private
+ */
+function cleanSymbols(symbols) {
+    return [...new Set(symbols.map(symbol => symbol.trim().replace(/^-+/, '').toUpperCase()).filter(Boolean))];
+}
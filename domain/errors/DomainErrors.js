@@ -0,0 +1,188 @@
+/**
+ * domain/errors/DomainErrors.js
+ * * The error taxonomy shared by the Domain, its adapters and the CLI.
+ * Every error carries:
+ * - code: A stable identifier callers branch on (never parse messages).
+ * - retryable: Whether repeating the same call could succeed.
+ * - hint: One actionable sentence for the operator.
+ * Provider-specific failures are mapped into these classes inside the adapters,
+ * so nothing above the port ever sees an HTTP status or a vendor message shape.
+ */
+
+/**
+ * Stable codes, one per error class.
+ */
+export const ErrorCode = Object.freeze({
+    VALIDATION_FAILED: 'VALIDATION_FAILED',
+    SYMBOL_NOT_FOUND: 'SYMBOL_NOT_FOUND',
+    INVALID_CONFIG: 'INVALID_CONFIG',
+    AUTHENTICATION_FAILED: 'AUTHENTICATION_FAILED',
+    RATE_LIMITED: 'RATE_LIMITED',
+    PROVIDER_TIMEOUT: 'PROVIDER_TIMEOUT',
+    PROVIDER_UNAVAILABLE: 'PROVIDER_UNAVAILABLE'
+});
+
+export class DomainError extends Error {
+    /**
+     * @param {string} message - What went wrong, without a bracketed origin prefix.
+     * @param {Object} options
+     * @param {string} options.code - One of ErrorCode.
+     * @param {boolean} [options.retryable=false]
+     * @param {string} [options.hint] - What the operator should do about it.
+     * @param {Error} [options.cause] - The underlying failure, kept for logs.
+     */
+    constructor(message, { code, retryable = false, hint, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = new.target.name;
+        this.code = code;
+        this.retryable = retryable;
+        this.hint = hint;
+    }
+
+    /**
+     * Serializable form for logs, traces and machine-readable output.
+     * @returns {Object}
+     */
+    toJSON() {
+        return { name: this.name, code: this.code, message: this.message, retryable: this.retryable, hint: this.hint };
+    }
+}
+
+/**
+ * Input that violates a domain rule (empty ticker, inverted range, bad entity field).
+ */
+export class ValidationError extends DomainError {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {string} [options.field] - The offending input, when there is one.
+     * @param {string} [options.hint]
+     */
+    constructor(message, { field, hint } = {}) {
+        super(message, { code: ErrorCode.VALIDATION_FAILED, hint });
+        this.field = field;
+    }
+}
+
+/**
+ * The provider answered, and it does not know this ticker.
+ */
+export class SymbolNotFoundError extends DomainError {
+    /**
+     * @param {string} symbol - The ticker the provider rejected.
+     * @param {string} [provider] - Name of the provider that rejected it.
+     * @param {Object} [options]
+     * @param {string} [options.hint] - Replaces the generic spelling hint (e.g., with suggestions).
+     */
+    constructor(symbol, provider, { hint } = {}) {
+        super(`Symbol "${symbol}" is not recognised${provider ? ` by ${provider}` : ''}.`, {
+            code: ErrorCode.SYMBOL_NOT_FOUND,
+            hint: hint ?? 'Check the ticker spelling, or use the provider\'s own symbol format (e.g., ^GSPC).'
+        });
+        this.symbol = symbol;
+    }
+}
+
+/**
+ * The manifest, an environment variable or a provider config is missing or wrong.
+ */
+export class InvalidConfigError extends DomainError {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {string} [options.hint]
+     * @param {Error} [options.cause]
+     */
+    constructor(message, { hint = 'Run "manifest validate" and check your .env file.', cause } = {}) {
+        super(message, { code: ErrorCode.INVALID_CONFIG, hint, cause });
+    }
+}
+
+/**
+ * The provider refused our credentials.
+ */
+export class AuthenticationError extends DomainError {
+    /**
+     * @param {string} provider - Name of the provider that refused.
+     * @param {Object} [options]
+     * @param {string} [options.hint]
+     */
+    constructor(provider, { hint = 'Check the provider API key in your .env file.' } = {}) {
+        super(`${provider} rejected the configured credentials.`, { code: ErrorCode.AUTHENTICATION_FAILED, hint });
+        this.provider = provider;
+    }
+}
+
+/**
+ * The provider is throttling us. Retrying is right, just not immediately.
+ */
+export class RateLimitedError extends DomainError {
+    /**
+     * @param {string} provider - Name of the throttling provider.
+     * @param {Object} [options]
+     * @param {number|null} [options.retryAfterMs=null] - Provider-advertised wait, when known.
+     */
+    constructor(provider, { retryAfterMs = null } = {}) {
+        const wait = retryAfterMs !== null ? ` Retry in ${Math.ceil(retryAfterMs / 1000)}s.` : '';
+        super(`${provider} rate limit reached.${wait}`, {
+            code: ErrorCode.RATE_LIMITED,
+            retryable: true,
+            hint: 'Poll less often (e.g., a longer --interval) or enable the quote cache in the manifest.'
+        });
+        this.provider = provider;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * The provider did not answer in time.
+ */
+export class ProviderTimeoutError extends DomainError {
+    /**
+     * @param {string} provider - Name of the slow provider.
+     * @param {number} timeoutMs - The budget that was exceeded.
+     * @param {Object} [options]
+     * @param {string} [options.operation] - Port method that timed out, for the message.
+     */
+    constructor(provider, timeoutMs, { operation } = {}) {
+        super(`${operation ? `${provider}.${operation}` : provider} timed out after ${timeoutMs}ms.`, {
+            code: ErrorCode.PROVIDER_TIMEOUT,
+            retryable: true,
+            hint: 'The provider may be degraded; retry shortly or raise the timeout in the manifest.'
+        });
+        this.provider = provider;
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * The provider is unreachable or failing (network error, 5xx, unusable payload).
+ */
+export class ProviderUnavailableError extends DomainError {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {boolean} [options.retryable=true]
+     * @param {string} [options.hint]
+     * @param {Error} [options.cause]
+     */
+    constructor(message, {
+        retryable = true,
+        hint = 'Retry shortly; unless --no-fallback is set, PLNexus fails over to the manifest fallbackMode.',
+        cause
+    } = {}) {
+        super(message, { code: ErrorCode.PROVIDER_UNAVAILABLE, retryable, hint, cause });
+    }
+}
+
+/**
+ * Passes DomainErrors through untouched and wraps anything else (a bug, or an
+ * adapter that never mapped its failures) as ProviderUnavailableError.
+ * @param {unknown} error - Whatever was caught.
+ * @param {string} message - Context for the wrapped error, e.g. 'Market discovery failed for SPX.'
+ * @returns {DomainError}
+ */
+export function toDomainError(error, message) {
+    if (error instanceof DomainError) return error;
+    return new ProviderUnavailableError(message, { cause: error });
+}
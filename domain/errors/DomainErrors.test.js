@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import {
+    DomainError,
+    ErrorCode,
+    InvalidConfigError,
+    ProviderUnavailableError,
+    RateLimitedError,
+    SymbolNotFoundError,
+    ValidationError,
+    toDomainError
+} from './DomainErrors.js';
+import { ExitCode, exitCodeFor, exitCodeForFailures } from '../../infrastructure/adapters/cli/ExitCodes.js';
+
+describe('Domain error taxonomy', () => {
+    it('gives every class a stable code, retry flag and hint', () => {
+        const error = new SymbolNotFoundError('ZZZ', 'Finnhub');
+
+        expect(error).toBeInstanceOf(DomainError);
+        expect(error).toMatchObject({ name: 'SymbolNotFoundError', code: ErrorCode.SYMBOL_NOT_FOUND, retryable: false });
+        expect(error.hint).toEqual(expect.any(String));
+        expect(JSON.parse(JSON.stringify(error))).toMatchObject({ code: 'SYMBOL_NOT_FOUND', message: 'Symbol "ZZZ" is not recognised by Finnhub.' });
+    });
+
+    it('marks throttling and outages retryable, bad input and config final', () => {
+        expect(new RateLimitedError('Finnhub').retryable).toBe(true);
+        expect(new ProviderUnavailableError('down').retryable).toBe(true);
+        expect(new ValidationError('bad').retryable).toBe(false);
+        expect(new InvalidConfigError('bad').retryable).toBe(false);
+    });
+
+    it('toDomainError() keeps typed errors and wraps untyped ones with their cause', () => {
+        const typed = new ValidationError('bad');
+        const raw = new TypeError('boom');
+
+        expect(toDomainError(typed, 'ignored')).toBe(typed);
+        expect(toDomainError(raw, 'Lookup failed.')).toMatchObject({ code: ErrorCode.PROVIDER_UNAVAILABLE, message: 'Lookup failed.', cause: raw });
+    });
+});
+
+describe('CLI exit codes', () => {
+    it('gives each error code its own exit code and untyped errors FAILURE', () => {
+        const codes = Object.values(ErrorCode).map(code => exitCodeFor({ code }));
+
+        expect(new Set(codes).size).toBe(codes.length);
+        expect(codes).not.toContain(ExitCode.OK);
+        expect(codes).not.toContain(ExitCode.FAILURE);
+        expect(exitCodeFor(new Error('bug'))).toBe(ExitCode.FAILURE);
+    });
+
+    it('keeps a shared failure cause and collapses mixed ones', () => {
+        expect(exitCodeForFailures([{ code: 'SYMBOL_NOT_FOUND' }, { code: 'SYMBOL_NOT_FOUND' }])).toBe(ExitCode.SYMBOL_NOT_FOUND);
+        expect(exitCodeForFailures([{ code: 'SYMBOL_NOT_FOUND' }, { code: 'RATE_LIMITED' }])).toBe(ExitCode.FAILURE);
+    });
+});
@@ -1,5 +1,145 @@
+/**
+ * domain/ports/outbound/MarketDataPort.js
+ * Outbound contract every market data adapter must honour.
+ * Adapters extend this class and override fetchQuote() (and fetchCandles()
+ * or fetchOptionChain() when they offer history or options); the batch and streaming helpers below work for
+ * any adapter and may be overridden by providers with a native multi-symbol
+ * endpoint or a push feed.
+ */
+
 export class MarketDataPort {
     async fetchQuote(symbol) {
         throw new Error("Port method fetchQuote() not implemented");
     }
+
+    /**
+     * Fetches historical OHLCV bars. Optional capability: adapters without
+     * history support inherit this rejection.
+     * @param {string} symbol - The ticker to fetch.
+     * @param {string} resolution - One of CANDLE_RESOLUTIONS (e.g., '5', 'D').
+     * @param {number} from - Range start, Unix timestamp (ms), inclusive.
+     * @param {number} to - Range end, Unix timestamp (ms), inclusive.
+     * @returns {Promise<Object[]>} Candle entities in ascending time order.
+     */
+    async fetchCandles(symbol, resolution, from, to) {
+        throw new Error("Port method fetchCandles() not implemented");
+    }
+
+    /**
+     * Fetches every contract of one expiry. Optional capability: adapters
+     * without options data inherit this rejection.
+     * @param {string} underlying - Ticker of the underlying (e.g., 'SPX').
+     * @param {string|null} expiry - Expiry date (YYYY-MM-DD); null for the nearest listed expiry.
+     * @returns {Promise<Object>} OptionChain entity.
+     */
+    async fetchOptionChain(underlying, expiry) {
+        throw new Error("Port method fetchOptionChain() not implemented");
+    }
+
+    /**
+     * Reports whether the provider can currently serve quotes.
+     * The default probes with a real fetchQuote(); adapters with a cheaper
+     * status endpoint should override it.
+     * @param {string} probeSymbol - Ticker used for the probe (e.g., the manifest default).
+     * @returns {Promise<{healthy: boolean, latencyMs: number, error?: string}>}
+     */
+    async healthCheck(probeSymbol) {
+        const startTime = Date.now();
+        try {
+            await this.fetchQuote(probeSymbol);
+            return { healthy: true, latencyMs: Date.now() - startTime };
+        } catch (error) {
+            return { healthy: false, latencyMs: Date.now() - startTime, error: error.message };
+        }
+    }
+
+    /**
+     * Fetches several quotes, fanning out to fetchQuote() with bounded concurrency.
+     * Never rejects for an individual symbol: each slot reports either a quote or an error.
+     * @param {string[]} symbols - Tickers to fetch.
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=4] - Maximum in-flight fetchQuote() calls.
+     * @returns {Promise<Array<{symbol: string, quote?: Object, error?: Error}>>} Results in input order.
+     */
+    async fetchQuotes(symbols, { concurrency = 4 } = {}) {
+        const results = new Array(symbols.length);
+        const limit = Math.max(1, Math.min(concurrency, symbols.length));
+        let cursor = 0;
+
+        // Each worker pulls the next pending index until the queue is drained
+        const worker = async () => {
+            while (cursor < symbols.length) {
+                const index = cursor++;
+                const symbol = symbols[index];
+                try {
+                    results[index] = { symbol, quote: await this.fetchQuote(symbol) };
+                } catch (error) {
+                    results[index] = { symbol, error };
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: limit }, worker));
+        return results;
+    }
+
+    /**
+     * True when subscribe() is a native push feed rather than the polling default.
+     * Decorators read it to decide whether to forward a subscription or poll through themselves.
+     * @returns {boolean}
+     */
+    get pushesQuotes() {
+        return false;
+    }
+
+    /**
+     * Streams quotes for the symbols until the returned function is called.
+     * The default polls fetchQuotes() every intervalMs, never overlapping polls;
+     * push-capable adapters override it. Per-symbol failures go to onError and
+     * do not end the subscription, and neither does a listener that throws:
+     * its error is handed to onError for that symbol.
+     * @param {string[]} symbols - Tickers to stream.
+     * @param {function(Object): void} onQuote - Receives each MarketQuote.
+     * @param {Object} [options]
+     * @param {function(Error, string): void} [options.onError] - Receives (error, symbol) per failed update.
+     * @param {number} [options.intervalMs=1000] - Delay between updates for each symbol.
+     * @param {boolean} [options.primed=false] - The caller already holds fresh quotes; the first poll waits a full interval.
+     * @returns {function(): void} Unsubscribe; idempotent.
+     */
+    subscribe(symbols, onQuote, { onError = () => {}, intervalMs = 1000, primed = false } = {}) {
+        let stopped = false;
+        let timer = null;
+
+        // Runs from a timer: anything thrown here would take the process down
+        const report = (error, symbol) => {
+            try {
+                onError(error, symbol);
+            } catch {
+                // Nobody left to tell; the next poll is still scheduled
+            }
+        };
+
+        const poll = async () => {
+            const results = await this.fetchQuotes(symbols);
+            if (stopped) return;
+            for (const { symbol, quote, error } of results) {
+                if (error) {
+                    report(error, symbol);
+                    continue;
+                }
+                try {
+                    onQuote(quote);
+                } catch (listenerError) {
+                    report(listenerError, symbol);
+                }
+            }
+            timer = setTimeout(poll, intervalMs);
+        };
+        timer = setTimeout(poll, primed ? intervalMs : 0);
+
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+    }
 }
@@ -0,0 +1,79 @@
+/**
+ * domain/use-cases/GetBatchSnapshot.js
+ * * Multi-Symbol Use Case.
+ * Snapshots a list of tickers in one run. A bad ticker is reported as a
+ * per-symbol failure instead of aborting the whole batch.
+ */
+
+import { ErrorCode, ValidationError } from '../errors/DomainErrors.js';
+import { partitionQuoteResults } from './QuoteResults.js';
+
+export class GetBatchSnapshot {
+    #marketDataPort;
+    #tracer;
+
+    /**
+     * @param {Object} marketDataPort - The outbound port implementation (Adapter).
+     * @param {Object} tracer - Telemetry utility for execution observability.
+     * @throws {Error} If either dependency is missing.
+     */
+    constructor(marketDataPort, tracer) {
+        if (!marketDataPort || !tracer) {
+            throw new Error(`[UseCase] Dependency Injection Failed: Port(${!!marketDataPort}) Tracer(${!!tracer})`);
+        }
+        this.#marketDataPort = marketDataPort;
+        this.#tracer = tracer;
+    }
+
+    /**
+     * Executes the batch discovery process.
+     * @param {string[]} symbols - Tickers to look up (e.g., ['SPX', 'ES', 'NDX']).
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=4] - Maximum parallel provider calls.
+     * @returns {Promise<{quotes: Object[], failures: Array<{symbol: string, reason: string, code: string}>}>}
+     * @throws {ValidationError} If no usable symbol was supplied.
+     */
+    async execute(symbols, { concurrency = 4 } = {}) {
+        return await this.#tracer.traceSpan('DOMAIN', 'GET_BATCH_SNAPSHOT', async () => {
+
+            // 1. INPUT VALIDATION (Fail-fast on the list, tolerant per symbol)
+            if (!Array.isArray(symbols) || symbols.length === 0) {
+                throw new ValidationError('At least one market ticker symbol is required.', { field: 'symbols' });
+            }
+            if (!Number.isInteger(concurrency) || concurrency < 1) {
+                throw new ValidationError(`Concurrency must be a positive integer, received ${concurrency}.`, { field: 'concurrency' });
+            }
+
+            const failures = [];
+            const cleanSymbols = [];
+            for (const symbol of symbols) {
+                if (typeof symbol !== 'string' || symbol.trim() === '') {
+                    failures.push({ symbol: String(symbol), reason: 'A valid market ticker symbol is required.', code: ErrorCode.VALIDATION_FAILED });
+                    continue;
+                }
+                const clean = symbol.trim().toUpperCase();
+                // De-duplicate so a watchlist typo doesn't burn provider quota twice
+                if (!cleanSymbols.includes(clean)) cleanSymbols.push(clean);
+            }
+
+            // 2. ADAPTER ORCHESTRATION
+            const results = cleanSymbols.length > 0
+                ? await this.#marketDataPort.fetchQuotes(cleanSymbols, { concurrency })
+                : [];
+
+            // 3. PARTITION RESULTS (untyped adapter errors never reach the output verbatim)
+            const partition = await partitionQuoteResults(results, this.#tracer);
+            const quotes = [...partition.quotes.values()];
+            failures.push(...partition.failures);
+
+            await this.#tracer.record('DOMAIN', 'BATCH_SNAPSHOT_SUMMARY', {
+                requested: symbols.length,
+                succeeded: quotes.length,
+                failed: failures.length
+            });
+
+            return { quotes, failures };
+
+        }, { symbols: Array.isArray(symbols) ? symbols.join(',') : symbols, concurrency });
+    }
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect, vi } from 'vitest';
+import { GetBatchSnapshot } from './GetBatchSnapshot.js';
+import { MarketDataPort } from '../ports/outbound/MarketDataPort.js';
+import { MarketQuote } from '../entities/MarketQuote.js';
+import { SymbolNotFoundError } from '../errors/DomainErrors.js';
+
+// Pass-through tracer: runs spans inline and swallows events
+const tracer = {
+    traceSpan: (layer, label, fn) => fn(),
+    record: vi.fn()
+};
+
+class StubPort extends MarketDataPort {
+    constructor() {
+        super();
+        this.inFlight = 0;
+        this.peak = 0;
+    }
+
+    async fetchQuote(symbol) {
+        this.inFlight++;
+        this.peak = Math.max(this.peak, this.inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        this.inFlight--;
+        if (symbol === 'BAD') throw new SymbolNotFoundError(symbol, 'Stub');
+        if (symbol === 'FLAKY') throw new Error('socket hang up at 10.0.0.3');
+        return new MarketQuote({ symbol, price: 100, timestamp: Date.now(), source: 'Stub' });
+    }
+}
+
+describe('GetBatchSnapshot Use Case', () => {
+    it('should report per-symbol successes and failures', async () => {
+        const useCase = new GetBatchSnapshot(new StubPort(), tracer);
+        const { quotes, failures } = await useCase.execute(['spx', 'BAD', ' es ', 'SPX', '']);
+
+        expect(quotes.map(q => q.symbol)).toEqual(['SPX', 'ES']);
+        expect(failures).toEqual([
+            { symbol: '', reason: 'A valid market ticker symbol is required.', code: 'VALIDATION_FAILED' },
+            { symbol: 'BAD', reason: 'Symbol "BAD" is not recognised by Stub.', code: 'SYMBOL_NOT_FOUND' }
+        ]);
+    });
+
+    it('should keep untyped adapter errors out of the failures and in the trace log', async () => {
+        const record = vi.fn();
+        const useCase = new GetBatchSnapshot(new StubPort(), { ...tracer, record });
+        const result = await useCase.execute(['SPX', 'FLAKY']);
+
+        expect(result.failures).toEqual([{
+            symbol: 'FLAKY',
+            reason: 'Market discovery failed for FLAKY. Please check system logs.',
+            code: 'PROVIDER_UNAVAILABLE'
+        }]);
+        expect(JSON.stringify(result)).not.toContain('10.0.0.3');
+        expect(record).toHaveBeenCalledWith('DOMAIN', 'QUOTE_FAILURE_CAUSE', expect.objectContaining({ symbol: 'FLAKY', cause: 'socket hang up at 10.0.0.3' }));
+    });
+
+    it('should respect the concurrency limit', async () => {
+        const port = new StubPort();
+        const useCase = new GetBatchSnapshot(port, tracer);
+        const symbols = Array.from({ length: 10 }, (_, i) => `SYM${i}`);
+
+        const { quotes } = await useCase.execute(symbols, { concurrency: 3 });
+
+        expect(quotes).toHaveLength(10);
+        expect(port.peak).toBe(3);
+    });
+
+    it('should reject an empty symbol list', async () => {
+        const useCase = new GetBatchSnapshot(new StubPort(), tracer);
+        await expect(useCase.execute([])).rejects.toThrow('At least one market ticker symbol is required.');
+    });
+});
@@ -0,0 +1,189 @@
+/**
+ * domain/use-cases/GetGammaExposure.js
+ * * Dealer Gamma Exposure (GEX) Use Case.
+ * Turns one expiry's option chain into the gamma dealers carry per strike,
+ * the net total, and the zero-gamma flip: the underlying level at which the
+ * net exposure changes sign.
+ * * CONVENTION: dealers are taken to be long the calls and short the puts
+ * their customers trade, so call gamma counts positive and put gamma
+ * negative. Exposure is in dollars per 1% move of the underlying:
+ * gamma x open interest x multiplier x spot^2 x 0.01.
+ */
+
+import { CONTRACT_MULTIPLIER, isCalendarDate, expiryTimestamp } from '../entities/OptionContract.js';
+import { ValidationError, toDomainError } from '../errors/DomainErrors.js';
+
+/**
+ * The flip is searched within +/- this fraction of spot.
+ */
+export const FLIP_SEARCH_RANGE = 0.2;
+
+/**
+ * Underlying levels evaluated across the search range.
+ */
+const FLIP_SEARCH_STEPS = 240;
+
+/**
+ * @typedef {Object} StrikeExposure
+ * @property {number} strike
+ * @property {number} callOpenInterest
+ * @property {number} putOpenInterest
+ * @property {number} callGex - Dollars per 1% move (>= 0).
+ * @property {number} putGex - Dollars per 1% move (<= 0).
+ * @property {number} netGex - callGex + putGex.
+ */
+
+/**
+ * @typedef {Object} GammaExposureReport
+ * @property {string} underlying
+ * @property {string} expiry - YYYY-MM-DD.
+ * @property {number} spot - Underlying price the chain was captured at.
+ * @property {number} asOf - Unix timestamp (ms) of the chain.
+ * @property {string} source - Adapter that provided the chain.
+ * @property {number} callGex - Total call exposure.
+ * @property {number} putGex - Total put exposure.
+ * @property {number} totalGex - Net exposure at spot.
+ * @property {number|null} flipLevel - Zero-gamma level nearest spot; null when the net exposure keeps one sign across the search range.
+ * @property {StrikeExposure[]} strikes - Ascending.
+ */
+
+export class GetGammaExposure {
+    #marketDataPort;
+    #tracer;
+
+    /**
+     * @param {Object} marketDataPort - The outbound port implementation (Adapter).
+     * @param {Object} tracer - Telemetry utility for execution observability.
+     * @throws {Error} If either dependency is missing.
+     */
+    constructor(marketDataPort, tracer) {
+        if (!marketDataPort || !tracer) {
+            throw new Error(`[UseCase] Dependency Injection Failed: Port(${!!marketDataPort}) Tracer(${!!tracer})`);
+        }
+        this.#marketDataPort = marketDataPort;
+        this.#tracer = tracer;
+    }
+
+    /**
+     * Executes the GEX calculation.
+     * @param {Object} request
+     * @param {string} request.underlying - Ticker of the underlying (e.g., 'SPX').
+     * @param {string|null} [request.expiry=null] - YYYY-MM-DD; null for the nearest expiry.
+     * @returns {Promise<GammaExposureReport>}
+     * @throws {ValidationError} If the request fails domain-level validation.
+     * @throws {DomainError} If the adapter fails.
+     */
+    async execute({ underlying, expiry = null }) {
+        return await this.#tracer.traceSpan('DOMAIN', 'GEX_CALCULATION', async () => {
+
+            // 1. INPUT VALIDATION (Fail-fast)
+            if (!underlying || typeof underlying !== 'string' || underlying.trim() === '') {
+                throw new ValidationError('A valid underlying ticker symbol is required.', { field: 'underlying' });
+            }
+            if (expiry !== null && !isCalendarDate(expiry)) {
+                throw new ValidationError(`Invalid expiry "${expiry}".`, { field: 'expiry', hint: 'Use a calendar date such as 2026-01-16.' });
+            }
+            if (expiry !== null && expiryTimestamp(expiry) <= Date.now()) {
+                throw new ValidationError(`Expiry ${expiry} has already passed.`, { field: 'expiry' });
+            }
+
+            const cleanUnderlying = underlying.trim().toUpperCase();
+
+            // 2. ADAPTER ORCHESTRATION
+            let chain;
+            try {
+                chain = await this.#marketDataPort.fetchOptionChain(cleanUnderlying, expiry);
+            } catch (error) {
+                throw toDomainError(error, `Option chain lookup failed for ${cleanUnderlying}. Please check system logs.`);
+            }
+
+            // 3. EXPOSURE AT SPOT, PER STRIKE
+            const { spot, timestamp: asOf, contracts } = chain;
+            const byStrike = new Map();
+            for (const contract of contracts) {
+                if (!byStrike.has(contract.strike)) {
+                    byStrike.set(contract.strike, { strike: contract.strike, callOpenInterest: 0, putOpenInterest: 0, callGex: 0, putGex: 0 });
+                }
+                const row = byStrike.get(contract.strike);
+                const gex = dealerExposure(contract, contract.gamma ?? contract.gammaAt(spot, asOf), spot);
+                if (contract.type === 'call') {
+                    row.callOpenInterest += contract.openInterest;
+                    row.callGex += gex;
+                } else {
+                    row.putOpenInterest += contract.openInterest;
+                    row.putGex += gex;
+                }
+            }
+            // Whole dollars, rounded per side so rows and totals add up exactly
+            const strikes = [...byStrike.values()]
+                .sort((a, b) => a.strike - b.strike)
+                .map(row => {
+                    const [callGex, putGex] = [Math.round(row.callGex), Math.round(row.putGex)];
+                    return { ...row, callGex, putGex, netGex: callGex + putGex };
+                });
+
+            const callGex = strikes.reduce((sum, row) => sum + row.callGex, 0);
+            const putGex = strikes.reduce((sum, row) => sum + row.putGex, 0);
+            const flipLevel = findFlipLevel(contracts, spot, asOf);
+
+            await this.#tracer.record('DOMAIN', 'GEX_SUMMARY', {
+                symbol: chain.underlying,
+                expiry: chain.expiry,
+                contracts: contracts.length,
+                totalGex: callGex + putGex,
+                flipLevel
+            });
+
+            return {
+                underlying: chain.underlying,
+                expiry: chain.expiry,
+                spot,
+                asOf,
+                source: chain.source,
+                callGex,
+                putGex,
+                totalGex: callGex + putGex,
+                flipLevel,
+                strikes
+            };
+
+        }, { symbol: underlying, expiry });
+    }
+}
+
+/**
+ * Signed dollar gamma of a contract's open interest per 1% move.
+ * @private
+ */
+function dealerExposure(contract, gamma, spot) {
+    const sign = contract.type === 'call' ? 1 : -1;
+    return sign * gamma * contract.openInterest * CONTRACT_MULTIPLIER * spot * spot * 0.01;
+}
+
+/**
+ * Re-prices every contract's gamma across underlying levels around spot and
+ * returns the sign change nearest spot, interpolated between the two levels
+ * that bracket it.
+ * @private
+ * @returns {number|null}
+ */
+function findFlipLevel(contracts, spot, asOf) {
+    if (contracts.length === 0) return null;
+
+    const low = spot * (1 - FLIP_SEARCH_RANGE);
+    const step = (2 * spot * FLIP_SEARCH_RANGE) / FLIP_SEARCH_STEPS;
+    const profile = Array.from({ length: FLIP_SEARCH_STEPS + 1 }, (_, i) => {
+        const level = low + i * step;
+        const net = contracts.reduce((sum, contract) => sum + dealerExposure(contract, contract.gammaAt(level, asOf), level), 0);
+        return { level, net };
+    });
+
+    let flip = null;
+    for (let i = 1; i < profile.length; i++) {
+        const [before, after] = [profile[i - 1], profile[i]];
+        if (Math.sign(before.net) === Math.sign(after.net)) continue;
+        const level = before.level + (after.level - before.level) * (before.net / (before.net - after.net));
+        if (flip === null || Math.abs(level - spot) < Math.abs(flip - spot)) flip = level;
+    }
+    return flip === null ? null : Math.round(flip * 100) / 100;
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect, vi } from 'vitest';
+import { GetGammaExposure } from './GetGammaExposure.js';
+import { OptionChain } from '../entities/OptionChain.js';
+import { OptionContract } from '../entities/OptionContract.js';
+import { ProviderUnavailableError, ValidationError } from '../errors/DomainErrors.js';
+import { MockMarketAdapter } from '../../infrastructure/adapters/api/MockMarketAdapter.js';
+
+// Pass-through tracer: runs spans inline and swallows events
+const tracer = {
+    traceSpan: (layer, label, fn) => fn(),
+    record: vi.fn()
+};
+const EXPIRY = '2099-01-16';
+
+function chainOf(contracts, spot = 100) {
+    return new OptionChain({
+        underlying: 'TEST',
+        expiry: EXPIRY,
+        spot,
+        timestamp: Date.parse('2098-12-16T15:00:00Z'),
+        source: 'Test',
+        contracts: contracts.map(contract => new OptionContract({ underlying: 'TEST', expiry: EXPIRY, impliedVolatility: 0.2, ...contract }))
+    });
+}
+
+describe('GetGammaExposure Use Case', () => {
+    it('should count call gamma long and put gamma short, in dollars per 1% move', async () => {
+        const chain = chainOf([
+            { type: 'call', strike: 110, openInterest: 1000, gamma: 0.01 },
+            { type: 'put', strike: 90, openInterest: 2000, gamma: 0.01 },
+            { type: 'call', strike: 90, openInterest: 500, gamma: 0.01 }
+        ]);
+        const useCase = new GetGammaExposure({ fetchOptionChain: vi.fn().mockResolvedValue(chain) }, tracer);
+
+        const report = await useCase.execute({ underlying: 'test', expiry: EXPIRY });
+
+        // 0.01 gamma x 1000 OI x 100 multiplier x 100^2 spot x 1% = 100,000
+        expect(report.strikes).toEqual([
+            { strike: 90, callOpenInterest: 500, putOpenInterest: 2000, callGex: 50000, putGex: -200000, netGex: -150000 },
+            { strike: 110, callOpenInterest: 1000, putOpenInterest: 0, callGex: 100000, putGex: 0, netGex: 100000 }
+        ]);
+        expect(report).toMatchObject({ underlying: 'TEST', spot: 100, callGex: 150000, putGex: -200000, totalGex: -50000, source: 'Test' });
+    });
+
+    it('should find the zero-gamma flip between put-heavy and call-heavy strikes', async () => {
+        const chain = chainOf([
+            { type: 'put', strike: 95, openInterest: 1000 },
+            { type: 'call', strike: 105, openInterest: 1000 }
+        ]);
+        const useCase = new GetGammaExposure({ fetchOptionChain: vi.fn().mockResolvedValue(chain) }, tracer);
+
+        const { flipLevel } = await useCase.execute({ underlying: 'TEST' });
+
+        // Symmetric open interest: the flip sits near the midpoint
+        expect(flipLevel).toBeGreaterThan(98);
+        expect(flipLevel).toBeLessThan(102);
+    });
+
+    it('should report no flip when every contract is a call', async () => {
+        const chain = chainOf([{ type: 'call', strike: 100, openInterest: 1000 }]);
+        const useCase = new GetGammaExposure({ fetchOptionChain: vi.fn().mockResolvedValue(chain) }, tracer);
+
+        expect(await useCase.execute({ underlying: 'TEST' })).toMatchObject({ flipLevel: null, putGex: 0 });
+    });
+
+    it('should validate the request before calling the port and wrap untyped failures', async () => {
+        const port = { fetchOptionChain: vi.fn().mockRejectedValue(new TypeError('boom')) };
+        const useCase = new GetGammaExposure(port, tracer);
+
+        await expect(useCase.execute({ underlying: ' ' })).rejects.toBeInstanceOf(ValidationError);
+        await expect(useCase.execute({ underlying: 'SPX', expiry: '2020-01-17' })).rejects.toThrow('has already passed');
+        await expect(useCase.execute({ underlying: 'SPX', expiry: '17/01/2099' })).rejects.toThrow('Invalid expiry');
+        expect(port.fetchOptionChain).not.toHaveBeenCalled();
+
+        const error = await useCase.execute({ underlying: 'spx' }).catch(e => e);
+        expect(error).toBeInstanceOf(ProviderUnavailableError);
+        expect(error.message).not.toContain('boom');
+        expect(error.cause).toBeInstanceOf(TypeError);
+        expect(port.fetchOptionChain).toHaveBeenCalledWith('SPX', null);
+    });
+
+    it('should compute GEX end to end from the mock chain, offline and repeatably', async () => {
+        const clock = () => Date.parse('2026-01-05T15:00:00Z');
+        const run = () => new GetGammaExposure(new MockMarketAdapter({ failureRate: 0, maxLatency: 0, seed: 'gex', clock }), tracer)
+            .execute({ underlying: 'SPX' });
+
+        const report = await run();
+        expect(await run()).toEqual(report);
+        expect(report.strikes).toHaveLength(81);
+        expect(report.totalGex).toBe(report.strikes.reduce((sum, { netGex }) => sum + netGex, 0));
+        expect(report.callGex).toBeGreaterThan(0);
+        expect(report.putGex).toBeLessThan(0);
+        expect(report.flipLevel).toBeGreaterThan(report.spot * 0.8);
+        expect(report.flipLevel).toBeLessThan(report.spot * 1.2);
+    });
+});
@@ -5,6 +5,8 @@
  * strict domain boundaries. It is designed to be fully traceable.
  */
 
+import { ValidationError, toDomainError } from '../errors/DomainErrors.js';
+
 export class GetMarketSnapshot {
     #marketDataPort;
     #tracer;
@@ -27,7 +29,8 @@ export class GetMarketSnapshot {
      * Executes the market discovery process.
      * @param {string} symbol - The ticker to look up (e.g., 'SPX', 'ES').
      * @returns {Promise<Object>} The validated MarketQuote entity.
-     * @throws {Error} If the symbol fails domain-level validation.
+     * @throws {ValidationError} If the symbol fails domain-level validation.
+     * @throws {DomainError} If the adapter fails (see domain/errors/DomainErrors.js).
      */
     async execute(symbol) {
         // THE V1 UPDATE: Wrap the entire execution in a traceSpan.
@@ -37,7 +40,7 @@ export class GetMarketSnapshot {
             // 1. INPUT VALIDATION (Fail-fast)
             // Moved to the top of the span to ensure validation failures are also traceable.
             if (!symbol || typeof symbol !== 'string' || symbol.trim() === '') {
-                throw new Error('Domain Error: A valid market ticker symbol is required.');
+                throw new ValidationError('A valid ticker symbol string is required.', { field: 'symbol' });
             }
 
             const cleanSymbol = symbol.trim().toUpperCase();
@@ -48,8 +51,9 @@ export class GetMarketSnapshot {
                 const quote = await this.#marketDataPort.fetchQuote(cleanSymbol);
                 return quote;
             } catch (error) {
-                // Wrap errors with domain context while preventing technical leak to UI.
-                throw new Error(`Market discovery failed for ${cleanSymbol}. Please check system logs.`);
+                // Typed failures (unknown symbol, auth, rate limit, timeout) pass through
+                // untouched; anything untyped is wrapped without leaking its internals to the UI.
+                throw toDomainError(error, `Market discovery failed for ${cleanSymbol}. Please check system logs.`);
             }
             
 	}, { symbol });
@@ -1,6 +1,12 @@
 import { describe, it, expect, vi } from 'vitest';
 import { GetMarketSnapshot } from './GetMarketSnapshot.js';
 import { MarketQuote } from '../entities/MarketQuote.js';
+import { ErrorCode, ProviderUnavailableError, RateLimitedError, ValidationError } from '../errors/DomainErrors.js';
+import { createTracer } from '#tracer';
+import { MemoryTraceExporter } from '#shared/TraceExporters';
+
+// No-op tracer: the constructor refuses to run without one
+const tracer = createTracer({ enabled: false });
 
 describe('GetMarketSnapshot Use Case', () => {
     it('should successfully return a MarketQuote when the port provides data', async () => {
@@ -14,7 +20,7 @@ describe('GetMarketSnapshot Use Case', () => {
             }))
         };
 
-        const useCase = new GetMarketSnapshot(mockPort);
+        const useCase = new GetMarketSnapshot(mockPort, tracer);
         const result = await useCase.execute('SPX');
 
         expect(result.symbol).toBe('SPX');
@@ -23,7 +29,36 @@ describe('GetMarketSnapshot Use Case', () => {
     });
 
     it('should throw an error if the symbol is invalid', async () => {
-        const useCase = new GetMarketSnapshot({});
+        const useCase = new GetMarketSnapshot({}, tracer);
         await expect(useCase.execute(null)).rejects.toThrow('A valid ticker symbol string is required.');
+        await expect(useCase.execute('  ')).rejects.toBeInstanceOf(ValidationError);
+    });
+
+    it('should pass typed adapter failures through unchanged', async () => {
+        const limited = new RateLimitedError('Test', { retryAfterMs: 2000 });
+        const useCase = new GetMarketSnapshot({ fetchQuote: vi.fn().mockRejectedValue(limited) }, tracer);
+
+        await expect(useCase.execute('SPX')).rejects.toBe(limited);
+    });
+
+    it('should wrap untyped adapter failures as ProviderUnavailable without leaking them', async () => {
+        const useCase = new GetMarketSnapshot({ fetchQuote: vi.fn().mockRejectedValue(new TypeError('x is undefined')) }, tracer);
+
+        const error = await useCase.execute('spx').catch(e => e);
+        expect(error).toBeInstanceOf(ProviderUnavailableError);
+        expect(error).toMatchObject({ code: ErrorCode.PROVIDER_UNAVAILABLE, message: expect.stringContaining('SPX') });
+        expect(error.message).not.toContain('x is undefined');
+        expect(error.cause).toBeInstanceOf(TypeError);
+    });
+
+    it('should trace the lookup as a DOMAIN span', async () => {
+        const memory = new MemoryTraceExporter();
+        const traced = createTracer({ enabled: true, exporters: [memory] });
+        await traced.initialize();
+        const useCase = new GetMarketSnapshot({ fetchQuote: vi.fn().mockRejectedValue(new RateLimitedError('Test')) }, traced);
+
+        await useCase.execute('spx').catch(() => {});
+
+        expect(memory.spans).toEqual([expect.objectContaining({ layer: 'DOMAIN', label: 'GET_MARKET_SNAPSHOT', status: expect.objectContaining({ code: 'ERROR' }) })]);
     });
 });
@@ -0,0 +1,98 @@
+/**
+ * domain/use-cases/GetPriceHistory.js
+ * * Historical Bars Use Case.
+ * Validates a requested range and resolution before asking the adapter for
+ * candles, so providers never receive nonsensical or unbounded queries.
+ */
+
+import { CANDLE_RESOLUTIONS } from '../entities/Candle.js';
+import { ValidationError, toDomainError } from '../errors/DomainErrors.js';
+
+/** Upper bound on bars per request to protect memory and provider quotas. */
+export const MAX_CANDLES_PER_REQUEST = 5000;
+
+export class GetPriceHistory {
+    #marketDataPort;
+    #tracer;
+
+    /**
+     * @param {Object} marketDataPort - The outbound port implementation (Adapter).
+     * @param {Object} tracer - Telemetry utility for execution observability.
+     * @throws {Error} If either dependency is missing.
+     */
+    constructor(marketDataPort, tracer) {
+        if (!marketDataPort || !tracer) {
+            throw new Error(`[UseCase] Dependency Injection Failed: Port(${!!marketDataPort}) Tracer(${!!tracer})`);
+        }
+        this.#marketDataPort = marketDataPort;
+        this.#tracer = tracer;
+    }
+
+    /**
+     * Executes the history lookup.
+     * @param {Object} request
+     * @param {string} request.symbol - The ticker to look up.
+     * @param {string} request.resolution - One of CANDLE_RESOLUTIONS.
+     * @param {number|Date} request.from - Range start (inclusive).
+     * @param {number|Date} request.to - Range end (inclusive).
+     * @returns {Promise<Object[]>} Candle entities in ascending time order.
+     * @throws {ValidationError} If the request fails domain-level validation.
+     * @throws {DomainError} If the adapter fails.
+     */
+    async execute({ symbol, resolution, from, to }) {
+        return await this.#tracer.traceSpan('DOMAIN', 'GET_PRICE_HISTORY', async () => {
+
+            // 1. INPUT VALIDATION (Fail-fast)
+            if (!symbol || typeof symbol !== 'string' || symbol.trim() === '') {
+                throw new ValidationError('A valid market ticker symbol is required.', { field: 'symbol' });
+            }
+            const resolutionKey = String(resolution).toUpperCase();
+            if (!Object.hasOwn(CANDLE_RESOLUTIONS, resolutionKey)) {
+                const supported = Object.keys(CANDLE_RESOLUTIONS).join(', ');
+                throw new ValidationError(`Unsupported resolution "${resolution}". Supported: [${supported}]`, { field: 'resolution' });
+            }
+
+            const fromMs = toEpochMs(from);
+            const toMs = toEpochMs(to);
+            if (fromMs === null || toMs === null) {
+                throw new ValidationError('History range requires valid from/to timestamps.', { field: 'range' });
+            }
+            if (fromMs >= toMs) {
+                throw new ValidationError('History range start must be before its end.', { field: 'range' });
+            }
+            if (fromMs > Date.now()) {
+                throw new ValidationError('History range cannot start in the future.', { field: 'from' });
+            }
+
+            const expectedBars = Math.floor((toMs - fromMs) / CANDLE_RESOLUTIONS[resolutionKey]);
+            if (expectedBars > MAX_CANDLES_PER_REQUEST) {
+                throw new ValidationError(`Range spans ~${expectedBars} bars; the limit is ${MAX_CANDLES_PER_REQUEST}.`, {
+                    field: 'range',
+                    hint: 'Narrow the range or use a coarser resolution.'
+                });
+            }
+
+            const cleanSymbol = symbol.trim().toUpperCase();
+
+            // 2. ADAPTER ORCHESTRATION
+            try {
+                const candles = await this.#marketDataPort.fetchCandles(cleanSymbol, resolutionKey, fromMs, toMs);
+                return [...candles].sort((a, b) => a.timestamp - b.timestamp);
+            } catch (error) {
+                // Typed failures pass through; untyped ones keep their internals in `cause` only
+                throw toDomainError(error, `Price history lookup failed for ${cleanSymbol}. Please check system logs.`);
+            }
+
+        }, { symbol, resolution, from: String(from), to: String(to) });
+    }
+}
+
+/**
+ * Normalises Date or numeric input to epoch milliseconds.
+ * @private
+ * @returns {number|null}
+ */
+function toEpochMs(value) {
+    const ms = value instanceof Date ? value.getTime() : value;
+    return typeof ms === 'number' && Number.isFinite(ms) ? ms : null;
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi } from 'vitest';
+import { GetPriceHistory } from './GetPriceHistory.js';
+import { MockMarketAdapter } from '../../infrastructure/adapters/api/MockMarketAdapter.js';
+import { ProviderUnavailableError } from '../errors/DomainErrors.js';
+
+const tracer = {
+    traceSpan: (layer, label, fn) => fn(),
+    record: vi.fn()
+};
+const DAY = 86_400_000;
+const to = Date.UTC(2026, 0, 31);
+
+describe('GetPriceHistory Use Case', () => {
+    it('should return deterministic mock candles in ascending order', async () => {
+        const adapter = new MockMarketAdapter({ failureRate: 0, maxLatency: 0 });
+        const useCase = new GetPriceHistory(adapter, tracer);
+
+        const first = await useCase.execute({ symbol: 'spx', resolution: 'd', from: to - 10 * DAY, to });
+        const second = await useCase.execute({ symbol: 'SPX', resolution: 'D', from: new Date(to - 10 * DAY), to: new Date(to) });
+
+        expect(first).toHaveLength(11);
+        expect(first.map(c => c.toJSON())).toEqual(second.map(c => c.toJSON()));
+        expect(first[0].timestamp).toBeLessThan(first[1].timestamp);
+        // Random walk: each bar opens at the previous close
+        expect(first[1].open).toBe(first[0].close);
+    });
+
+    it('should reject unsupported resolutions and inverted ranges', async () => {
+        const useCase = new GetPriceHistory({ fetchCandles: vi.fn() }, tracer);
+
+        await expect(useCase.execute({ symbol: 'SPX', resolution: '7', from: to - DAY, to }))
+            .rejects.toThrow('Unsupported resolution "7"');
+        await expect(useCase.execute({ symbol: 'SPX', resolution: 'D', from: to, to: to - DAY }))
+            .rejects.toThrow('start must be before its end');
+    });
+
+    it('should cap the number of bars per request', async () => {
+        const port = { fetchCandles: vi.fn() };
+        const useCase = new GetPriceHistory(port, tracer);
+
+        await expect(useCase.execute({ symbol: 'SPX', resolution: '1', from: to - 30 * DAY, to }))
+            .rejects.toThrow('the limit is 5000');
+        expect(port.fetchCandles).not.toHaveBeenCalled();
+    });
+
+    it('should wrap untyped adapter failures without leaking them', async () => {
+        const useCase = new GetPriceHistory({ fetchCandles: vi.fn().mockRejectedValue(new TypeError('x is undefined')) }, tracer);
+
+        const error = await useCase.execute({ symbol: 'spx', resolution: 'D', from: to - DAY, to }).catch(e => e);
+        expect(error).toBeInstanceOf(ProviderUnavailableError);
+        expect(error.message).toContain('SPX');
+        expect(error.message).not.toContain('x is undefined');
+        expect(error.cause).toBeInstanceOf(TypeError);
+    });
+});
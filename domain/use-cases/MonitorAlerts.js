@@ -0,0 +1,279 @@
+/**
+ * domain/use-cases/MonitorAlerts.js
+ * * Alert Monitoring Use Case.
+ * Streams quotes for every symbol the rules name and checks the rules on
+ * each new MarketQuote. Stale rules are also checked on a timer, since a
+ * quiet feed delivers no quote to check.
+ * * FIRING: a rule fires when its condition starts to hold, not on every
+ * quote while it holds; it re-arms once the condition clears. A crossing
+ * is its own event and needs no re-arming. After firing, a rule stays
+ * quiet for its cooldown even if the condition clears and returns.
+ */
+
+import { AlertRule } from '../entities/AlertRule.js';
+import { ValidationError, toDomainError } from '../errors/DomainErrors.js';
+
+/**
+ * @typedef {Object} Alert
+ * @property {string} ruleId
+ * @property {string} symbol
+ * @property {string} type - The rule type.
+ * @property {string} condition - AlertRule.describe().
+ * @property {string|null} message - The rule's message.
+ * @property {number|null} price - Price that fired the rule; null for a stale rule that never saw a quote.
+ * @property {number|null} previousPrice - Price of the quote before it, when known.
+ * @property {number|null} quoteTimestamp - Unix timestamp (ms) of that quote.
+ * @property {number} firedAt - Unix timestamp (ms).
+ */
+
+export class MonitorAlerts {
+    #marketDataPort;
+    #tracer;
+    /** @type {Set<{resubscribe: function(Object): void}>} Running monitors. */
+    #monitors = new Set();
+
+    /**
+     * @param {Object} marketDataPort - The outbound port implementation (Adapter).
+     * @param {Object} tracer - Telemetry utility for execution observability.
+     * @throws {Error} If either dependency is missing.
+     */
+    constructor(marketDataPort, tracer) {
+        if (!marketDataPort || !tracer) {
+            throw new Error(`[UseCase] Dependency Injection Failed: Port(${!!marketDataPort}) Tracer(${!!tracer})`);
+        }
+        this.#marketDataPort = marketDataPort;
+        this.#tracer = tracer;
+    }
+
+    /**
+     * Starts monitoring until the returned function is called.
+     * @param {AlertRule[]} rules
+     * @param {function(Alert): (void|Promise<void>)} onAlert - Receives each firing; errors it throws are passed to onError.
+     * @param {Object} [options]
+     * @param {function(DomainError, string): void} [options.onError] - Receives (error, symbol) per failed update or notification.
+     * @param {number} [options.intervalMs] - Quote update interval, forwarded to the port.
+     * @returns {Promise<function(): Promise<void>>} Stop; resolves once pending notifications have settled. Idempotent.
+     * @throws {ValidationError} If the rules are missing, not AlertRules or reuse an id.
+     * @throws {DomainError} If the provider refuses the subscription.
+     */
+    async execute(rules, onAlert, { onError = () => {}, intervalMs = 1000 } = {}) {
+        return await this.#tracer.traceSpan('DOMAIN', 'ALERT_MONITOR_START', async () => {
+
+            // 1. INPUT VALIDATION (Fail-fast)
+            if (!Array.isArray(rules) || rules.length === 0) {
+                throw new ValidationError('At least one alert rule is required.', { field: 'rules' });
+            }
+            if (!rules.every(rule => rule instanceof AlertRule)) {
+                throw new ValidationError('Every alert rule must be an AlertRule.', { field: 'rules' });
+            }
+            const duplicate = rules.find((rule, index) => rules.findIndex(({ id }) => id === rule.id) !== index);
+            if (duplicate) {
+                throw new ValidationError(`Alert rule id "${duplicate.id}" is used more than once.`, { field: 'rules' });
+            }
+
+            const book = new AlertBook(rules, Date.now());
+            const pending = new Set();
+            const dispatch = alerts => {
+                for (const alert of alerts) {
+                    const delivery = (async () => {
+                        await this.#tracer.record('DOMAIN', 'ALERT_FIRED', {
+                            rule: alert.ruleId,
+                            symbol: alert.symbol,
+                            type: alert.type,
+                            price: alert.price
+                        });
+                        await onAlert(alert);
+                    })().catch(error => onError(toDomainError(error, `Alert ${alert.ruleId} could not be delivered.`), alert.symbol))
+                        .finally(() => pending.delete(delivery));
+                    pending.add(delivery);
+                }
+            };
+
+            // 2. ADAPTER ORCHESTRATION
+            const subscribe = port => {
+                try {
+                    return port.subscribe(book.symbols, quote => dispatch(book.evaluate(quote, Date.now())), {
+                        intervalMs,
+                        onError: (error, symbol) => onError(toDomainError(error, `Alert quote update failed for ${symbol}.`), symbol)
+                    });
+                } catch (error) {
+                    throw toDomainError(error, `Alert subscription failed for ${book.symbols.join(',')}.`);
+                }
+            };
+            let unsubscribe = subscribe(this.#marketDataPort);
+            // The book outlives a port swap, so rules keep their firing state
+            const monitor = {
+                resubscribe: port => {
+                    const next = subscribe(port);
+                    unsubscribe();
+                    unsubscribe = next;
+                }
+            };
+            this.#monitors.add(monitor);
+
+            // 3. STALE CHECKS: at least as often as the tightest stale rule needs
+            const staleAges = rules.filter(({ type }) => type === 'stale').map(({ maxAgeMs }) => maxAgeMs);
+            const staleTimer = staleAges.length === 0
+                ? null
+                : setInterval(() => dispatch(book.checkStale(Date.now())), Math.min(intervalMs, ...staleAges));
+
+            let open = true;
+            return async () => {
+                if (!open) return;
+                open = false;
+                this.#monitors.delete(monitor);
+                clearInterval(staleTimer);
+                unsubscribe();
+                await Promise.allSettled([...pending]);
+                await this.#tracer.record('DOMAIN', 'ALERT_MONITOR_STOPPED', { rules: rules.length });
+            };
+
+        }, { rules: Array.isArray(rules) ? rules.length : 0 });
+    }
+
+    /**
+     * Moves every running monitor onto another port (e.g., after a manifest
+     * reload). Each subscribes on the new port before leaving the old one,
+     * and keeps its rules' firing state, so a condition that already held
+     * does not fire again.
+     * @param {Object} marketDataPort - The reloaded outbound port.
+     * @throws {DomainError} If the new port refuses a subscription; that monitor stays on the old port.
+     */
+    replacePort(marketDataPort) {
+        if (!marketDataPort) {
+            throw new Error('[UseCase] MonitorAlerts.replacePort() requires a port.');
+        }
+        this.#marketDataPort = marketDataPort;
+        let refused = null;
+        for (const monitor of this.#monitors) {
+            try {
+                monitor.resubscribe(marketDataPort);
+            } catch (error) {
+                refused ??= error;
+            }
+        }
+        if (refused) throw refused;
+    }
+}
+
+/**
+ * Rule state between quotes: whether each condition held last time, when
+ * each rule last fired, and the last quote per symbol. Time is passed in,
+ * so the firing rules can be exercised without waiting.
+ */
+export class AlertBook {
+    #rules;
+    #startedAt;
+    #state = new Map();
+    #lastQuote = new Map();
+
+    /**
+     * @param {AlertRule[]} rules
+     * @param {number} startedAt - Unix timestamp (ms); a symbol that never quotes is stale from here.
+     */
+    constructor(rules, startedAt) {
+        this.#rules = rules;
+        this.#startedAt = startedAt;
+        for (const rule of rules) this.#state.set(rule.id, { holding: false, lastFiredAt: null });
+    }
+
+    /**
+     * @returns {string[]} Distinct symbols, in rule order.
+     */
+    get symbols() {
+        return [...new Set(this.#rules.map(({ symbol }) => symbol))];
+    }
+
+    /**
+     * Checks the symbol's rules against a new quote. A quote older than the
+     * last one seen for the symbol is ignored.
+     * @param {Object} quote - MarketQuote entity.
+     * @param {number} now - Unix timestamp (ms).
+     * @returns {Alert[]} Rules that fired.
+     */
+    evaluate(quote, now) {
+        const previous = this.#lastQuote.get(quote.symbol) ?? null;
+        if (previous && quote.timestamp < previous.timestamp) return [];
+        this.#lastQuote.set(quote.symbol, quote);
+
+        const fired = [];
+        for (const rule of this.#rules.filter(({ symbol }) => symbol === quote.symbol)) {
+            const alert = this.#transition(rule, holds(rule, quote, previous, now), now, quote, previous);
+            if (alert) fired.push(alert);
+        }
+        return fired;
+    }
+
+    /**
+     * Checks the stale rules against the time since each symbol's last quote.
+     * @param {number} now - Unix timestamp (ms).
+     * @returns {Alert[]} Rules that fired.
+     */
+    checkStale(now) {
+        const fired = [];
+        for (const rule of this.#rules.filter(({ type }) => type === 'stale')) {
+            const last = this.#lastQuote.get(rule.symbol) ?? null;
+            const age = now - (last?.timestamp ?? this.#startedAt);
+            const alert = this.#transition(rule, age > rule.maxAgeMs, now, last, null);
+            if (alert) fired.push(alert);
+        }
+        return fired;
+    }
+
+    /**
+     * Applies the firing rules: edge-triggered (crossings excepted), then the cooldown.
+     * @private
+     * @returns {Alert|null}
+     */
+    #transition(rule, holding, now, quote, previous) {
+        const state = this.#state.get(rule.id);
+        const wasHolding = state.holding;
+        state.holding = holding;
+
+        const edge = rule.type === 'crosses' ? holding : holding && !wasHolding;
+        if (!edge) return null;
+        if (state.lastFiredAt !== null && now - state.lastFiredAt < rule.cooldownMs) return null;
+        state.lastFiredAt = now;
+
+        return {
+            ruleId: rule.id,
+            symbol: rule.symbol,
+            type: rule.type,
+            condition: rule.describe(),
+            message: rule.message,
+            price: quote?.price ?? null,
+            previousPrice: previous?.price ?? null,
+            quoteTimestamp: quote?.timestamp ?? null,
+            firedAt: now
+        };
+    }
+}
+
+/**
+ * Whether the rule's condition holds for this quote.
+ * @private
+ */
+function holds(rule, quote, previous, now) {
+    switch (rule.type) {
+        case 'above':
+            return quote.price >= rule.level;
+        case 'below':
+            return quote.price <= rule.level;
+        case 'crosses': {
+            if (!previous) return false;
+            const up = previous.price < rule.level && quote.price >= rule.level;
+            const down = previous.price > rule.level && quote.price <= rule.level;
+            return rule.direction === 'up' ? up : rule.direction === 'down' ? down : up || down;
+        }
+        case 'percent-move': {
+            const change = quote.changePercent ?? (quote.previousClose
+                ? ((quote.price - quote.previousClose) / quote.previousClose) * 100
+                : null);
+            return change !== null && Math.abs(change) >= rule.percent;
+        }
+        case 'stale':
+            return now - quote.timestamp > rule.maxAgeMs;
+        default:
+            return false;
+    }
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi } from 'vitest';
+import { MonitorAlerts, AlertBook } from './MonitorAlerts.js';
+import { MarketDataPort } from '../ports/outbound/MarketDataPort.js';
+import { MarketQuote } from '../entities/MarketQuote.js';
+import { AlertRule } from '../entities/AlertRule.js';
+
+// Pass-through tracer: runs spans inline and swallows events
+const tracer = {
+    traceSpan: (layer, label, fn) => fn(),
+    record: vi.fn()
+};
+
+const T0 = Date.UTC(2026, 0, 5, 15, 0, 0);
+const quote = (symbol, price, at, extra = {}) => new MarketQuote({ symbol, price, timestamp: T0 + at, source: 'Stub', ...extra });
+const ids = alerts => alerts.map(({ ruleId }) => ruleId);
+
+describe('AlertBook', () => {
+    it('should fire a level rule when it starts to hold, re-arm when it clears, and respect the cooldown', () => {
+        const book = new AlertBook([new AlertRule({ id: 'up', symbol: 'SPX', type: 'above', level: 7000, cooldownMs: 60_000 })], T0);
+
+        expect(ids(book.evaluate(quote('SPX', 6990, 0), T0))).toEqual([]);
+        expect(book.evaluate(quote('SPX', 7005, 1000), T0 + 1000)).toEqual([expect.objectContaining({
+            ruleId: 'up', symbol: 'SPX', condition: 'SPX above 7000', price: 7005, previousPrice: 6990, firedAt: T0 + 1000
+        })]);
+        // Still above: de-duplicated
+        expect(ids(book.evaluate(quote('SPX', 7010, 2000), T0 + 2000))).toEqual([]);
+        // Dips and returns inside the cooldown: quiet
+        book.evaluate(quote('SPX', 6995, 3000), T0 + 3000);
+        expect(ids(book.evaluate(quote('SPX', 7001, 4000), T0 + 4000))).toEqual([]);
+        // Dips and returns after the cooldown: fires again
+        book.evaluate(quote('SPX', 6995, 70_000), T0 + 70_000);
+        expect(ids(book.evaluate(quote('SPX', 7001, 71_000), T0 + 71_000))).toEqual(['up']);
+    });
+
+    it('should fire crossings in the configured direction and ignore out-of-order quotes', () => {
+        const book = new AlertBook([
+            new AlertRule({ id: 'any', symbol: 'ES', type: 'crosses', level: 6900, cooldownMs: 0 }),
+            new AlertRule({ id: 'down', symbol: 'ES', type: 'crosses', level: 6900, direction: 'down', cooldownMs: 0 })
+        ], T0);
+
+        expect(ids(book.evaluate(quote('ES', 6910, 0), T0))).toEqual([]);
+        expect(ids(book.evaluate(quote('ES', 6890, 1000), T0 + 1000))).toEqual(['any', 'down']);
+        expect(ids(book.evaluate(quote('ES', 6905, 2000), T0 + 2000))).toEqual(['any']);
+        expect(ids(book.evaluate(quote('ES', 6850, 1500), T0 + 2500))).toEqual([]);
+    });
+
+    it('should fire percent moves from the session change', () => {
+        const book = new AlertBook([new AlertRule({ id: 'vix', symbol: 'VIX', type: 'percent-move', percent: 10 })], T0);
+
+        expect(ids(book.evaluate(quote('VIX', 17, 0, { previousClose: 16 }), T0))).toEqual([]);
+        expect(ids(book.evaluate(quote('VIX', 14, 1000, { changePercent: -12.5 }), T0 + 1000))).toEqual(['vix']);
+    });
+
+    it('should fire stale rules from the timer and re-arm on a fresh quote', () => {
+        const book = new AlertBook([new AlertRule({ id: 'quiet', symbol: 'SPX', type: 'stale', maxAgeMs: 30_000, cooldownMs: 0 })], T0);
+
+        expect(ids(book.checkStale(T0 + 20_000))).toEqual([]);
+        expect(book.checkStale(T0 + 31_000)).toEqual([expect.objectContaining({ ruleId: 'quiet', price: null })]);
+        expect(ids(book.checkStale(T0 + 40_000))).toEqual([]);
+
+        expect(ids(book.evaluate(quote('SPX', 6800, 41_000), T0 + 41_000))).toEqual([]);
+        // A quote that arrives already old is stale on its own
+        expect(ids(book.evaluate(quote('SPX', 6800, 41_000), T0 + 80_000))).toEqual(['quiet']);
+    });
+});
+
+describe('MonitorAlerts Use Case', () => {
+    class PushPort extends MarketDataPort {
+        subscribe(symbols, onQuote) {
+            this.symbols = symbols;
+            this.push = onQuote;
+            return () => { this.closed = true; };
+        }
+    }
+
+    it('should deliver firings and record each one as a tracer event', async () => {
+        const port = new PushPort();
+        const delivered = [];
+        tracer.record.mockClear();
+
+        const stop = await new MonitorAlerts(port, tracer).execute([
+            new AlertRule({ symbol: 'SPX', type: 'above', level: 7000 }),
+            new AlertRule({ symbol: 'ES', type: 'below', level: 6000 })
+        ], alert => { delivered.push(alert); });
+        port.push(new MarketQuote({ symbol: 'SPX', price: 7100, timestamp: Date.now(), source: 'Stub' }));
+        await stop();
+
+        expect(port.symbols).toEqual(['SPX', 'ES']);
+        expect(port.closed).toBe(true);
+        expect(ids(delivered)).toEqual(['SPX-above-7000']);
+        expect(tracer.record).toHaveBeenCalledWith('DOMAIN', 'ALERT_FIRED', { rule: 'SPX-above-7000', symbol: 'SPX', type: 'above', price: 7100 });
+    });
+
+    it('should move onto a replaced port without re-firing a rule that already held', async () => {
+        const first = new PushPort();
+        const second = new PushPort();
+        const delivered = [];
+        const monitor = new MonitorAlerts(first, tracer);
+
+        const stop = await monitor.execute([new AlertRule({ symbol: 'SPX', type: 'above', level: 7000 })], alert => { delivered.push(alert); });
+        first.push(new MarketQuote({ symbol: 'SPX', price: 7100, timestamp: Date.now(), source: 'Stub' }));
+        monitor.replacePort(second);
+        second.push(new MarketQuote({ symbol: 'SPX', price: 7110, timestamp: Date.now(), source: 'Stub' }));
+        await stop();
+
+        expect(first.closed).toBe(true);
+        expect(second.symbols).toEqual(['SPX']);
+        expect(second.closed).toBe(true);
+        expect(ids(delivered)).toEqual(['SPX-above-7000']);
+    });
+
+    it('should reject rule lists that reuse an id', async () => {
+        const rule = new AlertRule({ id: 'twice', symbol: 'SPX', type: 'above', level: 7000 });
+        await expect(new MonitorAlerts(new PushPort(), tracer).execute([rule, rule], () => {}))
+            .rejects.toThrow('Alert rule id "twice" is used more than once.');
+    });
+});
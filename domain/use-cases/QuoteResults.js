@@ -0,0 +1,34 @@
+/**
+ * domain/use-cases/QuoteResults.js
+ * * Shared Partition Step.
+ * Splits the per-symbol slots of MarketDataPort.fetchQuotes() into quotes and
+ * public failures for the multi-symbol use cases (batch, portfolio, watchlist).
+ */
+
+import { DomainError, toDomainError } from '../errors/DomainErrors.js';
+
+/**
+ * Partitions fetchQuotes() results. Typed failures keep their own message;
+ * anything untyped is reported with the same public message a single snapshot
+ * uses, and its original text only reaches the trace log.
+ * @param {Array<{symbol: string, quote?: Object, error?: Error}>} results - Slots from fetchQuotes().
+ * @param {Object} tracer - Telemetry utility; receives the internals of untyped failures.
+ * @returns {Promise<{quotes: Map<string, Object>, failures: Array<{symbol: string, reason: string, code: string}>}>}
+ *   Quotes keyed by requested symbol, in input order.
+ */
+export async function partitionQuoteResults(results, tracer) {
+    const quotes = new Map();
+    const failures = [];
+    for (const { symbol, quote, error } of results) {
+        if (!error) {
+            quotes.set(symbol, quote);
+            continue;
+        }
+        const { message, code } = toDomainError(error, `Market discovery failed for ${symbol}. Please check system logs.`);
+        if (!(error instanceof DomainError)) {
+            await tracer.record('DOMAIN', 'QUOTE_FAILURE_CAUSE', { symbol, code, cause: error?.message ?? String(error) });
+        }
+        failures.push({ symbol, reason: message, code });
+    }
+    return { quotes, failures };
+}
@@ -0,0 +1,117 @@
+/**
+ * domain/use-cases/RunWatchlist.js
+ * * Watchlist Run Use Case.
+ * Snapshots every symbol on a watchlist and compares each price with the
+ * symbol's last result from the previous run. The returned watchlist holds
+ * this run's quotes as the new last results; a symbol that failed keeps
+ * its previous one.
+ */
+
+import { Watchlist } from '../entities/Watchlist.js';
+import { ValidationError } from '../errors/DomainErrors.js';
+import { partitionQuoteResults } from './QuoteResults.js';
+
+/**
+ * @typedef {Object} WatchlistRow
+ * @property {string} symbol
+ * @property {number} price
+ * @property {number|null} changePercent - Session change.
+ * @property {string} source
+ * @property {boolean} fromCache
+ * @property {number} capturedAt - Unix timestamp (ms).
+ * @property {number|null} lastPrice - Price at the previous run; null on the first.
+ * @property {number|null} lastCapturedAt - Unix timestamp (ms) of that price.
+ * @property {number|null} sinceLast - price - lastPrice.
+ * @property {number|null} sinceLastPercent - Relative to lastPrice.
+ */
+
+/**
+ * @typedef {Object} WatchlistRun
+ * @property {string} name
+ * @property {number} ranAt - Unix timestamp (ms).
+ * @property {WatchlistRow[]} rows - In watchlist order.
+ * @property {Array<{symbol: string, reason: string, code: string}>} failures
+ * @property {Watchlist} watchlist - With this run's last results, ready to save.
+ */
+
+export class RunWatchlist {
+    #marketDataPort;
+    #tracer;
+
+    /**
+     * @param {Object} marketDataPort - The outbound port implementation (Adapter).
+     * @param {Object} tracer - Telemetry utility for execution observability.
+     * @throws {Error} If either dependency is missing.
+     */
+    constructor(marketDataPort, tracer) {
+        if (!marketDataPort || !tracer) {
+            throw new Error(`[UseCase] Dependency Injection Failed: Port(${!!marketDataPort}) Tracer(${!!tracer})`);
+        }
+        this.#marketDataPort = marketDataPort;
+        this.#tracer = tracer;
+    }
+
+    /**
+     * Executes the run.
+     * @param {Watchlist} watchlist
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=4] - Maximum parallel provider calls.
+     * @returns {Promise<WatchlistRun>}
+     * @throws {ValidationError} If no watchlist was supplied, or it is empty.
+     */
+    async execute(watchlist, { concurrency = 4 } = {}) {
+        return await this.#tracer.traceSpan('DOMAIN', 'RUN_WATCHLIST', async () => {
+
+            // 1. INPUT VALIDATION (Fail-fast)
+            if (!(watchlist instanceof Watchlist)) {
+                throw new ValidationError('A watchlist is required.', { field: 'watchlist' });
+            }
+            if (watchlist.symbols.length === 0) {
+                throw new ValidationError(`Watchlist "${watchlist.name}" has no symbols.`, {
+                    field: 'watchlist',
+                    hint: `Add some with "watchlist add ${watchlist.name} SPX ES".`
+                });
+            }
+
+            // 2. ADAPTER ORCHESTRATION
+            const results = await this.#marketDataPort.fetchQuotes(watchlist.symbols, { concurrency });
+            const partition = await partitionQuoteResults(results, this.#tracer);
+            const quotes = [...partition.quotes.values()];
+            const { failures } = partition;
+
+            // 3. COMPARISON WITH THE PREVIOUS RUN
+            const rows = quotes.map(quote => {
+                const last = watchlist.lastResults[quote.symbol] ?? null;
+                const sinceLast = last ? round2(quote.price - last.price) : null;
+                return {
+                    symbol: quote.symbol,
+                    price: quote.price,
+                    changePercent: quote.changePercent ?? null,
+                    source: quote.source,
+                    fromCache: quote.fromCache === true,
+                    capturedAt: quote.timestamp,
+                    lastPrice: last?.price ?? null,
+                    lastCapturedAt: last?.capturedAt ?? null,
+                    sinceLast,
+                    sinceLastPercent: last && last.price !== 0 ? round2(((quote.price - last.price) / last.price) * 100) : null
+                };
+            });
+
+            const ranAt = Date.now();
+            await this.#tracer.record('DOMAIN', 'WATCHLIST_RUN_SUMMARY', {
+                watchlist: watchlist.name,
+                total: watchlist.symbols.length,
+                succeeded: quotes.length,
+                failed: failures.length
+            });
+
+            return { name: watchlist.name, ranAt, rows, failures, watchlist: watchlist.withResults(quotes, ranAt) };
+
+        }, { watchlist: watchlist?.name, symbols: watchlist?.symbols?.join(','), concurrency });
+    }
+}
+
+/** @private */
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,67 @@
+import { describe, it, expect, vi } from 'vitest';
+import { RunWatchlist } from './RunWatchlist.js';
+import { MarketDataPort } from '../ports/outbound/MarketDataPort.js';
+import { MarketQuote } from '../entities/MarketQuote.js';
+import { Watchlist } from '../entities/Watchlist.js';
+import { ValidationError } from '../errors/DomainErrors.js';
+
+// Pass-through tracer: runs spans inline and swallows events
+const tracer = {
+    traceSpan: (layer, label, fn) => fn(),
+    record: vi.fn()
+};
+
+class StubPort extends MarketDataPort {
+    constructor(prices) {
+        super();
+        this.prices = prices;
+    }
+
+    async fetchQuote(symbol) {
+        if (!(symbol in this.prices)) throw new Error(`Unknown ticker ${symbol}`);
+        return new MarketQuote({ symbol, price: this.prices[symbol], timestamp: Date.now(), source: 'Stub' });
+    }
+}
+
+describe('RunWatchlist Use Case', () => {
+    it('should compare each price with the previous run and keep the new results', async () => {
+        const watchlist = new Watchlist({ name: 'Morning', symbols: ['spx', 'ES', 'SPX'] });
+        const first = await new RunWatchlist(new StubPort({ SPX: 7000, ES: 5000 }), tracer).execute(watchlist);
+
+        expect(first.rows.map(({ symbol, lastPrice, sinceLast }) => ({ symbol, lastPrice, sinceLast }))).toEqual([
+            { symbol: 'SPX', lastPrice: null, sinceLast: null },
+            { symbol: 'ES', lastPrice: null, sinceLast: null }
+        ]);
+
+        const second = await new RunWatchlist(new StubPort({ SPX: 7035 }), tracer).execute(first.watchlist);
+
+        expect(second.rows).toEqual([expect.objectContaining({ symbol: 'SPX', price: 7035, lastPrice: 7000, sinceLast: 35, sinceLastPercent: 0.5 })]);
+        // An untyped adapter error is reported publicly; its text only reaches the trace log
+        expect(second.failures).toEqual([
+            expect.objectContaining({ symbol: 'ES', reason: 'Market discovery failed for ES. Please check system logs.' })
+        ]);
+        expect(tracer.record).toHaveBeenCalledWith('DOMAIN', 'QUOTE_FAILURE_CAUSE', expect.objectContaining({ symbol: 'ES', cause: 'Unknown ticker ES' }));
+        // A failed symbol keeps its last result for the next comparison
+        expect(second.watchlist.lastResults.SPX.price).toBe(7035);
+        expect(second.watchlist.lastResults.ES.price).toBe(5000);
+        expect(tracer.record).toHaveBeenCalledWith('DOMAIN', 'WATCHLIST_RUN_SUMMARY', { watchlist: 'morning', total: 2, succeeded: 1, failed: 1 });
+    });
+
+    it('should reject an empty watchlist before calling the adapter', async () => {
+        const port = new StubPort({});
+        const spy = vi.spyOn(port, 'fetchQuotes');
+
+        await expect(new RunWatchlist(port, tracer).execute(new Watchlist({ name: 'empty' }))).rejects.toThrow(ValidationError);
+        expect(spy).not.toHaveBeenCalled();
+    });
+
+    it('should drop last results of removed symbols', () => {
+        const watchlist = new Watchlist({ name: 'tech' })
+            .withSymbols(['AAPL', '--msft'])
+            .withResults([new MarketQuote({ symbol: 'MSFT', price: 400, timestamp: 1, source: 'Stub' })])
+            .withoutSymbols(['msft']);
+
+        expect(watchlist.toJSON()).toEqual({ name: 'tech', symbols: ['AAPL'], lastResults: {}, updatedAt: expect.any(Number) });
+        expect(() => new Watchlist({ name: '../etc' })).toThrow(ValidationError);
+    });
+});
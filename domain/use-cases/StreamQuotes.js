@@ -0,0 +1,88 @@
+/**
+ * domain/use-cases/StreamQuotes.js
+ * * Streaming Use Case.
+ * Opens a live quote subscription on the outbound port. Whether the adapter
+ * pushes ticks natively or the port polls on its behalf is invisible here;
+ * callers only see MarketQuote entities and typed DomainErrors. A polled
+ * subscription is checked with one fetch up front, so an unknown symbol is
+ * refused at subscribe time as it is by a push feed.
+ */
+
+import { ValidationError, toDomainError } from '../errors/DomainErrors.js';
+
+export class StreamQuotes {
+    #marketDataPort;
+    #tracer;
+
+    /**
+     * @param {Object} marketDataPort - The outbound port implementation (Adapter).
+     * @param {Object} tracer - Telemetry utility for execution observability.
+     * @throws {Error} If either dependency is missing.
+     */
+    constructor(marketDataPort, tracer) {
+        if (!marketDataPort || !tracer) {
+            throw new Error(`[UseCase] Dependency Injection Failed: Port(${!!marketDataPort}) Tracer(${!!tracer})`);
+        }
+        this.#marketDataPort = marketDataPort;
+        this.#tracer = tracer;
+    }
+
+    /**
+     * Subscribes to the symbols until the returned function is called.
+     * @param {string[]} symbols - Tickers to stream (e.g., ['SPX', 'ES']).
+     * @param {function(Object): void} onQuote - Receives each MarketQuote.
+     * @param {Object} [options]
+     * @param {function(DomainError, string): void} [options.onError] - Receives (error, symbol) per failed update.
+     * @param {number} [options.intervalMs] - Update interval, forwarded to the port.
+     * @returns {Promise<function(): void>} Unsubscribe; idempotent.
+     * @throws {ValidationError} If no usable symbol was supplied.
+     * @throws {DomainError} If the provider refuses the subscription (e.g., an unknown symbol),
+     *   or, on a polled port, cannot quote one of the symbols yet.
+     */
+    async execute(symbols, onQuote, { onError = () => {}, intervalMs } = {}) {
+        return await this.#tracer.traceSpan('DOMAIN', 'QUOTE_STREAM_SUBSCRIBE', async () => {
+
+            // 1. INPUT VALIDATION (Fail-fast: a stream is all-or-nothing at subscribe time)
+            if (!Array.isArray(symbols) || symbols.length === 0) {
+                throw new ValidationError('At least one market ticker symbol is required.', { field: 'symbols' });
+            }
+            if (symbols.some(symbol => typeof symbol !== 'string' || symbol.trim() === '')) {
+                throw new ValidationError('Every streamed symbol must be a non-empty ticker.', { field: 'symbols' });
+            }
+            const cleanSymbols = [...new Set(symbols.map(symbol => symbol.trim().toUpperCase()))];
+
+            // 2. UP-FRONT CHECK: a polling port would otherwise accept any symbol and fail every tick
+            const polled = !this.#marketDataPort.pushesQuotes;
+            if (polled) {
+                const results = await this.#marketDataPort.fetchQuotes(cleanSymbols);
+                const failed = results.find(({ error }) => error);
+                if (failed) {
+                    throw toDomainError(failed.error, `Stream subscription failed for ${failed.symbol}.`);
+                }
+                // The check's quotes are the stream's first update
+                results.forEach(({ quote }) => onQuote(quote));
+            }
+
+            // 3. ADAPTER ORCHESTRATION
+            let unsubscribe;
+            try {
+                unsubscribe = this.#marketDataPort.subscribe(cleanSymbols, onQuote, {
+                    intervalMs,
+                    primed: polled,
+                    onError: (error, symbol) => onError(toDomainError(error, `Stream update failed for ${symbol}.`), symbol)
+                });
+            } catch (error) {
+                throw toDomainError(error, `Stream subscription failed for ${cleanSymbols.join(',')}.`);
+            }
+
+            let open = true;
+            return () => {
+                if (!open) return;
+                open = false;
+                unsubscribe();
+                this.#tracer.record('DOMAIN', 'QUOTE_STREAM_UNSUBSCRIBED', { symbols: cleanSymbols.join(',') });
+            };
+
+        }, { symbols: Array.isArray(symbols) ? symbols.join(',') : symbols });
+    }
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect, vi } from 'vitest';
+import { StreamQuotes } from './StreamQuotes.js';
+import { MarketQuote } from '../entities/MarketQuote.js';
+import { MarketDataPort } from '../ports/outbound/MarketDataPort.js';
+import { ErrorCode, SymbolNotFoundError, ValidationError } from '../errors/DomainErrors.js';
+
+const tracer = {
+    traceSpan: (layer, label, fn) => fn(),
+    record: vi.fn()
+};
+
+describe('StreamQuotes Use Case', () => {
+    it('should clean the symbols and forward the subscription to the port', async () => {
+        const unsubscribe = vi.fn();
+        const port = { pushesQuotes: true, subscribe: vi.fn(() => unsubscribe) };
+        const onQuote = vi.fn();
+
+        const stop = await new StreamQuotes(port, tracer).execute([' spx', 'SPX', 'es'], onQuote, { intervalMs: 250 });
+        stop();
+        stop();
+
+        expect(port.subscribe).toHaveBeenCalledWith(['SPX', 'ES'], onQuote, expect.objectContaining({ intervalMs: 250 }));
+        expect(unsubscribe).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject an empty subscription before reaching the port', async () => {
+        const port = { subscribe: vi.fn() };
+        const useCase = new StreamQuotes(port, tracer);
+
+        await expect(useCase.execute([], () => {})).rejects.toBeInstanceOf(ValidationError);
+        await expect(useCase.execute(['SPX', ' '], () => {})).rejects.toBeInstanceOf(ValidationError);
+        expect(port.subscribe).not.toHaveBeenCalled();
+    });
+
+    it('should surface refused subscriptions and per-update failures as domain errors', async () => {
+        const refusing = { pushesQuotes: true, subscribe: () => { throw new SymbolNotFoundError('NOPE', 'Stub'); } };
+        await expect(new StreamQuotes(refusing, tracer).execute(['NOPE'], () => {}))
+            .rejects.toMatchObject({ code: ErrorCode.SYMBOL_NOT_FOUND });
+
+        const flaky = { pushesQuotes: true, subscribe: (symbols, onQuote, { onError }) => { onError(new TypeError('socket hang up'), 'SPX'); return () => {}; } };
+        const onError = vi.fn();
+        await new StreamQuotes(flaky, tracer).execute(['SPX'], () => {}, { onError });
+
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: ErrorCode.PROVIDER_UNAVAILABLE }), 'SPX');
+    });
+
+    it('should poll through fetchQuotes on ports without a push feed', async () => {
+        vi.useFakeTimers();
+        try {
+            class PollingPort extends MarketDataPort {
+                calls = 0;
+                async fetchQuote(symbol) {
+                    this.calls += 1;
+                    return new MarketQuote({ symbol, price: 100 + this.calls, timestamp: Date.now(), source: 'Stub' });
+                }
+            }
+            const port = new PollingPort();
+            const quotes = [];
+
+            const stop = await new StreamQuotes(port, tracer).execute(['SPX'], quote => quotes.push(quote.price), { intervalMs: 1000 });
+            await vi.advanceTimersByTimeAsync(2500);
+            stop();
+            await vi.advanceTimersByTimeAsync(5000);
+
+            expect(port.pushesQuotes).toBe(false);
+            expect(quotes).toEqual([101, 102, 103]);
+            expect(port.calls).toBe(3);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    it('should refuse a polled subscription whose first fetch fails, before any tick', async () => {
+        class PollingPort extends MarketDataPort {
+            async fetchQuote(symbol) {
+                if (symbol === 'NOPE') throw new SymbolNotFoundError(symbol, 'Stub');
+                return new MarketQuote({ symbol, price: 100, timestamp: Date.now(), source: 'Stub' });
+            }
+        }
+        const port = new PollingPort();
+        const subscribe = vi.spyOn(port, 'subscribe');
+        const onQuote = vi.fn();
+
+        await expect(new StreamQuotes(port, tracer).execute(['SPX', 'NOPE'], onQuote))
+            .rejects.toMatchObject({ code: ErrorCode.SYMBOL_NOT_FOUND });
+        expect(subscribe).not.toHaveBeenCalled();
+        expect(onQuote).not.toHaveBeenCalled();
+    });
+
+    it('should keep polling past a listener that throws and report it per symbol', async () => {
+        vi.useFakeTimers();
+        try {
+            class PollingPort extends MarketDataPort {
+                async fetchQuote(symbol) {
+                    return new MarketQuote({ symbol, price: 100, timestamp: Date.now(), source: 'Stub' });
+                }
+            }
+            const listener = vi.fn(() => { throw new TypeError('listener bug'); });
+            const onError = vi.fn(() => { throw new Error('so is this one'); });
+
+            const stop = new PollingPort().subscribe(['SPX'], listener, { onError, intervalMs: 1000 });
+            await vi.advanceTimersByTimeAsync(1500);
+            stop();
+
+            expect(listener).toHaveBeenCalledTimes(2);
+            expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'listener bug' }), 'SPX');
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+});
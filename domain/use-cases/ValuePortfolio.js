@@ -0,0 +1,132 @@
+/**
+ * domain/use-cases/ValuePortfolio.js
+ * * Portfolio Valuation Use Case.
+ * Marks every position to its latest quote and reports unrealized P&L per
+ * position and in total. A symbol that cannot be quoted leaves its
+ * positions unpriced (reported as failures) rather than failing the run;
+ * the totals cover the priced positions only.
+ */
+
+import { Portfolio } from '../entities/Portfolio.js';
+import { ValidationError } from '../errors/DomainErrors.js';
+import { partitionQuoteResults } from './QuoteResults.js';
+
+/**
+ * @typedef {Object} PositionValuation
+ * @property {string} symbol
+ * @property {number} quantity
+ * @property {number} multiplier
+ * @property {number} costBasis - Per unit.
+ * @property {number} price - Latest quote.
+ * @property {number} costValue
+ * @property {number} marketValue
+ * @property {number} unrealizedPnl
+ * @property {number|null} unrealizedPnlPercent - Relative to the cost.
+ * @property {string} source - Adapter that priced the position.
+ * @property {string|null} servedBy - Failover link that served the quote.
+ * @property {boolean} fromCache
+ */
+
+/**
+ * @typedef {Object} PortfolioValuation
+ * @property {string} name
+ * @property {number} valuedAt - Unix timestamp (ms).
+ * @property {PositionValuation[]} positions - In portfolio order.
+ * @property {Array<{symbol: string, reason: string, code: string}>} failures - One per unpriced symbol.
+ * @property {{costValue: number, marketValue: number, unrealizedPnl: number, unrealizedPnlPercent: number|null,
+ *   priced: number, unpriced: number}} totals - Priced positions only; priced/unpriced count positions.
+ */
+
+export class ValuePortfolio {
+    #marketDataPort;
+    #tracer;
+
+    /**
+     * @param {Object} marketDataPort - The outbound port implementation (Adapter).
+     * @param {Object} tracer - Telemetry utility for execution observability.
+     * @throws {Error} If either dependency is missing.
+     */
+    constructor(marketDataPort, tracer) {
+        if (!marketDataPort || !tracer) {
+            throw new Error(`[UseCase] Dependency Injection Failed: Port(${!!marketDataPort}) Tracer(${!!tracer})`);
+        }
+        this.#marketDataPort = marketDataPort;
+        this.#tracer = tracer;
+    }
+
+    /**
+     * Executes the valuation.
+     * @param {Portfolio} portfolio
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=4] - Maximum parallel provider calls.
+     * @returns {Promise<PortfolioValuation>}
+     * @throws {ValidationError} If no portfolio was supplied.
+     */
+    async execute(portfolio, { concurrency = 4 } = {}) {
+        return await this.#tracer.traceSpan('DOMAIN', 'VALUE_PORTFOLIO', async () => {
+
+            // 1. INPUT VALIDATION (Fail-fast)
+            if (!(portfolio instanceof Portfolio)) {
+                throw new ValidationError('A portfolio is required.', { field: 'portfolio' });
+            }
+
+            // 2. ADAPTER ORCHESTRATION: one quote per distinct symbol
+            const results = await this.#marketDataPort.fetchQuotes(portfolio.symbols, { concurrency });
+            const { quotes, failures } = await partitionQuoteResults(results, this.#tracer);
+
+            // 3. MARK TO MARKET
+            const positions = portfolio.positions
+                .filter(({ symbol }) => quotes.has(symbol))
+                .map(position => {
+                    const quote = quotes.get(position.symbol);
+                    const { marketValue, unrealizedPnl, unrealizedPnlPercent } = position.valueAt(quote.price);
+                    return {
+                        ...position.toJSON(),
+                        price: quote.price,
+                        costValue: round2(position.costValue),
+                        marketValue: round2(marketValue),
+                        unrealizedPnl: round2(unrealizedPnl),
+                        unrealizedPnlPercent: unrealizedPnlPercent === null ? null : round2(unrealizedPnlPercent),
+                        source: quote.source,
+                        servedBy: quote.servedBy ?? null,
+                        fromCache: quote.fromCache === true
+                    };
+                });
+
+            const totals = summarise(positions, portfolio.positions.length);
+            await this.#tracer.record('DOMAIN', 'PORTFOLIO_VALUATION_SUMMARY', {
+                portfolio: portfolio.name,
+                priced: totals.priced,
+                unpriced: totals.unpriced,
+                unrealizedPnl: totals.unrealizedPnl
+            });
+
+            return { name: portfolio.name, valuedAt: Date.now(), positions, failures, totals };
+
+        }, { portfolio: portfolio?.name, symbols: portfolio?.symbols?.join(','), concurrency });
+    }
+}
+
+/**
+ * Totals of the priced positions. Short positions enter with their negative
+ * cost, so the percentage is taken against the gross cost.
+ * @private
+ */
+function summarise(positions, held) {
+    const sum = field => round2(positions.reduce((total, position) => total + position[field], 0));
+    const grossCost = positions.reduce((total, { costValue }) => total + Math.abs(costValue), 0);
+    const unrealizedPnl = sum('unrealizedPnl');
+    return {
+        costValue: sum('costValue'),
+        marketValue: sum('marketValue'),
+        unrealizedPnl,
+        unrealizedPnlPercent: grossCost === 0 ? null : round2((unrealizedPnl / grossCost) * 100),
+        priced: positions.length,
+        unpriced: held - positions.length
+    };
+}
+
+/** @private */
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
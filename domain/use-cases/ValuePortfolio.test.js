@@ -0,0 +1,75 @@
+import { describe, it, expect, vi } from 'vitest';
+import { ValuePortfolio } from './ValuePortfolio.js';
+import { MarketDataPort } from '../ports/outbound/MarketDataPort.js';
+import { MarketQuote } from '../entities/MarketQuote.js';
+import { Portfolio } from '../entities/Portfolio.js';
+import { Position } from '../entities/Position.js';
+
+// Pass-through tracer: runs spans inline and swallows events
+const tracer = {
+    traceSpan: (layer, label, fn) => fn(),
+    record: vi.fn()
+};
+
+const PRICES = { AAPL: 200, ES: 5000, TSLA: 150 };
+
+class StubPort extends MarketDataPort {
+    constructor() {
+        super();
+        this.requested = [];
+    }
+
+    async fetchQuote(symbol) {
+        this.requested.push(symbol);
+        if (!(symbol in PRICES)) throw new Error(`Unknown ticker ${symbol}`);
+        return new MarketQuote({ symbol, price: PRICES[symbol], timestamp: Date.now(), source: 'Stub' });
+    }
+}
+
+const portfolio = positions => new Portfolio({ name: 'test', positions: positions.map(position => new Position(position)) });
+
+describe('ValuePortfolio Use Case', () => {
+    it('should mark long, short and multiplied positions to market', async () => {
+        const { positions, failures, totals } = await new ValuePortfolio(new StubPort(), tracer).execute(portfolio([
+            { symbol: 'aapl', quantity: 10, costBasis: 150 },
+            { symbol: 'ES', quantity: 2, costBasis: 4900, multiplier: 50 },
+            { symbol: 'TSLA', quantity: -20, costBasis: 200 }
+        ]));
+
+        expect(failures).toEqual([]);
+        expect(positions.map(({ symbol, costValue, marketValue, unrealizedPnl, unrealizedPnlPercent }) =>
+            ({ symbol, costValue, marketValue, unrealizedPnl, unrealizedPnlPercent }))).toEqual([
+            { symbol: 'AAPL', costValue: 1500, marketValue: 2000, unrealizedPnl: 500, unrealizedPnlPercent: 33.33 },
+            { symbol: 'ES', costValue: 490000, marketValue: 500000, unrealizedPnl: 10000, unrealizedPnlPercent: 2.04 },
+            // A short gains as the price falls
+            { symbol: 'TSLA', costValue: -4000, marketValue: -3000, unrealizedPnl: 1000, unrealizedPnlPercent: 25 }
+        ]);
+        expect(totals).toEqual({
+            costValue: 487500,
+            marketValue: 499000,
+            unrealizedPnl: 11500,
+            unrealizedPnlPercent: 2.32,
+            priced: 3,
+            unpriced: 0
+        });
+    });
+
+    it('should quote each symbol once and leave unquoted positions out of the totals', async () => {
+        const port = new StubPort();
+        const { positions, failures, totals } = await new ValuePortfolio(port, tracer).execute(portfolio([
+            { symbol: 'AAPL', quantity: 5, costBasis: 100 },
+            { symbol: 'NOPE', quantity: 1, costBasis: 10 },
+            { symbol: 'AAPL', quantity: 5, costBasis: 300 }
+        ]));
+
+        expect(port.requested).toEqual(['AAPL', 'NOPE']);
+        expect(positions.map(({ unrealizedPnl }) => unrealizedPnl)).toEqual([500, -500]);
+        expect(failures).toEqual([{ symbol: 'NOPE', reason: 'Market discovery failed for NOPE. Please check system logs.', code: 'PROVIDER_UNAVAILABLE' }]);
+        expect(totals).toMatchObject({ costValue: 2000, unrealizedPnl: 0, priced: 2, unpriced: 1 });
+    });
+
+    it('should reject anything but a Portfolio', async () => {
+        const useCase = new ValuePortfolio(new StubPort(), tracer);
+        await expect(useCase.execute([{ symbol: 'AAPL' }])).rejects.toThrow('A portfolio is required.');
+    });
+});
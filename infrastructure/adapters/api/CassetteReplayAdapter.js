@@ -0,0 +1,196 @@
+/**
+ * infrastructure/adapters/api/CassetteReplayAdapter.js
+ * * Offline adapter that serves a cassette recorded with --record.
+ * Every fetchQuote() answers with the next recorded call for that symbol
+ * (quote or error, after the recorded latency), so a live session, including
+ * its failures, can be reproduced without network access or API keys.
+ * * TIMING: speed 1 keeps the recorded latencies, 10 plays ten times faster,
+ * and 0 answers immediately. Quotes keep their recorded timestamps.
+ */
+
+import { MarketDataPort } from '../../../domain/ports/outbound/MarketDataPort.js';
+import { ProviderUnavailableError, SymbolNotFoundError, ValidationError } from '../../../domain/errors/DomainErrors.js';
+import { readCassette, restoreError } from '../../cassettes/Cassette.js';
+import { logger } from '../../../shared/logger.js';
+
+const SOURCE = 'CassetteReplay';
+
+export class CassetteReplayAdapter extends MarketDataPort {
+    /**
+     * @param {Object} config
+     * @param {string} config.cassettePath - Absolute path of the cassette (see CassetteConfig).
+     * @param {number} [config.speed=1] - Playback speed; 0 removes every delay.
+     * @param {function(number): Promise<void>} [config.sleep] - Delay function (injectable for tests).
+     * @throws {Error} If no cassette path is given or the speed is negative.
+     */
+    constructor({ cassettePath, speed = 1, sleep = ms => new Promise(resolve => setTimeout(resolve, ms)) } = {}) {
+        super();
+        if (!cassettePath) {
+            throw new Error('[CassetteReplayAdapter] Dependency Injection Failed: cassettePath is required.');
+        }
+        if (!Number.isFinite(speed) || speed < 0) {
+            throw new Error(`[CassetteReplayAdapter] speed must be a number >= 0, received "${speed}".`);
+        }
+        this.cassettePath = cassettePath;
+        this.speed = speed;
+        this.sleep = sleep;
+        /** @type {string|null} Tracer session that recorded the cassette, known once loaded. */
+        this.sessionId = null;
+
+        this._loading = null;
+        this._entries = [];
+        this._bySymbol = new Map();
+        this._cursors = new Map();
+    }
+
+    /**
+     * Replays the next recorded call for the symbol; a symbol's calls wrap
+     * around once they are used up.
+     * @param {string} symbol - The ticker to fetch.
+     * @returns {Promise<Object>} MarketQuote.
+     * @throws {SymbolNotFoundError} If the cassette holds no call for the symbol.
+     * @throws {DomainError|Error} The recorded failure, rebuilt.
+     */
+    async fetchQuote(symbol) {
+        const entry = await this._nextEntry(symbol);
+        if (this.speed > 0 && entry.latencyMs > 0) {
+            await this.sleep(entry.latencyMs / this.speed);
+        }
+        if (entry.error) throw restoreError(entry.error);
+
+        logger.debug(`[CassetteReplay] Served ${entry.symbol} from ${this.cassettePath}`, { sessionId: this.sessionId });
+        return entry.quote;
+    }
+
+    /**
+     * Cassettes hold quote calls only.
+     * @throws {ProviderUnavailableError} Always; not retryable.
+     */
+    async fetchCandles() {
+        throw new ProviderUnavailableError('Cassette replay has no candle history.', {
+            retryable: false,
+            hint: 'Request history with --mock or --live; cassettes record quotes only.'
+        });
+    }
+
+    /**
+     * @throws {ProviderUnavailableError} Always; not retryable.
+     */
+    async fetchOptionChain() {
+        throw new ProviderUnavailableError('Cassette replay has no option chains.', {
+            retryable: false,
+            hint: 'Request option chains with --mock; cassettes record quotes only.'
+        });
+    }
+
+    /**
+     * The cassette is a timeline, so replay pushes it rather than being polled.
+     * @returns {boolean}
+     */
+    get pushesQuotes() {
+        return true;
+    }
+
+    /**
+     * Plays the recorded calls of the symbols in their original order and
+     * spacing (divided by speed), then starts over. At speed 0 the calls are
+     * spaced intervalMs apart instead.
+     * @param {string[]} symbols - Tickers to stream.
+     * @param {function(Object): void} onQuote
+     * @param {Object} [options]
+     * @param {function(Error, string): void} [options.onError]
+     * @param {number} [options.intervalMs=1000] - Spacing at speed 0, and pause before each loop.
+     * @returns {function(): void} Unsubscribe; idempotent.
+     */
+    subscribe(symbols, onQuote, { onError = () => {}, intervalMs = 1000 } = {}) {
+        const wanted = new Set(symbols.map(symbol => symbol.toUpperCase()));
+        let timer = null;
+        let stopped = false;
+
+        const play = timeline => {
+            let index = 0;
+            const origin = timeline[0].startedAt;
+            let loopStart = Date.now() + intervalMs;
+
+            const scheduleNext = () => {
+                if (stopped) return;
+                if (index === timeline.length) {
+                    index = 0;
+                    loopStart = Date.now() + intervalMs;
+                }
+                const entry = timeline[index];
+                const offset = this.speed > 0
+                    ? (entry.startedAt - origin + entry.latencyMs) / this.speed
+                    : index * intervalMs;
+                timer = setTimeout(() => {
+                    index += 1;
+                    if (entry.error) onError(restoreError(entry.error), entry.symbol);
+                    else onQuote(entry.quote);
+                    scheduleNext();
+                }, Math.max(0, loopStart + offset - Date.now()));
+            };
+            scheduleNext();
+        };
+
+        this._ensureLoaded().then(() => {
+            if (stopped) return;
+            for (const symbol of wanted) {
+                if (!this._bySymbol.has(symbol)) onError(new SymbolNotFoundError(symbol, SOURCE), symbol);
+            }
+            const timeline = this._entries.filter(({ symbol }) => wanted.has(symbol));
+            if (timeline.length > 0) play(timeline);
+        }, error => wanted.forEach(symbol => onError(error, symbol)));
+
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+    }
+
+    /**
+     * The next recorded call for a symbol, advancing its cursor.
+     * @private
+     * @param {string} symbol
+     * @returns {Promise<Object>} A cassette entry.
+     * @throws {ValidationError|SymbolNotFoundError}
+     */
+    async _nextEntry(symbol) {
+        if (typeof symbol !== 'string' || symbol.trim() === '') {
+            throw new ValidationError('A symbol is required.', { field: 'symbol' });
+        }
+        await this._ensureLoaded();
+
+        const cleanSymbol = symbol.trim().toUpperCase();
+        const entries = this._bySymbol.get(cleanSymbol);
+        if (!entries) throw new SymbolNotFoundError(cleanSymbol, SOURCE);
+
+        const cursor = this._cursors.get(cleanSymbol) ?? 0;
+        this._cursors.set(cleanSymbol, cursor + 1);
+        return entries[cursor % entries.length];
+    }
+
+    /**
+     * Reads the cassette exactly once.
+     * @private
+     * @returns {Promise<void>}
+     * @throws {InvalidConfigError} If the cassette is missing or malformed.
+     */
+    _ensureLoaded() {
+        if (!this._loading) {
+            this._loading = readCassette(this.cassettePath).then(({ header, entries }) => {
+                this.sessionId = header.sessionId;
+                this._entries = entries;
+                for (const entry of entries) {
+                    if (!this._bySymbol.has(entry.symbol)) this._bySymbol.set(entry.symbol, []);
+                    this._bySymbol.get(entry.symbol).push(entry);
+                }
+                logger.info(`[CassetteReplay] Loaded ${entries.length} calls from ${this.cassettePath}`, {
+                    recordedSession: header.sessionId,
+                    recordedAdapter: header.adapter,
+                    recordedAt: header.recordedAt
+                });
+            });
+        }
+        return this._loading;
+    }
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CassetteReplayAdapter } from './CassetteReplayAdapter.js';
+import { DomainError, InvalidConfigError, SymbolNotFoundError } from '../../../domain/errors/DomainErrors.js';
+
+const T0 = Date.UTC(2026, 0, 2, 14, 30);
+
+function quoteJson(symbol, price, capturedAt) {
+    return { symbol, price, capturedAt: new Date(capturedAt).toISOString(), source: 'Finnhub' };
+}
+
+const CASSETTE = [
+    { type: 'header', version: 1, sessionId: 'K3F9Q2A', adapter: '1:FinnhubAdapter', recordedAt: new Date(T0).toISOString() },
+    { type: 'fetchQuote', symbol: 'SPX', startedAt: T0, latencyMs: 200, quote: quoteJson('SPX', 6834.5, T0 + 150) },
+    { type: 'fetchQuote', symbol: 'ES', startedAt: T0 + 100, latencyMs: 50, error: {
+        name: 'RateLimitedError', code: 'RATE_LIMITED', message: 'Finnhub rate limit reached.', retryable: true, retryAfterMs: 1500
+    } },
+    { type: 'fetchQuote', symbol: 'SPX', startedAt: T0 + 1000, latencyMs: 400, quote: quoteJson('SPX', 6835.25, T0 + 1300) }
+];
+
+describe('CassetteReplayAdapter', () => {
+    let tempDir;
+
+    async function writeCassette(lines = CASSETTE) {
+        tempDir = await mkdtemp(join(tmpdir(), 'plnexus-replay-'));
+        const path = join(tempDir, 'session.jsonl');
+        await writeFile(path, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+        return path;
+    }
+
+    afterEach(async () => {
+        vi.useRealTimers();
+        if (tempDir) await rm(tempDir, { recursive: true, force: true });
+        tempDir = null;
+    });
+
+    it('should replay each symbol in order, wrap around, and scale latency by speed', async () => {
+        const sleep = vi.fn(async () => {});
+        const adapter = new CassetteReplayAdapter({ cassettePath: await writeCassette(), speed: 4, sleep });
+
+        const prices = [];
+        for (let i = 0; i < 3; i++) prices.push((await adapter.fetchQuote('spx')).price);
+
+        expect(prices).toEqual([6834.5, 6835.25, 6834.5]);
+        expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([50, 100, 50]);
+        expect(adapter.sessionId).toBe('K3F9Q2A');
+    });
+
+    it('should keep recorded timestamps and answer immediately at speed 0', async () => {
+        const sleep = vi.fn(async () => {});
+        const adapter = new CassetteReplayAdapter({ cassettePath: await writeCassette(), speed: 0, sleep });
+
+        const quote = await adapter.fetchQuote('SPX');
+
+        expect(quote.timestamp).toBe(T0 + 150);
+        expect(sleep).not.toHaveBeenCalled();
+    });
+
+    it('should rethrow recorded failures with their code and retry advice', async () => {
+        const adapter = new CassetteReplayAdapter({ cassettePath: await writeCassette(), speed: 0 });
+
+        const error = await adapter.fetchQuote('ES').catch(e => e);
+
+        expect(error).toBeInstanceOf(DomainError);
+        expect(error).toMatchObject({ name: 'RateLimitedError', code: 'RATE_LIMITED', retryable: true, retryAfterMs: 1500 });
+    });
+
+    it('should reject symbols the cassette never saw, and history requests', async () => {
+        const adapter = new CassetteReplayAdapter({ cassettePath: await writeCassette(), speed: 0 });
+
+        await expect(adapter.fetchQuote('NQ')).rejects.toBeInstanceOf(SymbolNotFoundError);
+        await expect(adapter.fetchCandles('SPX', '1d', T0 - 86_400_000, T0)).rejects.toMatchObject({
+            code: 'PROVIDER_UNAVAILABLE', retryable: false
+        });
+    });
+
+    it('should report a missing or malformed cassette as a configuration error', async () => {
+        const missing = new CassetteReplayAdapter({ cassettePath: join(tmpdir(), 'plnexus-no-such-cassette.jsonl') });
+        await expect(missing.fetchQuote('SPX')).rejects.toBeInstanceOf(InvalidConfigError);
+
+        const headerless = new CassetteReplayAdapter({ cassettePath: await writeCassette(CASSETTE.slice(1)) });
+        await expect(headerless.fetchQuote('SPX')).rejects.toThrow(/first line must be the header/);
+    });
+
+    it('should push the recorded timeline to subscribers at the requested speed', async () => {
+        const cassettePath = await writeCassette();
+        vi.useFakeTimers({ now: T0 });
+        const adapter = new CassetteReplayAdapter({ cassettePath, speed: 2 });
+        const quotes = [];
+        const errors = [];
+
+        const unsubscribe = adapter.subscribe(['SPX', 'ES', 'NQ'], quote => quotes.push(quote.price), {
+            onError: (error, symbol) => errors.push(`${symbol}:${error.code}`),
+            intervalMs: 100
+        });
+        await vi.waitFor(() => expect(errors).toContain('NQ:SYMBOL_NOT_FOUND'));
+
+        // Loop starts after intervalMs; SPX lands at (0 + 200) / 2, ES at (100 + 50) / 2
+        await vi.advanceTimersByTimeAsync(100 + 100);
+        expect(quotes).toEqual([6834.5]);
+        expect(errors).toContain('ES:RATE_LIMITED');
+
+        await vi.advanceTimersByTimeAsync(600);
+        expect(quotes).toEqual([6834.5, 6835.25]);
+
+        unsubscribe();
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(quotes).toHaveLength(2);
+    });
+});
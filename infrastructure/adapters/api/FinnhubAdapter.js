@@ -0,0 +1,188 @@
+/**
+ * infrastructure/adapters/api/FinnhubAdapter.js
+ * * Production Adapter for the Finnhub REST API.
+ * Translates Finnhub's /quote payload into the MarketQuote entity so the
+ * Domain never sees provider-specific field names.
+ */
+
+import { MarketDataPort } from '../../../domain/ports/outbound/MarketDataPort.js';
+import { MarketQuote } from '../../../domain/entities/MarketQuote.js';
+import { Candle } from '../../../domain/entities/Candle.js';
+import {
+    AuthenticationError,
+    ProviderTimeoutError,
+    ProviderUnavailableError,
+    RateLimitedError,
+    SymbolNotFoundError,
+    ValidationError
+} from '../../../domain/errors/DomainErrors.js';
+import { logger } from '../../../shared/logger.js';
+
+export class FinnhubAdapter extends MarketDataPort {
+    /**
+     * @param {Object} config - Validated output of FinnhubConfig.validate().
+     * @param {string} config.apiKey - Finnhub API token.
+     * @param {string} config.baseUrl - REST endpoint root (no trailing slash).
+     * @param {number} [config.timeoutMs=5000] - Per-request timeout.
+     */
+    constructor({ apiKey, baseUrl, timeoutMs = 5000 } = {}) {
+        super();
+        if (!apiKey || !baseUrl) {
+            throw new Error('[FinnhubAdapter] apiKey and baseUrl are required. Use FinnhubConfig.validate().');
+        }
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * Fetches the latest quote for a symbol.
+     * @param {string} symbol - The ticker to fetch.
+     * @returns {Promise<MarketQuote>}
+     */
+    async fetchQuote(symbol) {
+        if (typeof symbol !== 'string' || symbol.trim() === '') {
+            throw new ValidationError('A symbol is required.', { field: 'symbol' });
+        }
+        const cleanSymbol = symbol.toUpperCase();
+        const payload = await this._get('/quote', { symbol: cleanSymbol });
+
+        // Finnhub answers unknown tickers with HTTP 200 and an all-zero body
+        if (!payload || typeof payload.c !== 'number' || (payload.c === 0 && !payload.t)) {
+            throw new SymbolNotFoundError(cleanSymbol, 'Finnhub');
+        }
+
+        return new MarketQuote({
+            symbol: cleanSymbol,
+            price: payload.c,
+            // Finnhub reports UNIX seconds; the Domain speaks milliseconds
+            timestamp: payload.t ? payload.t * 1000 : Date.now(),
+            source: 'Finnhub',
+            open: nonZero(payload.o),
+            high: nonZero(payload.h),
+            low: nonZero(payload.l),
+            previousClose: nonZero(payload.pc),
+            change: payload.d,
+            changePercent: payload.dp
+        });
+    }
+
+    /**
+     * Fetches historical bars from /stock/candle.
+     * @param {string} symbol - The ticker to fetch.
+     * @param {string} resolution - One of CANDLE_RESOLUTIONS (Finnhub uses the same codes).
+     * @param {number} from - Range start (ms), inclusive.
+     * @param {number} to - Range end (ms), inclusive.
+     * @returns {Promise<Candle[]>}
+     */
+    async fetchCandles(symbol, resolution, from, to) {
+        const cleanSymbol = symbol.toUpperCase();
+        const payload = await this._get('/stock/candle', {
+            symbol: cleanSymbol,
+            resolution,
+            from: Math.floor(from / 1000),
+            to: Math.floor(to / 1000)
+        });
+
+        // 'no_data' is Finnhub's way of saying the range is empty
+        if (payload?.s === 'no_data') return [];
+        if (payload?.s !== 'ok' || !Array.isArray(payload.t)) {
+            throw new ProviderUnavailableError(`Finnhub returned an unexpected candle payload for ${cleanSymbol}.`);
+        }
+
+        return payload.t.map((seconds, i) => new Candle({
+            symbol: cleanSymbol,
+            resolution,
+            timestamp: seconds * 1000,
+            open: payload.o[i],
+            high: payload.h[i],
+            low: payload.l[i],
+            close: payload.c[i],
+            volume: payload.v?.[i],
+            source: 'Finnhub'
+        }));
+    }
+
+    /**
+     * Finnhub's option chains are a premium endpoint this adapter does not map.
+     * @throws {ProviderUnavailableError} Always. Not retryable, so a failover chain
+     *   rethrows it: `gex --live` fails instead of showing the mock's synthetic chain.
+     */
+    async fetchOptionChain() {
+        throw new ProviderUnavailableError('Finnhub option chains are not supported.', {
+            retryable: false,
+            hint: 'Request option chains with --mock.'
+        });
+    }
+
+    /**
+     * Performs an authenticated GET request and returns the parsed JSON body.
+     * @private
+     * @param {string} path - Endpoint path relative to baseUrl.
+     * @param {Object} params - Query string parameters.
+     * @returns {Promise<Object>}
+     * @throws {DomainError} Transport and HTTP failures mapped into the domain taxonomy.
+     */
+    async _get(path, params) {
+        const url = new URL(`${this.baseUrl}${path}`);
+        Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+
+        const startTime = Date.now();
+        let response;
+        try {
+            response = await fetch(url, {
+                headers: { 'X-Finnhub-Token': this.apiKey, Accept: 'application/json' },
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+        } catch (error) {
+            logger.error(`[FinnhubAdapter] Request to ${path} failed: ${error.message}`);
+            if (error.name === 'TimeoutError') {
+                throw new ProviderTimeoutError('Finnhub', this.timeoutMs);
+            }
+            throw new ProviderUnavailableError(`Finnhub request failed: ${error.message}`, { cause: error });
+        }
+
+        logger.debug(`[FinnhubAdapter] ${path} responded ${response.status}`, {
+            latency: `${Date.now() - startTime}ms`,
+            params
+        });
+
+        if (!response.ok) {
+            throw this._mapHttpError(response, path);
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new ProviderUnavailableError(`Finnhub returned a malformed body for ${path}: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Translates a non-2xx response into the domain taxonomy.
+     * @private
+     * @param {Response} response
+     * @param {string} path - Endpoint path (for the message).
+     * @returns {DomainError}
+     */
+    _mapHttpError(response, path) {
+        const { status } = response;
+        if (status === 401 || status === 403) {
+            return new AuthenticationError('Finnhub', { hint: 'Check FINNHUB_API_KEY in your .env file; free keys cannot access premium endpoints.' });
+        }
+        if (status === 429) {
+            const retryAfter = Number(response.headers.get('retry-after'));
+            return new RateLimitedError('Finnhub', { retryAfterMs: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : null });
+        }
+        // Other 4xx responses mean the request itself was wrong; repeating it cannot help
+        return new ProviderUnavailableError(`Finnhub responded with HTTP ${status} for ${path}.`, { retryable: status >= 500 });
+    }
+}
+
+/**
+ * Finnhub reports unavailable session fields as 0 rather than null.
+ * @private
+ */
+function nonZero(value) {
+    return typeof value === 'number' && value !== 0 ? value : undefined;
+}
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createServer } from 'http';
+import { FinnhubAdapter } from './FinnhubAdapter.js';
+import { FinnhubConfig } from '../../config/validators/FinnhubConfig.js';
+import { MarketQuote } from '../../../domain/entities/MarketQuote.js';
+
+// Local stand-in for the Finnhub REST API
+const QUOTES = {
+    SPX: { c: 6834.5, d: 12.25, dp: 0.18, h: 6840, l: 6801.75, o: 6810, pc: 6822.25, t: 1766500000 },
+    NOPE: { c: 0, d: null, dp: null, h: 0, l: 0, o: 0, pc: 0, t: 0 }
+};
+
+const FAILURES = {
+    THROTTLE: { status: 429, headers: { 'Retry-After': '7' } },
+    BROKEN: { status: 503 },
+    BADREQ: { status: 422 }
+};
+
+const CANDLES = {
+    s: 'ok',
+    t: [1766448000, 1766534400],
+    o: [6800, 6822.25], h: [6830, 6840], l: [6790, 6801.75], c: [6822.25, 6834.5], v: [1000, 2000]
+};
+
+describe('FinnhubAdapter', () => {
+    let server;
+    let baseUrl;
+    const requests = [];
+
+    beforeAll(async () => {
+        server = createServer((req, res) => {
+            const url = new URL(req.url, 'http://localhost');
+            requests.push({ path: url.pathname, token: req.headers['x-finnhub-token'] });
+
+            if (req.headers['x-finnhub-token'] !== 'test-key') {
+                res.writeHead(401, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: 'Invalid API key' }));
+            }
+
+            // Symbols that make the stand-in misbehave like the real service
+            if (url.searchParams.get('symbol') === 'SLOW') {
+                const timer = setTimeout(() => res.end('{}'), 500);
+                return res.on('close', () => clearTimeout(timer));
+            }
+            const failure = FAILURES[url.searchParams.get('symbol')];
+            if (failure) {
+                res.writeHead(failure.status, { 'Content-Type': 'application/json', ...failure.headers });
+                return res.end(JSON.stringify({ error: 'simulated' }));
+            }
+
+            const body = url.pathname === '/stock/candle'
+                ? CANDLES
+                : QUOTES[url.searchParams.get('symbol')] || QUOTES.NOPE;
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    it('should map the /quote payload into a MarketQuote entity', async () => {
+        const adapter = new FinnhubAdapter(FinnhubConfig.validate({ FINNHUB_API_KEY: 'test-key', FINNHUB_BASE_URL: baseUrl }));
+        const quote = await adapter.fetchQuote('spx');
+
+        expect(quote).toBeInstanceOf(MarketQuote);
+        expect(quote.symbol).toBe('SPX');
+        expect(quote.price).toBe(6834.5);
+        expect(quote.timestamp).toBe(1766500000 * 1000);
+        expect(quote.source).toBe('Finnhub');
+        expect(quote).toMatchObject({ open: 6810, high: 6840, low: 6801.75, previousClose: 6822.25, change: 12.25, changePercent: 0.18 });
+        expect(quote.bid).toBeNull();
+        expect(requests.at(-1)).toEqual({ path: '/quote', token: 'test-key' });
+    });
+
+    it('should map /stock/candle arrays into Candle entities', async () => {
+        const adapter = new FinnhubAdapter({ apiKey: 'test-key', baseUrl });
+        const candles = await adapter.fetchCandles('SPX', 'D', 1766448000000, 1766534400000);
+
+        expect(candles).toHaveLength(2);
+        expect(candles[1]).toMatchObject({ symbol: 'SPX', resolution: 'D', timestamp: 1766534400000, close: 6834.5, volume: 2000 });
+        expect(requests.at(-1).path).toBe('/stock/candle');
+    });
+
+    it('should reject symbols the provider has no data for', async () => {
+        const adapter = new FinnhubAdapter({ apiKey: 'test-key', baseUrl });
+        await expect(adapter.fetchQuote('NOPE')).rejects.toMatchObject({
+            code: 'SYMBOL_NOT_FOUND',
+            retryable: false,
+            message: expect.stringContaining('"NOPE"')
+        });
+    });
+
+    it('should map a rejected API key to AuthenticationError', async () => {
+        const adapter = new FinnhubAdapter({ apiKey: 'wrong-key', baseUrl });
+        await expect(adapter.fetchQuote('SPX')).rejects.toMatchObject({ code: 'AUTHENTICATION_FAILED', retryable: false });
+    });
+
+    it('should map HTTP 429 to RateLimitedError with the advertised wait', async () => {
+        const adapter = new FinnhubAdapter({ apiKey: 'test-key', baseUrl });
+        await expect(adapter.fetchQuote('THROTTLE')).rejects.toMatchObject({ code: 'RATE_LIMITED', retryable: true, retryAfterMs: 7000 });
+    });
+
+    it('should map 5xx to a retryable ProviderUnavailable and other 4xx to a final one', async () => {
+        const adapter = new FinnhubAdapter({ apiKey: 'test-key', baseUrl });
+        await expect(adapter.fetchQuote('BROKEN')).rejects.toMatchObject({ code: 'PROVIDER_UNAVAILABLE', retryable: true });
+        await expect(adapter.fetchQuote('BADREQ')).rejects.toMatchObject({ code: 'PROVIDER_UNAVAILABLE', retryable: false });
+    });
+
+    it('should map an exceeded timeout to ProviderTimeoutError', async () => {
+        const adapter = new FinnhubAdapter({ apiKey: 'test-key', baseUrl, timeoutMs: 50 });
+        await expect(adapter.fetchQuote('SLOW')).rejects.toMatchObject({ code: 'PROVIDER_TIMEOUT', timeoutMs: 50 });
+    });
+});
+
+describe('FinnhubConfig', () => {
+    it('should return a frozen config with defaults applied', () => {
+        const config = FinnhubConfig.validate({ FINNHUB_API_KEY: ' abc ' });
+
+        expect(config).toEqual({ apiKey: 'abc', baseUrl: 'https://finnhub.io/api/v1', timeoutMs: 5000 });
+        expect(Object.isFrozen(config)).toBe(true);
+    });
+
+    it('should reject a missing API key', () => {
+        expect(() => FinnhubConfig.validate({})).toThrow('FINNHUB_API_KEY is missing');
+    });
+
+    it('should reject a malformed base URL', () => {
+        expect(() => FinnhubConfig.validate({ FINNHUB_API_KEY: 'abc', FINNHUB_BASE_URL: 'not a url' }))
+            .toThrow('not a valid URL');
+        expect(() => FinnhubConfig.validate({ FINNHUB_API_KEY: 'abc', FINNHUB_BASE_URL: 'ftp://example.com' }))
+            .toThrow('must use http or https');
+    });
+});
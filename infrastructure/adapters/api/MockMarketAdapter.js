@@ -3,22 +3,87 @@
  * * Production-Ready Mock Adapter.
  * This simulates real-world API behavior including network latency,
  * randomized market fluctuations, and occasional connection failures.
+ * * DETERMINISM: with a seed, every random draw comes from a per-symbol
+ * generator, so the same seed and the same sequence of calls per symbol
+ * produce the same prices, latencies and failures on every run.
+ * * SCENARIOS & REPLAY: per-symbol profiles and scripted scenarios come from
+ * MockMarketConfig (marketPath); a replayPath serves recorded quotes instead
+ * of simulated ones. All of it is set through the manifest entry's options.
+ * * LISTING: the simulated exchange lists the symbols of its market profile
+ * and of the instrument registry (instrumentsPath); anything else is
+ * SYMBOL_NOT_FOUND, as on a real provider. Registry symbols without a
+ * profile of their own get a derived one.
  */
 
+import { readFile } from 'fs/promises';
 import { MarketDataPort } from '../../../domain/ports/outbound/MarketDataPort.js';
 import { MarketQuote } from '../../../domain/entities/MarketQuote.js';
+import { Candle, CANDLE_RESOLUTIONS } from '../../../domain/entities/Candle.js';
+import { OptionChain } from '../../../domain/entities/OptionChain.js';
+import { OptionContract, blackScholesGamma, expiryTimestamp, isCalendarDate } from '../../../domain/entities/OptionContract.js';
+import { InvalidConfigError, ProviderUnavailableError, SymbolNotFoundError, ValidationError } from '../../../domain/errors/DomainErrors.js';
+import { MockMarketConfig } from './MockMarketConfig.js';
+import { InstrumentRegistryConfig } from '../../config/InstrumentRegistryConfig.js';
+import { createPrng } from '../../../shared/prng.js';
 import { logger } from '../../../shared/logger.js';
 
+const SOURCE = 'MockProvider_v2';
+
+/**
+ * Alias key of the mock in the instrument registry.
+ */
+const PROVIDER = 'mock';
+
+/**
+ * Strikes listed on each side of spot in a synthetic chain.
+ */
+const STRIKES_PER_SIDE = 40;
+
+/**
+ * At-the-money implied volatility of the synthetic chains.
+ */
+const ATM_VOLATILITY = 0.16;
+
 export class MockMarketAdapter extends MarketDataPort {
     /**
      * @param {Object} config - Configuration for the mock behavior.
      * @param {number} config.failureRate - Percentage (0-1) of simulated failures.
      * @param {number} config.maxLatency - Max millisecond delay to simulate.
+     * @param {number|string|null} [config.seed=null] - Seeds every random draw; null uses Math.random().
+     * @param {Object|null} [config.market=null] - Inline market document (see MockMarketConfig).
+     * @param {string|null} [config.marketPath=null] - Market document on disk; wins over market.
+     * @param {string|null} [config.scenario=null] - Scenario from the market document to run.
+     * @param {string|null} [config.replayPath=null] - NDJSON (or JSON array) of MarketQuote.toJSON() records to serve instead.
+     * @param {Object|null} [config.instruments=null] - Inline instrument registry document (see InstrumentRegistryConfig).
+     * @param {string|null} [config.instrumentsPath=null] - Instrument registry on disk; wins over instruments.
+     * @param {function(): number} [config.clock=Date.now] - Time source for quotes and scenario windows.
+     * @throws {InvalidConfigError} If the inline market or instrument document is invalid.
      */
-    constructor({ failureRate = 0.05, maxLatency = 500 } = {}) {
+    constructor({
+        failureRate = 0.05, maxLatency = 500, seed = null,
+        market = null, marketPath = null, scenario = null, replayPath = null,
+        instruments = null, instrumentsPath = null, clock = Date.now
+    } = {}) {
         super();
         this.failureRate = failureRate;
         this.maxLatency = maxLatency;
+        this.seed = seed;
+        this.marketPath = marketPath;
+        this.scenario = scenario;
+        this.replayPath = replayPath;
+        this.instrumentsPath = instrumentsPath;
+        this.clock = clock;
+        this.startedAt = clock();
+
+        this._market = marketPath ? null : MockMarketConfig.from(market, { scenario, origin: 'inline market config' });
+        this._registry = instruments && !instrumentsPath
+            ? InstrumentRegistryConfig.from(instruments, { origin: 'inline instruments config' })
+            : null;
+        this._replay = null;
+        this._loaded = !marketPath && !replayPath && !instrumentsPath;
+        this._loading = null;
+        this._sessions = new Map();
+        this._generators = new Map();
     }
 
     /**
@@ -27,37 +92,556 @@ export class MockMarketAdapter extends MarketDataPort {
      * @returns {Promise<MarketQuote>}
      */
     async fetchQuote(symbol) {
-        const startTime = Date.now();
+        // 0. REJECT WHAT THE EXCHANGE DOES NOT LIST (before the network, like a real 404)
+        this._assertSymbol(symbol);
+        await this._ensureLoaded();
+        this._assertListed(symbol);
+        this._assertRecorded(symbol);
+
+        // 1 & 2. SIMULATE NETWORK LATENCY AND UPSTREAM FAILURE
+        const latency = await this._simulateNetwork(symbol);
+
+        // 3. ADVANCE THE SYMBOL'S SESSION (or the recording) BY ONE PRINT
+        const quote = this._nextQuote(symbol.toUpperCase());
+
+        logger.debug(`[MockAdapter] Successfully simulated data for ${symbol}`, {
+            latency: `${latency}ms`,
+            price: quote.price
+        });
+        return quote;
+    }
+
+    /**
+     * Generates deterministic bars. Every close is drawn from its own bar
+     * timestamp (and each open is the previous bar's close), so the same
+     * symbol and resolution always yield the same bar at a given time, and
+     * overlapping ranges agree bar for bar. History tests need no provider.
+     * @param {string} symbol - The ticker to fetch.
+     * @param {string} resolution - One of CANDLE_RESOLUTIONS.
+     * @param {number} from - Range start (ms), inclusive.
+     * @param {number} to - Range end (ms), inclusive.
+     * @returns {Promise<Candle[]>}
+     */
+    async fetchCandles(symbol, resolution, from, to) {
+        this._assertSymbol(symbol);
+        await this._ensureLoaded();
+        this._assertListed(symbol);
+        this._assertRecorded(symbol);
+        await this._simulateNetwork(symbol);
+
+        const cleanSymbol = symbol.toUpperCase();
+        const step = CANDLE_RESOLUTIONS[resolution];
+        if (!step) {
+            throw new ValidationError(`Mock provider does not support resolution "${resolution}".`, { field: 'resolution' });
+        }
+
+        // Align to bar boundaries so overlapping requests share timestamps
+        const first = Math.ceil(from / step) * step;
+        const seedPrefix = `${this.seed === null ? '' : `${this.seed}|`}${cleanSymbol}|${resolution}`;
+
+        // Per-bar volatility scales with the square root of the bar length
+        // (0.6x the tick volatility per minute: ~1% per day at the default)
+        const { basePrice, volatility } = this._profile(cleanSymbol);
+        const sigma = volatility * 0.6 * Math.sqrt(step / 60_000);
+        const closeAt = timestamp => basePrice * (1 + barDrift(seedPrefix, timestamp / step, sigma));
+        const candles = [];
+
+        for (let timestamp = first; timestamp <= to; timestamp += step) {
+            const random = createPrng(`${seedPrefix}|${timestamp}`);
+            const open = closeAt(timestamp - step);
+            const close = closeAt(timestamp);
+            const high = Math.max(open, close) * (1 + random() * sigma / 2);
+            const low = Math.min(open, close) * (1 - random() * sigma / 2);
+
+            candles.push(new Candle({
+                symbol: cleanSymbol,
+                resolution,
+                timestamp,
+                open: round2(open),
+                high: round2(high),
+                low: round2(low),
+                close: round2(close),
+                volume: Math.floor(10_000 + random() * 90_000),
+                source: SOURCE
+            }));
+        }
+
+        logger.debug(`[MockAdapter] Generated ${candles.length} ${resolution} candles for ${cleanSymbol}`);
+        return candles;
+    }
+
+    /**
+     * Builds a deterministic synthetic chain around the symbol's last print
+     * (its reference price before the first quote). Volatility smiles upward
+     * for low strikes, open interest peaks at the money with puts heavier
+     * below spot and calls above, and round strikes attract extra interest.
+     * The same seed, symbol, expiry and spot always yield the same chain.
+     * @param {string} underlying - The ticker to fetch.
+     * @param {string|null} expiry - YYYY-MM-DD; null for the nearest weekday expiry still trading.
+     * @returns {Promise<OptionChain>}
+     * @throws {ValidationError} If the expiry is malformed or has passed.
+     */
+    async fetchOptionChain(underlying, expiry) {
+        this._assertSymbol(underlying);
+        await this._ensureLoaded();
+        this._assertListed(underlying);
+        this._assertRecorded(underlying);
+        await this._simulateNetwork(underlying);
+
+        const cleanSymbol = underlying.toUpperCase();
+        const now = this.clock();
+        const chainExpiry = expiry ?? nextExpiry(now);
+        if (!isCalendarDate(chainExpiry) || expiryTimestamp(chainExpiry) <= now) {
+            throw new ValidationError(`Mock provider lists no ${cleanSymbol} options expiring ${chainExpiry}.`, { field: 'expiry' });
+        }
+
+        const spot = this._sessions.get(cleanSymbol)?.last ?? this._profile(cleanSymbol).basePrice;
+        const random = createPrng(`${this.seed === null ? '' : `${this.seed}|`}${cleanSymbol}|chain|${chainExpiry}|${spot}`);
+        const step = strikeStep(spot);
+        const atm = Math.round(spot / step) * step;
+        const years = Math.max(3_600_000, expiryTimestamp(chainExpiry) - now) / (365 * 86_400_000);
+        const contracts = [];
+
+        for (let i = -STRIKES_PER_SIDE; i <= STRIKES_PER_SIDE; i++) {
+            const strike = round2(atm + i * step);
+            if (strike <= 0) continue;
+            const moneyness = Math.log(strike / spot);
+            const impliedVolatility = round4(Math.max(0.05, ATM_VOLATILITY - 0.8 * moneyness + 2 * moneyness * moneyness));
+            const gamma = blackScholesGamma({ spot, strike, years, volatility: impliedVolatility });
+            const roundStrike = Math.round(strike / (step * 5)) * step * 5 === strike ? 1.5 : 1;
+            const interest = (2_000 + 18_000 * Math.exp(-((moneyness / 0.02) ** 2))) * roundStrike;
+
+            for (const [type, skew] of [['call', strike >= spot ? 1.2 : 0.6], ['put', strike <= spot ? 1.4 : 0.5]]) {
+                contracts.push(new OptionContract({
+                    underlying: cleanSymbol,
+                    type,
+                    strike,
+                    expiry: chainExpiry,
+                    openInterest: Math.floor(interest * skew * (0.5 + random())),
+                    impliedVolatility,
+                    gamma,
+                    volume: Math.floor(interest * random()),
+                    source: SOURCE
+                }));
+            }
+        }
+
+        logger.debug(`[MockAdapter] Generated ${contracts.length} contracts for ${cleanSymbol} ${chainExpiry}`);
+        return new OptionChain({ underlying: cleanSymbol, expiry: chainExpiry, spot, timestamp: now, contracts, source: SOURCE });
+    }
+
+    /**
+     * The mock is a push feed: subscribe() emits its own ticks on a timer.
+     * @returns {boolean}
+     */
+    get pushesQuotes() {
+        return true;
+    }
+
+    /**
+     * Emits the next print for every symbol each intervalMs, from the same
+     * per-symbol session fetchQuote() advances. Unlisted symbols are refused
+     * up front, like a real feed rejecting the subscription (through onError
+     * when the listing is still being read from disk); simulated upstream
+     * failures and outages are reported per tick through onError, and halted
+     * symbols stay silent until the halt ends.
+     * @param {string[]} symbols - Tickers to stream.
+     * @param {function(MarketQuote): void} onQuote
+     * @param {Object} [options]
+     * @param {function(Error, string): void} [options.onError]
+     * @param {number} [options.intervalMs=1000] - Delay between ticks.
+     * @returns {function(): void} Unsubscribe; idempotent.
+     * @throws {ValidationError|SymbolNotFoundError} If any symbol is not listed.
+     */
+    subscribe(symbols, onQuote, { onError = () => {}, intervalMs = 1000 } = {}) {
+        symbols.forEach(symbol => this._assertSymbol(symbol));
+        if (this._loaded) symbols.forEach(symbol => this._assertListed(symbol));
+        let timer = null;
+        let stopped = false;
+
+        const start = () => {
+            if (stopped) return;
+            // Unlisted or unrecorded symbols fail once instead of on every tick
+            const streamed = symbols.map(symbol => symbol.toUpperCase()).filter(symbol => {
+                try {
+                    this._assertListed(symbol);
+                    this._assertRecorded(symbol);
+                    return true;
+                } catch (error) {
+                    onError(error, symbol);
+                    return false;
+                }
+            });
+            timer = setInterval(() => streamed.forEach(symbol => this._emitTick(symbol, onQuote, onError)), intervalMs);
+        };
+
+        // Without files to read, ticks are scheduled synchronously (fake timers rely on it)
+        if (this._loaded) start();
+        else this._ensureLoaded().then(start, error => symbols.forEach(symbol => onError(error, symbol)));
+
+        return () => {
+            stopped = true;
+            clearInterval(timer);
+        };
+    }
+
+    /**
+     * Delivers one streamed tick, or the reason there is none.
+     * @private
+     */
+    _emitTick(symbol, onQuote, onError) {
+        const elapsed = this._elapsed();
+        if (this._market.isOutage(symbol, elapsed)) {
+            onError(new ProviderUnavailableError('Upstream Market Provider outage (simulated scenario).'), symbol);
+            return;
+        }
+        if (this._market.isHalted(symbol, elapsed)) return;
+        if (this._random('network', symbol)() < this.failureRate) {
+            onError(new ProviderUnavailableError('Upstream Market Provider stream interrupted.'), symbol);
+            return;
+        }
+        onQuote(this._nextQuote(symbol));
+    }
+
+    /**
+     * Advances a symbol by one print: the next recorded quote in replay mode,
+     * otherwise one step of its simulated session. Each step moves the level
+     * by up to +/- volatility, and the scenario then scales it (gaps, crashes).
+     * A halted symbol keeps its last print.
+     * @private
+     * @param {string} symbol - Upper-case ticker.
+     * @returns {MarketQuote}
+     */
+    _nextQuote(symbol) {
+        if (this._replay) {
+            const recording = this._replay.get(symbol);
+            const quote = recording.quotes[recording.cursor % recording.quotes.length];
+            recording.cursor += 1;
+            // Re-stamped so the replay reads as live data rather than stale data
+            return quote.clone({ timestamp: this.clock() });
+        }
+
+        const session = this._session(symbol);
+        const elapsed = this._elapsed();
+        if (!this._market.isHalted(symbol, elapsed)) {
+            const random = this._random('walk', symbol);
+            session.level *= 1 + (random() - 0.5) * 2 * session.volatility;
+            session.last = round2(session.level * this._market.priceFactor(symbol, elapsed));
+            session.high = Math.max(session.high, session.last);
+            session.low = Math.min(session.low, session.last);
+            session.volume += Math.floor(100 + random() * 10_000);
+        }
+
+        // Roughly a quarter point on SPX, and never zero for cheap tickers
+        const halfSpread = Math.max(0.01, round2(session.last * 0.00004));
+        return new MarketQuote({
+            symbol,
+            price: session.last,
+            timestamp: this.clock(),
+            source: SOURCE,
+            open: session.open,
+            high: session.high,
+            low: session.low,
+            previousClose: session.previousClose,
+            bid: round2(session.last - halfSpread),
+            ask: round2(session.last + halfSpread),
+            volume: session.volume
+        });
+    }
+
+    /**
+     * The symbol's simulated session, opened on first use. The open gaps by up
+     * to +/- 1.5x the volatility from the reference price (the prior close).
+     * @private
+     * @param {string} symbol - Upper-case ticker.
+     * @returns {Object} Mutable walk state (level, last, open, high, low, volume).
+     */
+    _session(symbol) {
+        let session = this._sessions.get(symbol);
+        if (!session) {
+            const { basePrice, volatility } = this._profile(symbol);
+            const random = this._random('walk', symbol);
+            const level = basePrice * (1 + (random() - 0.5) * 3 * volatility);
+            const open = round2(level * this._market.priceFactor(symbol, this._elapsed()));
+            session = {
+                previousClose: basePrice,
+                volatility,
+                level,
+                open,
+                high: open,
+                low: open,
+                last: open,
+                volume: Math.floor(1_000_000 + random() * 4_000_000)
+            };
+            this._sessions.set(symbol, session);
+        }
+        return session;
+    }
+
+    /**
+     * Reference price and volatility each simulation drifts around. In replay
+     * mode the first recorded print of the symbol is the reference.
+     * @private
+     * @param {string} symbol
+     * @returns {{basePrice: number, volatility: number}}
+     */
+    _profile(symbol) {
+        const profile = this._market.profile(symbol);
+        const recorded = this._replay?.get(symbol.toUpperCase())?.quotes[0];
+        return recorded ? { ...profile, basePrice: recorded.previousClose ?? recorded.price } : profile;
+    }
+
+    /**
+     * The random source for one stream of draws ('walk' or 'network') of one
+     * symbol. Separate generators keep a symbol's prices independent of how
+     * often other symbols, or the network simulation, draw.
+     * @private
+     * @param {string} stream
+     * @param {string} symbol
+     * @returns {function(): number}
+     */
+    _random(stream, symbol) {
+        if (this.seed === null) return Math.random;
+        const key = `${this.seed}|${stream}|${symbol.toUpperCase()}`;
+        if (!this._generators.has(key)) {
+            this._generators.set(key, createPrng(key));
+        }
+        return this._generators.get(key);
+    }
+
+    /**
+     * Milliseconds since the adapter was created; the scenario time base.
+     * @private
+     * @returns {number}
+     */
+    _elapsed() {
+        return this.clock() - this.startedAt;
+    }
+
+    /**
+     * Reads the market and replay files exactly once.
+     * @private
+     * @returns {Promise<void>}
+     * @throws {InvalidConfigError} If a file is missing or invalid.
+     */
+    _ensureLoaded() {
+        if (!this._loading) {
+            this._loading = this._load().then(() => {
+                this._loaded = true;
+            });
+        }
+        return this._loading;
+    }
+
+    /** @private */
+    async _load() {
+        if (this.instrumentsPath) {
+            const instruments = parseJson(await readConfigFile(this.instrumentsPath, 'instruments'), this.instrumentsPath);
+            this._registry = InstrumentRegistryConfig.from(instruments, { origin: this.instrumentsPath });
+            logger.debug(`[MockAdapter] Listing ${this._registry.instruments.length} instruments from ${this.instrumentsPath}`);
+        }
+        if (this.marketPath) {
+            const market = parseJson(await readConfigFile(this.marketPath, 'market'), this.marketPath);
+            this._market = MockMarketConfig.from(market, { scenario: this.scenario, origin: this.marketPath });
+            logger.debug(`[MockAdapter] Loaded market profile from ${this.marketPath}`, { scenario: this.scenario });
+        }
+        if (this.replayPath) {
+            this._replay = parseRecording(await readConfigFile(this.replayPath, 'replay'), this.replayPath);
+            logger.debug(`[MockAdapter] Replaying ${this._replay.size} symbols from ${this.replayPath}`);
+        }
+    }
+
+    /**
+     * In replay mode only recorded symbols exist.
+     * @private
+     * @param {string} symbol
+     * @throws {SymbolNotFoundError}
+     */
+    _assertRecorded(symbol) {
+        if (this._replay && !this._replay.has(symbol.toUpperCase())) {
+            throw new SymbolNotFoundError(symbol.toUpperCase(), `${SOURCE} replay`);
+        }
+    }
+
+    /**
+     * Rejects empty input.
+     * @private
+     * @param {string} symbol
+     * @throws {ValidationError}
+     */
+    _assertSymbol(symbol) {
+        if (typeof symbol !== 'string' || symbol.trim() === '') {
+            throw new ValidationError('A symbol is required.', { field: 'symbol' });
+        }
+    }
+
+    /**
+     * Rejects tickers the simulated exchange does not list: those in neither
+     * the market profile nor the instrument registry. A recording is its own
+     * listing (see _assertRecorded). Call once the files are loaded.
+     * @private
+     * @param {string} symbol
+     * @throws {SymbolNotFoundError}
+     */
+    _assertListed(symbol) {
+        const key = symbol.toUpperCase();
+        if (this._replay || Object.hasOwn(this._market.symbols, key)) return;
+        if (this._registry?.instruments.some(instrument => instrument.symbolFor(PROVIDER).toUpperCase() === key)) return;
+        throw new SymbolNotFoundError(key, SOURCE, {
+            hint: 'The mock lists the symbols of its market profile (options.marketPath) and instrument registry (options.instrumentsPath).'
+        });
+    }
+
+    /**
+     * Applies simulated latency and injects upstream failures: scripted
+     * outages always, random ones at failureRate.
+     * @private
+     * @param {string} symbol
+     * @returns {Promise<number>} The simulated latency in milliseconds.
+     * @throws {ProviderUnavailableError} When the simulated upstream is unreachable.
+     */
+    async _simulateNetwork(symbol) {
+        const random = this._random('network', symbol);
 
         // 1. SIMULATE NETWORK LATENCY
-        const latency = Math.floor(Math.random() * this.maxLatency);
+        const latency = Math.floor(random() * this.maxLatency);
         await new Promise(resolve => setTimeout(resolve, latency));
 
-        // 2. SIMULATE RANDOM UPSTREAM FAILURE (Troubleshooting Test)
-        if (Math.random() < this.failureRate) {
+        // 2. SIMULATE A SCRIPTED OUTAGE WINDOW
+        if (this._market.isOutage(symbol, this._elapsed())) {
+            logger.error(`[MockAdapter] Simulated outage for ${symbol}`, { scenario: this.scenario });
+            throw new ProviderUnavailableError('Upstream Market Provider outage (simulated scenario).');
+        }
+
+        // 3. SIMULATE RANDOM UPSTREAM FAILURE (Troubleshooting Test)
+        if (random() < this.failureRate) {
             logger.error(`[MockAdapter] Simulated Upstream Failure for ${symbol}`, {
                 latency,
                 errorContext: 'UPSTREAM_TIMEOUT'
             });
-            throw new Error('Upstream Market Provider is currently unreachable.');
+            throw new ProviderUnavailableError('Upstream Market Provider is currently unreachable.');
         }
+        return latency;
+    }
+}
 
-        // 3. GENERATE DYNAMIC MOCK DATA
-        // Simulates slight volatility around the established SPX/ES levels
-        const basePrice = symbol.toUpperCase() === 'SPX' ? 6834.50 : 6887.25;
-        const drift = (Math.random() - 0.5) * 2.0; // Random movement +/- $1.00
-        const finalPrice = parseFloat((basePrice + drift).toFixed(2));
+/** @private */
+function round2(value) {
+    return parseFloat(value.toFixed(2));
+}
 
-        logger.debug(`[MockAdapter] Successfully simulated data for ${symbol}`, {
-            latency: `${latency}ms`,
-            price: finalPrice
-        });
+/** @private */
+function round4(value) {
+    return parseFloat(value.toFixed(4));
+}
 
-        return new MarketQuote({
-            symbol: symbol.toUpperCase(),
-            price: finalPrice,
-            timestamp: Date.now(),
-            source: 'MockProvider_v2'
+/**
+ * Bars between the anchor levels candle prices drift through.
+ */
+const DRIFT_SPAN = 16;
+
+/**
+ * Relative distance of a bar's close from the reference price, from the bar
+ * index alone: a line between random anchor levels every DRIFT_SPAN bars
+ * (spread like a DRIFT_SPAN-bar walk), plus the bar's own noise.
+ * @private
+ * @param {string} seedPrefix - Seed, symbol and resolution.
+ * @param {number} index - Bar timestamp / bar length.
+ * @param {number} sigma - Per-bar volatility.
+ * @returns {number}
+ */
+function barDrift(seedPrefix, index, sigma) {
+    const anchor = k => (createPrng(`${seedPrefix}|anchor|${k}`)() - 0.5) * 2 * sigma * Math.sqrt(DRIFT_SPAN);
+    const k = Math.floor(index / DRIFT_SPAN);
+    const t = index / DRIFT_SPAN - k;
+    const noise = (createPrng(`${seedPrefix}|close|${index}`)() - 0.5) * 2 * sigma;
+    return anchor(k) * (1 - t) + anchor(k + 1) * t + noise;
+}
+
+/**
+ * Strike spacing of roughly 0.1% of spot, rounded to a listed increment
+ * (5 points on SPX and ES).
+ * @private
+ */
+function strikeStep(spot) {
+    const increments = [0.5, 1, 2.5, 5, 10, 25, 50, 100];
+    return increments.findLast(increment => increment <= spot * 0.001) ?? increments[0];
+}
+
+/**
+ * The nearest weekday whose 16:00 New York close is still ahead.
+ * @private
+ * @param {number} now - Unix timestamp (ms).
+ * @returns {string} YYYY-MM-DD.
+ */
+function nextExpiry(now) {
+    const day = new Date(now);
+    for (;;) {
+        const date = day.toISOString().slice(0, 10);
+        const weekday = day.getUTCDay();
+        if (weekday !== 0 && weekday !== 6 && expiryTimestamp(date) > now) return date;
+        day.setUTCDate(day.getUTCDate() + 1);
+    }
+}
+
+/**
+ * @private
+ * @throws {InvalidConfigError} If the file cannot be read.
+ */
+async function readConfigFile(path, kind) {
+    try {
+        return await readFile(path, 'utf-8');
+    } catch (error) {
+        throw new InvalidConfigError(`Mock ${kind} file unreadable at ${path}: ${error.message}`, {
+            hint: `Fix options.${kind}Path of the mock entry in config/adapters.manifest.json.`
         });
     }
 }
+
+/**
+ * @private
+ * @throws {InvalidConfigError}
+ */
+function parseJson(text, origin) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new InvalidConfigError(`Malformed JSON in ${origin}: ${error.message}`);
+    }
+}
+
+/**
+ * Groups recorded quotes by symbol, in file order. Accepts NDJSON (what
+ * `--format ndjson` prints) or a JSON array of MarketQuote.toJSON() records.
+ * @private
+ * @returns {Map<string, {quotes: MarketQuote[], cursor: number}>}
+ * @throws {InvalidConfigError} For an empty recording or an invalid record.
+ */
+function parseRecording(text, origin) {
+    const trimmed = text.trim();
+    const records = trimmed.startsWith('[')
+        ? parseJson(trimmed, origin)
+        : trimmed.split('\n').filter(line => line.trim() !== '').map((line, index) => parseJson(line, `${origin} line ${index + 1}`));
+
+    const recordings = new Map();
+    records.forEach((record, index) => {
+        let quote;
+        try {
+            quote = new MarketQuote({
+                ...record,
+                timestamp: record.timestamp ?? Date.parse(record.capturedAt),
+                fromCache: false,
+                servedBy: null
+            });
+        } catch (error) {
+            throw new InvalidConfigError(`Invalid quote record ${index + 1} in ${origin}: ${error.message}`);
+        }
+        if (!recordings.has(quote.symbol)) recordings.set(quote.symbol, { quotes: [], cursor: 0 });
+        recordings.get(quote.symbol).quotes.push(quote);
+    });
+
+    if (recordings.size === 0) {
+        throw new InvalidConfigError(`Replay file ${origin} contains no quotes.`);
+    }
+    return recordings;
+}
@@ -1,4 +1,7 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import { MockMarketAdapter } from './MockMarketAdapter.js';
 import { MarketQuote } from '../../../domain/entities/MarketQuote.js';
 
@@ -10,4 +13,216 @@ describe('Market Adapter Integration', () => {
         expect(result).toBeInstanceOf(MarketQuote);
         expect(result.source).toContain('MockProvider');
     });
+
+    it('should fill in the full session snapshot', async () => {
+        const adapter = new MockMarketAdapter({ failureRate: 0, maxLatency: 0 });
+        const { high, low, price, bid, ask, ...rest } = await adapter.fetchQuote('ES');
+
+        expect(high).toBeGreaterThanOrEqual(price);
+        expect(low).toBeLessThanOrEqual(price);
+        expect(bid).toBeLessThan(ask);
+        for (const field of ['open', 'previousClose', 'change', 'changePercent', 'volume']) {
+            expect(rest[field]).toEqual(expect.any(Number));
+        }
+    });
+
+    it('should reject tickers the simulated exchange does not list with a typed error', async () => {
+        const adapter = new MockMarketAdapter({ failureRate: 1, maxLatency: 0 });
+
+        // Rejected before the simulated network, so the failure rate never masks it
+        await expect(adapter.fetchQuote('INVALID_SYMBOL_XYZ')).rejects.toMatchObject({ code: 'SYMBOL_NOT_FOUND' });
+        await expect(adapter.fetchQuote('')).rejects.toThrow('A symbol is required');
+    });
+
+    it('should push random-walk ticks to subscribers until unsubscribed', () => {
+        vi.useFakeTimers();
+        try {
+            const adapter = new MockMarketAdapter({ failureRate: 0 });
+            const quotes = [];
+            const unsubscribe = adapter.subscribe(['SPX', 'ES'], quote => quotes.push(quote), { intervalMs: 100 });
+
+            vi.advanceTimersByTime(300);
+            unsubscribe();
+            vi.advanceTimersByTime(300);
+
+            expect(adapter.pushesQuotes).toBe(true);
+            expect(quotes.map(({ symbol }) => symbol)).toEqual(['SPX', 'ES', 'SPX', 'ES', 'SPX', 'ES']);
+            const spx = quotes.filter(({ symbol }) => symbol === 'SPX');
+            // Each tick moves at most 0.05% from the previous one
+            expect(Math.abs(spx[1].price - spx[0].price)).toBeLessThanOrEqual(spx[0].price * 0.0005 + 0.01);
+            expect(spx[2].volume).toBeGreaterThan(spx[1].volume);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    it('should refuse a subscription with an unlisted symbol', () => {
+        const adapter = new MockMarketAdapter({ failureRate: 0 });
+
+        expect(() => adapter.subscribe(['SPX', 'INVALID_SYMBOL_XYZ'], () => {})).toThrow(expect.objectContaining({ code: 'SYMBOL_NOT_FOUND' }));
+    });
+});
+
+describe('MockMarketAdapter determinism, scenarios and replay', () => {
+    const calm = { failureRate: 0, maxLatency: 0 };
+    const prices = async (adapter, symbol, count) => {
+        const series = [];
+        for (let i = 0; i < count; i++) series.push((await adapter.fetchQuote(symbol)).price);
+        return series;
+    };
+
+    let dir;
+    beforeAll(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'plnexus-mock-'));
+    });
+    afterAll(() => rm(dir, { recursive: true, force: true }));
+
+    it('should repeat the same prices, latencies and failures for the same seed', async () => {
+        const run = async seed => {
+            const adapter = new MockMarketAdapter({ failureRate: 0.3, maxLatency: 0, seed });
+            const outcomes = [];
+            for (let i = 0; i < 8; i++) {
+                outcomes.push(await adapter.fetchQuote('SPX').then(({ price }) => price, ({ code }) => code));
+            }
+            return outcomes;
+        };
+
+        const first = await run('ci');
+        expect(await run('ci')).toEqual(first);
+        expect(first).toContain('PROVIDER_UNAVAILABLE');
+        expect(await run('other')).not.toEqual(first);
+    });
+
+    it('should keep a symbol\'s series independent of other symbols\' calls', async () => {
+        const alone = new MockMarketAdapter({ ...calm, seed: 1 });
+        const busy = new MockMarketAdapter({ ...calm, seed: 1 });
+        await prices(busy, 'ES', 3);
+
+        expect(await prices(busy, 'SPX', 3)).toEqual(await prices(alone, 'SPX', 3));
+    });
+
+    it('should walk around per-symbol profiles and give registry symbols without one distinct stable prices', async () => {
+        const instruments = { instruments: ['AAPL', 'NVDA'].map(symbol => ({ symbol, assetClass: 'equity', currency: 'USD' })) };
+        const market = { symbols: { VIX: { basePrice: 16.42, volatility: 0.004 } } };
+        const adapter = new MockMarketAdapter({ ...calm, seed: 1, market, instruments });
+
+        const vix = await adapter.fetchQuote('VIX');
+        expect(vix.previousClose).toBe(16.42);
+        expect(Math.abs(vix.price - 16.42)).toBeLessThan(16.42 * 0.02);
+
+        const [aapl, nvda] = [await adapter.fetchQuote('AAPL'), await adapter.fetchQuote('NVDA')];
+        expect(aapl.previousClose).not.toBe(nvda.previousClose);
+        expect((await new MockMarketAdapter({ ...calm, instruments }).fetchQuote('AAPL')).previousClose).toBe(aapl.previousClose);
+    });
+
+    it('should list only the market profile and the instrument registry file', async () => {
+        const instrumentsPath = join(dir, 'instruments.json');
+        await writeFile(instrumentsPath, JSON.stringify({
+            instruments: [{ symbol: 'SPY', assetClass: 'equity', currency: 'USD', aliases: { mock: 'SPY.M' } }]
+        }));
+        const adapter = new MockMarketAdapter({ ...calm, instrumentsPath });
+
+        await expect(adapter.fetchQuote('SPY.M')).resolves.toMatchObject({ symbol: 'SPY.M' });
+        await expect(adapter.fetchQuote('ES')).resolves.toMatchObject({ symbol: 'ES' });
+        await expect(adapter.fetchQuote('AAPL')).rejects.toMatchObject({ code: 'SYMBOL_NOT_FOUND' });
+        await expect(new MockMarketAdapter(calm).fetchQuote('AAPL')).rejects.toMatchObject({ code: 'SYMBOL_NOT_FOUND' });
+    });
+
+    it('should play scripted gap-down, halt, outage and flash-crash steps on the adapter clock', async () => {
+        const open = Date.UTC(2026, 0, 2, 14, 30);
+        let now = open;
+        const market = {
+            symbols: { SPX: { basePrice: 1000, volatility: 0 }, ES: { basePrice: 1000, volatility: 0 } },
+            scenarios: {
+                stress: [
+                    { type: 'gap-down', symbol: 'SPX', percent: 5 },
+                    { type: 'halt', symbol: 'SPX', atMs: 1000, durationMs: 1000 },
+                    { type: 'flash-crash', symbol: 'ES', atMs: 1000, durationMs: 2000, percent: 10 },
+                    { type: 'outage', atMs: 5000, durationMs: 1000 }
+                ]
+            }
+        };
+        const adapter = new MockMarketAdapter({ ...calm, seed: 1, market, scenario: 'stress', clock: () => now });
+
+        expect((await adapter.fetchQuote('SPX')).price).toBe(950);
+        expect((await adapter.fetchQuote('ES')).price).toBe(1000);
+
+        now = open + 1500;
+        const halted = await adapter.fetchQuote('SPX');
+        now = open + 1900;
+        expect((await adapter.fetchQuote('SPX')).volume).toBe(halted.volume);
+
+        now = open + 2000; // flash-crash trough
+        expect((await adapter.fetchQuote('ES')).price).toBe(900);
+        now = open + 3000;
+        expect((await adapter.fetchQuote('ES')).low).toBe(900);
+        expect((await adapter.fetchQuote('ES')).price).toBe(1000);
+
+        now = open + 5500;
+        await expect(adapter.fetchQuote('ES')).rejects.toMatchObject({ code: 'PROVIDER_UNAVAILABLE' });
+        now = open + 6000;
+        await expect(adapter.fetchQuote('ES')).resolves.toBeDefined();
+    });
+
+    it('should build a seeded option chain around the last print, nearest expiry by default', async () => {
+        const clock = () => Date.parse('2026-01-03T12:00:00Z'); // a Saturday
+        const adapter = new MockMarketAdapter({ ...calm, seed: 4, clock });
+        const twin = new MockMarketAdapter({ ...calm, seed: 4, clock });
+
+        const chain = await adapter.fetchOptionChain('spx', null);
+        expect(chain).toMatchObject({ underlying: 'SPX', expiry: '2026-01-05', spot: 6834.5, source: 'MockProvider_v2' });
+        expect(chain.strikes).toHaveLength(81);
+        expect(chain.strikes[1] - chain.strikes[0]).toBe(5);
+        expect(chain.contracts.every(({ gamma, openInterest }) => gamma > 0 && openInterest > 0)).toBe(true);
+        expect((await twin.fetchOptionChain('SPX', null)).toJSON()).toEqual(chain.toJSON());
+
+        const { price } = await adapter.fetchQuote('SPX');
+        expect((await adapter.fetchOptionChain('SPX', '2026-01-16')).spot).toBe(price);
+        await expect(adapter.fetchOptionChain('SPX', '2026-01-02')).rejects.toThrow('no SPX options expiring 2026-01-02');
+    });
+
+    it('should give overlapping candle ranges the same bars at the same timestamps', async () => {
+        const adapter = new MockMarketAdapter({ ...calm, seed: 2 });
+        const day = 86_400_000;
+        const start = Date.UTC(2026, 0, 1);
+
+        const early = await adapter.fetchCandles('SPX', 'D', start, start + 40 * day);
+        const late = await adapter.fetchCandles('SPX', 'D', start + 20 * day, start + 60 * day);
+        const shared = early.filter(({ timestamp }) => timestamp >= late[0].timestamp);
+
+        expect(shared).toHaveLength(21);
+        expect(late.slice(0, shared.length).map(candle => candle.toJSON())).toEqual(shared.map(candle => candle.toJSON()));
+        expect(early.slice(1).every((candle, i) => candle.open === early[i].close)).toBe(true);
+    });
+
+    it('should reject invalid market documents and unknown scenarios by field', () => {
+        expect(() => new MockMarketAdapter({ market: { symbols: { SPX: { basePrice: -1 } } } }))
+            .toThrow('symbols.SPX.basePrice must be a positive number');
+        expect(() => new MockMarketAdapter({ market: { scenarios: { x: [{ type: 'meteor' }] } } }))
+            .toThrow('scenarios.x.0.type must be one of');
+        expect(() => new MockMarketAdapter({ market: { scenarios: { x: [] } }, scenario: 'y' }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_CONFIG', message: expect.stringContaining('available: [x]') }));
+    });
+
+    it('should load the market file named by marketPath on first use', async () => {
+        const marketPath = join(dir, 'market.json');
+        await writeFile(marketPath, JSON.stringify({ symbols: { TEST: { basePrice: 42, volatility: 0 } } }));
+
+        const quote = await new MockMarketAdapter({ ...calm, marketPath }).fetchQuote('TEST');
+        expect(quote).toMatchObject({ previousClose: 42, price: 42 });
+
+        await expect(new MockMarketAdapter({ ...calm, marketPath: join(dir, 'nope.json') }).fetchQuote('SPX'))
+            .rejects.toMatchObject({ code: 'INVALID_CONFIG' });
+    });
+
+    it('should replay recorded quotes in order, wrapping around, and list only recorded symbols', async () => {
+        const replayPath = join(dir, 'session.ndjson');
+        const record = (symbol, price) => JSON.stringify({ symbol, price, previousClose: 100, capturedAt: '2026-01-02T15:00:00.000Z', source: 'Finnhub' });
+        await writeFile(replayPath, [record('SPX', 101), record('ES', 201), record('SPX', 102)].join('\n') + '\n');
+
+        const adapter = new MockMarketAdapter({ ...calm, replayPath });
+        expect(await prices(adapter, 'SPX', 3)).toEqual([101, 102, 101]);
+        expect((await adapter.fetchQuote('ES')).getAge()).toBeLessThan(60_000);
+        await expect(adapter.fetchQuote('NQ')).rejects.toMatchObject({ code: 'SYMBOL_NOT_FOUND' });
+    });
 });
@@ -0,0 +1,201 @@
+/**
+ * infrastructure/adapters/api/MockMarketConfig.js
+ * * Market profile for the MockMarketAdapter.
+ * Holds the per-symbol reference prices and volatility the simulation walks
+ * around, plus the scripted scenario (if any) the run follows. Loaded from
+ * config/mock.market.json via the manifest's options.marketPath.
+ * * SCENARIO STEPS (times are ms since the adapter was created):
+ * - gap-down:    {percent, atMs?}               Level drops by percent from atMs (default 0: at the open).
+ * - halt:        {atMs, durationMs}             Prices freeze; streams go quiet.
+ * - outage:      {atMs, durationMs}             Every request fails with PROVIDER_UNAVAILABLE.
+ * - flash-crash: {percent, atMs, durationMs}    Falls by percent to mid-window, then recovers.
+ * A step without a symbol applies to every symbol.
+ */
+
+import { InvalidConfigError } from '../../../domain/errors/DomainErrors.js';
+import { hashSeed } from '../../../shared/prng.js';
+
+/**
+ * Fraction one tick may move the price (+/- 0.05%).
+ */
+export const DEFAULT_VOLATILITY = 0.0005;
+
+/**
+ * Reference levels used when no market file is configured.
+ */
+const BUILT_IN_SYMBOLS = Object.freeze({
+    SPX: { basePrice: 6834.50 },
+    ES: { basePrice: 6887.25 }
+});
+
+const STEP_FIELDS = Object.freeze({
+    'gap-down': { required: ['percent'], optional: ['atMs', 'symbol'] },
+    'halt': { required: ['atMs', 'durationMs'], optional: ['symbol'] },
+    'outage': { required: ['atMs', 'durationMs'], optional: ['symbol'] },
+    'flash-crash': { required: ['percent', 'atMs', 'durationMs'], optional: ['symbol'] }
+});
+
+export class MockMarketConfig {
+    /**
+     * @param {Object} params
+     * @param {Object<string, {basePrice: number, volatility: number}>} params.symbols
+     * @param {number} params.volatility - Default for symbols without their own.
+     * @param {string|null} params.scenarioName
+     * @param {Array<Object>} params.steps - The selected scenario's steps.
+     */
+    constructor({ symbols, volatility, scenarioName, steps }) {
+        this.symbols = symbols;
+        this.volatility = volatility;
+        this.scenarioName = scenarioName;
+        this.steps = steps;
+        Object.freeze(this);
+    }
+
+    /**
+     * Validates a raw market document and selects the named scenario.
+     * @param {Object|null} raw - Parsed market file ({volatility?, symbols?, scenarios?}); null for built-ins.
+     * @param {Object} [options]
+     * @param {string|null} [options.scenario=null] - Key in raw.scenarios to run.
+     * @param {string} [options.origin='market config'] - Label used in error messages (usually the file path).
+     * @returns {MockMarketConfig}
+     * @throws {InvalidConfigError} Naming the offending field.
+     */
+    static from(raw, { scenario = null, origin = 'market config' } = {}) {
+        const fail = (field, message) => new InvalidConfigError(`Invalid mock market (${origin}): ${field} ${message}.`, {
+            hint: 'See the SCENARIO STEPS in infrastructure/adapters/api/MockMarketConfig.js.'
+        });
+        const document = raw ?? { symbols: BUILT_IN_SYMBOLS };
+        if (typeof document !== 'object' || Array.isArray(document)) throw fail('(root)', 'must be an object');
+
+        const volatility = document.volatility ?? DEFAULT_VOLATILITY;
+        assertVolatility(volatility, 'volatility', fail);
+
+        const symbols = {};
+        for (const [symbol, profile] of Object.entries(document.symbols ?? {})) {
+            const field = `symbols.${symbol}`;
+            if (!isPositive(profile?.basePrice)) throw fail(`${field}.basePrice`, 'must be a positive number');
+            if (profile.volatility !== undefined) assertVolatility(profile.volatility, `${field}.volatility`, fail);
+            symbols[symbol.toUpperCase()] = { basePrice: profile.basePrice, volatility: profile.volatility ?? volatility };
+        }
+
+        const scenarios = document.scenarios ?? {};
+        for (const [name, steps] of Object.entries(scenarios)) {
+            if (!Array.isArray(steps)) throw fail(`scenarios.${name}`, 'must be an array of steps');
+            steps.forEach((step, index) => assertStep(step, `scenarios.${name}.${index}`, fail));
+        }
+        if (scenario !== null && !Object.hasOwn(scenarios, scenario)) {
+            const available = Object.keys(scenarios).join(', ') || 'none';
+            throw fail('scenario', `"${scenario}" is not defined; available: [${available}]`);
+        }
+
+        const steps = scenario === null ? [] : scenarios[scenario].map(step => Object.freeze({
+            ...step,
+            atMs: step.atMs ?? 0,
+            symbol: step.symbol?.toUpperCase() ?? null
+        }));
+        return new MockMarketConfig({ symbols, volatility, scenarioName: scenario, steps });
+    }
+
+    /**
+     * Reference price and volatility for a symbol. Unconfigured symbols get a
+     * stable price between 20 and 500 derived from the ticker, so AAPL and
+     * NVDA no longer share one number.
+     * @param {string} symbol
+     * @returns {{basePrice: number, volatility: number}}
+     */
+    profile(symbol) {
+        const key = symbol.toUpperCase();
+        return this.symbols[key] ?? {
+            basePrice: 20 + (hashSeed(key) % 48_000) / 100,
+            volatility: this.volatility
+        };
+    }
+
+    /**
+     * Multiplier the scenario applies to the simulated price level.
+     * @param {string} symbol
+     * @param {number} elapsedMs
+     * @returns {number} 1 when nothing applies.
+     */
+    priceFactor(symbol, elapsedMs) {
+        let factor = 1;
+        for (const step of this.#active(symbol, elapsedMs)) {
+            if (step.type === 'gap-down') {
+                factor *= 1 - step.percent / 100;
+            } else if (step.type === 'flash-crash') {
+                // Triangle: 0 at the window edges, the full drop at its midpoint
+                const progress = (elapsedMs - step.atMs) / step.durationMs;
+                factor *= 1 - (step.percent / 100) * (1 - Math.abs(2 * progress - 1));
+            }
+        }
+        return factor;
+    }
+
+    /**
+     * @param {string} symbol
+     * @param {number} elapsedMs
+     * @returns {boolean}
+     */
+    isHalted(symbol, elapsedMs) {
+        return this.#active(symbol, elapsedMs).some(({ type }) => type === 'halt');
+    }
+
+    /**
+     * @param {string} symbol
+     * @param {number} elapsedMs
+     * @returns {boolean}
+     */
+    isOutage(symbol, elapsedMs) {
+        return this.#active(symbol, elapsedMs).some(({ type }) => type === 'outage');
+    }
+
+    /**
+     * Steps in effect for the symbol at the given time. gap-down never ends.
+     * @private
+     */
+    #active(symbol, elapsedMs) {
+        const key = symbol.toUpperCase();
+        return this.steps.filter(step => (step.symbol === null || step.symbol === key)
+            && elapsedMs >= step.atMs
+            && (step.durationMs === undefined || elapsedMs < step.atMs + step.durationMs));
+    }
+}
+
+/** @private */
+function assertStep(step, field, fail) {
+    const fields = STEP_FIELDS[step?.type];
+    if (!fields) throw fail(`${field}.type`, `must be one of [${Object.keys(STEP_FIELDS).join(', ')}]`);
+
+    for (const key of Object.keys(step)) {
+        if (key !== 'type' && !fields.required.includes(key) && !fields.optional.includes(key)) {
+            throw fail(`${field}.${key}`, `is not a recognised field for ${step.type}`);
+        }
+    }
+    for (const key of fields.required) {
+        if (step[key] === undefined) throw fail(`${field}.${key}`, 'is required');
+    }
+    if (step.percent !== undefined && !(isPositive(step.percent) && step.percent < 100)) {
+        throw fail(`${field}.percent`, 'must be between 0 and 100');
+    }
+    if (step.atMs !== undefined && !(Number.isInteger(step.atMs) && step.atMs >= 0)) {
+        throw fail(`${field}.atMs`, 'must be a non-negative integer');
+    }
+    if (step.durationMs !== undefined && !(Number.isInteger(step.durationMs) && step.durationMs > 0)) {
+        throw fail(`${field}.durationMs`, 'must be a positive integer');
+    }
+    if (step.symbol !== undefined && (typeof step.symbol !== 'string' || step.symbol.trim() === '')) {
+        throw fail(`${field}.symbol`, 'must be a ticker');
+    }
+}
+
+/** @private */
+function assertVolatility(value, field, fail) {
+    if (!(typeof value === 'number' && value >= 0 && value <= 0.1)) {
+        throw fail(field, 'must be a number between 0 and 0.1');
+    }
+}
+
+/** @private */
+function isPositive(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
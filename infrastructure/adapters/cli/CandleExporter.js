@@ -0,0 +1,42 @@
+/**
+ * @fileoverview CandleExporter
+ * Writes historical bars to disk. The format follows the file extension:
+ * '.json' produces an array of Candle.toJSON() objects, anything else CSV.
+ */
+
+import { writeFile } from 'fs/promises';
+import { resolve, extname } from 'path';
+
+const CSV_COLUMNS = ['symbol', 'resolution', 'openedAt', 'open', 'high', 'low', 'close', 'volume', 'source'];
+
+export class CandleExporter {
+    /**
+     * @param {string} filePath - Destination, relative to the working directory.
+     * @param {Object[]} candles - Candle entities.
+     * @returns {Promise<string>} The absolute path written.
+     */
+    static async write(filePath, candles) {
+        const absolutePath = resolve(filePath);
+        const rows = candles.map(candle => candle.toJSON());
+
+        const body = extname(absolutePath).toLowerCase() === '.json'
+            ? JSON.stringify(rows, null, 2) + '\n'
+            : CandleExporter.toCsv(rows);
+
+        await writeFile(absolutePath, body, 'utf-8');
+        return absolutePath;
+    }
+
+    /**
+     * Serialises candle rows to CSV with a header line.
+     * @param {Object[]} rows - Candle.toJSON() output.
+     * @returns {string}
+     */
+    static toCsv(rows) {
+        const lines = [CSV_COLUMNS.join(',')];
+        for (const row of rows) {
+            lines.push(CSV_COLUMNS.map(column => row[column] ?? '').join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+}
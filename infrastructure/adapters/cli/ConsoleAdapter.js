@@ -17,39 +17,565 @@ export class ConsoleAdapter {
         }
 
         // --- 2. DATA DESTRUCTURING ---
+        // Optional snapshot fields arrive as null when the provider omits them.
         const { 
             symbol = 'UNKNOWN', 
             price = 0, 
-            change = 0, 
-            high = 0, 
-            low = 0 
+            change = null, 
+            changePercent = null, 
+            open = null, 
+            high = null, 
+            low = null, 
+            previousClose = null, 
+            bid = null, 
+            ask = null, 
+            volume = null, 
+            source = 'UNKNOWN', 
+            fromCache = false, 
+            servedBy = null 
         } = data;
 
         // --- 3. FORMATTING LOGIC ---
         const timestamp = new Date().toLocaleTimeString();
-        const trendIcon = change >= 0 ? '📈' : '📉';
-        const colorCode = change >= 0 ? '\x1b[32m' : '\x1b[31m'; // Green or Red
+        const direction = changePercent ?? change ?? 0;
+        const trendIcon = direction >= 0 ? '📈' : '📉';
+        const colorCode = direction >= 0 ? '\x1b[32m' : '\x1b[31m'; // Green or Red
         const resetColor = '\x1b[0m';
+        const changeText = change === null && changePercent === null
+            ? 'N/A'
+            : `${this.formatSigned(change)} (${this.formatSigned(changePercent)}%)`;
 
         // --- 4. TERMINAL OUTPUT ---
         console.log("\n" + "=".repeat(50));
         console.log(`  PLNexus DISCOVERY: ${symbol.toUpperCase()}  [${timestamp}]`);
         console.log("=".repeat(50));
         
-        console.log(`  CURRENT PRICE :  $${price.toLocaleString(undefined, { minimumFractionDigits: 2 })}`);
-        console.log(`  24H CHANGE    :  ${colorCode}${change > 0 ? '+' : ''}${change}% ${trendIcon}${resetColor}`);
+        console.log(`  CURRENT PRICE :  ${this.formatPrice(price)}`);
+        console.log(`  CHANGE        :  ${colorCode}${changeText} ${trendIcon}${resetColor}`);
         
         console.log("-".repeat(50));
-        console.log(`  SESSION HIGH  :  $${high.toLocaleString()}`);
-        console.log(`  SESSION LOW   :  $${low.toLocaleString()}`);
+        console.log(`  OPEN          :  ${this.formatPrice(open)}`);
+        console.log(`  SESSION HIGH  :  ${this.formatPrice(high)}`);
+        console.log(`  SESSION LOW   :  ${this.formatPrice(low)}`);
+        console.log(`  PREV CLOSE    :  ${this.formatPrice(previousClose)}`);
+        console.log("-".repeat(50));
+        console.log(`  BID / ASK     :  ${this.formatPrice(bid)} / ${this.formatPrice(ask)}`);
+        console.log(`  VOLUME        :  ${volume === null ? 'N/A' : volume.toLocaleString()}`);
+        console.log(`  SOURCE        :  ${source}${fromCache ? ' \x1b[33m[CACHED]\x1b[0m' : ''}`);
+        if (servedBy) console.log(`  SERVED BY     :  ${servedBy}`);
         console.log("=".repeat(50) + "\n");
     }
 
     /**
-     * Renders an error message in a standardized format.
-     * @param {string} message 
+     * Renders a multi-symbol batch result as a compact table.
+     * @param {{quotes: Object[], failures: Array<{symbol: string, reason: string}>}} result
+     */
+    renderTable({ quotes = [], failures = [] } = {}) {
+        const resetColor = '\x1b[0m';
+        const columns = [
+            ['SYMBOL', 8], ['PRICE', 13], ['CHANGE', 10], ['CHG %', 8], ['HIGH', 13], ['LOW', 13]
+        ];
+        const width = columns.reduce((sum, [, size]) => sum + size + 2, 0);
+        const row = cells => '  ' + cells
+            .map((cell, i) => (i === 0 ? cell.padEnd(columns[i][1]) : cell.padStart(columns[i][1])))
+            .join('  ');
+
+        console.log("\n" + "=".repeat(width));
+        console.log(`  PLNexus BATCH DISCOVERY: ${quotes.length} OK / ${failures.length} FAILED  [${new Date().toLocaleTimeString()}]`);
+        console.log("=".repeat(width));
+        console.log(row(columns.map(([title]) => title)));
+        console.log("-".repeat(width));
+
+        for (const quote of quotes) {
+            const direction = quote.changePercent ?? quote.change ?? 0;
+            const colorCode = direction >= 0 ? '\x1b[32m' : '\x1b[31m';
+            const line = row([
+                quote.symbol,
+                this.formatPrice(quote.price),
+                this.formatSigned(quote.change),
+                this.formatSigned(quote.changePercent),
+                this.formatPrice(quote.high),
+                this.formatPrice(quote.low)
+            ]);
+            console.log(`${colorCode}${line}${resetColor}`);
+        }
+
+        if (failures.length > 0) {
+            console.log("-".repeat(width));
+            for (const { symbol, reason } of failures) {
+                console.log(`  \x1b[31m${(symbol || '?').padEnd(8)}  ✖ ${reason}${resetColor}`);
+            }
+        }
+        console.log("=".repeat(width) + "\n");
+    }
+
+    /**
+     * Redraws the watch-mode screen in place, highlighting each tick against the previous print.
+     * @param {{quotes: Object[], failures: Array<{symbol: string, reason: string}>}} result
+     * @param {Map<string, Object>} previous - Last quote per symbol from the prior poll.
+     * @param {{poll: number, intervalMs: number}} status
+     */
+    renderWatch({ quotes = [], failures = [] }, previous, { poll, intervalMs }) {
+        const resetColor = '\x1b[0m';
+        const width = 72;
+
+        // Cursor home + clear screen keeps the table anchored instead of scrolling
+        process.stdout.write('\x1b[H\x1b[2J');
+        console.log("=".repeat(width));
+        console.log(`  PLNexus WATCH  poll #${poll}  every ${intervalMs / 1000}s  [${new Date().toLocaleTimeString()}]`);
+        console.log("=".repeat(width));
+        console.log(`  ${'SYMBOL'.padEnd(8)}  ${'PRICE'.padStart(13)}  ${'TICK'.padStart(10)}  ${'CHG %'.padStart(8)}  ${'SOURCE'}`);
+        console.log("-".repeat(width));
+
+        for (const quote of quotes) {
+            const prior = previous.get(quote.symbol);
+            const tick = prior ? quote.price - prior.price : 0;
+            let colorCode = '\x1b[2m'; // Dim: first print or unchanged
+            let arrow = '•';
+            if (tick > 0) { colorCode = '\x1b[1;32m'; arrow = '▲'; }
+            if (tick < 0) { colorCode = '\x1b[1;31m'; arrow = '▼'; }
+
+            const tickText = prior ? `${arrow} ${this.formatSigned(tick)}` : arrow;
+            console.log(`${colorCode}  ${quote.symbol.padEnd(8)}  ${this.formatPrice(quote.price).padStart(13)}  ${tickText.padStart(10)}  ${this.formatSigned(quote.changePercent).padStart(8)}  ${quote.servedBy || quote.source}${quote.fromCache ? ' [CACHED]' : ''}${resetColor}`);
+        }
+
+        for (const { symbol, reason } of failures) {
+            console.log(`  \x1b[31m${symbol.padEnd(8)}  ✖ ${reason}${resetColor}`);
+        }
+        console.log("=".repeat(width));
+        console.log("  Press Ctrl+C to stop.");
+    }
+
+    /**
+     * Renders historical bars as a table, one row per candle.
+     * @param {string} symbol - The requested ticker.
+     * @param {string} resolution - The bar resolution.
+     * @param {Object[]} candles - Candle entities in ascending order.
+     */
+    renderCandles(symbol, resolution, candles) {
+        const width = 86;
+        console.log("\n" + "=".repeat(width));
+        console.log(`  PLNexus HISTORY: ${symbol.toUpperCase()}  resolution ${resolution}  (${candles.length} bars)`);
+        console.log("=".repeat(width));
+        console.log(`  ${'OPENED AT'.padEnd(20)}${['OPEN', 'HIGH', 'LOW', 'CLOSE'].map(h => h.padStart(13)).join('')}${'VOLUME'.padStart(14)}`);
+        console.log("-".repeat(width));
+
+        for (const candle of candles) {
+            const openedAt = new Date(candle.timestamp).toISOString().replace('T', ' ').slice(0, 16);
+            const prices = [candle.open, candle.high, candle.low, candle.close]
+                .map(value => this.formatPrice(value).padStart(13)).join('');
+            const volume = candle.volume === null ? 'N/A' : candle.volume.toLocaleString();
+            const colorCode = candle.close >= candle.open ? '\x1b[32m' : '\x1b[31m';
+            console.log(`${colorCode}  ${openedAt.padEnd(20)}${prices}${volume.padStart(14)}\x1b[0m`);
+        }
+        console.log("=".repeat(width) + "\n");
+    }
+
+    /**
+     * Renders dealer gamma exposure: the totals, then one row per strike with
+     * a bar for its net exposure (green long gamma, red short gamma).
+     * @param {Object} report - GetGammaExposure result (strikes ascending).
+     */
+    renderGammaExposure({ underlying, expiry, spot, source, callGex, putGex, totalGex, flipLevel, strikes }) {
+        const width = 72;
+        const barWidth = 20;
+        const largest = Math.max(1, ...strikes.map(({ netGex }) => Math.abs(netGex)));
+        const nearest = strikes.reduce((best, row) => (!best || Math.abs(row.strike - spot) < Math.abs(best.strike - spot) ? row : best), null);
+        const colorOf = value => value >= 0 ? '\x1b[32m' : '\x1b[31m';
+
+        console.log("\n" + "=".repeat(width));
+        console.log(`  PLNexus GAMMA EXPOSURE: ${underlying}  expiry ${expiry}`);
+        console.log("=".repeat(width));
+        console.log(`  SPOT          :  ${this.formatPrice(spot)}`);
+        console.log(`  NET GEX       :  ${colorOf(totalGex)}${this.formatGex(totalGex)}\x1b[0m per 1% move`);
+        console.log(`  CALL / PUT    :  ${this.formatGex(callGex)} / ${this.formatGex(putGex)}`);
+        console.log(`  ZERO GAMMA    :  ${flipLevel === null ? 'N/A (no flip within range)' : this.formatPrice(flipLevel)}`);
+        console.log(`  SOURCE        :  ${source}`);
+        console.log("-".repeat(width));
+        console.log(`  ${'STRIKE'.padStart(10)}${'CALL OI'.padStart(10)}${'PUT OI'.padStart(10)}${'NET GEX'.padStart(11)}   NET GEX PROFILE`);
+        console.log("-".repeat(width));
+
+        for (const row of strikes) {
+            const bar = '█'.repeat(Math.round((Math.abs(row.netGex) / largest) * barWidth));
+            const marker = row === nearest ? ' \x1b[1m◂ spot\x1b[0m' : '';
+            console.log(`  ${row.strike.toFixed(2).padStart(10)}${row.callOpenInterest.toLocaleString().padStart(10)}`
+                + `${row.putOpenInterest.toLocaleString().padStart(10)}${this.formatGex(row.netGex).padStart(11)}   `
+                + `${colorOf(row.netGex)}${bar}\x1b[0m${marker}`);
+        }
+        console.log("=".repeat(width) + "\n");
+    }
+
+    /**
+     * Renders a portfolio valuation: one row per priced position, unpriced
+     * symbols in red, then the totals of the priced positions.
+     * @param {Object} result - ValuePortfolio result.
+     */
+    renderPortfolio({ name, valuedAt, positions = [], failures = [], totals }) {
+        const resetColor = '\x1b[0m';
+        const colorOf = value => value >= 0 ? '\x1b[32m' : '\x1b[31m';
+        const columns = [
+            ['SYMBOL', 8], ['QTY', 9], ['COST', 13], ['PRICE', 13], ['MKT VALUE', 15], ['UNREAL P&L', 15], ['P&L %', 8]
+        ];
+        const width = columns.reduce((sum, [, size]) => sum + size + 2, 0);
+        const row = cells => '  ' + cells
+            .map((cell, i) => (i === 0 ? cell.padEnd(columns[i][1]) : cell.padStart(columns[i][1])))
+            .join('  ');
+
+        console.log("\n" + "=".repeat(width));
+        console.log(`  PLNexus PORTFOLIO: ${name}  ${totals.priced} PRICED / ${totals.unpriced} UNPRICED  [${new Date(valuedAt).toLocaleTimeString()}]`);
+        console.log("=".repeat(width));
+        console.log(row(columns.map(([title]) => title)));
+        console.log("-".repeat(width));
+
+        for (const position of positions) {
+            const quantity = position.multiplier === 1 ? String(position.quantity) : `${position.quantity}x${position.multiplier}`;
+            const line = row([
+                position.symbol,
+                quantity,
+                this.formatPrice(position.costBasis),
+                this.formatPrice(position.price),
+                this.formatPrice(position.marketValue),
+                this.formatSigned(position.unrealizedPnl),
+                this.formatSigned(position.unrealizedPnlPercent)
+            ]);
+            console.log(`${colorOf(position.unrealizedPnl)}${line}${resetColor}`);
+        }
+
+        if (failures.length > 0) {
+            console.log("-".repeat(width));
+            for (const { symbol, reason } of failures) {
+                console.log(`  \x1b[31m${(symbol || '?').padEnd(8)}  ✖ ${reason}${resetColor}`);
+            }
+        }
+
+        console.log("-".repeat(width));
+        const total = row(['TOTAL', '', '', '', this.formatPrice(totals.marketValue),
+            this.formatSigned(totals.unrealizedPnl), this.formatSigned(totals.unrealizedPnlPercent)]);
+        console.log(`\x1b[1m${colorOf(totals.unrealizedPnl)}${total}${resetColor}`);
+        console.log("=".repeat(width) + "\n");
+    }
+
+    /**
+     * Renders saved watchlists, each with its symbols and their last prices.
+     * @param {Object[]} watchlists - Watchlist entities.
+     */
+    renderWatchlists(watchlists) {
+        const width = 72;
+
+        console.log("\n" + "=".repeat(width));
+        console.log(`  PLNexus WATCHLISTS (${watchlists.length})`);
+        console.log("=".repeat(width));
+        if (watchlists.length === 0) {
+            console.log(`  \x1b[2mNone saved yet. Try: watchlist create morning SPX,ES\x1b[0m`);
+        }
+        for (const { name, symbols, lastResults, updatedAt } of watchlists) {
+            const updated = updatedAt === null ? '' : `  \x1b[2mupdated ${new Date(updatedAt).toLocaleString()}\x1b[0m`;
+            console.log(`  \x1b[1m${name}\x1b[0m  ${symbols.length} symbol${symbols.length === 1 ? '' : 's'}${updated}`);
+            for (const symbol of symbols) {
+                const last = lastResults[symbol];
+                const lastText = last ? `${this.formatPrice(last.price)}  \x1b[2m${new Date(last.capturedAt).toLocaleString()}\x1b[0m` : '\x1b[2mnot run yet\x1b[0m';
+                console.log(`    ${symbol.padEnd(10)}${lastText}`);
+            }
+        }
+        console.log("=".repeat(width) + "\n");
+    }
+
+    /**
+     * Renders a watchlist run: today's price and change next to the price at
+     * the previous run, and the move since then.
+     * @param {Object} run - RunWatchlist result.
+     */
+    renderWatchlistRun({ name, ranAt, rows = [], failures = [] }) {
+        const resetColor = '\x1b[0m';
+        const colorOf = value => value === null ? '' : value >= 0 ? '\x1b[32m' : '\x1b[31m';
+        const columns = [
+            ['SYMBOL', 8], ['PRICE', 13], ['CHG %', 8], ['LAST RUN', 13], ['SINCE LAST', 11], ['%', 8], ['LAST AT', 10]
+        ];
+        const width = columns.reduce((sum, [, size]) => sum + size + 2, 0);
+        const row = cells => '  ' + cells
+            .map((cell, i) => (i === 0 ? cell.padEnd(columns[i][1]) : cell.padStart(columns[i][1])))
+            .join('  ');
+
+        console.log("\n" + "=".repeat(width));
+        console.log(`  PLNexus WATCHLIST: ${name}  ${rows.length} OK / ${failures.length} FAILED  [${new Date(ranAt).toLocaleTimeString()}]`);
+        console.log("=".repeat(width));
+        console.log(row(columns.map(([title]) => title)));
+        console.log("-".repeat(width));
+
+        for (const entry of rows) {
+            const line = row([
+                entry.symbol,
+                this.formatPrice(entry.price),
+                this.formatSigned(entry.changePercent),
+                entry.lastPrice === null ? '-' : this.formatPrice(entry.lastPrice),
+                entry.sinceLast === null ? '-' : this.formatSigned(entry.sinceLast),
+                entry.sinceLastPercent === null ? '-' : this.formatSigned(entry.sinceLastPercent),
+                entry.lastCapturedAt === null ? '-' : new Date(entry.lastCapturedAt).toLocaleTimeString()
+            ]);
+            console.log(`${colorOf(entry.sinceLast)}${line}${resetColor}${entry.fromCache ? ' \x1b[33m[CACHED]\x1b[0m' : ''}`);
+        }
+
+        if (failures.length > 0) {
+            console.log("-".repeat(width));
+            for (const { symbol, reason } of failures) {
+                console.log(`  \x1b[31m${(symbol || '?').padEnd(8)}  ✖ ${reason}${resetColor}`);
+            }
+        }
+        console.log("=".repeat(width) + "\n");
+    }
+
+    /**
+     * Renders one fired alert as a banner, ringing the terminal bell first.
+     * @param {Object} alert - MonitorAlerts alert, or a webhook payload (ISO timestamps).
+     * @param {{bell?: boolean}} [options]
+     */
+    renderAlert(alert, { bell = true } = {}) {
+        const { symbol, condition, message, price, previousPrice, firedAt } = alert;
+        const priceText = price === null ? 'no quote' : `${this.formatPrice(price)}${previousPrice === null ? '' : ` (was ${this.formatPrice(previousPrice)})`}`;
+
+        if (bell) process.stdout.write('\x07');
+        console.log(`\n\x1b[43m\x1b[30m ALERT \x1b[0m \x1b[1m${condition}\x1b[0m  ${priceText}  [${new Date(firedAt).toLocaleTimeString()}]`);
+        if (message) console.log(`  \x1b[33m→ ${message}\x1b[0m`);
+        console.log(`  rule ${alert.ruleId}  symbol ${symbol}\n`);
+    }
+
+    /**
+     * Renders the result of 'manifest validate': schema errors, then a check list per entry.
+     * @param {{valid: boolean, errors: Array<{field: string, message: string}>, entries: Array<Object>}} report
+     * @param {string} manifestPath - Shown in the header.
+     */
+    renderManifestReport({ valid, errors = [], entries = [] }, manifestPath) {
+        const width = 72;
+        const pass = '\x1b[32m✔\x1b[0m';
+        const fail = '\x1b[31m✖\x1b[0m';
+
+        console.log("\n" + "=".repeat(width));
+        console.log(`  PLNexus MANIFEST: ${manifestPath}`);
+        console.log("=".repeat(width));
+
+        if (errors.length > 0) {
+            console.log(`  SCHEMA  ${fail}  ${errors.length} problem(s)`);
+            for (const { field, message } of errors) {
+                console.log(`    - ${field}: ${message}`);
+            }
+        } else {
+            console.log(`  SCHEMA  ${pass}`);
+        }
+
+        for (const { mode, className, checks } of entries) {
+            console.log("-".repeat(width));
+            console.log(`  MODE ${mode}  ${className}`);
+            for (const { check, ok, detail } of checks) {
+                console.log(`    ${ok ? pass : fail}  ${check}${detail ? `  (${detail})` : ''}`);
+            }
+        }
+
+        console.log("=".repeat(width));
+        console.log(`  RESULT  ${valid ? '\x1b[32mVALID\x1b[0m' : '\x1b[31mINVALID\x1b[0m'}`);
+        console.log("=".repeat(width) + "\n");
+    }
+
+    /**
+     * Renders the conformance matrix: one row per contract check, one column per adapter.
+     * @param {Array<{label: string, passed?: boolean, results?: Object[], reason?: string}>} reports
+     *   Adapters that could not be built carry a reason instead of results.
+     */
+    renderConformanceMatrix(reports) {
+        const pass = '\x1b[32m✔ PASS\x1b[0m';
+        const fail = '\x1b[31m✖ FAIL\x1b[0m';
+        const skip = '\x1b[33m- SKIP\x1b[0m';
+        const nameWidth = 42;
+        const columnWidth = Math.max(14, ...reports.map(({ label }) => label.length + 2));
+        const width = nameWidth + 2 + reports.length * columnWidth;
+        // ANSI codes don't occupy columns, so pad on the visible text length (6)
+        const cell = text => text + ' '.repeat(columnWidth - 6);
+
+        console.log("\n" + "=".repeat(width));
+        console.log(`  PLNexus ADAPTER CONFORMANCE (MarketDataPort)`);
+        console.log("=".repeat(width));
+        console.log(`  ${'CHECK'.padEnd(nameWidth)}${reports.map(({ label }) => label.padEnd(columnWidth)).join('')}`);
+        console.log("-".repeat(width));
+
+        const checkNames = reports.find(({ results }) => results)?.results.map(({ check }) => check) || [];
+        for (const [i, name] of checkNames.entries()) {
+            const cells = reports.map(({ results }) => {
+                if (!results) return cell(skip);
+                return cell(results[i].ok ? pass : fail);
+            });
+            console.log(`  ${name.padEnd(nameWidth)}${cells.join('')}`);
+        }
+
+        console.log("-".repeat(width));
+        for (const { label, results, reason } of reports) {
+            if (!results) {
+                console.log(`  \x1b[33m${label}: skipped (${reason})\x1b[0m`);
+                continue;
+            }
+            for (const { check, ok, detail } of results.filter(({ ok }) => !ok)) {
+                console.log(`  \x1b[31m${label} ✖ ${check}: ${detail}\x1b[0m`);
+            }
+        }
+        const failed = reports.filter(({ passed }) => passed === false).length;
+        console.log(`  RESULT  ${failed === 0 ? '\x1b[32mCONFORMANT\x1b[0m' : `\x1b[31m${failed} ADAPTER(S) NON-CONFORMANT\x1b[0m`}`);
+        console.log("=".repeat(width) + "\n");
+    }
+
+    /**
+     * Renders the manifest adapters, one per line, marking the fallback mode.
+     * @param {Array<{mode: string, name: string, className: string, description?: string,
+     *   cached: boolean, resilient: boolean, fallback: boolean}>} adapters
+     */
+    renderAdapterList(adapters) {
+        const width = 72;
+        const flag = (on, label) => on ? `\x1b[32m${label}\x1b[0m` : `\x1b[2m${label}\x1b[0m`;
+
+        console.log("\n" + "=".repeat(width));
+        console.log(`  PLNexus ADAPTERS (${adapters.length})`);
+        console.log("=".repeat(width));
+        for (const { mode, name, className, description, cached, resilient, fallback } of adapters) {
+            const marker = fallback ? '  \x1b[33m(fallback)\x1b[0m' : '';
+            console.log(`  MODE ${mode.padEnd(4)}${className.padEnd(24)}${flag(resilient, 'resilient')}  ${flag(cached, 'cached')}${marker}`);
+            console.log(`            ${name}${description ? ` - ${description}` : ''}`);
+        }
+        console.log("=".repeat(width) + "\n");
+    }
+
+    /**
+     * Renders trace entries as one line each: time, session, layer, event, data.
+     * @param {Array<{ts: string, sid: string, lyr: string, evt: string, dat: Object}>} entries
+     * @param {string} traceFile - Where the entries were read from.
+     */
+    renderTraceEvents(entries, traceFile) {
+        const width = 72;
+        console.log("\n" + "=".repeat(width));
+        console.log(`  PLNexus TRACE: ${traceFile}`);
+        console.log("=".repeat(width));
+        if (entries.length === 0) {
+            console.log(`  \x1b[2mNo trace events.\x1b[0m`);
+        }
+        for (const { ts, sid, lyr, evt, dat } of entries) {
+            const color = evt.endsWith('_FAILED') ? '\x1b[31m' : '';
+            const data = dat && Object.keys(dat).length > 0 ? `  \x1b[2m${JSON.stringify(dat)}\x1b[0m` : '';
+            console.log(`  ${ts.slice(11, 23)}  ${sid}  ${lyr.padEnd(6)} ${color}${evt}\x1b[0m${data}`);
+        }
+        console.log("=".repeat(width) + "\n");
+    }
+
+    /**
+     * Renders span trees, one session block per root: duration, status and
+     * start data per span, point events dimmed. Failed spans are red with
+     * their error; spans that never ended are yellow.
+     * @param {Object[]} trees - TraceAnalyzer.buildTrees() roots.
+     * @param {string} source - Trace file(s) read.
+     */
+    renderTraceTree(trees, source) {
+        const width = 72;
+        console.log("\n" + "=".repeat(width));
+        console.log(`  PLNexus TRACE SPANS: ${source}`);
+        console.log("=".repeat(width));
+        if (trees.length === 0) {
+            console.log(`  \x1b[2mNo spans.\x1b[0m`);
+        }
+
+        const describe = node => {
+            if (node.kind === 'event') {
+                const data = Object.keys(node.data).length > 0 ? ` ${JSON.stringify(node.data)}` : '';
+                return `\x1b[2m· ${node.ts.slice(11, 23)} ${node.event}${data}\x1b[0m`;
+            }
+            const meta = Object.keys(node.meta).length > 0 ? `  \x1b[2m${JSON.stringify(node.meta)}\x1b[0m` : '';
+            const duration = node.durationMs === null ? '' : `  ${node.durationMs}ms`;
+            if (node.status === 'failed') return `\x1b[31m✖ ${node.label}${duration}  ${node.error ?? 'failed'}\x1b[0m${meta}`;
+            if (node.status === 'open') return `\x1b[33m… ${node.label}  (no end logged)\x1b[0m${meta}`;
+            return `\x1b[32m✔\x1b[0m ${node.label}${duration}${meta}`;
+        };
+        const printChildren = (children, indent) => children.forEach((child, i) => {
+            const last = i === children.length - 1;
+            console.log(`  ${indent}${last ? '└─ ' : '├─ '}${describe(child)}`);
+            if (child.kind === 'span') printChildren(child.children, indent + (last ? '   ' : '│  '));
+        });
+
+        for (const root of trees) {
+            const at = (root.start ?? root.end ?? root.ts ?? '').slice(0, 23).replace('T', ' ');
+            console.log("-".repeat(width));
+            console.log(`  ${at}  ${root.sid}  ${root.layer}`);
+            console.log(`  ${describe(root)}`);
+            if (root.kind === 'span') printChildren(root.children, '');
+        }
+        console.log("=".repeat(width) + "\n");
+    }
+
+    /**
+     * Renders latency per span label and adapter; rows with failures are red.
+     * @param {Array<{layer: string, label: string, adapter: string|null, count: number, failed: number,
+     *   p50Ms: number, p95Ms: number, maxMs: number}>} stats
+     * @param {string} source - Trace file(s) read.
+     */
+    renderTraceStats(stats, source) {
+        const labelWidth = Math.max(24, ...stats.map(({ label }) => label.length + 2));
+        const adapterWidth = Math.max(10, ...stats.map(({ adapter }) => (adapter ?? '-').length + 2));
+        const width = Math.max(72, 9 + labelWidth + adapterWidth + 40);
+        const numbers = values => values.map(value => String(value).padStart(8)).join('');
+
+        console.log("\n" + "=".repeat(width));
+        console.log(`  PLNexus TRACE STATS: ${source}`);
+        console.log("=".repeat(width));
+        if (stats.length === 0) {
+            console.log(`  \x1b[2mNo completed spans.\x1b[0m`);
+        } else {
+            console.log(`  ${'LAYER'.padEnd(7)}${'SPAN'.padEnd(labelWidth)}${'ADAPTER'.padEnd(adapterWidth)}${numbers(['COUNT', 'FAILED', 'P50ms', 'P95ms', 'MAXms'])}`);
+            console.log("-".repeat(width));
+        }
+        for (const { layer, label, adapter, count, failed, p50Ms, p95Ms, maxMs } of stats) {
+            const row = `${layer.padEnd(7)}${label.padEnd(labelWidth)}${(adapter ?? '-').padEnd(adapterWidth)}${numbers([count, failed, p50Ms, p95Ms, maxMs])}`;
+            console.log(`  ${failed > 0 ? `\x1b[31m${row}\x1b[0m` : row}`);
+        }
+        console.log("=".repeat(width) + "\n");
+    }
+
+    /**
+     * Formats a price with two decimals, or 'N/A' when the field is absent.
+     * @param {number|null} value
+     * @returns {string}
+     */
+    formatPrice(value) {
+        if (value === null || value === undefined) return 'N/A';
+        return `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    /**
+     * Formats a signed figure with an explicit '+' for gains.
+     * @param {number|null} value
+     * @returns {string}
+     */
+    formatSigned(value) {
+        if (value === null || value === undefined) return 'N/A';
+        return `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+    }
+
+    /**
+     * Formats a dollar exposure compactly with its sign (e.g., '+$1.25B').
+     * @param {number} value
+     * @returns {string}
+     */
+    formatGex(value) {
+        const magnitude = Math.abs(value);
+        const [divisor, unit] = [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']].find(([size]) => magnitude >= size) ?? [1, ''];
+        return `${value < 0 ? '-' : '+'}$${(magnitude / divisor).toFixed(2)}${unit}`;
+    }
+
+    /**
+     * Renders an error in a standardized format. Domain errors also show
+     * their stable code and the operator hint.
+     * @param {string|Error} error - A message, or an Error (ideally a DomainError).
      */
-    renderError(message) {
-        console.error(`\n\x1b[41m ERROR \x1b[0m ${message}\n`);
+    renderError(error) {
+        if (typeof error === 'string') {
+            console.error(`\n\x1b[41m ERROR \x1b[0m ${error}\n`);
+            return;
+        }
+        const code = error?.code ? ` \x1b[1m${error.code}\x1b[0m` : '';
+        console.error(`\n\x1b[41m ERROR \x1b[0m${code} ${error?.message ?? String(error)}`);
+        if (error?.hint) console.error(`  \x1b[33m→ ${error.hint}\x1b[0m`);
+        console.error('');
     }
 }
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview ExitCodes (CLI contract)
+ * Maps the domain error taxonomy onto distinct process exit codes so shell
+ * scripts and CI jobs can react to *why* a run failed, not just that it did.
+ * These numbers are public API: never renumber, only append.
+ */
+
+import { ErrorCode } from '../../../domain/errors/DomainErrors.js';
+
+export const ExitCode = Object.freeze({
+    OK: 0,
+    FAILURE: 1,
+    VALIDATION_FAILED: 2,
+    SYMBOL_NOT_FOUND: 3,
+    INVALID_CONFIG: 4,
+    AUTHENTICATION_FAILED: 5,
+    RATE_LIMITED: 6,
+    PROVIDER_TIMEOUT: 7,
+    PROVIDER_UNAVAILABLE: 8
+});
+
+/**
+ * Resolves the exit code for a failure. Untyped errors (bugs) exit with FAILURE.
+ * @param {unknown} error
+ * @returns {number}
+ */
+export function exitCodeFor(error) {
+    const code = error?.code;
+    return Object.hasOwn(ErrorCode, code) ? ExitCode[code] : ExitCode.FAILURE;
+}
+
+/**
+ * Resolves the exit code for a run where every symbol failed. A single shared
+ * cause keeps its specific code; mixed causes collapse to FAILURE.
+ * @param {Array<{code?: string}>} failures
+ * @returns {number}
+ */
+export function exitCodeForFailures(failures) {
+    const codes = new Set(failures.map(({ code }) => code));
+    return codes.size === 1 ? exitCodeFor({ code: [...codes][0] }) : ExitCode.FAILURE;
+}
@@ -13,8 +13,15 @@ import { stdin as input, stdout as output } from 'process';
 export class MenuSystem {
     /**
      * Initializes the interactive terminal interface.
+     * @param {Object} [defaults] - The manifest 'defaults' block.
+     * @param {string} [defaults.defaultMode] - Mode used when the selection is invalid (manifest fallbackMode).
+     * @param {string} [defaults.defaultSymbol] - Symbol used when the prompt is left empty.
+     * @param {Array<{name: string, symbols: string[]}>} [defaults.watchlists] - Saved watchlists offered next to free-form entry.
      */
-    constructor() {
+    constructor({ defaultMode, defaultSymbol, watchlists = [] } = {}) {
+        this.defaultMode = defaultMode;
+        this.defaultSymbol = defaultSymbol;
+        this.watchlists = watchlists;
         this.rl = readline.createInterface({ 
             input, 
             output,
@@ -24,13 +31,17 @@ export class MenuSystem {
 
     /**
      * Orchestrates the primary user configuration flow.
-     * @returns {Promise<{mode: string, symbol: string}>} The sanitized user selection.
+     * @returns {Promise<{mode: string, symbol: string}|{mode: string, watchlist: string}>}
+     *   The sanitized user selection: a ticker, or the name of a saved watchlist.
      */
     async getInitialSelection() {
         try {
             this.displayHeader();
             
             const mode = await this.promptMode();
+            const watchlist = this.watchlists.length > 0 ? await this.promptWatchlist() : null;
+            if (watchlist) return { mode, watchlist };
+
             const symbol = await this.promptSymbol();
 
             return {
@@ -73,8 +84,8 @@ export class MenuSystem {
         }
 
         if (!['1', '2'].includes(sanitized)) {
-            console.log("\x1b[31mInvalid selection. Defaulting to Mock Mode (2).\x1b[0m");
-            return '2';
+            console.log(`\x1b[31mInvalid selection. Defaulting to fallback mode (${this.defaultMode}).\x1b[0m`);
+            return this.defaultMode;
         }
 
         return sanitized;
@@ -85,18 +96,41 @@ export class MenuSystem {
      * @private
      */
     async promptSymbol() {
-        const answer = await this.rl.question("Enter Ticker Symbol (e.g., SPX): ");
+        const answer = await this.rl.question(`Enter Ticker Symbol (default: ${this.defaultSymbol}): `);
         return answer.trim();
     }
 
+    /**
+     * Offers the saved watchlists next to free-form ticker entry.
+     * @private
+     * @returns {Promise<string|null>} The chosen watchlist name, or null for a ticker.
+     */
+    async promptWatchlist() {
+        console.log("\n[1] ENTER A TICKER");
+        console.log("[2] PICK A WATCHLIST");
+        const source = await this.rl.question("\nSelect Source (default: 1): ");
+        if (source.trim() !== '2') return null;
+
+        this.watchlists.forEach(({ name, symbols }, i) => {
+            console.log(`[${i + 1}] ${name} \x1b[2m(${symbols.join(', ') || 'empty'})\x1b[0m`);
+        });
+        const answer = (await this.rl.question("\nSelect Watchlist: ")).trim().toLowerCase();
+        const picked = this.watchlists[Number(answer) - 1] ?? this.watchlists.find(({ name }) => name === answer);
+        if (!picked) {
+            console.log(`\x1b[31mInvalid selection. Falling back to ticker entry.\x1b[0m`);
+            return null;
+        }
+        return picked.name;
+    }
+
     /**
      * Sanitizes ticker input to ensure stability.
      * @param {string} input 
      * @returns {string} Cleaned symbol or default.
      */
     sanitizeSymbol(input) {
-        // Enforce the 'Pristine State' default for Mock Mode
-        if (!input || input === "") return "SPX";
+        // Enforce the manifest's 'Pristine State' default symbol
+        if (!input || input === "") return this.defaultSymbol;
         
         // Remove accidental flag prefixes if the user types '--BTC'
         return input.replace(/^-+/, '').toUpperCase();
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview PortfolioFileReader
+ * Loads a Portfolio from a local file. The format follows the extension:
+ * * JSON (.json): an array of positions, or {name?, positions: [...]}, where
+ *   each position is {symbol, quantity, costBasis, multiplier?}.
+ * * CSV (anything else): a header row naming the columns symbol, quantity,
+ *   costBasis and optionally multiplier (any order and case; cost_basis and
+ *   "cost basis" work too), then one position per line. Blank lines and
+ *   anything after a '#' are ignored.
+ * * A negative quantity is a short position. An omitted multiplier comes
+ *   from the instrument registry (50 for ES, 20 for NQ); symbols the registry
+ *   does not know default to 1, so state it for any other contract.
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve, basename, extname } from 'path';
+import { Portfolio } from '../../../domain/entities/Portfolio.js';
+import { Position } from '../../../domain/entities/Position.js';
+import { DomainError, InvalidConfigError } from '../../../domain/errors/DomainErrors.js';
+
+const FORMAT_HINT = 'Each position needs symbol, quantity and costBasis; multiplier is optional (default: the instrument registry\'s, else 1).';
+const CSV_COLUMNS = Object.freeze(['symbol', 'quantity', 'costbasis', 'multiplier']);
+
+export class PortfolioFileReader {
+    /**
+     * Loads a portfolio file relative to the current working directory.
+     * @param {string} filePath
+     * @param {Object} [options]
+     * @param {Object} [options.instruments=null] - InstrumentRegistry supplying omitted multipliers.
+     * @returns {Promise<Portfolio>} Named after the file unless a JSON document names it.
+     * @throws {InvalidConfigError} If the file cannot be read or a position is invalid (naming the line or index).
+     */
+    static async read(filePath, { instruments = null } = {}) {
+        const absolutePath = resolve(filePath);
+        let contents;
+        try {
+            contents = await readFile(absolutePath, 'utf-8');
+        } catch (error) {
+            throw new InvalidConfigError(`Unable to read portfolio ${absolutePath}: ${error.message}`, { hint: FORMAT_HINT, cause: error });
+        }
+
+        const name = basename(absolutePath, extname(absolutePath));
+        return extname(absolutePath).toLowerCase() === '.json'
+            ? PortfolioFileReader.parseJson(contents, { name, origin: absolutePath, instruments })
+            : PortfolioFileReader.parseCsv(contents, { name, origin: absolutePath, instruments });
+    }
+
+    /**
+     * @param {string} contents
+     * @param {{name: string, origin: string, instruments?: Object}} context - Default name; origin labels
+     *   errors; instruments (an InstrumentRegistry) supplies omitted multipliers.
+     * @returns {Portfolio}
+     * @throws {InvalidConfigError}
+     */
+    static parseJson(contents, { name, origin, instruments = null }) {
+        let document;
+        try {
+            document = JSON.parse(contents);
+        } catch (error) {
+            throw new InvalidConfigError(`Malformed JSON in portfolio ${origin}: ${error.message}`, { hint: FORMAT_HINT });
+        }
+        const records = Array.isArray(document) ? document : document?.positions;
+        if (!Array.isArray(records)) {
+            throw new InvalidConfigError(`Portfolio ${origin} must be an array of positions or {positions: [...]}.`, { hint: FORMAT_HINT });
+        }
+
+        const positions = records.map((record, index) => toPosition(record, `position ${index + 1} of ${origin}`, instruments));
+        return toPortfolio(typeof document?.name === 'string' && document.name.trim() ? document.name.trim() : name, positions, origin);
+    }
+
+    /**
+     * @param {string} contents
+     * @param {{name: string, origin: string, instruments?: Object}} context - Portfolio name; origin labels
+     *   errors; instruments (an InstrumentRegistry) supplies omitted multipliers.
+     * @returns {Portfolio}
+     * @throws {InvalidConfigError}
+     */
+    static parseCsv(contents, { name, origin, instruments = null }) {
+        const lines = contents
+            .split(/\r?\n/)
+            .map((line, index) => ({ number: index + 1, text: line.replace(/#.*$/, '').trim() }))
+            .filter(({ text }) => text !== '');
+        if (lines.length === 0) return toPortfolio(name, [], origin);
+
+        const [header, ...rows] = lines;
+        const columns = splitRow(header.text).map(cell => cell.toLowerCase().replace(/[\s_-]/g, ''));
+        const missing = CSV_COLUMNS.slice(0, 3).filter(column => !columns.includes(column));
+        if (missing.length > 0) {
+            throw new InvalidConfigError(`Portfolio ${origin} line ${header.number}: the header lacks ${missing.join(', ')}.`, {
+                hint: 'Start the file with a header such as: symbol,quantity,costBasis,multiplier'
+            });
+        }
+
+        const positions = rows.map(({ number, text }) => {
+            const cells = splitRow(text);
+            const record = Object.fromEntries(CSV_COLUMNS
+                .filter(column => columns.includes(column))
+                .map(column => [column, cells[columns.indexOf(column)] ?? '']));
+            return toPosition({
+                symbol: record.symbol,
+                quantity: toNumber(record.quantity),
+                costBasis: toNumber(record.costbasis),
+                multiplier: record.multiplier ? toNumber(record.multiplier) : undefined
+            }, `${origin} line ${number}`, instruments);
+        });
+        return toPortfolio(name, positions, origin);
+    }
+}
+
+/**
+ * @private
+ * @throws {InvalidConfigError} Wrapping the entity's ValidationError with the location.
+ */
+function toPosition(record, location, instruments) {
+    try {
+        return new Position({ ...record, multiplier: record?.multiplier ?? registryMultiplier(record?.symbol, instruments) });
+    } catch (error) {
+        throw new InvalidConfigError(`Invalid position in ${location}: ${error.message}`, { hint: FORMAT_HINT, cause: error });
+    }
+}
+
+/**
+ * The registry's multiplier for a symbol; undefined (the entity's default
+ * of 1) when there is no registry or the symbol is not in it.
+ * @private
+ */
+function registryMultiplier(symbol, instruments) {
+    if (!instruments || typeof symbol !== 'string') return undefined;
+    let instrument;
+    try {
+        instrument = instruments.resolve(symbol);
+    } catch (error) {
+        // Unknown or ambiguous symbols keep the default; anything else is a bug
+        if (error instanceof DomainError) return undefined;
+        throw error;
+    }
+    return instrument.multiplier;
+}
+
+/**
+ * @private
+ * @throws {InvalidConfigError} For a portfolio without positions.
+ */
+function toPortfolio(name, positions, origin) {
+    if (positions.length === 0) {
+        throw new InvalidConfigError(`Portfolio ${origin} does not contain any positions.`, { hint: FORMAT_HINT });
+    }
+    return new Portfolio({ name, positions });
+}
+
+/**
+ * Cells of one CSV line; surrounding quotes are dropped.
+ * @private
+ */
+function splitRow(text) {
+    return text.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+}
+
+/**
+ * A numeric cell; currency signs and underscores ('$4500', '1_000') are
+ * stripped. Thousands separators cannot be used since commas split cells.
+ * @private
+ * @returns {number} NaN when the cell holds no number, so the entity rejects it.
+ */
+function toNumber(cell) {
+    const text = String(cell).replace(/[$_\s]/g, '');
+    return text === '' ? NaN : Number(text);
+}
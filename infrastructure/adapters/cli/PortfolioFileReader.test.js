@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { PortfolioFileReader } from './PortfolioFileReader.js';
+import { Instrument } from '../../../domain/entities/Instrument.js';
+import { InstrumentRegistry } from '../../../domain/entities/InstrumentRegistry.js';
+
+const context = { name: 'positions', origin: 'positions.csv' };
+
+describe('PortfolioFileReader', () => {
+    it('should read CSV columns in any order and spelling, skipping comments', () => {
+        const portfolio = PortfolioFileReader.parseCsv([
+            '# my book',
+            'Cost_Basis, Symbol ,QUANTITY,multiplier',
+            '$4900,es,2,50   # front month',
+            '',
+            '150,AAPL,10,'
+        ].join('\n'), context);
+
+        expect(portfolio.toJSON()).toEqual({
+            name: 'positions',
+            positions: [
+                { symbol: 'ES', quantity: 2, costBasis: 4900, multiplier: 50 },
+                { symbol: 'AAPL', quantity: 10, costBasis: 150, multiplier: 1 }
+            ]
+        });
+    });
+
+    it('should take an omitted multiplier from the instrument registry', () => {
+        const instruments = new InstrumentRegistry({
+            instruments: [
+                new Instrument({ symbol: 'ES', assetClass: 'future', currency: 'USD', multiplier: 50, aliases: { yahoo: 'ES=F' } }),
+                new Instrument({ symbol: 'NQ', assetClass: 'future', currency: 'USD', multiplier: 20 }),
+                new Instrument({ symbol: 'AAPL', assetClass: 'equity', currency: 'USD' })
+            ]
+        });
+        const portfolio = PortfolioFileReader.parseCsv([
+            'symbol,quantity,costBasis,multiplier',
+            'es,2,4900,',
+            'ES=F,1,4900,',
+            'NQ,1,17000,5',
+            'AAPL,10,150,',
+            'ZZZZ,3,10,'
+        ].join('\n'), { ...context, instruments });
+
+        expect(portfolio.positions.map(({ symbol, multiplier }) => [symbol, multiplier])).toEqual([
+            ['ES', 50], ['ES=F', 50], ['NQ', 5], ['AAPL', 1], ['ZZZZ', 1]
+        ]);
+        expect(PortfolioFileReader.parseJson('[{"symbol": "NQ", "quantity": -1, "costBasis": 17000}]', { ...context, instruments })
+            .positions[0].multiplier).toBe(20);
+    });
+
+    it('should name the line of an invalid CSV position', () => {
+        const read = () => PortfolioFileReader.parseCsv('symbol,quantity,costBasis\nAAPL,ten,150', context);
+        expect(read).toThrow(expect.objectContaining({
+            code: 'INVALID_CONFIG',
+            message: 'Invalid position in positions.csv line 2: Position in AAPL has an invalid quantity: NaN'
+        }));
+        expect(() => PortfolioFileReader.parseCsv('symbol,qty\nAAPL,1', context)).toThrow('the header lacks quantity, costbasis');
+    });
+
+    it('should accept a JSON array or a named document', () => {
+        const positions = [{ symbol: 'TSLA', quantity: -20, costBasis: 200 }];
+
+        expect(PortfolioFileReader.parseJson(JSON.stringify(positions), context).name).toBe('positions');
+        expect(PortfolioFileReader.parseJson(JSON.stringify({ name: 'Shorts', positions }), context).toJSON()).toEqual({
+            name: 'Shorts',
+            positions: [{ symbol: 'TSLA', quantity: -20, costBasis: 200, multiplier: 1 }]
+        });
+        expect(() => PortfolioFileReader.parseJson('{"positions": []}', context)).toThrow('does not contain any positions');
+    });
+});
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview TraceAnalyzer
+ * Rebuilds spans from the trace log and summarises their latency.
+ * * Tracer.traceSpan() writes `<LABEL>_START` and then `<LABEL>_COMPLETE` or
+ * `<LABEL>_FAILED` (with durationMs); every other event is a point event.
+ * Entries carry span IDs (spn, with the parent in psn), which link spans
+ * exactly. Lines written before span IDs existed fall back to inference per
+ * session: a span starts inside the innermost span still open, and a child
+ * that outlives its parent (overlapping concurrent work) is moved up to the
+ * grandparent.
+ */
+
+import { TraceLogReader } from './TraceLogReader.js';
+
+const SPAN_SUFFIX = /^(.+)_(START|COMPLETE|FAILED)$/;
+
+/**
+ * @typedef {Object} TraceSpan
+ * @property {'span'} kind
+ * @property {string} sid - Session ID.
+ * @property {string|null} traceId - Null for lines written without span IDs.
+ * @property {string|null} spanId
+ * @property {string} layer
+ * @property {string} label - Event name without the _START/_COMPLETE/_FAILED suffix.
+ * @property {string|null} start - ISO time of _START (null when only the end was logged).
+ * @property {string|null} end - ISO time of _COMPLETE/_FAILED (null while open).
+ * @property {number|null} durationMs
+ * @property {'ok'|'failed'|'open'} status - 'open' spans never logged an end (crash, SIGINT, still running).
+ * @property {string|null} error - Message of a failed span.
+ * @property {Object} meta - Data logged with _START.
+ * @property {string|null} adapter - meta.adapter (or 'mode <n>' from meta.mode), else the nearest ancestor's.
+ * @property {string[]} symbols - Symbols in meta, or the nearest ancestor's.
+ * @property {Array<TraceSpan|TraceEvent>} children - In log order.
+ */
+
+/**
+ * @typedef {Object} TraceEvent
+ * @property {'event'} kind
+ * @property {string} sid
+ * @property {string} layer
+ * @property {string} event
+ * @property {string} ts
+ * @property {Object} data
+ */
+
+export class TraceAnalyzer {
+    /**
+     * Rebuilds the span trees of every session in the entries.
+     * @param {Array<{ts: string, sid: string, lyr: string, evt: string, dat: Object}>} entries - Oldest first.
+     * @returns {Array<TraceSpan|TraceEvent>} Root nodes in log order.
+     */
+    static buildTrees(entries) {
+        const roots = [];
+        const open = new Map(); // sid -> spans still open, oldest first
+        const byId = new Map(); // spn -> span
+        let seq = 0;
+
+        const attach = (node, parent) => (parent ? parent.children : roots).push(node);
+
+        for (const { ts, sid, lyr, evt, dat = {}, tid = null, spn = null, psn = null } of entries) {
+            const sessionOpen = open.get(sid) ?? [];
+            open.set(sid, sessionOpen);
+            const [, label, phase] = SPAN_SUFFIX.exec(evt) ?? [];
+            // With IDs the enclosing span is known (a span's own lines name the span itself)
+            const enclosing = spn ? (phase === 'START' ? byId.get(psn) : byId.get(spn)) ?? null : sessionOpen.at(-1) ?? null;
+
+            if (phase === 'START') {
+                const span = {
+                    kind: 'span', sid, traceId: tid, spanId: spn, layer: lyr, label, start: ts, end: null, durationMs: null,
+                    status: 'open', error: null, meta: dat, adapter: null, symbols: [], children: [],
+                    seq: seq++, parent: enclosing, linked: spn !== null
+                };
+                attach(span, enclosing);
+                sessionOpen.push(span);
+                if (spn) byId.set(spn, span);
+                continue;
+            }
+
+            if (phase) {
+                const span = TraceAnalyzer.#takeOpen(sessionOpen, lyr, label, dat, spn);
+                const { durationMs, error, ...meta } = dat;
+                const parent = spn ? byId.get(psn) ?? null : enclosing;
+                const closed = span ?? {
+                    // End without a start (e.g., the start was before --since)
+                    kind: 'span', sid, traceId: tid, spanId: spn, layer: lyr, label, start: null, meta, adapter: null, symbols: [], children: [],
+                    seq: seq++, parent, linked: spn !== null
+                };
+                if (!span) {
+                    attach(closed, parent);
+                    if (spn) byId.set(spn, closed);
+                }
+                Object.assign(closed, {
+                    end: ts,
+                    durationMs: Number.isFinite(durationMs) ? durationMs : (closed.start ? Date.parse(ts) - Date.parse(closed.start) : null),
+                    status: phase === 'FAILED' ? 'failed' : 'ok',
+                    error: phase === 'FAILED' ? (error ?? null) : null
+                });
+                TraceAnalyzer.#releaseChildren(closed, roots);
+                continue;
+            }
+
+            attach({ kind: 'event', sid, layer: lyr, event: evt, ts, data: dat, seq: seq++ }, enclosing);
+        }
+
+        return TraceAnalyzer.#finalize(roots, null);
+    }
+
+    /**
+     * Every span of the trees, depth first.
+     * @param {Array<TraceSpan|TraceEvent>} nodes
+     * @returns {TraceSpan[]}
+     */
+    static flatten(nodes) {
+        return nodes.flatMap(node => node.kind === 'span' ? [node, ...TraceAnalyzer.flatten(node.children)] : []);
+    }
+
+    /**
+     * Whether a span passes the layer, event and symbol filters.
+     * @param {TraceSpan} span
+     * @param {{layers?: string[], event?: string, symbol?: string}} filters
+     * @returns {boolean}
+     */
+    static spanMatches(span, { layers, event, symbol } = {}) {
+        if (layers?.length && !layers.includes(span.layer)) return false;
+        if (event && !span.label.includes(event.toUpperCase())) return false;
+        if (symbol && !span.symbols.includes(symbol.toUpperCase())) return false;
+        return true;
+    }
+
+    /**
+     * Latency per span label and adapter. Open spans have no duration and are
+     * left out; failed spans count towards both the latency and the failures.
+     * @param {TraceSpan[]} spans
+     * @returns {Array<{label: string, layer: string, adapter: string|null, count: number, failed: number,
+     *   p50Ms: number, p95Ms: number, maxMs: number}>} Slowest p95 first.
+     */
+    static latencyStats(spans) {
+        const groups = new Map();
+        for (const span of spans) {
+            if (span.durationMs === null) continue;
+            const key = `${span.layer}|${span.label}|${span.adapter ?? ''}`;
+            if (!groups.has(key)) groups.set(key, { label: span.label, layer: span.layer, adapter: span.adapter, durations: [], failed: 0 });
+            const group = groups.get(key);
+            group.durations.push(span.durationMs);
+            if (span.status === 'failed') group.failed += 1;
+        }
+
+        return [...groups.values()]
+            .map(({ durations, ...group }) => {
+                const sorted = durations.sort((a, b) => a - b);
+                return {
+                    ...group,
+                    count: sorted.length,
+                    p50Ms: percentile(sorted, 50),
+                    p95Ms: percentile(sorted, 95),
+                    maxMs: sorted.at(-1)
+                };
+            })
+            .sort((a, b) => b.p95Ms - a.p95Ms || a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Closes the open span with that ID; without IDs, the most recent open
+     * span of that label whose start data the end repeats (traceSpan logs the
+     * same meta on both), else the most recent one of that label.
+     * @private
+     */
+    static #takeOpen(sessionOpen, layer, label, dat, spanId) {
+        const candidates = sessionOpen.filter(span => span.layer === layer && span.label === label);
+        const span = spanId
+            ? candidates.find(candidate => candidate.spanId === spanId)
+            : candidates.findLast(candidate =>
+                Object.entries(candidate.meta).every(([key, value]) => JSON.stringify(dat[key]) === JSON.stringify(value))
+            ) ?? candidates.at(-1);
+        if (span) sessionOpen.splice(sessionOpen.indexOf(span), 1);
+        return span ?? null;
+    }
+
+    /**
+     * An inferred child that is still open when its parent closes was never
+     * inside it. Children linked by ID stay put: they may outlive the parent.
+     * @private
+     */
+    static #releaseChildren(span, roots) {
+        const escaped = span.children.filter(child => child.kind === 'span' && child.status === 'open' && !child.linked);
+        if (escaped.length === 0) return;
+        span.children = span.children.filter(child => !escaped.includes(child));
+        for (const child of escaped) {
+            child.parent = span.parent;
+            (span.parent ? span.parent.children : roots).push(child);
+        }
+    }
+
+    /**
+     * Orders children by log position, inherits adapter and symbols, and drops
+     * the bookkeeping fields so the trees serialize cleanly.
+     * @private
+     */
+    static #finalize(nodes, parent) {
+        return nodes
+            .sort((a, b) => a.seq - b.seq)
+            .map(node => {
+                delete node.seq;
+                if (node.kind !== 'span') return node;
+                delete node.parent;
+                delete node.linked;
+                const ownSymbols = TraceLogReader.symbolsOf(node.meta);
+                node.adapter = node.meta.adapter ?? modeOf(node.meta) ?? parent?.adapter ?? null;
+                node.symbols = ownSymbols.length > 0 ? ownSymbols : (parent?.symbols ?? []);
+                node.children = TraceAnalyzer.#finalize(node.children, node);
+                return node;
+            });
+    }
+}
+
+/**
+ * Bootstrap spans name the requested manifest mode rather than an adapter.
+ * @private
+ */
+function modeOf(meta) {
+    return meta.mode === undefined || meta.mode === null ? null : `mode ${meta.mode}`;
+}
+
+/**
+ * Nearest-rank percentile of an ascending list.
+ * @private
+ */
+function percentile(sorted, p) {
+    return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { TraceAnalyzer } from './TraceAnalyzer.js';
+
+let clock = Date.UTC(2026, 0, 2, 14, 30);
+function entry(sid, lyr, evt, dat = {}, advanceMs = 10) {
+    clock += advanceMs;
+    return { ts: new Date(clock).toISOString(), sid, lyr, evt, dat };
+}
+
+describe('TraceAnalyzer', () => {
+    it('should nest spans, attach point events and highlight failures', () => {
+        const trees = TraceAnalyzer.buildTrees([
+            entry('A1', 'SYSTEM', 'BOOTSTRAP_SEQUENCE_START', { mode: '1', symbol: 'SPX' }),
+            entry('A1', 'INFRA', 'ADAPTER_HEALTH_CHECK_START', { adapter: '1:FinnhubAdapter' }),
+            entry('A1', 'INFRA', 'ADAPTER_RETRY', { adapter: 'FinnhubAdapter', attempt: 1 }),
+            entry('A1', 'INFRA', 'ADAPTER_HEALTH_CHECK_COMPLETE', { adapter: '1:FinnhubAdapter', durationMs: 120 }),
+            entry('A1', 'DOMAIN', 'GET_MARKET_SNAPSHOT_START', { symbol: 'SPX' }),
+            entry('A1', 'DOMAIN', 'GET_MARKET_SNAPSHOT_FAILED', { symbol: 'SPX', durationMs: 80, error: 'rate limited' }),
+            entry('A1', 'SYSTEM', 'BOOTSTRAP_SEQUENCE_FAILED', { mode: '1', symbol: 'SPX', durationMs: 300, error: 'rate limited' })
+        ]);
+
+        expect(trees).toHaveLength(1);
+        const [bootstrap] = trees;
+        expect(bootstrap).toMatchObject({ label: 'BOOTSTRAP_SEQUENCE', status: 'failed', durationMs: 300, error: 'rate limited' });
+
+        const [health, snapshot] = bootstrap.children;
+        expect(health).toMatchObject({ label: 'ADAPTER_HEALTH_CHECK', status: 'ok', adapter: '1:FinnhubAdapter' });
+        expect(health.children).toEqual([expect.objectContaining({ kind: 'event', event: 'ADAPTER_RETRY' })]);
+        expect(snapshot).toMatchObject({ label: 'GET_MARKET_SNAPSHOT', status: 'failed', symbols: ['SPX'], adapter: 'mode 1' });
+        expect(JSON.parse(JSON.stringify(trees))).toEqual(trees);
+    });
+
+    it('should pair concurrent spans by their data and lift overlapping siblings out', () => {
+        const trees = TraceAnalyzer.buildTrees([
+            entry('B2', 'HTTP', 'HTTP_REQUEST_START', { traceId: 't1' }),
+            entry('B2', 'HTTP', 'HTTP_REQUEST_START', { traceId: 't2' }),
+            entry('B2', 'HTTP', 'HTTP_REQUEST_COMPLETE', { traceId: 't1', durationMs: 25 }),
+            entry('B2', 'HTTP', 'HTTP_REQUEST_COMPLETE', { traceId: 't2', durationMs: 30 }),
+            entry('C3', 'DOMAIN', 'GET_MARKET_SNAPSHOT_START', { symbol: 'ES' })
+        ]);
+
+        expect(trees.map(({ sid, meta, status }) => [sid, meta.traceId ?? meta.symbol, status])).toEqual([
+            ['B2', 't1', 'ok'],
+            ['B2', 't2', 'ok'],
+            ['C3', 'ES', 'open']
+        ]);
+        expect(trees[0].children).toEqual([]);
+        expect(trees[1].durationMs).toBe(30);
+    });
+
+    it('should link spans by their IDs, even across interleaved concurrent requests', () => {
+        const ids = (tid, spn, psn = null) => ({ tid, spn, psn });
+        const trees = TraceAnalyzer.buildTrees([
+            { ...entry('E5', 'HTTP', 'HTTP_REQUEST_START', { path: '/a' }), ...ids('t1', 'a1') },
+            { ...entry('E5', 'HTTP', 'HTTP_REQUEST_START', { path: '/b' }), ...ids('t2', 'b1') },
+            { ...entry('E5', 'DOMAIN', 'GET_MARKET_SNAPSHOT_START', { symbol: 'SPX' }), ...ids('t1', 'a2', 'a1') },
+            { ...entry('E5', 'INFRA', 'ADAPTER_RETRY', { attempt: 1 }), ...ids('t2', 'b1') },
+            { ...entry('E5', 'HTTP', 'HTTP_REQUEST_COMPLETE', { path: '/a', durationMs: 40 }), ...ids('t1', 'a1') },
+            { ...entry('E5', 'DOMAIN', 'GET_MARKET_SNAPSHOT_COMPLETE', { symbol: 'SPX', durationMs: 35 }), ...ids('t1', 'a2', 'a1') },
+            { ...entry('E5', 'HTTP', 'HTTP_REQUEST_COMPLETE', { path: '/b', durationMs: 60 }), ...ids('t2', 'b1') }
+        ]);
+
+        expect(trees.map(({ traceId, spanId, status }) => [traceId, spanId, status])).toEqual([['t1', 'a1', 'ok'], ['t2', 'b1', 'ok']]);
+        expect(trees[0].children).toEqual([expect.objectContaining({ spanId: 'a2', label: 'GET_MARKET_SNAPSHOT', status: 'ok' })]);
+        expect(trees[1].children).toEqual([expect.objectContaining({ kind: 'event', event: 'ADAPTER_RETRY' })]);
+    });
+
+    it('should keep an end whose start fell outside the range', () => {
+        const [span] = TraceAnalyzer.buildTrees([
+            entry('D4', 'CLI', 'WATCH_POLL_COMPLETE', { poll: 3, durationMs: 42 })
+        ]);
+
+        expect(span).toMatchObject({ label: 'WATCH_POLL', start: null, durationMs: 42, status: 'ok', meta: { poll: 3 } });
+    });
+
+    it('should report nearest-rank p50/p95/max per label and adapter, failures included', () => {
+        const spans = [10, 20, 30, 40, 50, 60, 70, 80, 90, 1000].map((durationMs, i) => ({
+            kind: 'span', layer: 'INFRA', label: 'ADAPTER_HEALTH_CHECK', adapter: '1:FinnhubAdapter',
+            durationMs, status: i === 9 ? 'failed' : 'ok'
+        }));
+        spans.push(
+            { kind: 'span', layer: 'INFRA', label: 'ADAPTER_HEALTH_CHECK', adapter: '2:MockMarketAdapter', durationMs: 5, status: 'ok' },
+            { kind: 'span', layer: 'DOMAIN', label: 'GET_MARKET_SNAPSHOT', adapter: null, durationMs: null, status: 'open' }
+        );
+
+        expect(TraceAnalyzer.latencyStats(spans)).toEqual([
+            { layer: 'INFRA', label: 'ADAPTER_HEALTH_CHECK', adapter: '1:FinnhubAdapter', count: 10, failed: 1, p50Ms: 50, p95Ms: 1000, maxMs: 1000 },
+            { layer: 'INFRA', label: 'ADAPTER_HEALTH_CHECK', adapter: '2:MockMarketAdapter', count: 1, failed: 0, p50Ms: 5, p95Ms: 5, maxMs: 5 }
+        ]);
+    });
+
+    it('should filter spans by layer, label text and inherited symbol', () => {
+        const trees = TraceAnalyzer.buildTrees([
+            entry('E5', 'SYSTEM', 'BOOTSTRAP_SEQUENCE_START', { symbol: 'NQ' }),
+            entry('E5', 'INFRA', 'ADAPTER_HEALTH_CHECK_START', { adapter: '2:MockMarketAdapter' }),
+            entry('E5', 'INFRA', 'ADAPTER_HEALTH_CHECK_COMPLETE', { adapter: '2:MockMarketAdapter', durationMs: 3 }),
+            entry('E5', 'SYSTEM', 'BOOTSTRAP_SEQUENCE_COMPLETE', { symbol: 'NQ', durationMs: 9 })
+        ]);
+        const spans = TraceAnalyzer.flatten(trees);
+
+        expect(spans.filter(span => TraceAnalyzer.spanMatches(span, { layers: ['INFRA'], symbol: 'nq' })).map(({ label }) => label))
+            .toEqual(['ADAPTER_HEALTH_CHECK']);
+        expect(spans.filter(span => TraceAnalyzer.spanMatches(span, { event: 'bootstrap' }))).toHaveLength(1);
+        expect(spans.filter(span => TraceAnalyzer.spanMatches(span, { symbol: 'SPX' }))).toEqual([]);
+    });
+});
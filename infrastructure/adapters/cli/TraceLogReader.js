@@ -0,0 +1,146 @@
+/**
+ * @fileoverview TraceLogReader
+ * Reads the JSON-line trace files written by Tracer (logs/traces/*.trace.log).
+ * * Each line is `{ts, sid, lyr, evt, dat}`. Lines that are not valid JSON
+ * (e.g., a write cut short by a crash) are skipped rather than failing the read.
+ * * Tracer rotates the file daily (<namespace>-YYYY-MM-DD.trace.log, local
+ * date), so a date range maps to the files whose date falls inside it.
+ */
+
+import { readFile, readdir } from 'fs/promises';
+import { join } from 'path';
+import { InvalidConfigError } from '../../../domain/errors/DomainErrors.js';
+
+const TRACE_FILE = /-(\d{4}-\d{2}-\d{2})\.trace\.log$/;
+
+/**
+ * @typedef {Object} TraceFilters
+ * @property {string} [session] - Keep only this session ID (case-insensitive).
+ * @property {string} [excludeSession] - Drop this session ID (typically the reader's own run).
+ * @property {string[]} [layers] - Keep only these layers (e.g., ['INFRA', 'DOMAIN']).
+ * @property {string} [event] - Keep only events whose name contains this text (case-insensitive).
+ * @property {string} [symbol] - Keep only events about this symbol (dat.symbol or dat.symbols).
+ * @property {number} [since] - Keep only events at or after this time (ms).
+ * @property {number} [until] - Keep only events at or before this time (ms).
+ * @property {number} [limit] - Keep only the newest N entries.
+ */
+
+export class TraceLogReader {
+    /**
+     * @param {string} filePath - Absolute path of a trace file.
+     * @param {TraceFilters} [filters]
+     * @returns {Promise<Array<{ts: string, sid: string, lyr: string, evt: string, dat: Object}>>} Oldest first.
+     * @throws {InvalidConfigError} If the file cannot be read.
+     */
+    static async read(filePath, filters = {}) {
+        let contents;
+        try {
+            contents = await readFile(filePath, 'utf-8');
+        } catch (error) {
+            throw new InvalidConfigError(`Unable to read trace log ${filePath}: ${error.message}`, {
+                hint: 'Check that ENABLE_TRACING is on and that a run has written a trace today.',
+                cause: error
+            });
+        }
+
+        const entries = TraceLogReader.parse(contents).filter(entry => TraceLogReader.matches(entry, filters));
+        return filters.limit ? entries.slice(-filters.limit) : entries;
+    }
+
+    /**
+     * Reads every daily file of the directory dated within the range.
+     * @param {string} traceDir - Directory holding the trace files (logs/traces).
+     * @param {TraceFilters & {since: number, until: number}} filters - since and until also pick the files.
+     * @returns {Promise<{files: string[], entries: Array<Object>}>} Entries oldest first across files.
+     * @throws {InvalidConfigError} If the directory cannot be read or no file falls in the range.
+     */
+    static async readRange(traceDir, filters) {
+        let names;
+        try {
+            names = await readdir(traceDir);
+        } catch (error) {
+            throw new InvalidConfigError(`Unable to read trace directory ${traceDir}: ${error.message}`, {
+                hint: 'Check that ENABLE_TRACING is on and that a run has written a trace.',
+                cause: error
+            });
+        }
+
+        const firstDay = localDay(filters.since);
+        const lastDay = localDay(filters.until);
+        const files = names
+            .map(name => ({ name, day: TRACE_FILE.exec(name)?.[1] }))
+            .filter(({ day }) => day && day >= firstDay && day <= lastDay)
+            .sort((a, b) => a.day.localeCompare(b.day))
+            .map(({ name }) => join(traceDir, name));
+        if (files.length === 0) {
+            throw new InvalidConfigError(`No trace files between ${firstDay} and ${lastDay} in ${traceDir}.`, {
+                hint: 'Widen --since/--until, or check that ENABLE_TRACING was on for those days.'
+            });
+        }
+
+        const { limit, ...unlimited } = filters;
+        const entries = [];
+        for (const file of files) entries.push(...await TraceLogReader.read(file, unlimited));
+        return { files, entries: limit ? entries.slice(-limit) : entries };
+    }
+
+    /**
+     * @param {string} contents - Whole trace file.
+     * @returns {Array<Object>} Parsed entries, malformed lines dropped.
+     */
+    static parse(contents) {
+        return contents.split(/\r?\n/).map(TraceLogReader.parseLine).filter(Boolean);
+    }
+
+    /**
+     * @param {string} line - One line of a trace file.
+     * @returns {Object|null} The entry, or null for blank or malformed lines.
+     */
+    static parseLine(line) {
+        if (!line.trim()) return null;
+        try {
+            const entry = JSON.parse(line);
+            return entry && typeof entry.evt === 'string' ? entry : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Whether an entry passes the filters (the limit is not applied here).
+     * @param {Object} entry
+     * @param {TraceFilters} filters
+     * @returns {boolean}
+     */
+    static matches(entry, { session, excludeSession, layers, event, symbol, since, until } = {}) {
+        if (session && entry.sid !== session.toUpperCase()) return false;
+        if (excludeSession && entry.sid === excludeSession) return false;
+        if (layers?.length && !layers.includes(entry.lyr)) return false;
+        if (event && !entry.evt.includes(event.toUpperCase())) return false;
+        if (symbol && !TraceLogReader.symbolsOf(entry.dat).includes(symbol.toUpperCase())) return false;
+        if (since !== undefined || until !== undefined) {
+            const at = Date.parse(entry.ts);
+            if (since !== undefined && !(at >= since)) return false;
+            if (until !== undefined && !(at <= until)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * The symbols an event is about: dat.symbol, or the comma-separated dat.symbols.
+     * @param {Object} [dat]
+     * @returns {string[]} Upper-case tickers; empty when the event names none.
+     */
+    static symbolsOf(dat) {
+        const named = [dat?.symbol, ...String(dat?.symbols ?? '').split(',')];
+        return named.filter(value => typeof value === 'string' && value.trim() !== '').map(value => value.trim().toUpperCase());
+    }
+}
+
+/**
+ * YYYY-MM-DD in local time, as Tracer names its files.
+ * @private
+ */
+function localDay(ms) {
+    return new Date(ms).toLocaleDateString('en-CA');
+}
@@ -0,0 +1,49 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { basename, join } from 'path';
+import { TraceLogReader } from './TraceLogReader.js';
+import { InvalidConfigError } from '../../../domain/errors/DomainErrors.js';
+
+// Midday local time, so each entry lands in the file of its own local date
+const at = (day, hour = 12) => new Date(2026, 0, day, hour).getTime();
+const line = (day, sid, lyr, evt, dat = {}) => JSON.stringify({ ts: new Date(at(day)).toISOString(), sid, lyr, evt, dat });
+
+describe('TraceLogReader', () => {
+    let traceDir;
+
+    beforeAll(async () => {
+        traceDir = await mkdtemp(join(tmpdir(), 'plnexus-traces-'));
+        await writeFile(join(traceDir, 'plnexus-2026-01-02.trace.log'), [
+            line(2, 'AAA1111', 'DOMAIN', 'GET_MARKET_SNAPSHOT_START', { symbol: 'SPX' }),
+            '{"truncated": ',
+            line(2, 'BBB2222', 'INFRA', 'ADAPTER_RETRY', { symbol: 'ES', attempt: 1 })
+        ].join('\n'));
+        await writeFile(join(traceDir, 'plnexus-2026-01-03.trace.log'), [
+            line(3, 'CCC3333', 'HTTP', 'STREAM_CLIENT_OPENED', { symbols: 'SPX,NQ' })
+        ].join('\n'));
+        await writeFile(join(traceDir, 'plnexus-2026-01-05.trace.log'), line(5, 'DDD4444', 'CLI', 'WATCH_STOPPED'));
+    });
+
+    afterAll(() => rm(traceDir, { recursive: true, force: true }));
+
+    it('should filter one file by session, layer, event text and symbol', async () => {
+        const file = join(traceDir, 'plnexus-2026-01-02.trace.log');
+
+        expect(await TraceLogReader.read(file)).toHaveLength(2);
+        expect((await TraceLogReader.read(file, { session: 'aaa1111' }))[0].evt).toBe('GET_MARKET_SNAPSHOT_START');
+        expect(await TraceLogReader.read(file, { layers: ['INFRA'], event: 'retry', symbol: 'es' })).toHaveLength(1);
+        expect(await TraceLogReader.read(file, { layers: ['CLI'] })).toEqual([]);
+    });
+
+    it('should read the daily files inside a date range, matching comma-separated symbols', async () => {
+        const { files, entries } = await TraceLogReader.readRange(traceDir, { since: at(3, 0), until: at(5, 23), symbol: 'NQ' });
+
+        expect(files.map(file => basename(file))).toEqual(['plnexus-2026-01-03.trace.log', 'plnexus-2026-01-05.trace.log']);
+        expect(entries.map(({ sid }) => sid)).toEqual(['CCC3333']);
+    });
+
+    it('should report a range with no trace files as a configuration error', async () => {
+        await expect(TraceLogReader.readRange(traceDir, { since: at(10), until: at(11) })).rejects.toBeInstanceOf(InvalidConfigError);
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview WatchSession (Driving Adapter)
+ * Keeps an adapter alive and re-runs the snapshot use case on a fixed schedule.
+ * * DESIGN PRINCIPLES:
+ * - No Overlap: The next poll is scheduled only after the previous one settles,
+ *   so a slow provider stretches the cycle instead of stacking requests.
+ * - Observability: Every poll is its own tracer span, exposing latency drift.
+ * - Clean Shutdown: stop() waits for the in-flight poll before resolving.
+ */
+
+import { logger } from '#logger';
+
+export class WatchSession {
+    #timer = null;
+    #inFlight = null;
+    #stopped = false;
+    #resolveDone = null;
+
+    /**
+     * @param {Object} deps
+     * @param {Object} deps.useCase - GetMarketSnapshot instance.
+     * @param {Object} deps.view - Renderer exposing renderWatch().
+     * @param {Object} deps.tracer - Telemetry utility.
+     * @param {string[]} deps.symbols - Tickers to poll.
+     * @param {number} deps.intervalMs - Delay between polls.
+     */
+    constructor({ useCase, view, tracer, symbols, intervalMs }) {
+        if (!useCase || !view || !tracer) {
+            throw new Error(`[WatchSession] Dependency Injection Failed: UseCase(${!!useCase}) View(${!!view}) Tracer(${!!tracer})`);
+        }
+        if (!Array.isArray(symbols) || symbols.length === 0) {
+            throw new Error('[WatchSession] At least one symbol is required.');
+        }
+        this.useCase = useCase;
+        this.view = view;
+        this.tracer = tracer;
+        this.symbols = symbols;
+        this.intervalMs = intervalMs;
+        this.pollCount = 0;
+        /** @type {Map<string, Object>} Last successful quote per symbol. */
+        this.previous = new Map();
+    }
+
+    /**
+     * Starts polling. The returned promise resolves once stop() has completed.
+     * @returns {Promise<void>}
+     */
+    start() {
+        const done = new Promise(resolve => { this.#resolveDone = resolve; });
+        this.#tick();
+        return done;
+    }
+
+    /**
+     * Cancels the schedule and waits for any in-flight poll to settle.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (this.#stopped) return;
+        this.#stopped = true;
+        clearTimeout(this.#timer);
+        await this.#inFlight;
+        await this.tracer.record('CLI', 'WATCH_STOPPED', { polls: this.pollCount });
+        this.#resolveDone?.();
+    }
+
+    /**
+     * Swaps the use case between polls (e.g., after a manifest reload).
+     * A poll already in flight finishes on the old adapter; the next one uses the new one.
+     * @param {Object} useCase - GetMarketSnapshot instance.
+     */
+    replaceUseCase(useCase) {
+        if (!useCase) {
+            throw new Error('[WatchSession] replaceUseCase() requires a use case.');
+        }
+        this.useCase = useCase;
+    }
+
+    /**
+     * Runs one poll, renders it, then schedules the next.
+     * @private
+     */
+    #tick() {
+        if (this.#stopped) return;
+
+        this.#inFlight = this.poll().catch(error => {
+            // A broken poll must not end the session; the next cycle may recover
+            logger.error(`[WatchSession] Poll ${this.pollCount} failed: ${error.message}`);
+        }).finally(() => {
+            this.#inFlight = null;
+            if (!this.#stopped) {
+                this.#timer = setTimeout(() => this.#tick(), this.intervalMs);
+            }
+        });
+    }
+
+    /**
+     * Snapshots every symbol once and redraws the view.
+     * @returns {Promise<{quotes: Object[], failures: Array<{symbol: string, reason: string, code?: string}>}>}
+     */
+    async poll() {
+        const poll = ++this.pollCount;
+
+        const result = await this.tracer.traceSpan('CLI', 'WATCH_POLL', async () => {
+            const settled = await Promise.allSettled(this.symbols.map(symbol => this.useCase.execute(symbol)));
+
+            const quotes = [];
+            const failures = [];
+            settled.forEach((outcome, i) => {
+                if (outcome.status === 'fulfilled') {
+                    quotes.push(outcome.value);
+                } else {
+                    failures.push({ symbol: this.symbols[i], reason: outcome.reason.message, code: outcome.reason.code });
+                }
+            });
+            return { quotes, failures };
+        }, { poll, symbols: this.symbols.join(',') });
+
+        // A poll that settles after Ctrl+C must not redraw over the shutdown message
+        if (!this.#stopped) {
+            this.view.renderWatch(result, this.previous, { poll, intervalMs: this.intervalMs });
+        }
+
+        // Remember the latest print so the next redraw can highlight the tick direction
+        for (const quote of result.quotes) {
+            this.previous.set(quote.symbol, quote);
+        }
+        return result;
+    }
+}
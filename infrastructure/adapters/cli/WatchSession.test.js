@@ -0,0 +1,50 @@
+import { describe, it, expect, vi } from 'vitest';
+import { WatchSession } from './WatchSession.js';
+import { MarketQuote } from '../../../domain/entities/MarketQuote.js';
+
+const tracer = {
+    traceSpan: vi.fn((layer, label, fn) => fn()),
+    record: vi.fn()
+};
+
+describe('WatchSession', () => {
+    it('should poll on an interval, highlight against the previous quote and stop cleanly', async () => {
+        const prices = [100, 101, 99];
+        const useCase = {
+            execute: vi.fn(async symbol => new MarketQuote({
+                symbol, price: prices.shift() ?? 99, timestamp: Date.now(), source: 'Test'
+            }))
+        };
+        const frames = [];
+        const view = {
+            renderWatch: vi.fn((result, previous) => {
+                frames.push({ price: result.quotes[0].price, prior: previous.get('SPX')?.price });
+            })
+        };
+
+        const session = new WatchSession({ useCase, view, tracer, symbols: ['SPX'], intervalMs: 5 });
+        const done = session.start();
+        await vi.waitFor(() => expect(frames.length).toBeGreaterThanOrEqual(3));
+        await session.stop();
+        await done;
+
+        expect(frames.slice(0, 3)).toEqual([
+            { price: 100, prior: undefined },
+            { price: 101, prior: 100 },
+            { price: 99, prior: 101 }
+        ]);
+        expect(tracer.traceSpan).toHaveBeenCalledWith('CLI', 'WATCH_POLL', expect.any(Function), expect.objectContaining({ poll: 1 }));
+        expect(tracer.record).toHaveBeenCalledWith('CLI', 'WATCH_STOPPED', expect.any(Object));
+    });
+
+    it('should report failing symbols without ending the session', async () => {
+        const useCase = { execute: vi.fn().mockRejectedValue(new Error('Upstream down')) };
+        const view = { renderWatch: vi.fn() };
+
+        const session = new WatchSession({ useCase, view, tracer, symbols: ['ES'], intervalMs: 1000 });
+        const result = await session.poll();
+
+        expect(result).toEqual({ quotes: [], failures: [{ symbol: 'ES', reason: 'Upstream down' }] });
+        expect(view.renderWatch).toHaveBeenCalledOnce();
+    });
+});
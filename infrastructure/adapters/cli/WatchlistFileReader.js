@@ -0,0 +1,56 @@
+/**
+ * @fileoverview WatchlistFileReader
+ * Reads a plain-text watchlist into a list of ticker symbols.
+ * * FILE FORMAT:
+ * - One or more symbols per line, separated by commas or whitespace.
+ * - Anything after a '#' is treated as a comment.
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve } from 'path';
+
+export class WatchlistFileReader {
+    /**
+     * Parses a comma separated CLI argument (e.g., 'SPX,ES,NDX').
+     * @param {string} input
+     * @returns {string[]} Uppercased, de-duplicated symbols.
+     */
+    static parseList(input) {
+        return WatchlistFileReader.#unique(String(input || '').split(/[,\s]+/));
+    }
+
+    /**
+     * Loads a watchlist file relative to the current working directory.
+     * @param {string} filePath
+     * @returns {Promise<string[]>} Uppercased, de-duplicated symbols.
+     * @throws {Error} If the file cannot be read or contains no symbols.
+     */
+    static async read(filePath) {
+        const absolutePath = resolve(filePath);
+        let contents;
+        try {
+            contents = await readFile(absolutePath, 'utf-8');
+        } catch (error) {
+            throw new Error(`[Watchlist] Unable to read ${absolutePath}: ${error.message}`);
+        }
+
+        const tokens = contents
+            .split(/\r?\n/)
+            .map(line => line.replace(/#.*$/, ''))
+            .flatMap(line => line.split(/[,\s]+/));
+
+        const symbols = WatchlistFileReader.#unique(tokens);
+        if (symbols.length === 0) {
+            throw new Error(`[Watchlist] ${absolutePath} does not contain any symbols.`);
+        }
+        return symbols;
+    }
+
+    /** @private */
+    static #unique(tokens) {
+        const cleaned = tokens
+            .map(token => token.trim().replace(/^-+/, '').toUpperCase())
+            .filter(Boolean);
+        return [...new Set(cleaned)];
+    }
+}
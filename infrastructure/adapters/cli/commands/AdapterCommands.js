@@ -0,0 +1,67 @@
+/**
+ * @fileoverview AdapterCommands
+ * Inspection of the manifest's adapters: what is registered, and whether
+ * each one honours the MarketDataPort contract.
+ */
+
+import { AdapterConformanceKit } from '../../../conformance/AdapterConformanceKit.js';
+import { InvalidConfigError } from '../../../../domain/errors/DomainErrors.js';
+import { ExitCode } from '../ExitCodes.js';
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const AdaptersListCommand = Object.freeze({
+    name: 'adapters list',
+    summary: 'List the manifest adapters, their decorations and the fallback',
+    examples: ['adapters list', 'adapters list --csv'],
+
+    /**
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ factory, presenter }) {
+        presenter.renderAdapterList(await factory.listModes());
+    }
+});
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const AdaptersConformanceCommand = Object.freeze({
+    name: 'adapters conformance',
+    summary: 'Run the MarketDataPort contract checks against each manifest adapter',
+    arguments: '[MODE...]',
+    maxPositionals: Infinity,
+    examples: ['adapters conformance', 'adapters conformance 2'],
+
+    /**
+     * Runs against the raw (undecorated) adapters. Adapters that cannot be built
+     * (e.g., missing API key) are reported as skipped; any failed check exits non-zero.
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ positionals: modes, factory, environment, tracer, presenter, defaults }) {
+        const kit = new AdapterConformanceKit({ probeSymbol: defaults.defaultSymbol });
+        const registered = await factory.listModes();
+        const selected = modes.length > 0 ? registered.filter(({ mode }) => modes.includes(mode)) : registered;
+        if (selected.length === 0) {
+            throw new InvalidConfigError(`No manifest entries match modes [${modes.join(', ')}].`, {
+                hint: 'Run "adapters list" to see the registered modes.'
+            });
+        }
+
+        const reports = await tracer.traceSpan('CLI', 'ADAPTER_CONFORMANCE', async () => {
+            const collected = [];
+            for (const { mode, className } of selected) {
+                const label = `${mode}:${className}`;
+                let adapter;
+                try {
+                    ({ adapter } = await factory.createRawAdapter(mode, environment));
+                } catch (error) {
+                    collected.push({ label, reason: error.message });
+                    continue;
+                }
+                collected.push({ label, ...(await kit.run(adapter)) });
+            }
+            return collected;
+        }, { modes: selected.map(({ mode }) => mode).join(',') });
+
+        presenter.renderConformanceMatrix(reports);
+        if (reports.some(({ passed }) => passed === false)) process.exitCode = ExitCode.FAILURE;
+    }
+});
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview AlertCommands
+ * Price alerts: 'alerts watch' checks the rules in a rules file against
+ * streamed quotes and notifies the configured sinks until SIGINT, moving
+ * onto the rebuilt chain when the adapter manifest is edited (as watch does);
+ * 'alerts receive' is a local endpoint the webhook sink can post to.
+ */
+
+import { join } from 'path';
+import { logger } from '#logger';
+import { parseDuration } from '#shared/duration';
+import { MonitorAlerts } from '../../../../domain/use-cases/MonitorAlerts.js';
+import { AlertRulesConfig } from '../../../config/AlertRulesConfig.js';
+import { AlertNotifier, createAlertSinks } from '../../notifications/AlertSinks.js';
+import { AlertWebhookReceiver } from '../../http/AlertWebhookReceiver.js';
+import { ManifestWatcher } from '../../../config/ManifestWatcher.js';
+import { ADAPTER_OPTIONS, ADAPTER_CONFLICTS, parsePort, resolveChainOptions, resolveMode } from './CliOptions.js';
+
+/**
+ * Rules file used when --rules is not given, relative to the project root.
+ */
+const DEFAULT_RULES_PATH = 'config/alerts.json';
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const AlertsWatchCommand = Object.freeze({
+    name: 'alerts watch',
+    summary: 'Check alert rules on every new quote and notify the terminal, the alert log and a webhook',
+    options: [
+        ...ADAPTER_OPTIONS,
+        { name: 'rules', type: 'string', placeholder: 'file', description: `Alert rules file (default: ${DEFAULT_RULES_PATH})` },
+        {
+            name: 'interval', type: 'string', placeholder: 'duration', parse: parseDuration, default: 1000,
+            description: 'Quote update interval, e.g. 500ms, 5s (default: 1s)'
+        },
+        { name: 'webhook', type: 'string', placeholder: 'url', description: 'Also POST each alert to this URL (overrides sinks.webhook.url)' }
+    ],
+    conflicts: ADAPTER_CONFLICTS,
+    examples: [
+        'alerts watch --mock',
+        'alerts watch --live --rules ./my-alerts.json',
+        'alerts watch --mock --webhook http://127.0.0.1:9099/alerts',
+        'alerts watch --mock --ndjson > alerts.ndjson'
+    ],
+
+    /**
+     * Resolves once monitoring has started; the subscription keeps the process alive.
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ options, factory, environment, tracer, presenter, onShutdown }) {
+        const mode = resolveMode(options);
+        const chainOptions = resolveChainOptions(options);
+        const config = await AlertRulesConfig.load(options.rules ?? join(factory.root, DEFAULT_RULES_PATH));
+        const sinks = options.webhook === undefined
+            ? config.sinks
+            : { ...config.sinks, webhook: { timeoutMs: config.sinks.webhook?.timeoutMs ?? 5000, url: options.webhook } };
+
+        await tracer.traceSpan('SYSTEM', 'BOOTSTRAP_SEQUENCE', async () => {
+            const adapter = await factory.loadAdapter(mode, environment, chainOptions);
+            const notifier = new AlertNotifier({ sinks: createAlertSinks(sinks, { view: presenter, root: factory.root }), tracer });
+
+            const monitor = new MonitorAlerts(adapter, tracer);
+            const stop = await monitor.execute(config.rules, alert => notifier.notify(alert), {
+                intervalMs: options.interval,
+                onError: (error, symbol) => logger.warn(`[Alerts] ${symbol}: ${error.message}`, { code: error.code })
+            });
+
+            // HOT RELOAD: A valid manifest edit rebuilds the chain; an invalid one is ignored
+            const manifestWatcher = new ManifestWatcher({
+                manifestPath: factory.manifestPath,
+                tracer,
+                onReload: async () => monitor.replacePort(await factory.loadAdapter(mode, environment, chainOptions))
+            });
+            await manifestWatcher.start();
+
+            // Stop watching the manifest first, then let pending notifications settle
+            onShutdown(() => manifestWatcher.stop());
+            onShutdown(stop);
+            logger.info(`Monitoring ${config.rules.length} alert rule(s)...`, {
+                symbols: [...new Set(config.rules.map(({ symbol }) => symbol))],
+                sinks: notifier.sinks.map(({ name }) => name),
+                mode
+            });
+        }, { mode });
+    }
+});
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const AlertsReceiveCommand = Object.freeze({
+    name: 'alerts receive',
+    summary: 'Run a local webhook endpoint (POST /alerts) and print each alert it receives',
+    options: [
+        { name: 'port', type: 'string', placeholder: 'n', default: 9099, parse: parsePort, description: 'TCP port to listen on (default: 9099)' },
+        { name: 'host', type: 'string', placeholder: 'addr', default: '127.0.0.1', description: 'Interface to bind (default: 127.0.0.1)' }
+    ],
+    examples: [
+        'alerts receive',
+        'alerts receive --port 9100 --ndjson'
+    ],
+
+    /**
+     * Resolves once the endpoint is listening; the open socket keeps the process alive.
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ options, tracer, presenter, onShutdown }) {
+        const receiver = new AlertWebhookReceiver({ onAlert: payload => presenter.renderAlert(payload), tracer });
+        const { host, port } = await receiver.start({ port: options.port, host: options.host });
+        onShutdown(() => receiver.stop());
+        logger.info(`Receiving alerts on http://${host}:${port}/alerts`);
+    }
+});
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview ArgumentParser
+ * Turns raw CLI tokens into typed option values and positional arguments,
+ * driven entirely by option specs so help text and parsing never disagree.
+ * * ACCEPTED FORMS:
+ * - '--key=value' and '--key value' for value options.
+ * - '--flag' for booleans, '-h' for single-letter aliases.
+ * - '--' ends option parsing; everything after it is positional.
+ * Unknown flags are rejected with the closest known spelling as a hint.
+ */
+
+import { ValidationError } from '../../../../domain/errors/DomainErrors.js';
+
+/**
+ * @typedef {Object} OptionSpec
+ * @property {string} name - Long flag name without dashes (e.g., 'interval').
+ * @property {('boolean'|'string')} [type='boolean']
+ * @property {string} [alias] - Single-letter short form (e.g., 'h').
+ * @property {string} [placeholder] - Value name shown in help (e.g., 'duration').
+ * @property {string} description - One line for the generated help.
+ * @property {function(string): *} [parse] - Converts the raw value; throws to reject it.
+ * @property {*} [default] - Value when the flag is absent.
+ * @property {boolean} [hidden=false] - Accepted but left out of help (legacy spellings).
+ */
+
+export class ArgumentParser {
+    /**
+     * @param {string[]} tokens - Raw CLI arguments (no node/script prefix).
+     * @param {OptionSpec[]} specs - Every option the command accepts.
+     * @returns {{options: Object<string, *>, positionals: string[], given: Set<string>}}
+     *   Options are keyed by camelCase name; `given` holds the flag names present on the line.
+     * @throws {ValidationError} On unknown flags, missing values or values that fail `parse`.
+     */
+    static parse(tokens, specs) {
+        const byName = new Map(specs.map(spec => [spec.name, spec]));
+        const byAlias = new Map(specs.filter(spec => spec.alias).map(spec => [spec.alias, spec]));
+        const options = Object.fromEntries(
+            specs.filter(spec => spec.default !== undefined).map(spec => [camelCase(spec.name), spec.default])
+        );
+        const positionals = [];
+        const given = new Set();
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            if (token === '--') {
+                positionals.push(...tokens.slice(i + 1));
+                break;
+            }
+            if (!ArgumentParser.isFlag(token)) {
+                positionals.push(token);
+                continue;
+            }
+
+            const { flag, inline } = splitFlag(token);
+            const spec = flag.startsWith('--') ? byName.get(flag.slice(2)) : byAlias.get(flag.slice(1));
+            if (!spec) throw unknownFlag(flag, specs);
+
+            let raw;
+            if ((spec.type ?? 'boolean') === 'boolean') {
+                if (inline !== undefined) {
+                    throw new ValidationError(`Flag --${spec.name} does not take a value.`, { field: spec.name });
+                }
+                raw = true;
+            } else if (inline !== undefined) {
+                raw = inline;
+            } else if (i + 1 < tokens.length && !ArgumentParser.isFlag(tokens[i + 1])) {
+                raw = tokens[++i];
+            } else {
+                throw new ValidationError(`Flag --${spec.name} expects a value.`, {
+                    field: spec.name,
+                    hint: `Write it as --${spec.name}=<${spec.placeholder ?? 'value'}> or --${spec.name} <${spec.placeholder ?? 'value'}>.`
+                });
+            }
+
+            options[camelCase(spec.name)] = spec.parse && raw !== true ? parseValue(spec, raw) : raw;
+            given.add(spec.name);
+        }
+
+        return { options, positionals, given };
+    }
+
+    /**
+     * True for '--name', '--name=value' and '-x'; false for '-', '--' and negative numbers.
+     * @param {string} token
+     * @returns {boolean}
+     */
+    static isFlag(token) {
+        return /^--?[a-zA-Z]/.test(token);
+    }
+
+    /**
+     * True when the token is a value option written without '=', so the
+     * following token belongs to it rather than being a positional.
+     * @param {string} token
+     * @param {OptionSpec[]} specs
+     * @returns {boolean}
+     */
+    static consumesNext(token, specs) {
+        if (!ArgumentParser.isFlag(token) || token.includes('=')) return false;
+        const spec = token.startsWith('--')
+            ? specs.find(({ name }) => name === token.slice(2))
+            : specs.find(({ alias }) => alias === token.slice(1));
+        return (spec?.type ?? 'boolean') !== 'boolean';
+    }
+}
+
+/**
+ * 'no-fallback' -> 'noFallback'.
+ * @param {string} name
+ * @returns {string}
+ */
+export function camelCase(name) {
+    return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/** @private */
+function splitFlag(token) {
+    const index = token.indexOf('=');
+    return index === -1 ? { flag: token } : { flag: token.slice(0, index), inline: token.slice(index + 1) };
+}
+
+/**
+ * Runs the spec's converter and reports any failure against the flag.
+ * @private
+ */
+function parseValue(spec, raw) {
+    try {
+        return spec.parse(raw);
+    } catch (error) {
+        if (error instanceof ValidationError) throw error;
+        throw new ValidationError(`Invalid value for --${spec.name}: ${error.message}`, { field: spec.name });
+    }
+}
+
+/** @private */
+function unknownFlag(flag, specs) {
+    const wanted = flag.replace(/^-+/, '');
+    const suggestion = specs
+        .filter(({ hidden }) => !hidden)
+        .map(({ name }) => ({ name, distance: editDistance(wanted, name) }))
+        .filter(({ distance }) => distance <= 2)
+        .sort((a, b) => a.distance - b.distance)[0];
+
+    return new ValidationError(`Unknown flag "${flag}".`, {
+        field: wanted,
+        hint: suggestion ? `Did you mean --${suggestion.name}?` : 'Run with --help to list the accepted flags.'
+    });
+}
+
+/**
+ * Levenshtein distance, used only to suggest a spelling.
+ * @private
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { ArgumentParser, camelCase } from './ArgumentParser.js';
+import { ValidationError } from '../../../../domain/errors/DomainErrors.js';
+
+const specs = [
+    { name: 'help', alias: 'h', description: 'Help' },
+    { name: 'mock', description: 'Mock' },
+    { name: 'no-fallback', description: 'Strict' },
+    { name: 'symbol', type: 'string', description: 'Symbol' },
+    { name: 'limit', type: 'string', default: 20, parse: Number, description: 'Limit' },
+    { name: 'interval', type: 'string', parse: () => { throw new Error('bad duration'); }, description: 'Interval' }
+];
+
+describe('ArgumentParser', () => {
+    it('should accept --key=value and --key value alike', () => {
+        const inline = ArgumentParser.parse(['--symbol=SPX', '--limit=5'], specs);
+        const spaced = ArgumentParser.parse(['--symbol', 'SPX', '--limit', '5'], specs);
+
+        expect(inline.options).toEqual({ symbol: 'SPX', limit: 5 });
+        expect(spaced.options).toEqual(inline.options);
+        expect([...spaced.given]).toEqual(['symbol', 'limit']);
+    });
+
+    it('should camelCase names, apply defaults and keep positionals in order', () => {
+        const { options, positionals } = ArgumentParser.parse(['SPX', '--no-fallback', '-h', 'ES', '--', '--mock'], specs);
+
+        expect(options).toEqual({ limit: 20, noFallback: true, help: true });
+        expect(positionals).toEqual(['SPX', 'ES', '--mock']);
+        expect(camelCase('no-fallback')).toBe('noFallback');
+    });
+
+    it('should suggest the closest flag for a typo', () => {
+        expect(() => ArgumentParser.parse(['--symbl=SPX'], specs)).toThrow(ValidationError);
+        try {
+            ArgumentParser.parse(['--symbl=SPX'], specs);
+        } catch (error) {
+            expect(error.message).toBe('Unknown flag "--symbl".');
+            expect(error.hint).toBe('Did you mean --symbol?');
+        }
+    });
+
+    it('should reject missing values, values on booleans and values that fail to parse', () => {
+        expect(() => ArgumentParser.parse(['--symbol'], specs)).toThrow('Flag --symbol expects a value.');
+        expect(() => ArgumentParser.parse(['--symbol', '--mock'], specs)).toThrow('expects a value');
+        expect(() => ArgumentParser.parse(['--mock=yes'], specs)).toThrow('does not take a value');
+        expect(() => ArgumentParser.parse(['--interval', 'soon'], specs)).toThrow('Invalid value for --interval: bad duration');
+    });
+
+    it('should know which flags consume the next token', () => {
+        expect(ArgumentParser.consumesNext('--symbol', specs)).toBe(true);
+        expect(ArgumentParser.consumesNext('--symbol=SPX', specs)).toBe(false);
+        expect(ArgumentParser.consumesNext('--mock', specs)).toBe(false);
+        expect(ArgumentParser.isFlag('-5')).toBe(false);
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview CliOptions
+ * Option specs shared by several commands, and the helpers that turn the
+ * parsed values into what the composer needs (mode, format, symbol list).
+ */
+
+import { PresenterFactory, OUTPUT_FORMATS } from '../presenters/PresenterFactory.js';
+import { WatchlistFileReader } from '../WatchlistFileReader.js';
+import { ValidationError } from '../../../../domain/errors/DomainErrors.js';
+
+/**
+ * Flags every command accepts.
+ * @type {import('./ArgumentParser.js').OptionSpec[]}
+ */
+export const GLOBAL_OPTIONS = Object.freeze([
+    { name: 'help', alias: 'h', description: 'Display this guide' },
+    {
+        name: 'format', type: 'string', placeholder: 'fmt', parse: PresenterFactory.normalize,
+        description: `Output format: ${OUTPUT_FORMATS.join(', ')} (default: table).\nMachine formats write data to stdout and logs to stderr`
+    },
+    { name: 'json', description: 'Shorthand for --format=json' },
+    { name: 'csv', description: 'Shorthand for --format=csv' },
+    { name: 'ndjson', description: 'Shorthand for --format=ndjson' },
+    { name: 'quiet', description: 'Print only the data; no log lines on the console' }
+]);
+
+/**
+ * At most one output format may be requested.
+ */
+export const GLOBAL_CONFLICTS = Object.freeze([['format', 'json', 'csv', 'ndjson']]);
+
+/**
+ * Provider selection, for every command that requests market data.
+ * @type {import('./ArgumentParser.js').OptionSpec[]}
+ */
+export const ADAPTER_OPTIONS = Object.freeze([
+    { name: 'live', description: 'Connect to live market providers (Finnhub)' },
+    { name: 'mock', description: 'Use local simulated data providers' },
+    { name: 'mode', type: 'string', placeholder: 'mode', description: 'Manifest adapter mode (e.g., 1 live, 2 mock, 3 cassette replay)' },
+    { name: 'no-fallback', description: 'Strict run: never fail over to the manifest\'s fallbackMode' },
+    { name: 'record', description: 'Record every provider call to a cassette under logs/cassettes/ (replay with --mode 3)' }
+]);
+
+/**
+ * --live, --mock and --mode all name the adapter.
+ */
+export const ADAPTER_CONFLICTS = Object.freeze([['live', 'mock', 'mode']]);
+
+/**
+ * Explicit symbol flag; the bats suites and scripts use it instead of a positional.
+ * @type {import('./ArgumentParser.js').OptionSpec}
+ */
+export const SYMBOL_OPTION = Object.freeze({
+    name: 'symbol', type: 'string', placeholder: 'symbol[,symbol...]', description: 'Symbol(s) to request; same as the positional form'
+});
+
+/**
+ * @type {import('./ArgumentParser.js').OptionSpec}
+ */
+export const WATCHLIST_OPTION = Object.freeze({
+    name: 'watchlist', type: 'string', placeholder: 'file', description: 'Read the symbols from a watchlist file'
+});
+
+/**
+ * The format named by --format or one of its shorthands.
+ * @param {Object} options - Parsed options.
+ * @returns {string} One of OUTPUT_FORMATS.
+ */
+export function resolveFormat(options) {
+    return options.format ?? OUTPUT_FORMATS.find(format => options[format] === true) ?? 'table';
+}
+
+/**
+ * The manifest mode named by --mode, --live or --mock.
+ * @param {Object} options - Parsed options.
+ * @returns {string|null} Null lets the factory use the manifest fallbackMode.
+ */
+export function resolveMode(options) {
+    if (options.mode !== undefined) return options.mode;
+    if (options.mock) return '2';
+    if (options.live) return '1';
+    return null;
+}
+
+/**
+ * How the factory should build the provider chain.
+ * @param {Object} options - Parsed options.
+ * @param {{write: function(string): *}} [stderr=process.stderr] - Where failover notices go.
+ * @returns {{fallback: boolean, record: boolean, onFailover: function(Object): void}} Options for AdapterFactory.loadAdapter().
+ */
+export function resolveChainOptions(options, stderr = process.stderr) {
+    return {
+        fallback: !options.noFallback,
+        record: options.record === true,
+        // Said on stderr in every format (and with --quiet): a live run answered by the mock must not pass unnoticed
+        onFailover: ({ from, to, reason }) => stderr.write(`[failover] ${from} unavailable (${reason}); serving data from ${to}. Use --no-fallback to fail instead.\n`)
+    };
+}
+
+/**
+ * Rejects mixing the three ways of naming symbols.
+ * @param {{given: Set<string>, positionals: string[]}} parsed
+ * @throws {ValidationError}
+ */
+export function assertSingleSymbolSource({ given, positionals }) {
+    const sources = [
+        positionals.length > 0 && 'positional symbols',
+        given.has('symbol') && '--symbol',
+        given.has('watchlist') && '--watchlist'
+    ].filter(Boolean);
+    if (sources.length > 1) {
+        throw new ValidationError(`${sources.join(' and ')} cannot be used together.`, {
+            field: 'symbol',
+            hint: 'Name the symbols one way: as arguments, with --symbol, or in a --watchlist file.'
+        });
+    }
+}
+
+/**
+ * Symbols from the watchlist, --symbol or the positionals ('SPX,ES NDX' forms all work).
+ * @param {{options: Object, positionals: string[]}} parsed
+ * @returns {Promise<string[]>} Uppercased, de-duplicated; empty when none were named.
+ */
+export async function resolveSymbols({ options, positionals }) {
+    if (options.watchlist) return WatchlistFileReader.read(options.watchlist);
+    return WatchlistFileReader.parseList([options.symbol, ...positionals].filter(Boolean).join(','));
+}
+
+/**
+ * Option parser for counts such as --concurrency and --limit.
+ * @param {string} value
+ * @returns {number}
+ * @throws {Error} If the value is not a whole number above zero.
+ */
+export function parsePositiveInteger(value) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`"${value}" is not a whole number greater than zero.`);
+    }
+    return number;
+}
+
+/**
+ * Option parser for --port.
+ * @param {string} value
+ * @returns {number}
+ * @throws {Error} If the value is not a TCP port (0 picks a free one).
+ */
+export function parsePort(value) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`"${value}" is not a TCP port.`);
+    return port;
+}
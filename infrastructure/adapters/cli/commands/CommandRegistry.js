@@ -0,0 +1,277 @@
+/**
+ * @fileoverview CommandRegistry
+ * The single source of truth for the CLI surface: every command declares its
+ * name, flags, positional arguments and invalid combinations once, and both
+ * parsing and the generated --help text are derived from that declaration.
+ * * RESOLUTION:
+ * - Commands are one word ('quote') or a group and an action ('adapters list').
+ * - The command words may appear anywhere among the positionals' leading edge,
+ *   so 'plnexus --mock quote SPX' and 'plnexus quote --mock SPX' are equivalent.
+ * - With no command named, a legacy selector flag (e.g., '--watch') picks its
+ *   command, otherwise the default command runs.
+ */
+
+import { ArgumentParser } from './ArgumentParser.js';
+import { ValidationError } from '../../../../domain/errors/DomainErrors.js';
+
+/**
+ * @typedef {import('./ArgumentParser.js').OptionSpec} OptionSpec
+ */
+
+/**
+ * @typedef {Object} CommandSpec
+ * @property {string} name - One word, or 'group action' (e.g., 'adapters list').
+ * @property {string} summary - One line for the command list.
+ * @property {string} [arguments] - Positional usage shown in help (e.g., '[SYMBOL...]').
+ * @property {number} [maxPositionals=0] - Positional arguments accepted (Infinity for lists).
+ * @property {OptionSpec[]} [options] - Flags specific to this command.
+ * @property {string[][]} [conflicts] - Groups of flag names of which at most one may be given.
+ * @property {string} [selectedBy] - Legacy boolean flag that selects this command when none is named.
+ * @property {string[]} [examples] - Argument lines shown under EXAMPLES (without the program name).
+ * @property {function({options: Object, positionals: string[], given: Set<string>}): void} [validate]
+ *   Throws ValidationError for combinations the flag specs cannot express.
+ * @property {function(CommandContext): Promise<void>} run - Executes the command with the composer's context.
+ */
+
+/**
+ * What main.js hands to a command: the parsed line plus the composed services.
+ * @typedef {Object} CommandContext
+ * @property {Object} options - Parsed flag values, keyed by camelCase name.
+ * @property {string[]} positionals - Arguments after the command words.
+ * @property {Set<string>} given - Flag names present on the command line.
+ * @property {Object} factory - The AdapterFactory.
+ * @property {Object} environment - The EnvironmentService (credentials for adapters).
+ * @property {Object} tracer - Telemetry utility.
+ * @property {Object} presenter - The --format presenter.
+ * @property {{fallbackMode?: string, defaultSymbol?: string}} defaults - Manifest defaults.
+ * @property {function(function(): Promise<void>): void} onShutdown - Registers cleanup run on SIGINT, in order.
+ */
+
+/**
+ * Width of the flag column in generated help.
+ */
+const FLAG_COLUMN = 26;
+
+export class CommandRegistry {
+    #commands = [];
+
+    /**
+     * @param {Object} config
+     * @param {string} config.program - How the tool is invoked, for usage lines.
+     * @param {string} config.defaultCommand - Runs when no command is named.
+     * @param {OptionSpec[]} [config.globalOptions=[]] - Flags every command accepts.
+     * @param {string[][]} [config.globalConflicts=[]] - Mutually exclusive global flags.
+     * @param {string} [config.epilog=''] - Text appended to the top-level help.
+     */
+    constructor({ program, defaultCommand, globalOptions = [], globalConflicts = [], epilog = '' }) {
+        this.program = program;
+        this.defaultCommand = defaultCommand;
+        this.globalOptions = globalOptions;
+        this.globalConflicts = globalConflicts;
+        this.epilog = epilog;
+    }
+
+    /**
+     * @param {CommandSpec} command
+     * @returns {CommandRegistry} This registry, for chaining.
+     * @throws {Error} If the name is already taken.
+     */
+    register(command) {
+        if (this.find(command.name)) {
+            throw new Error(`[CommandRegistry] Command "${command.name}" is already registered.`);
+        }
+        this.#commands.push(command);
+        return this;
+    }
+
+    /**
+     * @returns {CommandSpec[]} Commands in registration order.
+     */
+    get commands() {
+        return [...this.#commands];
+    }
+
+    /**
+     * @param {string} name
+     * @returns {CommandSpec|undefined}
+     */
+    find(name) {
+        return this.#commands.find(command => command.name === name);
+    }
+
+    /**
+     * Resolves the command and parses its flags and arguments.
+     * A help request short-circuits validation, so '--help' always works.
+     * @param {string[]} tokens - Raw CLI arguments.
+     * @returns {{command: CommandSpec|null, help: boolean, options: Object, positionals: string[], given: Set<string>}}
+     *   `command` is null only for top-level help.
+     * @throws {ValidationError} For unknown commands, unknown flags or invalid combinations.
+     */
+    parse(tokens) {
+        const allOptions = [
+            ...this.globalOptions,
+            ...this.#commands.flatMap(({ options = [] }) => options)
+        ];
+        const endOfOptions = tokens.includes('--') ? tokens.indexOf('--') : tokens.length;
+        const positionalIndexes = [];
+        for (let i = 0; i < endOfOptions; i++) {
+            if (ArgumentParser.consumesNext(tokens[i], allOptions)) i++;
+            else if (!ArgumentParser.isFlag(tokens[i])) positionalIndexes.push(i);
+        }
+
+        const words = positionalIndexes.map(i => tokens[i]);
+        const help = words[0] === 'help' || tokens.slice(0, endOfOptions).some(token => token === '--help' || token === '-h');
+        const commandWords = words[0] === 'help' ? words.slice(1) : words;
+        const named = this.#match(commandWords, { strict: !help });
+
+        if (help) {
+            return { command: named?.command ?? null, help: true, options: {}, positionals: [], given: new Set() };
+        }
+
+        const selectors = this.#commands.filter(({ selectedBy }) => selectedBy && tokens.includes(`--${selectedBy}`));
+        if (named && selectors.some(selector => selector !== named.command)) {
+            const selector = selectors.find(candidate => candidate !== named.command);
+            throw new ValidationError(`--${selector.selectedBy} cannot be combined with the "${named.command.name}" command.`, {
+                field: selector.selectedBy,
+                hint: `Run "${this.program} ${selector.name}" on its own.`
+            });
+        }
+        if (!named && selectors.length > 1) {
+            throw conflict(selectors.map(({ selectedBy }) => selectedBy));
+        }
+
+        const command = named?.command ?? selectors[0] ?? this.find(this.defaultCommand);
+        const consumed = new Set(positionalIndexes.slice(0, named?.length ?? 0));
+        const rest = tokens.filter((token, i) => !consumed.has(i) && !(i < endOfOptions && token === `--${command.selectedBy}`));
+
+        const parsed = ArgumentParser.parse(rest, [...this.globalOptions, ...(command.options ?? [])]);
+        this.#validate(command, parsed);
+        return { command, help: false, ...parsed };
+    }
+
+    /**
+     * Generates help for one command, or the top-level overview when none is given.
+     * @param {CommandSpec|null} [command=null]
+     * @returns {string}
+     */
+    formatHelp(command = null) {
+        return command ? this.#commandHelp(command) : this.#overview();
+    }
+
+    /**
+     * Matches the leading positional words against command names, longest first.
+     * @private
+     * @returns {{command: CommandSpec, length: number}|null}
+     */
+    #match(words, { strict }) {
+        const [first, second] = words;
+        if (first === undefined) return null;
+
+        const pair = second !== undefined ? this.find(`${first} ${second}`) : undefined;
+        if (pair) return { command: pair, length: 2 };
+        const single = this.find(first);
+        if (single) return { command: single, length: 1 };
+
+        const actions = this.#commands
+            .filter(({ name }) => name.startsWith(`${first} `))
+            .map(({ name }) => name.slice(first.length + 1));
+        if (actions.length > 0 && strict) {
+            throw new ValidationError(`Unknown ${first} action "${second ?? ''}".`, {
+                field: 'command',
+                hint: `Try: ${actions.map(action => `${first} ${action}`).join(', ')}.`
+            });
+        }
+        return null;
+    }
+
+    /**
+     * Positional count, declared conflicts, then the command's own rules.
+     * @private
+     */
+    #validate(command, parsed) {
+        const max = command.maxPositionals ?? 0;
+        if (parsed.positionals.length > max) {
+            const extra = parsed.positionals[max];
+            throw new ValidationError(`Unexpected argument "${extra}" for "${command.name}".`, {
+                field: 'arguments',
+                hint: `Usage: ${this.#usage(command)}`
+            });
+        }
+
+        for (const group of [...this.globalConflicts, ...(command.conflicts ?? [])]) {
+            const present = group.filter(name => parsed.given.has(name));
+            if (present.length > 1) throw conflict(present);
+        }
+
+        command.validate?.(parsed);
+    }
+
+    /** @private */
+    #usage(command) {
+        return [this.program, command.name, '[FLAGS]', command.arguments].filter(Boolean).join(' ');
+    }
+
+    /** @private */
+    #overview() {
+        const nameWidth = Math.max(...this.#commands.map(({ name }) => name.length)) + 4;
+        const lines = [
+            '',
+            'PLNEXUS MARKET DISCOVERY TOOL',
+            '-----------------------------',
+            `USAGE: ${this.program} <COMMAND> [FLAGS] [ARGS]`,
+            `       ${this.program} [FLAGS] [ARGS]      (runs "${this.defaultCommand}")`,
+            `       ${this.program}                     (interactive menu)`,
+            '',
+            'COMMANDS:',
+            ...this.#commands.map(({ name, summary }) => `  ${name.padEnd(nameWidth)}${summary}`),
+            '',
+            'GLOBAL FLAGS:',
+            ...formatOptions(this.globalOptions)
+        ];
+        if (this.epilog) lines.push('', this.epilog.trimEnd());
+        lines.push('', `Run "${this.program} <COMMAND> --help" for the flags of one command.`, '');
+        return lines.join('\n');
+    }
+
+    /** @private */
+    #commandHelp(command) {
+        const lines = ['', `USAGE: ${this.#usage(command)}`, '', `  ${command.summary}`];
+        if (command.selectedBy) {
+            lines.push(`  Also selected by --${command.selectedBy} when no command is named.`);
+        }
+        if (command.options?.length) {
+            lines.push('', 'FLAGS:', ...formatOptions(command.options));
+        }
+        lines.push('', 'GLOBAL FLAGS:', ...formatOptions(this.globalOptions));
+        if (command.examples?.length) {
+            lines.push('', 'EXAMPLES:', ...command.examples.map(example => `  ${this.program} ${example}`));
+        }
+        lines.push('');
+        return lines.join('\n');
+    }
+}
+
+/**
+ * One aligned help line per visible option; multi-line descriptions stay in their column.
+ * @private
+ * @param {OptionSpec[]} options
+ * @returns {string[]}
+ */
+function formatOptions(options) {
+    return options.filter(({ hidden }) => !hidden).map(option => {
+        const value = (option.type ?? 'boolean') === 'boolean' ? '' : `=<${option.placeholder ?? 'value'}>`;
+        const flag = `${option.alias ? `-${option.alias}, ` : ''}--${option.name}${value}`;
+        const [head, ...tail] = option.description.split('\n');
+        const column = flag.length < FLAG_COLUMN - 2 ? flag.padEnd(FLAG_COLUMN - 2) : `${flag}\n${' '.repeat(FLAG_COLUMN)}`;
+        return [`  ${column}${head}`, ...tail.map(line => `${' '.repeat(FLAG_COLUMN)}${line}`)].join('\n');
+    });
+}
+
+/** @private */
+function conflict(names) {
+    const flags = names.map(name => `--${name}`);
+    return new ValidationError(`${flags.slice(0, -1).join(', ')} and ${flags.at(-1)} cannot be used together.`, {
+        field: names[0],
+        hint: `Choose one of ${flags.join(', ')}.`
+    });
+}
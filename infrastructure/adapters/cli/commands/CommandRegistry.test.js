@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { CommandRegistry } from './CommandRegistry.js';
+import { GLOBAL_OPTIONS, GLOBAL_CONFLICTS, resolveFormat, resolveMode } from './CliOptions.js';
+import { QuoteCommand } from './QuoteCommand.js';
+import { HistoryCommand } from './HistoryCommand.js';
+import { WatchCommand } from './WatchCommand.js';
+import { AdaptersListCommand, AdaptersConformanceCommand } from './AdapterCommands.js';
+import { ManifestValidateCommand } from './ManifestCommands.js';
+import { TraceCommand } from './TraceCommand.js';
+import { ValidationError } from '../../../../domain/errors/DomainErrors.js';
+
+function createRegistry() {
+    return new CommandRegistry({
+        program: 'plnexus',
+        defaultCommand: 'quote',
+        globalOptions: GLOBAL_OPTIONS,
+        globalConflicts: GLOBAL_CONFLICTS
+    })
+        .register(QuoteCommand)
+        .register(HistoryCommand)
+        .register(WatchCommand)
+        .register(AdaptersListCommand)
+        .register(AdaptersConformanceCommand)
+        .register(ManifestValidateCommand)
+        .register(TraceCommand);
+}
+
+describe('CommandRegistry', () => {
+    const registry = createRegistry();
+
+    it('should default to quote and honour the --symbol/--mode flags the bats suites use', () => {
+        const { command, options, positionals } = registry.parse(['--symbol=LOW', '--mode=1']);
+
+        expect(command).toBe(QuoteCommand);
+        expect(options.symbol).toBe('LOW');
+        expect(resolveMode(options)).toBe('1');
+        expect(positionals).toEqual([]);
+    });
+
+    it('should find the command words wherever the flags are', () => {
+        const parsed = registry.parse(['--quiet', 'adapters', 'conformance', '2']);
+
+        expect(parsed.command).toBe(AdaptersConformanceCommand);
+        expect(parsed.positionals).toEqual(['2']);
+        expect(registry.parse(['--format', 'csv', 'adapters', 'list']).command).toBe(AdaptersListCommand);
+    });
+
+    it('should keep the legacy --watch and --history selectors', () => {
+        const watch = registry.parse(['--mock', '--watch', '--interval', '2s', 'SPX,ES']);
+        expect(watch.command).toBe(WatchCommand);
+        expect(watch.options.interval).toBe(2000);
+        expect(watch.positionals).toEqual(['SPX,ES']);
+
+        expect(registry.parse(['--history', '--resolution=60', 'spx']).options.resolution).toBe('60');
+        expect(() => registry.parse(['history', '--watch'])).toThrow('--watch cannot be combined with the "history" command.');
+    });
+
+    it('should reject flags that belong to another command', () => {
+        expect(() => registry.parse(['quote', '--interval=5s'])).toThrow('Unknown flag "--interval".');
+        expect(() => registry.parse(['manifest', 'validate', 'extra'])).toThrow('Unexpected argument "extra"');
+    });
+
+    it('should reject conflicting flags and mixed symbol sources', () => {
+        expect(() => registry.parse(['--live', '--mock', 'SPX'])).toThrow('--live and --mock cannot be used together.');
+        expect(() => registry.parse(['--json', '--format=csv'])).toThrow('--format and --json cannot be used together.');
+        expect(() => registry.parse(['--symbol=SPX', 'ES'])).toThrow(ValidationError);
+        expect(() => registry.parse(['history', 'SPX,ES'])).toThrow('history takes a single symbol.');
+    });
+
+    it('should name the valid actions of a command group', () => {
+        try {
+            registry.parse(['adapters', 'remove']);
+            expect.unreachable();
+        } catch (error) {
+            expect(error.message).toBe('Unknown adapters action "remove".');
+            expect(error.hint).toBe('Try: adapters list, adapters conformance.');
+        }
+    });
+
+    it('should resolve --help and "help" without validating the rest of the line', () => {
+        expect(registry.parse(['--help'])).toMatchObject({ help: true, command: null });
+        expect(registry.parse(['help', 'watch']).command).toBe(WatchCommand);
+        expect(registry.parse(['quote', '--bogus', '-h'])).toMatchObject({ help: true, command: QuoteCommand });
+    });
+
+    it('should generate help from the same declarations it parses', () => {
+        const overview = registry.formatHelp();
+        expect(overview).toContain('adapters conformance');
+        expect(overview).toContain('--quiet');
+
+        const watchHelp = registry.formatHelp(WatchCommand);
+        expect(watchHelp).toContain('USAGE: plnexus watch [FLAGS] [SYMBOL[,SYMBOL...]...]');
+        expect(watchHelp).toContain('--interval=<duration>');
+        expect(watchHelp).toContain('Also selected by --watch');
+    });
+
+    it('should refuse duplicate registrations', () => {
+        expect(() => createRegistry().register(QuoteCommand)).toThrow('already registered');
+    });
+});
+
+describe('CliOptions', () => {
+    it('should resolve the output format from --format or a shorthand', () => {
+        expect(resolveFormat({})).toBe('table');
+        expect(resolveFormat({ ndjson: true })).toBe('ndjson');
+        expect(resolveFormat({ format: 'csv' })).toBe('csv');
+    });
+});
+
+describe('TraceCommand', () => {
+    it('should refuse with an InvalidConfigError when the run has no trace log, ranged or not', async () => {
+        const registry = createRegistry();
+        const tracer = { traceFile: null, traceDir: null, sessionID: 'T3ST001' };
+
+        for (const argv of [['trace'], ['trace', '--since', '1h', '--view', 'stats']]) {
+            const { options } = registry.parse(argv);
+            await expect(TraceCommand.run({ options, tracer, presenter: {} }))
+                .rejects.toMatchObject({ code: 'INVALID_CONFIG', message: expect.stringContaining('Unable to read the trace log') });
+        }
+    });
+});
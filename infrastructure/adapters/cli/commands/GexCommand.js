@@ -0,0 +1,90 @@
+/**
+ * @fileoverview GexCommand
+ * Prints dealer gamma exposure for one underlying and expiry: per-strike
+ * exposure, the net total and the zero-gamma flip level.
+ */
+
+import { logger } from '#logger';
+import { GetGammaExposure } from '../../../../domain/use-cases/GetGammaExposure.js';
+import { isCalendarDate } from '../../../../domain/entities/OptionContract.js';
+import { ValidationError } from '../../../../domain/errors/DomainErrors.js';
+import { ADAPTER_OPTIONS, ADAPTER_CONFLICTS, SYMBOL_OPTION, parsePositiveInteger, resolveChainOptions, resolveMode, resolveSymbols } from './CliOptions.js';
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const GexCommand = Object.freeze({
+    name: 'gex',
+    summary: 'Dealer gamma exposure per strike, net GEX and the zero-gamma flip',
+    arguments: '[SYMBOL]',
+    maxPositionals: 1,
+    options: [
+        ...ADAPTER_OPTIONS,
+        SYMBOL_OPTION,
+        { name: 'expiry', type: 'string', placeholder: 'date', parse: parseExpiry, description: 'Expiry as YYYY-MM-DD (default: the nearest expiry)' },
+        {
+            name: 'strikes', type: 'string', placeholder: 'n', parse: parsePositiveInteger, default: 20,
+            description: 'Strikes nearest spot to list (default: 20; totals use the whole chain)'
+        }
+    ],
+    conflicts: ADAPTER_CONFLICTS,
+    examples: [
+        'gex --mock SPX',
+        'gex --mock --expiry 2026-12-18 --strikes 40 ES',
+        'gex --mock --csv SPX > spx-gex.csv'
+    ],
+
+    validate({ options, positionals, given }) {
+        if (given.has('symbol') && positionals.length > 0) {
+            throw new ValidationError('--symbol and a positional symbol cannot be used together.', { field: 'symbol' });
+        }
+        if ((options.symbol ?? '').includes(',') || (positionals[0] ?? '').includes(',')) {
+            throw new ValidationError('gex takes a single underlying.', {
+                field: 'symbol',
+                hint: 'Run gex once per underlying.'
+            });
+        }
+    },
+
+    /**
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ options, positionals, factory, environment, tracer, presenter, defaults }) {
+        const mode = resolveMode(options);
+        const [symbol = defaults.defaultSymbol] = await resolveSymbols({ options, positionals });
+        const expiry = options.expiry ?? null;
+
+        await tracer.traceSpan('SYSTEM', 'BOOTSTRAP_SEQUENCE', async () => {
+            const adapter = await factory.loadAdapter(mode, environment, resolveChainOptions(options));
+            logger.info(`Initiating Gamma Exposure...`, { symbol, expiry, mode });
+
+            const report = await new GetGammaExposure(adapter, tracer).execute({ underlying: symbol, expiry });
+            presenter.renderGammaExposure({ ...report, strikes: nearestStrikes(report.strikes, report.spot, options.strikes) });
+        }, { mode, symbol });
+    }
+});
+
+/**
+ * The count strikes closest to spot, back in ascending order.
+ * @private
+ */
+function nearestStrikes(strikes, spot, count) {
+    return [...strikes]
+        .sort((a, b) => Math.abs(a.strike - spot) - Math.abs(b.strike - spot))
+        .slice(0, count)
+        .sort((a, b) => a.strike - b.strike);
+}
+
+/**
+ * @private
+ * @param {string} value
+ * @returns {string}
+ * @throws {ValidationError} If the value is not a calendar date.
+ */
+function parseExpiry(value) {
+    if (!isCalendarDate(value)) {
+        throw new ValidationError(`Invalid expiry "${value}".`, {
+            field: 'expiry',
+            hint: 'Use a calendar date such as 2026-01-16.'
+        });
+    }
+    return value;
+}
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview HistoryCommand
+ * Prints or exports OHLCV bars for one symbol over a date range.
+ */
+
+import { logger } from '#logger';
+import { GetPriceHistory } from '../../../../domain/use-cases/GetPriceHistory.js';
+import { CANDLE_RESOLUTIONS } from '../../../../domain/entities/Candle.js';
+import { ValidationError } from '../../../../domain/errors/DomainErrors.js';
+import { CandleExporter } from '../CandleExporter.js';
+import { ADAPTER_OPTIONS, ADAPTER_CONFLICTS, SYMBOL_OPTION, resolveChainOptions, resolveMode, resolveSymbols } from './CliOptions.js';
+
+/**
+ * Number of bars requested when --from is not given.
+ */
+const DEFAULT_HISTORY_BARS = 30;
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const HistoryCommand = Object.freeze({
+    name: 'history',
+    summary: 'Print historical bars for one symbol, or export them to a file',
+    arguments: '[SYMBOL]',
+    maxPositionals: 1,
+    selectedBy: 'history',
+    options: [
+        ...ADAPTER_OPTIONS,
+        SYMBOL_OPTION,
+        {
+            name: 'resolution', type: 'string', placeholder: 'res', default: 'D', parse: value => value.toUpperCase(),
+            description: 'Bar size: 1, 5, 15, 30, 60 (minutes), D, W, M (default: D)'
+        },
+        { name: 'from', type: 'string', placeholder: 'date', parse: parseDate, description: 'Range start as ISO date or epoch ms (default: 30 bars back)' },
+        { name: 'to', type: 'string', placeholder: 'date', parse: parseDate, description: 'Range end as ISO date or epoch ms (default: now)' },
+        { name: 'export', type: 'string', placeholder: 'file', description: 'Write the bars to a .csv or .json file instead of printing' }
+    ],
+    conflicts: ADAPTER_CONFLICTS,
+    examples: [
+        'history --mock --resolution=60 --from=2026-01-05 SPX',
+        'history --mock --export ./spx.csv SPX'
+    ],
+
+    validate({ options, positionals, given }) {
+        if (given.has('symbol') && positionals.length > 0) {
+            throw new ValidationError('--symbol and a positional symbol cannot be used together.', { field: 'symbol' });
+        }
+        if ((options.symbol ?? '').includes(',') || (positionals[0] ?? '').includes(',')) {
+            throw new ValidationError('history takes a single symbol.', {
+                field: 'symbol',
+                hint: 'Run history once per symbol, or use "quote" for several symbols.'
+            });
+        }
+    },
+
+    /**
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ options, positionals, factory, environment, tracer, presenter, defaults }) {
+        const mode = resolveMode(options);
+        const [symbol = defaults.defaultSymbol] = await resolveSymbols({ options, positionals });
+        const { resolution } = options;
+        const to = options.to ?? Date.now();
+        const from = options.from ?? to - DEFAULT_HISTORY_BARS * (CANDLE_RESOLUTIONS[resolution] || CANDLE_RESOLUTIONS.D);
+
+        await tracer.traceSpan('SYSTEM', 'BOOTSTRAP_SEQUENCE', async () => {
+            const adapter = await factory.loadAdapter(mode, environment, resolveChainOptions(options));
+            logger.info(`Initiating Price History...`, { symbol, resolution, mode });
+
+            // Candles are printed or exported, never both
+            const candles = await new GetPriceHistory(adapter, tracer).execute({ symbol, resolution, from, to });
+            if (options.export) {
+                const written = await CandleExporter.write(options.export, candles);
+                logger.info(`Exported ${candles.length} candles to ${written}`);
+            } else {
+                presenter.renderCandles(symbol, resolution, candles);
+            }
+        }, { mode, symbol });
+    }
+});
+
+/**
+ * Parses a date given as an ISO date or epoch milliseconds.
+ * @private
+ * @param {string} value
+ * @returns {number} Epoch milliseconds.
+ * @throws {ValidationError} If the value cannot be parsed.
+ */
+function parseDate(value) {
+    const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(ms)) {
+        throw new ValidationError(`Invalid date "${value}".`, {
+            field: 'date',
+            hint: 'Use an ISO date (2026-01-05) or epoch milliseconds.'
+        });
+    }
+    return ms;
+}
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview ManifestCommands
+ * Pure inspection of config/adapters.manifest.json; no adapter is loaded
+ * and no quote is requested.
+ */
+
+import { ExitCode } from '../ExitCodes.js';
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const ManifestValidateCommand = Object.freeze({
+    name: 'manifest validate',
+    summary: 'Check every manifest entry without requesting a quote',
+    examples: ['manifest validate', 'manifest validate --json'],
+
+    /**
+     * Exits non-zero when the schema or any entry check fails.
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ factory, tracer, presenter }) {
+        const report = await tracer.traceSpan('CLI', 'MANIFEST_VALIDATE', () => factory.inspectManifest());
+        presenter.renderManifestReport(report, factory.manifestPath);
+        if (!report.valid) process.exitCode = ExitCode.INVALID_CONFIG;
+    }
+});
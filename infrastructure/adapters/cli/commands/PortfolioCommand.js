@@ -0,0 +1,62 @@
+/**
+ * @fileoverview PortfolioCommand
+ * Values the positions in a portfolio file (JSON or CSV) at the latest quotes
+ * and prints unrealized P&L per position and in total.
+ */
+
+import { logger } from '#logger';
+import { ValuePortfolio } from '../../../../domain/use-cases/ValuePortfolio.js';
+import { ValidationError } from '../../../../domain/errors/DomainErrors.js';
+import { PortfolioFileReader } from '../PortfolioFileReader.js';
+import { exitCodeForFailures } from '../ExitCodes.js';
+import { ADAPTER_OPTIONS, ADAPTER_CONFLICTS, parsePositiveInteger, resolveChainOptions, resolveMode } from './CliOptions.js';
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const PortfolioCommand = Object.freeze({
+    name: 'portfolio',
+    summary: 'Value the positions in a JSON or CSV portfolio file and report unrealized P&L',
+    arguments: 'FILE',
+    maxPositionals: 1,
+    options: [
+        ...ADAPTER_OPTIONS,
+        {
+            name: 'concurrency', type: 'string', placeholder: 'n', parse: parsePositiveInteger, default: 4,
+            description: 'Maximum parallel provider calls (default: 4)'
+        }
+    ],
+    conflicts: ADAPTER_CONFLICTS,
+    examples: [
+        'portfolio --mock ./positions.csv',
+        'portfolio --live --concurrency 2 ./positions.json',
+        'portfolio --mock --json ./positions.csv | jq .totals.unrealizedPnl'
+    ],
+
+    validate({ positionals }) {
+        if (positionals.length === 0) {
+            throw new ValidationError('portfolio needs a portfolio file.', {
+                field: 'file',
+                hint: 'Pass a .json file of positions, or a CSV file with the header symbol,quantity,costBasis,multiplier.'
+            });
+        }
+    },
+
+    /**
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ options, positionals, factory, environment, tracer, presenter }) {
+        const mode = resolveMode(options);
+        // Futures rows may omit the multiplier; the registry knows ES is 50 per point
+        const portfolio = await PortfolioFileReader.read(positionals[0], { instruments: await factory.loadInstruments() });
+
+        await tracer.traceSpan('SYSTEM', 'BOOTSTRAP_SEQUENCE', async () => {
+            const adapter = await factory.loadAdapter(mode, environment, resolveChainOptions(options));
+            logger.info(`Initiating Portfolio Valuation...`, { portfolio: portfolio.name, positions: portfolio.positions.length, mode });
+
+            const result = await new ValuePortfolio(adapter, tracer).execute(portfolio, { concurrency: options.concurrency });
+            presenter.renderPortfolio(result);
+
+            // Partially priced is still success; only a portfolio with no prices is an error
+            if (result.positions.length === 0) process.exitCode = exitCodeForFailures(result.failures);
+        }, { mode, portfolio: portfolio.name });
+    }
+});
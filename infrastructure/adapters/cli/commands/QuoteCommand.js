@@ -0,0 +1,70 @@
+/**
+ * @fileoverview QuoteCommand
+ * Snapshots one symbol (detail view) or several (table view). This is the
+ * default command, so 'plnexus --mock SPX' keeps working unchanged.
+ */
+
+import { logger } from '#logger';
+import { GetMarketSnapshot } from '../../../../domain/use-cases/GetMarketSnapshot.js';
+import { GetBatchSnapshot } from '../../../../domain/use-cases/GetBatchSnapshot.js';
+import { exitCodeForFailures } from '../ExitCodes.js';
+import {
+    ADAPTER_OPTIONS, ADAPTER_CONFLICTS, SYMBOL_OPTION, WATCHLIST_OPTION,
+    assertSingleSymbolSource, parsePositiveInteger, resolveChainOptions, resolveMode, resolveSymbols
+} from './CliOptions.js';
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const QuoteCommand = Object.freeze({
+    name: 'quote',
+    summary: 'Snapshot one symbol, or several as a table (the default command)',
+    arguments: '[SYMBOL[,SYMBOL...]...]',
+    maxPositionals: Infinity,
+    options: [
+        ...ADAPTER_OPTIONS,
+        SYMBOL_OPTION,
+        WATCHLIST_OPTION,
+        {
+            name: 'concurrency', type: 'string', placeholder: 'n', parse: parsePositiveInteger, default: 4,
+            description: 'Maximum parallel provider calls for several symbols (default: 4)'
+        }
+    ],
+    conflicts: ADAPTER_CONFLICTS,
+    examples: [
+        '--mock SPX',
+        'quote --mock SPX,ES,NDX',
+        'quote --live --watchlist ./morning.txt --concurrency 2',
+        '--mock --json SPX | jq .price'
+    ],
+    validate: assertSingleSymbolSource,
+
+    /**
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ options, positionals, factory, environment, tracer, presenter, defaults }) {
+        const mode = resolveMode(options);
+        const symbols = await resolveSymbols({ options, positionals });
+
+        await tracer.traceSpan('SYSTEM', 'BOOTSTRAP_SEQUENCE', async () => {
+            // ADAPTER INJECTION: A failover chain ending in defaults.fallbackMode unless --no-fallback
+            const adapter = await factory.loadAdapter(mode, environment, resolveChainOptions(options));
+
+            // BATCH ORCHESTRATION: More than one symbol switches to the table view
+            if (symbols.length > 1) {
+                logger.info(`Initiating Batch Snapshot...`, { count: symbols.length, mode });
+                const result = await new GetBatchSnapshot(adapter, tracer).execute(symbols, { concurrency: options.concurrency });
+                presenter.renderTable(result);
+
+                // Partial success is still success; only a fully failed batch is an error
+                if (result.quotes.length === 0) process.exitCode = exitCodeForFailures(result.failures);
+                return;
+            }
+
+            const symbol = symbols[0] ?? defaults.defaultSymbol;
+            logger.info(`Initiating Market Snapshot...`, { symbol, mode });
+
+            // Passing 'mode' ensures trace context continuity
+            const quote = await new GetMarketSnapshot(adapter, tracer).execute(symbol, mode);
+            presenter.render(quote);
+        }, { mode, symbol: symbols[0] });
+    }
+});
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview ServeCommand
+ * Starts the local HTTP API (HttpApiServer) on the same adapter chain the
+ * other commands use, and keeps it running until SIGINT. Manifest edits are
+ * hot-reloaded as in watch: a valid change moves the endpoints and the open
+ * streams onto the rebuilt chain, an invalid one is logged and ignored.
+ */
+
+import { logger } from '#logger';
+import { parseDuration } from '#shared/duration';
+import { GetMarketSnapshot } from '../../../../domain/use-cases/GetMarketSnapshot.js';
+import { GetBatchSnapshot } from '../../../../domain/use-cases/GetBatchSnapshot.js';
+import { StreamQuotes } from '../../../../domain/use-cases/StreamQuotes.js';
+import { HttpApiServer } from '../../http/HttpApiServer.js';
+import { QuoteStreamHub } from '../../http/QuoteStreamHub.js';
+import { ManifestWatcher } from '../../../config/ManifestWatcher.js';
+import { ADAPTER_OPTIONS, ADAPTER_CONFLICTS, parsePort, parsePositiveInteger, resolveChainOptions, resolveMode } from './CliOptions.js';
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const ServeCommand = Object.freeze({
+    name: 'serve',
+    summary: 'Serve quotes over a local HTTP API (/quotes/:symbol, /quotes?symbols=, /stream?symbols=, /health)',
+    options: [
+        ...ADAPTER_OPTIONS,
+        {
+            name: 'port', type: 'string', placeholder: 'n', default: 8080, parse: parsePort,
+            description: 'TCP port to listen on (default: 8080)'
+        },
+        { name: 'host', type: 'string', placeholder: 'addr', default: '127.0.0.1', description: 'Interface to bind (default: 127.0.0.1)' },
+        {
+            name: 'concurrency', type: 'string', placeholder: 'n', parse: parsePositiveInteger, default: 4,
+            description: 'Maximum parallel provider calls per batch request (default: 4)'
+        },
+        {
+            name: 'tick-interval', type: 'string', placeholder: 'duration', parse: parseDuration, default: 1000,
+            description: 'Update interval for /stream subscribers, e.g. 500ms, 5s (default: 1s)'
+        }
+    ],
+    conflicts: ADAPTER_CONFLICTS,
+    examples: [
+        'serve --mock',
+        'serve --live --port 9000',
+        'serve --mock & curl -s localhost:8080/quotes/SPX',
+        'serve --mock & curl -N localhost:8080/stream?symbols=SPX,ES'
+    ],
+
+    /**
+     * Resolves once the server is listening; the open socket keeps the process alive.
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ options, factory, environment, tracer, onShutdown }) {
+        const mode = resolveMode(options);
+        const chainOptions = resolveChainOptions(options);
+
+        await tracer.traceSpan('SYSTEM', 'BOOTSTRAP_SEQUENCE', async () => {
+            let adapter = await factory.loadAdapter(mode, environment, chainOptions);
+            const stream = new QuoteStreamHub({
+                stream: new StreamQuotes(adapter, tracer),
+                tracer,
+                intervalMs: options.tickInterval
+            });
+            const server = new HttpApiServer({
+                snapshot: new GetMarketSnapshot(adapter, tracer),
+                batch: new GetBatchSnapshot(adapter, tracer),
+                tracer,
+                stream,
+                health: () => ({
+                    providers: adapter.labels ?? [],
+                    stream: { clients: stream.clientCount, symbols: stream.symbols }
+                }),
+                concurrency: options.concurrency
+            });
+
+            const { host, port } = await server.start({ port: options.port, host: options.host });
+
+            // HOT RELOAD: A valid manifest edit rebuilds the chain; an invalid one is ignored
+            const manifestWatcher = new ManifestWatcher({
+                manifestPath: factory.manifestPath,
+                tracer,
+                onReload: async () => {
+                    const reloaded = await factory.loadAdapter(mode, environment, chainOptions);
+                    server.replaceUseCases({
+                        snapshot: new GetMarketSnapshot(reloaded, tracer),
+                        batch: new GetBatchSnapshot(reloaded, tracer)
+                    });
+                    await stream.replaceStream(new StreamQuotes(reloaded, tracer));
+                    adapter = reloaded;
+                }
+            });
+            await manifestWatcher.start();
+
+            // Stop watching the manifest first, then close the streams and the socket
+            onShutdown(() => manifestWatcher.stop());
+            onShutdown(() => server.stop());
+            logger.info(`Serving market data on http://${host}:${port}`, { mode });
+        }, { mode });
+    }
+});
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview TraceCommand
+ * Queries the trace log, so a run can be inspected without reaching for
+ * grep and jq: raw events, span trees rebuilt from _START/_COMPLETE/_FAILED
+ * pairs, or latency statistics per span label and adapter.
+ */
+
+import { parseDuration } from '#shared/duration';
+import { TraceLogReader } from '../TraceLogReader.js';
+import { TraceAnalyzer } from '../TraceAnalyzer.js';
+import { parsePositiveInteger } from './CliOptions.js';
+import { InvalidConfigError, ValidationError } from '../../../../domain/errors/DomainErrors.js';
+
+const LAYERS = ['CLI', 'HTTP', 'DOMAIN', 'INFRA', 'SYSTEM'];
+const VIEWS = ['events', 'tree', 'stats'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const TraceCommand = Object.freeze({
+    name: 'trace',
+    summary: 'Query the trace log: events, span trees or latency stats',
+    options: [
+        { name: 'session', type: 'string', placeholder: 'sid', description: 'Only events from this session ID' },
+        {
+            name: 'layer', type: 'string', placeholder: 'layer[,layer...]', parse: parseLayers,
+            description: `Only these layers: ${LAYERS.join(', ')}`
+        },
+        { name: 'event', type: 'string', placeholder: 'text', description: 'Only events (or span labels) containing this text' },
+        { name: 'symbol', type: 'string', placeholder: 'symbol', description: 'Only events about this symbol' },
+        {
+            name: 'since', type: 'string', placeholder: 'time', parse: value => parseTimePoint(value, 'since'),
+            description: 'Start of the range: YYYY-MM-DD, an ISO time, or a duration ago (e.g., 2h)'
+        },
+        {
+            name: 'until', type: 'string', placeholder: 'time', parse: value => parseTimePoint(value, 'until'),
+            description: 'End of the range (a bare date includes that whole day; default: now)'
+        },
+        {
+            name: 'view', type: 'string', placeholder: 'view', parse: parseView, default: 'events',
+            description: `What to show: ${VIEWS.join(', ')} (default: events)`
+        },
+        {
+            name: 'limit', type: 'string', placeholder: 'n', parse: parsePositiveInteger, default: 20,
+            description: 'Newest events or span trees to show (default: 20; stats use every span)'
+        }
+    ],
+    examples: [
+        'trace',
+        'trace --session=K3X9QZ1 --limit 100',
+        'trace --view tree --symbol SPX --since 1h',
+        'trace --view stats --layer INFRA,DOMAIN --since 2026-01-02 --until 2026-01-09',
+        'trace --ndjson | jq .evt'
+    ],
+    validate({ options }) {
+        if (options.since !== undefined && options.until !== undefined && options.since > options.until) {
+            throw new ValidationError('--since must not be later than --until.', { field: 'since' });
+        }
+    },
+
+    /**
+     * The command's own session is left out unless it is asked for explicitly.
+     * Without --since or --until only today's trace file is read.
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     * @throws {InvalidConfigError} If this run has no trace log to read from.
+     */
+    async run({ options, tracer, presenter }) {
+        // The tracer has no trace log when it could not create logs/traces (or has no project root)
+        if (!tracer.traceFile) {
+            throw new InvalidConfigError('Unable to read the trace log: tracing has no log directory in this run.', {
+                hint: 'Check that logs/traces under the project root can be created, and that ENABLE_TRACING is on.'
+            });
+        }
+        const { view, limit } = options;
+        const ranged = options.since !== undefined || options.until !== undefined;
+        const sessionFilters = {
+            session: options.session,
+            excludeSession: options.session ? undefined : tracer.sessionID,
+            since: options.since,
+            until: options.until
+        };
+        const eventFilters = { layers: options.layer, event: options.event, symbol: options.symbol };
+
+        // Spans need every event of their sessions, so narrower filters apply to the spans
+        const readFilters = view === 'events' ? { ...sessionFilters, ...eventFilters, limit } : sessionFilters;
+        const { source, entries } = ranged
+            ? await readRange(tracer.traceDir, { ...readFilters, since: options.since ?? 0, until: options.until ?? Date.now() })
+            : { source: tracer.traceFile, entries: await TraceLogReader.read(tracer.traceFile, readFilters) };
+
+        if (view === 'events') {
+            presenter.renderTraceEvents(entries, source);
+            return;
+        }
+
+        const trees = TraceAnalyzer.buildTrees(entries);
+        if (view === 'stats') {
+            const spans = TraceAnalyzer.flatten(trees).filter(span => TraceAnalyzer.spanMatches(span, eventFilters));
+            presenter.renderTraceStats(TraceAnalyzer.latencyStats(spans), source);
+            return;
+        }
+
+        // A tree is shown whole when any span in it matches
+        const matching = trees.filter(node => TraceAnalyzer.flatten([node]).some(span => TraceAnalyzer.spanMatches(span, eventFilters)));
+        presenter.renderTraceTree(matching.slice(-limit), source);
+    }
+});
+
+/**
+ * @private
+ * @returns {Promise<{source: string, entries: Object[]}>}
+ */
+async function readRange(traceDir, filters) {
+    const { files, entries } = await TraceLogReader.readRange(traceDir, filters);
+    return { source: files.length === 1 ? files[0] : `${traceDir} (${files.length} files)`, entries };
+}
+
+/**
+ * @param {string} value - e.g., 'infra,domain'.
+ * @returns {string[]} Upper-case layer names.
+ * @throws {Error} If a layer is unknown.
+ */
+function parseLayers(value) {
+    const layers = value.split(',').map(layer => layer.trim().toUpperCase()).filter(Boolean);
+    const unknown = layers.filter(layer => !LAYERS.includes(layer));
+    if (layers.length === 0 || unknown.length > 0) {
+        throw new Error(`Unknown layer "${unknown[0] ?? value}". Use ${LAYERS.join(', ')}.`);
+    }
+    return layers;
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ * @throws {Error} If the view is unknown.
+ */
+function parseView(value) {
+    const view = value.trim().toLowerCase();
+    if (!VIEWS.includes(view)) throw new Error(`Unknown view "${value}". Use ${VIEWS.join(', ')}.`);
+    return view;
+}
+
+/**
+ * A point in time: a local date (start of day for --since, end of day for
+ * --until), an ISO date-time, or a duration back from now.
+ * @param {string} value
+ * @param {'since'|'until'} edge
+ * @returns {number} Epoch milliseconds.
+ * @throws {Error} If the value is none of those.
+ */
+function parseTimePoint(value, edge) {
+    const text = value.trim();
+    if (DATE_ONLY.test(text)) {
+        const [year, month, day] = text.split('-').map(Number);
+        const start = new Date(year, month - 1, day);
+        if (start.getMonth() !== month - 1 || start.getDate() !== day) throw new Error(`"${value}" is not a calendar date.`);
+        return edge === 'since' ? start.getTime() : new Date(year, month - 1, day + 1).getTime() - 1;
+    }
+    if (/^\d{4}-\d{2}-\d{2}T/.test(text) && !Number.isNaN(Date.parse(text))) return Date.parse(text);
+    try {
+        return Date.now() - parseDuration(text);
+    } catch {
+        throw new Error(`"${value}" is not a date (YYYY-MM-DD), an ISO time or a duration such as 30m or 2h.`);
+    }
+}
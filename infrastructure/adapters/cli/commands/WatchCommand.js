@@ -0,0 +1,81 @@
+/**
+ * @fileoverview WatchCommand
+ * Polls the symbols on an interval and redraws them in place until SIGINT.
+ * Manifest edits are hot-reloaded: a valid change rebuilds the adapter chain,
+ * an invalid one is logged and ignored.
+ */
+
+import { logger } from '#logger';
+import { parseDuration } from '#shared/duration';
+import { GetMarketSnapshot } from '../../../../domain/use-cases/GetMarketSnapshot.js';
+import { WatchSession } from '../WatchSession.js';
+import { ManifestWatcher } from '../../../config/ManifestWatcher.js';
+import {
+    ADAPTER_OPTIONS, ADAPTER_CONFLICTS, SYMBOL_OPTION, WATCHLIST_OPTION,
+    assertSingleSymbolSource, resolveChainOptions, resolveMode, resolveSymbols
+} from './CliOptions.js';
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const WatchCommand = Object.freeze({
+    name: 'watch',
+    summary: 'Keep polling the symbols and redraw the quotes in place',
+    arguments: '[SYMBOL[,SYMBOL...]...]',
+    maxPositionals: Infinity,
+    selectedBy: 'watch',
+    options: [
+        ...ADAPTER_OPTIONS,
+        SYMBOL_OPTION,
+        WATCHLIST_OPTION,
+        {
+            name: 'interval', type: 'string', placeholder: 'duration', parse: parseDuration, default: 5000,
+            description: 'Delay between polls, e.g. 500ms, 5s, 1m (default: 5s)'
+        }
+    ],
+    conflicts: ADAPTER_CONFLICTS,
+    examples: [
+        'watch --mock --interval 2s SPX,ES',
+        'watch --mock --format=ndjson SPX,ES > ticks.ndjson'
+    ],
+    validate: assertSingleSymbolSource,
+
+    /**
+     * Resolves once SIGINT has stopped the session.
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ options, positionals, factory, environment, tracer, presenter, defaults, onShutdown }) {
+        const mode = resolveMode(options);
+        const chainOptions = resolveChainOptions(options);
+        const symbols = await resolveSymbols({ options, positionals });
+
+        const session = await tracer.traceSpan('SYSTEM', 'BOOTSTRAP_SEQUENCE', async () => {
+            const adapter = await factory.loadAdapter(mode, environment, chainOptions);
+            const watch = new WatchSession({
+                useCase: new GetMarketSnapshot(adapter, tracer),
+                view: presenter,
+                tracer,
+                symbols: symbols.length > 0 ? symbols : [defaults.defaultSymbol],
+                intervalMs: options.interval
+            });
+            logger.info(`Starting Watch Session...`, { symbols: watch.symbols, intervalMs: options.interval });
+
+            // HOT RELOAD: A valid manifest edit rebuilds the chain; an invalid one is ignored
+            const manifestWatcher = new ManifestWatcher({
+                manifestPath: factory.manifestPath,
+                tracer,
+                onReload: async () => {
+                    const reloaded = await factory.loadAdapter(mode, environment, chainOptions);
+                    watch.replaceUseCase(new GetMarketSnapshot(reloaded, tracer));
+                }
+            });
+            await manifestWatcher.start();
+
+            // Stop watching the manifest first, then let the in-flight poll finish
+            onShutdown(() => manifestWatcher.stop());
+            onShutdown(() => watch.stop());
+            return watch;
+        }, { mode, symbol: symbols[0] });
+
+        // The session outlives the bootstrap span
+        await session.start();
+    }
+});
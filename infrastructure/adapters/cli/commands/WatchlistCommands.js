@@ -0,0 +1,193 @@
+/**
+ * @fileoverview WatchlistCommands
+ * Named watchlists saved under the project root (WatchlistStore): create,
+ * change and list them, and run one to snapshot every symbol and compare
+ * with the previous run.
+ */
+
+import { logger } from '#logger';
+import { Watchlist } from '../../../../domain/entities/Watchlist.js';
+import { RunWatchlist } from '../../../../domain/use-cases/RunWatchlist.js';
+import { ValidationError } from '../../../../domain/errors/DomainErrors.js';
+import { WatchlistStore } from '../../../watchlists/WatchlistStore.js';
+import { WatchlistFileReader } from '../WatchlistFileReader.js';
+import { exitCodeForFailures } from '../ExitCodes.js';
+import { ADAPTER_OPTIONS, ADAPTER_CONFLICTS, parsePositiveInteger, resolveChainOptions, resolveMode } from './CliOptions.js';
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const WatchlistCreateCommand = Object.freeze({
+    name: 'watchlist create',
+    summary: 'Save a new named watchlist, optionally with its first symbols',
+    arguments: 'NAME [SYMBOL[,SYMBOL...]...]',
+    maxPositionals: Infinity,
+    examples: ['watchlist create morning SPX,ES,NQ', 'watchlist create tech'],
+    validate: requireName,
+
+    /**
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ positionals: [name, ...symbols], factory, presenter }) {
+        const store = WatchlistStore.forProject(factory.root);
+        const watchlist = new Watchlist({ name, symbols: WatchlistFileReader.parseList(symbols.join(',')), updatedAt: Date.now() });
+        if (await store.has(watchlist.name)) {
+            throw new ValidationError(`Watchlist "${watchlist.name}" already exists.`, {
+                field: 'name',
+                hint: `Use "watchlist add ${watchlist.name} SYMBOL" to extend it.`
+            });
+        }
+        await store.save(watchlist);
+        logger.info(`Watchlist created`, { name: watchlist.name, symbols: watchlist.symbols.length });
+        presenter.renderWatchlists([watchlist]);
+    }
+});
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const WatchlistAddCommand = Object.freeze({
+    name: 'watchlist add',
+    summary: 'Append symbols to a saved watchlist',
+    arguments: 'NAME SYMBOL[,SYMBOL...]...',
+    maxPositionals: Infinity,
+    examples: ['watchlist add morning RTY VIX'],
+    validate: requireNameAndSymbols,
+
+    /**
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ positionals: [name, ...symbols], factory, presenter }) {
+        await updateWatchlist(factory, presenter, name, watchlist => watchlist.withSymbols(WatchlistFileReader.parseList(symbols.join(','))));
+    }
+});
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const WatchlistRemoveCommand = Object.freeze({
+    name: 'watchlist remove',
+    summary: 'Remove symbols (and their last results) from a saved watchlist',
+    arguments: 'NAME SYMBOL[,SYMBOL...]...',
+    maxPositionals: Infinity,
+    examples: ['watchlist remove morning VIX'],
+    validate: requireNameAndSymbols,
+
+    /**
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ positionals: [name, ...symbols], factory, presenter }) {
+        await updateWatchlist(factory, presenter, name, watchlist => {
+            const removed = WatchlistFileReader.parseList(symbols.join(','));
+            const missing = removed.filter(symbol => !watchlist.symbols.includes(symbol));
+            if (missing.length > 0) {
+                throw new ValidationError(`Watchlist "${watchlist.name}" does not hold ${missing.join(', ')}.`, { field: 'symbol' });
+            }
+            return watchlist.withoutSymbols(removed);
+        });
+    }
+});
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const WatchlistDeleteCommand = Object.freeze({
+    name: 'watchlist delete',
+    summary: 'Delete a saved watchlist',
+    arguments: 'NAME',
+    maxPositionals: 1,
+    examples: ['watchlist delete morning'],
+    validate: requireName,
+
+    /**
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ positionals: [name], factory }) {
+        await WatchlistStore.forProject(factory.root).delete(name);
+        logger.info(`Watchlist deleted`, { name });
+    }
+});
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const WatchlistListCommand = Object.freeze({
+    name: 'watchlist list',
+    summary: 'List the saved watchlists, or show one with its last results',
+    arguments: '[NAME]',
+    maxPositionals: 1,
+    examples: ['watchlist list', 'watchlist list morning --json'],
+
+    /**
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ positionals: [name], factory, presenter }) {
+        const store = WatchlistStore.forProject(factory.root);
+        presenter.renderWatchlists(name === undefined ? await store.list() : [await store.load(name)]);
+    }
+});
+
+/** @type {import('./CommandRegistry.js').CommandSpec} */
+export const WatchlistRunCommand = Object.freeze({
+    name: 'watchlist run',
+    summary: 'Snapshot every symbol on a saved watchlist and compare with its last run',
+    arguments: 'NAME',
+    maxPositionals: 1,
+    options: [
+        ...ADAPTER_OPTIONS,
+        {
+            name: 'concurrency', type: 'string', placeholder: 'n', parse: parsePositiveInteger, default: 4,
+            description: 'Maximum parallel provider calls (default: 4)'
+        }
+    ],
+    conflicts: ADAPTER_CONFLICTS,
+    examples: ['watchlist run --mock morning', 'watchlist run --live --csv morning > morning.csv'],
+    validate: requireName,
+
+    /**
+     * @param {import('./CommandRegistry.js').CommandContext} context
+     */
+    async run({ options, positionals: [name], factory, environment, tracer, presenter }) {
+        const mode = resolveMode(options);
+        const store = WatchlistStore.forProject(factory.root);
+        const watchlist = await store.load(name);
+
+        await tracer.traceSpan('SYSTEM', 'BOOTSTRAP_SEQUENCE', async () => {
+            const adapter = await factory.loadAdapter(mode, environment, resolveChainOptions(options));
+            logger.info(`Initiating Watchlist Run...`, { name: watchlist.name, count: watchlist.symbols.length, mode });
+
+            const { watchlist: updated, ...result } = await new RunWatchlist(adapter, tracer).execute(watchlist, { concurrency: options.concurrency });
+            presenter.renderWatchlistRun(result);
+
+            // Only successful quotes replace last results, so a failed run loses nothing
+            if (result.rows.length > 0) await store.save(updated);
+            if (result.rows.length === 0) process.exitCode = exitCodeForFailures(result.failures);
+        }, { mode, watchlist: watchlist.name });
+    }
+});
+
+/**
+ * Loads a list, applies the change and saves the result.
+ * @private
+ */
+async function updateWatchlist(factory, presenter, name, change) {
+    const store = WatchlistStore.forProject(factory.root);
+    const updated = change(await store.load(name));
+    await store.save(updated);
+    logger.info(`Watchlist updated`, { name: updated.name, symbols: updated.symbols.length });
+    presenter.renderWatchlists([updated]);
+}
+
+/**
+ * @private
+ * @throws {ValidationError}
+ */
+function requireName({ positionals }) {
+    if (positionals.length === 0) {
+        throw new ValidationError('A watchlist name is required.', {
+            field: 'name',
+            hint: 'Run "watchlist list" to see the saved watchlists.'
+        });
+    }
+}
+
+/**
+ * @private
+ * @throws {ValidationError}
+ */
+function requireNameAndSymbols({ positionals }) {
+    requireName({ positionals });
+    if (positionals.length < 2) {
+        throw new ValidationError('At least one symbol is required after the watchlist name.', { field: 'symbol' });
+    }
+}
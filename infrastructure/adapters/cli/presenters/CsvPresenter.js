@@ -0,0 +1,250 @@
+/**
+ * @fileoverview CsvPresenter
+ * RFC 4180 CSV with a header row, for spreadsheets and `csvkit`.
+ * The header is written once per process, so a watch session produces a
+ * single growing table. Failed symbols are rows with an `error` column.
+ */
+
+import { toAlertPayload } from '#shared/alertPayload';
+import { StructuredPresenter, toWatchlistDocument, toWatchlistRow } from './StructuredPresenter.js';
+import { CandleExporter } from '../CandleExporter.js';
+
+/**
+ * Quote columns in output order; names match MarketQuote.toJSON().
+ */
+export const QUOTE_COLUMNS = Object.freeze([
+    'symbol', 'price', 'open', 'high', 'low', 'previousClose', 'change', 'changePercent',
+    'bid', 'ask', 'volume', 'capturedAt', 'source', 'fromCache', 'servedBy', 'error'
+]);
+
+/**
+ * Alert columns in output order; names match the alert payload.
+ */
+const ALERT_COLUMNS = Object.freeze([
+    'firedAt', 'ruleId', 'symbol', 'type', 'condition', 'price', 'previousPrice', 'quoteTimestamp', 'message'
+]);
+
+export class CsvPresenter extends StructuredPresenter {
+    #headerWritten = false;
+    #alertHeaderWritten = false;
+
+    /**
+     * @param {Object} quote - MarketQuote entity.
+     */
+    render(quote) {
+        this.#writeQuotes([quote], []);
+    }
+
+    /**
+     * @param {{quotes: Object[], failures: Object[]}} result
+     */
+    renderTable({ quotes = [], failures = [] } = {}) {
+        this.#writeQuotes(quotes, failures);
+    }
+
+    /**
+     * @param {{quotes: Object[], failures: Object[]}} result
+     */
+    renderWatch({ quotes = [], failures = [] }) {
+        this.#writeQuotes(quotes, failures);
+    }
+
+    /**
+     * Reuses the exporter's column set so printed and exported CSV match.
+     * @param {string} symbol
+     * @param {string} resolution
+     * @param {Object[]} candles - Candle entities.
+     */
+    renderCandles(symbol, resolution, candles) {
+        this.stdout.write(CandleExporter.toCsv(candles.map(candle => candle.toJSON())));
+    }
+
+    /**
+     * One row per strike; the chain's spot and flip level repeat on each.
+     * @param {Object} report - GetGammaExposure result.
+     */
+    renderGammaExposure({ underlying, expiry, spot, flipLevel, strikes }) {
+        const columns = ['strike', 'callOpenInterest', 'putOpenInterest', 'callGex', 'putGex', 'netGex'];
+        this.writeLine(['underlying', 'expiry', 'spot', 'flipLevel', ...columns].join(','));
+        for (const row of strikes) this.writeLine(toRow([underlying, expiry, spot, flipLevel, ...columns.map(column => row[column])]));
+    }
+
+    /**
+     * One row per priced position, a row with an `error` column per unpriced
+     * symbol, then a TOTAL row.
+     * @param {Object} result - ValuePortfolio result.
+     */
+    renderPortfolio({ positions = [], failures = [], totals }) {
+        const columns = [
+            'symbol', 'quantity', 'multiplier', 'costBasis', 'price', 'costValue', 'marketValue',
+            'unrealizedPnl', 'unrealizedPnlPercent', 'source', 'error'
+        ];
+        this.writeLine(columns.join(','));
+        for (const row of positions) this.writeLine(toRow(columns.map(column => row[column])));
+        for (const { symbol, reason, code } of failures) {
+            const row = { symbol, error: code ? `${code}: ${reason}` : reason };
+            this.writeLine(toRow(columns.map(column => row[column])));
+        }
+        const total = { ...totals, symbol: 'TOTAL' };
+        this.writeLine(toRow(columns.map(column => total[column])));
+    }
+
+    /**
+     * One row per watchlist symbol with its last result; an empty list is a
+     * row without a symbol.
+     * @param {Object[]} watchlists - Watchlist entities.
+     */
+    renderWatchlists(watchlists) {
+        const columns = ['watchlist', 'symbol', 'lastPrice', 'lastChangePercent', 'lastCapturedAt', 'lastSource'];
+        this.writeLine(columns.join(','));
+        for (const { name, symbols, lastResults } of watchlists.map(toWatchlistDocument)) {
+            if (symbols.length === 0) this.writeLine(toRow([name]));
+            for (const symbol of symbols) {
+                const last = lastResults[symbol];
+                this.writeLine(toRow([name, symbol, last?.price, last?.changePercent, last?.capturedAt, last?.source]));
+            }
+        }
+    }
+
+    /**
+     * One row per symbol, a row with an `error` column per failed symbol.
+     * @param {Object} run - RunWatchlist result.
+     */
+    renderWatchlistRun({ name, rows = [], failures = [] }) {
+        const columns = [
+            'symbol', 'price', 'changePercent', 'capturedAt', 'lastPrice', 'lastCapturedAt',
+            'sinceLast', 'sinceLastPercent', 'source', 'fromCache', 'error'
+        ];
+        this.writeLine(['watchlist', ...columns].join(','));
+        for (const row of rows.map(toWatchlistRow)) this.writeLine(toRow([name, ...columns.map(column => row[column])]));
+        for (const { symbol, reason, code } of failures) {
+            const row = { symbol, error: code ? `${code}: ${reason}` : reason };
+            this.writeLine(toRow([name, ...columns.map(column => row[column])]));
+        }
+    }
+
+    /**
+     * One row per alert; the header is written with the first one.
+     * @param {Object} alert - MonitorAlerts alert or webhook payload.
+     */
+    renderAlert(alert) {
+        if (!this.#alertHeaderWritten) {
+            this.writeLine(ALERT_COLUMNS.join(','));
+            this.#alertHeaderWritten = true;
+        }
+        const row = toAlertPayload(alert);
+        this.writeLine(toRow(ALERT_COLUMNS.map(column => row[column])));
+    }
+
+    /**
+     * One row per entry check; schema errors use mode '(schema)'.
+     * @param {{errors: Object[], entries: Object[]}} report
+     */
+    renderManifestReport({ errors = [], entries = [] }) {
+        this.writeLine('mode,className,check,ok,detail');
+        for (const { field, message } of errors) {
+            this.writeLine(toRow(['(schema)', '', field, false, message]));
+        }
+        for (const { mode, className, checks } of entries) {
+            for (const { check, ok, detail } of checks) this.writeLine(toRow([mode, className, check, ok, detail]));
+        }
+    }
+
+    /**
+     * One row per adapter and check; unbuildable adapters get a single 'skipped' row.
+     * @param {Object[]} reports
+     */
+    renderConformanceMatrix(reports) {
+        this.writeLine('adapter,check,ok,detail');
+        for (const { label, results, reason } of reports) {
+            if (!results) {
+                this.writeLine(toRow([label, '(skipped)', '', reason]));
+                continue;
+            }
+            for (const { check, ok, detail } of results) this.writeLine(toRow([label, check, ok, detail]));
+        }
+    }
+
+    /**
+     * @param {Object[]} adapters - AdapterFactory.listModes() entries.
+     */
+    renderAdapterList(adapters) {
+        const columns = ['mode', 'name', 'className', 'description', 'requiresConfig', 'cached', 'resilient', 'fallback'];
+        this.writeLine(columns.join(','));
+        for (const adapter of adapters) this.writeLine(toRow(columns.map(column => adapter[column])));
+    }
+
+    /**
+     * The data column holds the event payload as JSON.
+     * @param {Object[]} entries
+     */
+    renderTraceEvents(entries) {
+        this.writeLine('ts,sid,lyr,evt,dat');
+        for (const { ts, sid, lyr, evt, dat } of entries) this.writeLine(toRow([ts, sid, lyr, evt, JSON.stringify(dat ?? {})]));
+    }
+
+    /**
+     * One row per span, depth first; depth 0 is a root. Point events are left out.
+     * @param {Object[]} trees - TraceAnalyzer.buildTrees() roots.
+     */
+    renderTraceTree(trees) {
+        this.writeLine('sid,depth,layer,label,start,end,durationMs,status,error,adapter,symbols');
+        const writeSpans = (nodes, depth) => {
+            for (const span of nodes.filter(({ kind }) => kind === 'span')) {
+                const { sid, layer, label, start, end, durationMs, status, error, adapter, symbols } = span;
+                this.writeLine(toRow([sid, depth, layer, label, start, end, durationMs, status, error, adapter, symbols.join(' ')]));
+                writeSpans(span.children, depth + 1);
+            }
+        };
+        writeSpans(trees, 0);
+    }
+
+    /**
+     * @param {Object[]} stats - TraceAnalyzer.latencyStats() rows.
+     */
+    renderTraceStats(stats) {
+        const columns = ['layer', 'label', 'adapter', 'count', 'failed', 'p50Ms', 'p95Ms', 'maxMs'];
+        this.writeLine(columns.join(','));
+        for (const row of stats) this.writeLine(toRow(columns.map(column => row[column])));
+    }
+
+    /**
+     * Plain text on stderr; a CSV consumer should never have to parse JSON.
+     * @param {string|Error} error
+     */
+    renderError(error) {
+        const message = typeof error === 'string' ? error : error?.message;
+        const code = error?.code ? `${error.code}: ` : '';
+        this.stderr.write(`ERROR ${code}${message}${error?.hint ? ` (${error.hint})` : ''}\n`);
+    }
+
+    /** @private */
+    #writeQuotes(quotes, failures) {
+        if (!this.#headerWritten) {
+            this.writeLine(QUOTE_COLUMNS.join(','));
+            this.#headerWritten = true;
+        }
+        for (const quote of quotes) {
+            const row = quote.toJSON?.() ?? quote;
+            this.writeLine(toRow(QUOTE_COLUMNS.map(column => row[column])));
+        }
+        for (const { symbol, reason, code } of failures) {
+            const row = { symbol, error: code ? `${code}: ${reason}` : reason };
+            this.writeLine(toRow(QUOTE_COLUMNS.map(column => row[column])));
+        }
+    }
+}
+
+/**
+ * Joins cells, quoting any that contain a delimiter, quote or newline.
+ * @private
+ * @param {Array<*>} cells
+ * @returns {string}
+ */
+function toRow(cells) {
+    return cells.map(value => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
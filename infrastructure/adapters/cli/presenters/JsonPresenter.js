@@ -0,0 +1,135 @@
+/**
+ * @fileoverview JsonPresenter
+ * One pretty-printed JSON document per result, built from the entities'
+ * toJSON(). Watch mode emits one compact document per poll so the stream
+ * stays parseable by `jq` as it grows.
+ */
+
+import { toAlertPayload } from '#shared/alertPayload';
+import { StructuredPresenter, toFailure, toWatchlistDocument, toWatchlistRow } from './StructuredPresenter.js';
+
+export class JsonPresenter extends StructuredPresenter {
+    /**
+     * @param {Object} quote - MarketQuote entity.
+     */
+    render(quote) {
+        this.writeLine(JSON.stringify(quote, null, 2));
+    }
+
+    /**
+     * @param {{quotes: Object[], failures: Array<{symbol: string, reason: string, code?: string}>}} result
+     */
+    renderTable({ quotes = [], failures = [] } = {}) {
+        this.writeLine(JSON.stringify({ quotes, failures: failures.map(toFailure) }, null, 2));
+    }
+
+    /**
+     * @param {{quotes: Object[], failures: Object[]}} result
+     * @param {Map<string, Object>} previous - Unused; consumers diff the stream themselves.
+     * @param {{poll: number}} status
+     */
+    renderWatch({ quotes = [], failures = [] }, previous, { poll }) {
+        this.writeLine(JSON.stringify({ poll, at: new Date().toISOString(), quotes, failures: failures.map(toFailure) }));
+    }
+
+    /**
+     * @param {string} symbol
+     * @param {string} resolution
+     * @param {Object[]} candles - Candle entities.
+     */
+    renderCandles(symbol, resolution, candles) {
+        this.writeLine(JSON.stringify(candles, null, 2));
+    }
+
+    /**
+     * @param {Object} report - GetGammaExposure result.
+     */
+    renderGammaExposure(report) {
+        this.writeLine(JSON.stringify({ ...report, asOf: new Date(report.asOf).toISOString() }, null, 2));
+    }
+
+    /**
+     * @param {Object} result - ValuePortfolio result.
+     */
+    renderPortfolio(result) {
+        this.writeLine(JSON.stringify({
+            ...result,
+            valuedAt: new Date(result.valuedAt).toISOString(),
+            failures: result.failures.map(toFailure)
+        }, null, 2));
+    }
+
+    /**
+     * @param {Object[]} watchlists - Watchlist entities.
+     */
+    renderWatchlists(watchlists) {
+        this.writeLine(JSON.stringify(watchlists.map(toWatchlistDocument), null, 2));
+    }
+
+    /**
+     * @param {Object} run - RunWatchlist result.
+     */
+    renderWatchlistRun({ name, ranAt, rows = [], failures = [] }) {
+        this.writeLine(JSON.stringify({
+            name,
+            ranAt: new Date(ranAt).toISOString(),
+            rows: rows.map(toWatchlistRow),
+            failures: failures.map(toFailure)
+        }, null, 2));
+    }
+
+    /**
+     * One compact document per alert, like watch mode, so the stream stays parseable.
+     * @param {Object} alert - MonitorAlerts alert or webhook payload.
+     */
+    renderAlert(alert) {
+        this.writeLine(JSON.stringify(toAlertPayload(alert)));
+    }
+
+    /**
+     * @param {Object} report - Output of AdapterFactory.inspectManifest().
+     * @param {string} manifestPath
+     */
+    renderManifestReport(report, manifestPath) {
+        this.writeLine(JSON.stringify({ manifestPath, ...report }, null, 2));
+    }
+
+    /**
+     * @param {Object[]} reports - One conformance report per adapter.
+     */
+    renderConformanceMatrix(reports) {
+        this.writeLine(JSON.stringify(reports, null, 2));
+    }
+
+    /**
+     * @param {Object[]} adapters - AdapterFactory.listModes() entries.
+     */
+    renderAdapterList(adapters) {
+        this.writeLine(JSON.stringify(adapters, null, 2));
+    }
+
+    /**
+     * @param {Object[]} entries - Trace log entries.
+     * @param {string} traceFile
+     */
+    renderTraceEvents(entries, traceFile) {
+        this.writeLine(JSON.stringify({ traceFile, entries }, null, 2));
+    }
+
+    /**
+     * @param {Object[]} trees - TraceAnalyzer.buildTrees() roots, children nested.
+     * @param {string} source - Trace file(s) read.
+     */
+    renderTraceTree(trees, source) {
+        this.writeLine(JSON.stringify({ source, trees }, null, 2));
+    }
+
+    /**
+     * @param {Object[]} stats - TraceAnalyzer.latencyStats() rows.
+     * @param {string} source - Trace file(s) read.
+     */
+    renderTraceStats(stats, source) {
+        this.writeLine(JSON.stringify({ source, stats }, null, 2));
+    }
+}
+
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview NdjsonPresenter
+ * Newline-delimited JSON: one record per line, so batch and watch output can
+ * be streamed into line-oriented tools (jq -c, grep, log shippers).
+ * Failed symbols become `{symbol, error}` lines in the same stream.
+ */
+
+import { toAlertPayload } from '#shared/alertPayload';
+import { StructuredPresenter, toFailure, toWatchlistDocument, toWatchlistRow } from './StructuredPresenter.js';
+
+export class NdjsonPresenter extends StructuredPresenter {
+    /**
+     * @param {Object} quote - MarketQuote entity.
+     */
+    render(quote) {
+        this.writeLine(JSON.stringify(quote));
+    }
+
+    /**
+     * @param {{quotes: Object[], failures: Object[]}} result
+     */
+    renderTable({ quotes = [], failures = [] } = {}) {
+        this.#writeAll(quotes, failures);
+    }
+
+    /**
+     * Every record carries the poll number so consumers can group ticks.
+     * @param {{quotes: Object[], failures: Object[]}} result
+     * @param {Map<string, Object>} previous - Unused.
+     * @param {{poll: number}} status
+     */
+    renderWatch({ quotes = [], failures = [] }, previous, { poll }) {
+        this.#writeAll(quotes, failures, { poll });
+    }
+
+    /**
+     * @param {string} symbol
+     * @param {string} resolution
+     * @param {Object[]} candles - Candle entities.
+     */
+    renderCandles(symbol, resolution, candles) {
+        for (const candle of candles) this.writeLine(JSON.stringify(candle));
+    }
+
+    /**
+     * One line per strike, each carrying the chain's spot and flip level.
+     * @param {Object} report - GetGammaExposure result.
+     */
+    renderGammaExposure({ underlying, expiry, spot, flipLevel, strikes }) {
+        for (const row of strikes) this.writeLine(JSON.stringify({ underlying, expiry, spot, flipLevel, ...row }));
+    }
+
+    /**
+     * One line per position and per unpriced symbol, then a `{totals}` line.
+     * Every record carries the portfolio name.
+     * @param {Object} result - ValuePortfolio result.
+     */
+    renderPortfolio({ name, positions = [], failures = [], totals }) {
+        for (const position of positions) this.writeLine(JSON.stringify({ portfolio: name, ...position }));
+        for (const failure of failures) this.writeLine(JSON.stringify({ portfolio: name, ...toFailure(failure) }));
+        this.writeLine(JSON.stringify({ portfolio: name, totals }));
+    }
+
+    /**
+     * One line per watchlist.
+     * @param {Object[]} watchlists - Watchlist entities.
+     */
+    renderWatchlists(watchlists) {
+        for (const watchlist of watchlists) this.writeLine(JSON.stringify(toWatchlistDocument(watchlist)));
+    }
+
+    /**
+     * One line per symbol and per failed symbol, each carrying the watchlist name.
+     * @param {Object} run - RunWatchlist result.
+     */
+    renderWatchlistRun({ name, rows = [], failures = [] }) {
+        for (const row of rows) this.writeLine(JSON.stringify({ watchlist: name, ...toWatchlistRow(row) }));
+        for (const failure of failures) this.writeLine(JSON.stringify({ watchlist: name, ...toFailure(failure) }));
+    }
+
+    /**
+     * One line per alert, timestamps as ISO strings.
+     * @param {Object} alert - MonitorAlerts alert or webhook payload.
+     */
+    renderAlert(alert) {
+        this.writeLine(JSON.stringify(toAlertPayload(alert)));
+    }
+
+    /**
+     * One line per manifest entry, plus one per schema error.
+     * @param {{valid: boolean, errors: Object[], entries: Object[]}} report
+     */
+    renderManifestReport({ errors = [], entries = [] }) {
+        for (const error of errors) this.writeLine(JSON.stringify({ schemaError: error }));
+        for (const entry of entries) {
+            this.writeLine(JSON.stringify({ ...entry, ok: entry.checks.every(({ ok }) => ok) }));
+        }
+    }
+
+    /**
+     * One line per adapter.
+     * @param {Object[]} reports
+     */
+    renderConformanceMatrix(reports) {
+        for (const report of reports) this.writeLine(JSON.stringify(report));
+    }
+
+    /**
+     * One line per adapter.
+     * @param {Object[]} adapters
+     */
+    renderAdapterList(adapters) {
+        for (const adapter of adapters) this.writeLine(JSON.stringify(adapter));
+    }
+
+    /**
+     * Trace entries are already JSON lines; they are written back unchanged.
+     * @param {Object[]} entries
+     */
+    renderTraceEvents(entries) {
+        for (const entry of entries) this.writeLine(JSON.stringify(entry));
+    }
+
+    /**
+     * One line per root, its children nested.
+     * @param {Object[]} trees - TraceAnalyzer.buildTrees() roots.
+     */
+    renderTraceTree(trees) {
+        for (const tree of trees) this.writeLine(JSON.stringify(tree));
+    }
+
+    /**
+     * One line per span label and adapter.
+     * @param {Object[]} stats - TraceAnalyzer.latencyStats() rows.
+     */
+    renderTraceStats(stats) {
+        for (const row of stats) this.writeLine(JSON.stringify(row));
+    }
+
+    /** @private */
+    #writeAll(quotes, failures, extra = {}) {
+        for (const quote of quotes) this.writeLine(JSON.stringify({ ...quote.toJSON?.() ?? quote, ...extra }));
+        for (const failure of failures) this.writeLine(JSON.stringify({ ...toFailure(failure), ...extra }));
+    }
+}
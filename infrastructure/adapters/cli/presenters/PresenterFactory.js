@@ -0,0 +1,62 @@
+/**
+ * @fileoverview PresenterFactory
+ * Resolves the --format flag to a presenter. 'table' is the interactive
+ * ConsoleAdapter; every other format is machine-readable and keeps stdout
+ * free of anything but data.
+ */
+
+import { ConsoleAdapter } from '../ConsoleAdapter.js';
+import { JsonPresenter } from './JsonPresenter.js';
+import { NdjsonPresenter } from './NdjsonPresenter.js';
+import { CsvPresenter } from './CsvPresenter.js';
+import { ValidationError } from '../../../../domain/errors/DomainErrors.js';
+
+const PRESENTERS = Object.freeze({
+    table: ConsoleAdapter,
+    json: JsonPresenter,
+    ndjson: NdjsonPresenter,
+    csv: CsvPresenter
+});
+
+/**
+ * Accepted --format values.
+ */
+export const OUTPUT_FORMATS = Object.freeze(Object.keys(PRESENTERS));
+
+export class PresenterFactory {
+    /**
+     * @param {string} [format='table'] - One of OUTPUT_FORMATS (case-insensitive).
+     * @param {Object} [streams] - stdout/stderr overrides for structured presenters (tests).
+     * @returns {Object} A presenter exposing the ConsoleAdapter render* methods.
+     * @throws {ValidationError} If the format is unknown.
+     */
+    static create(format = 'table', streams) {
+        const Presenter = PRESENTERS[PresenterFactory.normalize(format)];
+        return new Presenter(streams);
+    }
+
+    /**
+     * True for formats whose stdout must carry data only.
+     * @param {string} format
+     * @returns {boolean}
+     */
+    static isMachineReadable(format) {
+        return PresenterFactory.normalize(format) !== 'table';
+    }
+
+    /**
+     * @param {string} format
+     * @returns {string} The lower-cased, validated format.
+     * @throws {ValidationError} If the format is unknown.
+     */
+    static normalize(format) {
+        const key = String(format).toLowerCase();
+        if (!Object.hasOwn(PRESENTERS, key)) {
+            throw new ValidationError(`Unknown output format "${format}".`, {
+                field: 'format',
+                hint: `Use one of: ${OUTPUT_FORMATS.join(', ')}.`
+            });
+        }
+        return key;
+    }
+}
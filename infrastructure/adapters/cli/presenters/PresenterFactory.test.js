@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { PresenterFactory, OUTPUT_FORMATS } from './PresenterFactory.js';
+import { QUOTE_COLUMNS } from './CsvPresenter.js';
+import { ConsoleAdapter } from '../ConsoleAdapter.js';
+import { MarketQuote } from '../../../../domain/entities/MarketQuote.js';
+import { SymbolNotFoundError, ValidationError } from '../../../../domain/errors/DomainErrors.js';
+
+function captureStreams() {
+    const stdout = { text: '', write(chunk) { this.text += chunk; } };
+    const stderr = { text: '', write(chunk) { this.text += chunk; } };
+    return { stdout, stderr };
+}
+
+const quote = new MarketQuote({ symbol: 'SPX', price: 5000.5, timestamp: Date.UTC(2026, 0, 2), source: 'Test' });
+const failures = [{ symbol: 'BAD', reason: 'Symbol "BAD" is not recognised, "really".', code: 'SYMBOL_NOT_FOUND' }];
+
+describe('PresenterFactory', () => {
+    it('should resolve every format and default to the interactive table', () => {
+        expect(OUTPUT_FORMATS).toEqual(['table', 'json', 'ndjson', 'csv']);
+        expect(PresenterFactory.create()).toBeInstanceOf(ConsoleAdapter);
+        expect(PresenterFactory.isMachineReadable('JSON')).toBe(true);
+        expect(PresenterFactory.isMachineReadable('table')).toBe(false);
+    });
+
+    it('should reject an unknown format with a ValidationError listing the options', () => {
+        expect(() => PresenterFactory.create('xml')).toThrow(ValidationError);
+        try {
+            PresenterFactory.normalize('xml');
+        } catch (error) {
+            expect(error.field).toBe('format');
+            expect(error.hint).toContain('json, ndjson, csv');
+        }
+    });
+});
+
+describe('JsonPresenter', () => {
+    it('should write a batch as one parseable document with typed failures', () => {
+        const streams = captureStreams();
+        PresenterFactory.create('json', streams).renderTable({ quotes: [quote], failures });
+
+        const document = JSON.parse(streams.stdout.text);
+        expect(document.quotes[0]).toMatchObject({ symbol: 'SPX', price: 5000.5 });
+        expect(document.failures[0]).toEqual({
+            symbol: 'BAD',
+            error: { code: 'SYMBOL_NOT_FOUND', message: failures[0].reason }
+        });
+        expect(streams.stderr.text).toBe('');
+    });
+
+    it('should send errors to stderr only', () => {
+        const streams = captureStreams();
+        PresenterFactory.create('json', streams).renderError(new SymbolNotFoundError('BAD', 'Test'));
+
+        expect(streams.stdout.text).toBe('');
+        expect(JSON.parse(streams.stderr.text).error).toMatchObject({ code: 'SYMBOL_NOT_FOUND', retryable: false });
+    });
+});
+
+describe('NdjsonPresenter', () => {
+    it('should write one record per line, tagging watch records with the poll number', () => {
+        const streams = captureStreams();
+        PresenterFactory.create('ndjson', streams).renderWatch({ quotes: [quote], failures }, new Map(), { poll: 3 });
+
+        const lines = streams.stdout.text.trimEnd().split('\n').map(line => JSON.parse(line));
+        expect(lines).toHaveLength(2);
+        expect(lines[0]).toMatchObject({ symbol: 'SPX', poll: 3 });
+        expect(lines[1]).toMatchObject({ symbol: 'BAD', poll: 3, error: { code: 'SYMBOL_NOT_FOUND' } });
+    });
+});
+
+describe('CsvPresenter', () => {
+    it('should write the header once and quote cells that need escaping', () => {
+        const streams = captureStreams();
+        const presenter = PresenterFactory.create('csv', streams);
+        presenter.renderWatch({ quotes: [quote], failures: [] }, new Map(), { poll: 1 });
+        presenter.renderWatch({ quotes: [], failures }, new Map(), { poll: 2 });
+
+        const lines = streams.stdout.text.trimEnd().split('\n');
+        expect(lines[0]).toBe(QUOTE_COLUMNS.join(','));
+        expect(lines.filter(line => line === lines[0])).toHaveLength(1);
+        expect(lines[1].startsWith('SPX,5000.5,')).toBe(true);
+        expect(lines[2]).toBe(`BAD${','.repeat(QUOTE_COLUMNS.length - 1)}"SYMBOL_NOT_FOUND: Symbol ""BAD"" is not recognised, ""really""."`);
+    });
+
+    it('should report errors as plain text on stderr', () => {
+        const streams = captureStreams();
+        PresenterFactory.create('csv', streams).renderError(new ValidationError('A symbol is required.'));
+
+        expect(streams.stdout.text).toBe('');
+        expect(streams.stderr.text).toBe('ERROR VALIDATION_FAILED: A symbol is required.\n');
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview StructuredPresenter (base for machine-readable output)
+ * Shared plumbing for the JSON, NDJSON and CSV presenters. Data goes to
+ * stdout and nothing else does: errors are written to stderr so a pipe
+ * into jq or a spreadsheet never receives a half-formatted line.
+ * * Presenters expose the same render* methods as ConsoleAdapter, so
+ * main.js and WatchSession can swap them without knowing the format.
+ */
+
+export class StructuredPresenter {
+    /**
+     * @param {Object} [streams]
+     * @param {{write: function(string): *}} [streams.stdout=process.stdout] - Data sink.
+     * @param {{write: function(string): *}} [streams.stderr=process.stderr] - Error sink.
+     */
+    constructor({ stdout = process.stdout, stderr = process.stderr } = {}) {
+        this.stdout = stdout;
+        this.stderr = stderr;
+    }
+
+    /**
+     * Writes failures as a single JSON object on stderr.
+     * @param {string|Error} error
+     */
+    renderError(error) {
+        this.stderr.write(JSON.stringify({ error: serializeError(error) }) + '\n');
+    }
+
+    /**
+     * Writes one line of data to stdout.
+     * @protected
+     * @param {string} line
+     */
+    writeLine(line) {
+        this.stdout.write(line + '\n');
+    }
+}
+
+/**
+ * Reduces any thrown value to the fields a script can act on.
+ * DomainErrors already know their public shape (code, hint, retryable).
+ * @param {string|Error} error
+ * @returns {{code: string, message: string, hint?: string, retryable?: boolean}}
+ */
+export function serializeError(error) {
+    if (typeof error === 'string') return { code: 'FAILURE', message: error };
+    if (typeof error?.toJSON === 'function') return error.toJSON();
+    return { code: error?.code ?? 'FAILURE', message: error?.message ?? String(error) };
+}
+
+/**
+ * Batch and watch failures share the error shape used on stderr.
+ * @param {{symbol: string, reason: string, code?: string}} failure
+ * @returns {{symbol: string, error: Object}}
+ */
+export function toFailure({ symbol, reason, code }) {
+    return { symbol, error: serializeError({ code, message: reason }) };
+}
+
+/**
+ * A saved watchlist with its timestamps as ISO strings.
+ * @param {Object} watchlist - Watchlist entity.
+ * @returns {Object}
+ */
+export function toWatchlistDocument(watchlist) {
+    const { name, symbols, lastResults, updatedAt } = watchlist.toJSON();
+    return {
+        name,
+        symbols,
+        lastResults: Object.fromEntries(Object.entries(lastResults)
+            .map(([symbol, last]) => [symbol, { ...last, capturedAt: toIso(last.capturedAt) }])),
+        updatedAt: toIso(updatedAt)
+    };
+}
+
+/**
+ * A watchlist run row with its timestamps as ISO strings.
+ * @param {Object} row - RunWatchlist row.
+ * @returns {Object}
+ */
+export function toWatchlistRow(row) {
+    return { ...row, capturedAt: toIso(row.capturedAt), lastCapturedAt: toIso(row.lastCapturedAt) };
+}
+
+/** @private */
+function toIso(timestamp) {
+    return timestamp === null || timestamp === undefined ? null : new Date(timestamp).toISOString();
+}
@@ -0,0 +1,207 @@
+/**
+ * infrastructure/adapters/decorators/CachingMarketAdapter.js
+ * * Caching Decorator for any MarketDataPort.
+ * Reuses fresh quotes instead of spending rate-limited provider quota on
+ * every run. Entries live in memory and, optionally, in a JSON file so the
+ * cache survives between CLI invocations.
+ */
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { MarketDataPort } from '../../../domain/ports/outbound/MarketDataPort.js';
+import { MarketQuote } from '../../../domain/entities/MarketQuote.js';
+import { logger } from '../../../shared/logger.js';
+
+const STORE_VERSION = 1;
+
+/**
+ * Numbers temp files, so two instances sharing a store never write the same one.
+ */
+let tempSequence = 0;
+
+export class CachingMarketAdapter extends MarketDataPort {
+    #entries = new Map();
+    #loaded = null;
+    #writing = Promise.resolve();
+
+    /**
+     * @param {MarketDataPort} inner - The adapter being decorated.
+     * @param {Object} [options]
+     * @param {number} [options.ttlMs=15000] - Default freshness window per quote.
+     * @param {Object<string, number>} [options.ttlBySymbol={}] - Per-symbol TTL overrides.
+     * @param {string|null} [options.persistPath=null] - Absolute path of the on-disk store; memory-only when null.
+     * @param {boolean} [options.serveStaleOnError=false] - Serve an expired entry when the upstream call fails.
+     * @param {function(): number} [options.clock=Date.now] - Time source (injectable for tests).
+     */
+    constructor(inner, { ttlMs = 15000, ttlBySymbol = {}, persistPath = null, serveStaleOnError = false, clock = Date.now } = {}) {
+        super();
+        if (!inner || typeof inner.fetchQuote !== 'function') {
+            throw new Error('[CachingMarketAdapter] A MarketDataPort implementation is required.');
+        }
+        this.inner = inner;
+        this.ttlMs = ttlMs;
+        this.ttlBySymbol = Object.fromEntries(
+            Object.entries(ttlBySymbol).map(([symbol, ttl]) => [symbol.toUpperCase(), ttl])
+        );
+        this.persistPath = persistPath;
+        this.serveStaleOnError = serveStaleOnError;
+        this.clock = clock;
+    }
+
+    /**
+     * Serves a fresh cached quote when available, otherwise asks the upstream adapter.
+     * @param {string} symbol - The ticker to fetch.
+     * @returns {Promise<MarketQuote>} Quotes served from cache carry fromCache = true.
+     */
+    async fetchQuote(symbol) {
+        await this.#ensureLoaded();
+
+        const key = symbol.toUpperCase();
+        const entry = this.#entries.get(key);
+        const age = entry ? this.clock() - entry.cachedAt : Infinity;
+
+        // 1. FRESH HIT
+        if (entry && age < this.ttlFor(key)) {
+            logger.debug(`[CacheAdapter] Hit for ${key}`, { ageMs: age });
+            return entry.quote.clone({ fromCache: true });
+        }
+
+        // 2. MISS OR EXPIRED: go upstream
+        try {
+            const quote = await this.inner.fetchQuote(symbol);
+            this.#entries.set(key, { cachedAt: this.clock(), quote });
+            await this.#persist();
+            return quote;
+        } catch (error) {
+            // 3. STALE FALLBACK: better an old price than no price, if configured
+            if (entry && this.serveStaleOnError) {
+                logger.warn(`[CacheAdapter] Upstream failed for ${key}; serving stale entry`, {
+                    ageMs: age,
+                    error: error.message
+                });
+                return entry.quote.clone({ fromCache: true });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * History is not cached; requests pass straight through.
+     */
+    async fetchCandles(symbol, resolution, from, to) {
+        return this.inner.fetchCandles(symbol, resolution, from, to);
+    }
+
+    /**
+     * Option chains are not cached either.
+     */
+    async fetchOptionChain(underlying, expiry) {
+        return this.inner.fetchOptionChain(underlying, expiry);
+    }
+
+    /**
+     * Health is a property of the upstream provider, so the probe bypasses the cache.
+     */
+    async healthCheck(probeSymbol) {
+        return this.inner.healthCheck(probeSymbol);
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get pushesQuotes() {
+        return this.inner.pushesQuotes;
+    }
+
+    /**
+     * Push feeds bypass the cache; without one, the default polling goes
+     * through fetchQuote() and so shares the cache with everyone else.
+     */
+    subscribe(symbols, onQuote, options) {
+        return this.inner.pushesQuotes
+            ? this.inner.subscribe(symbols, onQuote, options)
+            : super.subscribe(symbols, onQuote, options);
+    }
+
+    /**
+     * Resolves the TTL for a symbol.
+     * @param {string} symbol - Uppercased ticker.
+     * @returns {number}
+     */
+    ttlFor(symbol) {
+        return this.ttlBySymbol[symbol] ?? this.ttlMs;
+    }
+
+    /**
+     * Drops every cached entry (memory and disk).
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.#ensureLoaded();
+        this.#entries.clear();
+        await this.#persist();
+    }
+
+    /**
+     * Loads the on-disk store exactly once. A missing or corrupt file starts an empty cache.
+     * @private
+     */
+    #ensureLoaded() {
+        if (!this.#loaded) {
+            this.#loaded = this.#load();
+        }
+        return this.#loaded;
+    }
+
+    /** @private */
+    async #load() {
+        if (!this.persistPath) return;
+        try {
+            const store = JSON.parse(await readFile(this.persistPath, 'utf-8'));
+            if (store.version !== STORE_VERSION) return;
+
+            for (const [key, { cachedAt, quote }] of Object.entries(store.entries || {})) {
+                this.#entries.set(key, { cachedAt, quote: new MarketQuote(quote) });
+            }
+            logger.debug(`[CacheAdapter] Loaded ${this.#entries.size} entries from ${this.persistPath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`[CacheAdapter] Ignoring unreadable cache store: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Queues a write of the store. Writes run one at a time and each
+     * snapshots the entries when it starts, so a batch of concurrent
+     * fetches never renames over a newer store or a vanished temp file.
+     * @private
+     */
+    #persist() {
+        if (!this.persistPath) return Promise.resolve();
+        this.#writing = this.#writing.then(() => this.#write());
+        return this.#writing;
+    }
+
+    /**
+     * Writes the store atomically (temp file + rename) so a crash never leaves half a file.
+     * @private
+     */
+    async #write() {
+        const store = {
+            version: STORE_VERSION,
+            entries: Object.fromEntries(
+                [...this.#entries].map(([key, { cachedAt, quote }]) => [key, { cachedAt, quote: { ...quote, fromCache: false } }])
+            )
+        };
+        try {
+            await mkdir(dirname(this.persistPath), { recursive: true });
+            const tempPath = `${this.persistPath}.${process.pid}.${++tempSequence}.tmp`;
+            await writeFile(tempPath, JSON.stringify(store, null, 2), 'utf-8');
+            await rename(tempPath, this.persistPath);
+        } catch (error) {
+            // The in-memory cache still works; disk persistence is best effort
+            logger.warn(`[CacheAdapter] Failed to persist cache store: ${error.message}`);
+        }
+    }
+}
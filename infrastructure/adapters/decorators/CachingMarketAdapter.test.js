@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { CachingMarketAdapter } from './CachingMarketAdapter.js';
+import { MarketDataPort } from '../../../domain/ports/outbound/MarketDataPort.js';
+import { MarketQuote } from '../../../domain/entities/MarketQuote.js';
+import { logger } from '../../../shared/logger.js';
+
+class CountingPort extends MarketDataPort {
+    constructor() {
+        super();
+        this.calls = 0;
+        this.failing = false;
+    }
+
+    async fetchQuote(symbol) {
+        this.calls++;
+        if (this.failing) throw new Error('Upstream Market Provider is currently unreachable.');
+        return new MarketQuote({ symbol, price: 100 + this.calls, timestamp: Date.now(), source: 'Counting' });
+    }
+}
+
+describe('CachingMarketAdapter', () => {
+    let now = 1_000_000;
+    const clock = () => now;
+    let tempDir;
+
+    afterEach(async () => {
+        if (tempDir) await rm(tempDir, { recursive: true, force: true });
+        tempDir = null;
+    });
+
+    it('should serve fresh entries from memory and refetch after the TTL', async () => {
+        const inner = new CountingPort();
+        const cache = new CachingMarketAdapter(inner, { ttlMs: 1000, ttlBySymbol: { es: 100 }, clock });
+
+        const first = await cache.fetchQuote('SPX');
+        now += 500;
+        const second = await cache.fetchQuote('spx');
+
+        expect(first.fromCache).toBe(false);
+        expect(second.fromCache).toBe(true);
+        expect(second.price).toBe(first.price);
+        expect(inner.calls).toBe(1);
+
+        now += 600;
+        const third = await cache.fetchQuote('SPX');
+        expect(third.fromCache).toBe(false);
+        expect(inner.calls).toBe(2);
+
+        // Per-symbol TTL override
+        await cache.fetchQuote('ES');
+        now += 150;
+        expect((await cache.fetchQuote('ES')).fromCache).toBe(false);
+    });
+
+    it('should only serve stale data on upstream failure when enabled', async () => {
+        const inner = new CountingPort();
+        const strict = new CachingMarketAdapter(inner, { ttlMs: 10, clock });
+        const lenient = new CachingMarketAdapter(inner, { ttlMs: 10, serveStaleOnError: true, clock });
+
+        await strict.fetchQuote('SPX');
+        await lenient.fetchQuote('SPX');
+        now += 100;
+        inner.failing = true;
+
+        await expect(strict.fetchQuote('SPX')).rejects.toThrow('unreachable');
+        const stale = await lenient.fetchQuote('SPX');
+        expect(stale.fromCache).toBe(true);
+    });
+
+    it('should persist entries to disk and reload them in a new instance', async () => {
+        tempDir = await mkdtemp(join(tmpdir(), 'plnexus-cache-'));
+        const persistPath = join(tempDir, 'quotes.json');
+        const inner = new CountingPort();
+
+        await new CachingMarketAdapter(inner, { ttlMs: 1000, persistPath, clock }).fetchQuote('NDX');
+        const store = JSON.parse(await readFile(persistPath, 'utf-8'));
+        expect(store.entries.NDX.quote.symbol).toBe('NDX');
+
+        const reloaded = await new CachingMarketAdapter(inner, { ttlMs: 1000, persistPath, clock }).fetchQuote('NDX');
+        expect(reloaded).toBeInstanceOf(MarketQuote);
+        expect(reloaded.fromCache).toBe(true);
+        expect(inner.calls).toBe(1);
+    });
+
+    it('should persist every entry of a concurrent batch without leaving temp files', async () => {
+        tempDir = await mkdtemp(join(tmpdir(), 'plnexus-cache-'));
+        const persistPath = join(tempDir, 'quotes.json');
+        const warn = vi.spyOn(logger, 'warn');
+        const symbols = ['SPX', 'NDX', 'ES', 'NQ', 'VIX', 'RUT'];
+
+        await Promise.all(symbols.map(symbol => new CachingMarketAdapter(new CountingPort(), { ttlMs: 1000, persistPath, clock }).fetchQuote(symbol)));
+        const adapter = new CachingMarketAdapter(new CountingPort(), { ttlMs: 1000, persistPath, clock });
+        await Promise.all(symbols.map(symbol => adapter.fetchQuote(`${symbol}X`)));
+
+        const store = JSON.parse(await readFile(persistPath, 'utf-8'));
+        expect(Object.keys(store.entries)).toEqual(expect.arrayContaining(symbols.map(symbol => `${symbol}X`)));
+        expect(await readdir(tempDir)).toEqual(['quotes.json']);
+        expect(warn).not.toHaveBeenCalledWith(expect.stringContaining('Failed to persist'));
+        warn.mockRestore();
+    });
+});
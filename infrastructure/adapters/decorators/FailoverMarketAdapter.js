@@ -0,0 +1,141 @@
+/**
+ * infrastructure/adapters/decorators/FailoverMarketAdapter.js
+ * * Failover Chain for MarketDataPort implementations.
+ * Tries each provider in order and returns the first successful answer.
+ * Only an unreachable, slow or rate-limited provider is skipped: an unknown
+ * symbol or a rejected request is the answer, and is rethrown as-is rather
+ * than served by the fallback (a typo must not come back as a Mock price).
+ * Every quote is stamped with the chain link that served it (servedBy),
+ * so operators can tell when data came from the fallback provider.
+ */
+
+import { MarketDataPort } from '../../../domain/ports/outbound/MarketDataPort.js';
+import { ErrorCode } from '../../../domain/errors/DomainErrors.js';
+import { logger } from '../../../shared/logger.js';
+
+/**
+ * Error codes that mean "this provider cannot answer right now".
+ */
+const FAILOVER_CODES = Object.freeze([ErrorCode.PROVIDER_UNAVAILABLE, ErrorCode.PROVIDER_TIMEOUT, ErrorCode.RATE_LIMITED]);
+
+export class FailoverMarketAdapter extends MarketDataPort {
+    /**
+     * @param {Array<{label: string, adapter: MarketDataPort}>} chain - Providers in priority order.
+     * @param {Object} options
+     * @param {Object} options.tracer - Telemetry utility for failover events.
+     * @param {function({from: string, to: string, reason: string}): void} [options.onFailover] - Told the first
+     *   time each provider is skipped, so the caller can say the data comes from the fallback.
+     */
+    constructor(chain, { tracer, onFailover = () => {} } = {}) {
+        super();
+        if (!Array.isArray(chain) || chain.length === 0 || !tracer) {
+            throw new Error(`[FailoverMarketAdapter] Dependency Injection Failed: Chain(${chain?.length || 0}) Tracer(${!!tracer})`);
+        }
+        this.chain = chain;
+        this.tracer = tracer;
+        this.onFailover = onFailover;
+        this.failedOver = new Set();
+    }
+
+    /**
+     * Labels of the providers in priority order.
+     * @returns {string[]}
+     */
+    get labels() {
+        return this.chain.map(({ label }) => label);
+    }
+
+    /**
+     * @param {string} symbol - The ticker to fetch.
+     * @returns {Promise<Object>} MarketQuote stamped with servedBy.
+     */
+    async fetchQuote(symbol) {
+        const { result, label } = await this._firstSuccess('fetchQuote', symbol, adapter => adapter.fetchQuote(symbol));
+        return result.clone({ servedBy: label });
+    }
+
+    /**
+     * History follows the same chain; candles are returned as-is.
+     */
+    async fetchCandles(symbol, resolution, from, to) {
+        const { result } = await this._firstSuccess('fetchCandles', symbol, adapter => adapter.fetchCandles(symbol, resolution, from, to));
+        return result;
+    }
+
+    /**
+     * So do option chains; the chain's source names the provider. A provider
+     * without chains fails non-retryably, so its error is rethrown rather than
+     * answered with another provider's (possibly synthetic) chain.
+     */
+    async fetchOptionChain(underlying, expiry) {
+        const { result } = await this._firstSuccess('fetchOptionChain', underlying, adapter => adapter.fetchOptionChain(underlying, expiry));
+        return result;
+    }
+
+    /**
+     * Pushes when the primary does; see subscribe().
+     * @returns {boolean}
+     */
+    get pushesQuotes() {
+        return this.chain[0].adapter.pushesQuotes;
+    }
+
+    /**
+     * Streams from the primary when it is a push feed (ticks stamped with its
+     * label); otherwise the default polling goes through fetchQuote() and so
+     * fails over per update like any other call.
+     */
+    subscribe(symbols, onQuote, options) {
+        const [{ label, adapter }] = this.chain;
+        if (!adapter.pushesQuotes) return super.subscribe(symbols, onQuote, options);
+        return adapter.subscribe(symbols, quote => onQuote(quote.clone({ servedBy: label })), options);
+    }
+
+    /**
+     * Whether an error should move the call on to the next provider.
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    static shouldFailOver(error) {
+        return error?.retryable !== false && FAILOVER_CODES.includes(error?.code);
+    }
+
+    /**
+     * Walks the chain until one provider answers.
+     * @private
+     * @param {string} operation - Port method name (for telemetry).
+     * @param {string} symbol - Requested ticker (for telemetry).
+     * @param {function(MarketDataPort): Promise<*>} call - The port call to attempt.
+     * @returns {Promise<{result: *, label: string}>}
+     * @throws {Error} The first error that is not a provider outage, or the
+     *   last provider's error when the whole chain is down.
+     */
+    async _firstSuccess(operation, symbol, call) {
+        let lastError;
+
+        for (let i = 0; i < this.chain.length; i++) {
+            const { label, adapter } = this.chain[i];
+            try {
+                return { result: await call(adapter), label };
+            } catch (error) {
+                lastError = error;
+                const next = this.chain[i + 1];
+                if (!next || !FailoverMarketAdapter.shouldFailOver(error)) break;
+
+                logger.warn(`[Failover] ${label} failed for ${symbol}; switching to ${next.label}`, { error: error.message });
+                await this.tracer.record('INFRA', 'ADAPTER_FAILOVER', {
+                    operation,
+                    symbol,
+                    from: label,
+                    to: next.label,
+                    error: error.message
+                });
+                if (!this.failedOver.has(label)) {
+                    this.failedOver.add(label);
+                    this.onFailover({ from: label, to: next.label, reason: error.code ?? error.message });
+                }
+            }
+        }
+        throw lastError;
+    }
+}
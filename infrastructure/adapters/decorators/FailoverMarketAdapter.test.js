@@ -0,0 +1,74 @@
+import { describe, it, expect, vi } from 'vitest';
+import { FailoverMarketAdapter } from './FailoverMarketAdapter.js';
+import { MarketDataPort } from '../../../domain/ports/outbound/MarketDataPort.js';
+import { MarketQuote } from '../../../domain/entities/MarketQuote.js';
+import { FinnhubAdapter } from '../api/FinnhubAdapter.js';
+import {
+    AuthenticationError,
+    ProviderTimeoutError,
+    ProviderUnavailableError,
+    RateLimitedError,
+    SymbolNotFoundError,
+    ValidationError
+} from '../../../domain/errors/DomainErrors.js';
+
+const makeTracer = () => ({ traceSpan: (l, n, fn) => fn(), record: vi.fn() });
+
+const port = fetchQuote => Object.assign(new MarketDataPort(), { fetchQuote: vi.fn(fetchQuote) });
+const answering = source => port(async symbol => new MarketQuote({ symbol, price: 100, timestamp: Date.now(), source }));
+const failing = error => port(async () => { throw error; });
+
+const chainOf = (primary, fallback, tracer = makeTracer()) => new FailoverMarketAdapter(
+    [{ label: '1:Primary', adapter: primary }, { label: '2:Fallback', adapter: fallback }],
+    { tracer }
+);
+
+describe('FailoverMarketAdapter', () => {
+    it('should fail over on outages, timeouts and rate limits, stamping the serving link', async () => {
+        for (const error of [new ProviderUnavailableError('down'), new ProviderTimeoutError('Primary', 100), new RateLimitedError('Primary')]) {
+            const tracer = makeTracer();
+            const quote = await chainOf(failing(error), answering('Fallback'), tracer).fetchQuote('SPX');
+
+            expect(quote).toMatchObject({ source: 'Fallback', servedBy: '2:Fallback' });
+            expect(tracer.record).toHaveBeenCalledWith('INFRA', 'ADAPTER_FAILOVER', expect.objectContaining({ from: '1:Primary', to: '2:Fallback' }));
+        }
+    });
+
+    it('should rethrow an unknown symbol without calling the fallback', async () => {
+        const fallback = answering('Fallback');
+        const tracer = makeTracer();
+
+        await expect(chainOf(failing(new SymbolNotFoundError('APPL', 'Primary')), fallback, tracer).fetchQuote('APPL'))
+            .rejects.toBeInstanceOf(SymbolNotFoundError);
+        expect(fallback.fetchQuote).not.toHaveBeenCalled();
+        expect(tracer.record).not.toHaveBeenCalled();
+    });
+
+    it('should rethrow rejected requests and non-retryable outages', async () => {
+        const errors = [
+            new ValidationError('A symbol is required.'),
+            new AuthenticationError('Primary'),
+            new ProviderUnavailableError('Primary responded with HTTP 404.', { retryable: false }),
+            new Error('unexpected')
+        ];
+        for (const error of errors) {
+            const fallback = answering('Fallback');
+            await expect(chainOf(failing(error), fallback).fetchQuote('SPX')).rejects.toBe(error);
+            expect(fallback.fetchQuote).not.toHaveBeenCalled();
+        }
+    });
+
+    it('should throw the last provider\'s error when the whole chain is down', async () => {
+        const last = new ProviderUnavailableError('fallback down too');
+        await expect(chainOf(failing(new ProviderTimeoutError('Primary', 100)), failing(last)).fetchQuote('SPX')).rejects.toBe(last);
+    });
+
+    it('should fail an option chain request on a live provider without chains instead of serving the fallback\'s', async () => {
+        const fallback = Object.assign(new MarketDataPort(), { fetchOptionChain: vi.fn() });
+        const live = new FinnhubAdapter({ apiKey: 'test-key', baseUrl: 'http://127.0.0.1:9' });
+
+        await expect(chainOf(live, fallback).fetchOptionChain('SPX', null))
+            .rejects.toMatchObject({ code: 'PROVIDER_UNAVAILABLE', message: 'Finnhub option chains are not supported.' });
+        expect(fallback.fetchOptionChain).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * infrastructure/adapters/decorators/InstrumentMarketAdapter.js
+ * * Symbol Translation Decorator for any MarketDataPort.
+ * Resolves every requested symbol through the InstrumentRegistry before the
+ * provider is called, sends the provider its own alias (SPX -> ^GSPC), and
+ * stamps what comes back with the canonical symbol. Unknown and ambiguous
+ * symbols fail here, so they never spend quota, retries or a cache slot.
+ */
+
+import { MarketDataPort } from '../../../domain/ports/outbound/MarketDataPort.js';
+import { Candle } from '../../../domain/entities/Candle.js';
+import { OptionChain } from '../../../domain/entities/OptionChain.js';
+import { OptionContract } from '../../../domain/entities/OptionContract.js';
+import { logger } from '../../../shared/logger.js';
+
+export class InstrumentMarketAdapter extends MarketDataPort {
+    /**
+     * @param {MarketDataPort} inner - The adapter being decorated.
+     * @param {Object} options
+     * @param {Object} options.registry - InstrumentRegistry the symbols resolve through.
+     * @param {string} options.provider - Alias key of the decorated provider (e.g., 'finnhub').
+     */
+    constructor(inner, { registry, provider } = {}) {
+        super();
+        if (!inner || typeof inner.fetchQuote !== 'function' || !registry || !provider) {
+            throw new Error(`[InstrumentMarketAdapter] Dependency Injection Failed: Port(${!!inner}) Registry(${!!registry}) Provider(${!!provider})`);
+        }
+        this.inner = inner;
+        this.registry = registry;
+        this.provider = provider;
+    }
+
+    /**
+     * @param {string} symbol - Canonical symbol or any alias.
+     * @returns {Promise<Object>} MarketQuote under the canonical symbol.
+     */
+    async fetchQuote(symbol) {
+        const { instrument, providerSymbol } = this.#translate(symbol);
+        const quote = await this.inner.fetchQuote(providerSymbol);
+        return quote.clone({ symbol: instrument.symbol });
+    }
+
+    /**
+     * @returns {Promise<Candle[]>} Candles under the canonical symbol.
+     */
+    async fetchCandles(symbol, resolution, from, to) {
+        const { instrument, providerSymbol } = this.#translate(symbol);
+        const candles = await this.inner.fetchCandles(providerSymbol, resolution, from, to);
+        return candles.map(candle => new Candle({ ...candle, symbol: instrument.symbol }));
+    }
+
+    /**
+     * @returns {Promise<OptionChain>} The chain and its contracts under the canonical symbol.
+     */
+    async fetchOptionChain(underlying, expiry) {
+        const { instrument, providerSymbol } = this.#translate(underlying);
+        const chain = await this.inner.fetchOptionChain(providerSymbol, expiry);
+        return new OptionChain({
+            ...chain,
+            underlying: instrument.symbol,
+            contracts: chain.contracts.map(contract => new OptionContract({ ...contract, underlying: instrument.symbol }))
+        });
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get pushesQuotes() {
+        return this.inner.pushesQuotes;
+    }
+
+    /**
+     * Every symbol is resolved before the subscription starts, so one bad
+     * ticker fails the whole call up front. Push feeds are subscribed with
+     * the provider's symbols; ticks and errors are reported canonically.
+     */
+    subscribe(symbols, onQuote, options = {}) {
+        const translated = symbols.map(symbol => this.#translate(symbol));
+        if (!this.inner.pushesQuotes) {
+            return super.subscribe(translated.map(({ instrument }) => instrument.symbol), onQuote, options);
+        }
+
+        const canonical = new Map(translated.map(({ instrument, providerSymbol }) => [providerSymbol.toUpperCase(), instrument.symbol]));
+        const toCanonical = symbol => canonical.get(String(symbol).toUpperCase()) ?? symbol;
+        const { onError = () => {} } = options;
+        return this.inner.subscribe(
+            translated.map(({ providerSymbol }) => providerSymbol),
+            quote => onQuote(quote.clone({ symbol: toCanonical(quote.symbol) })),
+            { ...options, onError: (error, symbol) => onError(error, toCanonical(symbol)) }
+        );
+    }
+
+    /**
+     * @private
+     * @throws {ValidationError|SymbolNotFoundError} Before any provider call.
+     */
+    #translate(symbol) {
+        const instrument = this.registry.resolve(symbol);
+        const providerSymbol = instrument.symbolFor(this.provider);
+        if (providerSymbol !== symbol) {
+            logger.debug(`[InstrumentAdapter] ${symbol} -> ${providerSymbol} (${this.provider})`);
+        }
+        return { instrument, providerSymbol };
+    }
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi } from 'vitest';
+import { InstrumentMarketAdapter } from './InstrumentMarketAdapter.js';
+import { InstrumentRegistryConfig, DEFAULT_INSTRUMENTS_PATH } from '../../config/InstrumentRegistryConfig.js';
+import { MarketDataPort } from '../../../domain/ports/outbound/MarketDataPort.js';
+import { MarketQuote } from '../../../domain/entities/MarketQuote.js';
+import { Candle } from '../../../domain/entities/Candle.js';
+import { InvalidConfigError, SymbolNotFoundError } from '../../../domain/errors/DomainErrors.js';
+
+class StubPort extends MarketDataPort {
+    constructor() {
+        super();
+        this.fetchQuote = vi.fn(async symbol => new MarketQuote({ symbol, price: 100, timestamp: Date.now(), source: 'Stub' }));
+        this.fetchCandles = vi.fn(async (symbol, resolution, from) => [
+            new Candle({ symbol, resolution, timestamp: from, open: 1, high: 2, low: 1, close: 2, source: 'Stub' })
+        ]);
+    }
+}
+
+describe('InstrumentMarketAdapter', () => {
+    it('should send provider aliases and answer with canonical symbols', async () => {
+        // The registry shipped in config/ must load
+        const registry = await InstrumentRegistryConfig.load(DEFAULT_INSTRUMENTS_PATH);
+        const inner = new StubPort();
+        const adapter = new InstrumentMarketAdapter(inner, { registry, provider: 'finnhub' });
+
+        const quote = await adapter.fetchQuote('.inx');
+        expect(inner.fetchQuote).toHaveBeenCalledWith('^GSPC');
+        expect(quote.symbol).toBe('SPX');
+
+        const [candle] = await adapter.fetchCandles('BTC-USD', 'D', Date.UTC(2026, 0, 5), Date.UTC(2026, 0, 6));
+        expect(inner.fetchCandles).toHaveBeenCalledWith('BINANCE:BTCUSDT', 'D', Date.UTC(2026, 0, 5), Date.UTC(2026, 0, 6));
+        expect(candle.symbol).toBe('BTC-USD');
+
+        // No alias for this provider: the canonical symbol is sent as-is
+        await adapter.fetchQuote('es');
+        expect(inner.fetchQuote).toHaveBeenLastCalledWith('ES');
+    });
+
+    it('should reject unknown symbols before any provider call', async () => {
+        const registry = await InstrumentRegistryConfig.load(DEFAULT_INSTRUMENTS_PATH);
+        const inner = new StubPort();
+        const adapter = new InstrumentMarketAdapter(inner, { registry, provider: 'mock' });
+
+        await expect(adapter.fetchQuote('SPXX')).rejects.toThrow(SymbolNotFoundError);
+        expect(() => adapter.subscribe(['SPX', 'NOPE'], () => {})).toThrow(SymbolNotFoundError);
+        expect(inner.fetchQuote).not.toHaveBeenCalled();
+    });
+
+    it('should name the offending registry field', () => {
+        expect(() => InstrumentRegistryConfig.from({ instruments: [{ symbol: 'SPX', assetClass: 'index', currency: 'usd' }] }, { origin: 'x.json' }))
+            .toThrow(InvalidConfigError);
+        expect(() => InstrumentRegistryConfig.from({ instruments: [{ symbol: 'SPX', assetClass: 'index', currency: 'usd' }] }, { origin: 'x.json' }))
+            .toThrow('Invalid instrument registry (x.json): instruments.0.currency is invalid');
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * infrastructure/adapters/decorators/RecordingMarketAdapter.js
+ * * Recording Decorator for any MarketDataPort.
+ * Appends every fetchQuote() call (symbol, response or error, latency) to a
+ * JSONL cassette so a live session can be replayed offline with
+ * CassetteReplayAdapter. The factory places it directly around the provider,
+ * below resilience and caching, so each retry attempt is captured as the
+ * provider answered it, and a replay drives
+ * the same decorators again. Symbols are stored canonically (SPX, not the
+ * ^GSPC the provider was sent) when the factory passes a translation, so a
+ * cassette replays under the symbols the user asked for.
+ */
+
+import { appendFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { MarketDataPort } from '../../../domain/ports/outbound/MarketDataPort.js';
+import { CASSETTE_VERSION, serializeError } from '../../cassettes/Cassette.js';
+import { logger } from '../../../shared/logger.js';
+
+export class RecordingMarketAdapter extends MarketDataPort {
+    #headerWritten = false;
+
+    /**
+     * @param {MarketDataPort} inner - The adapter being recorded.
+     * @param {Object} options
+     * @param {string} options.cassettePath - Absolute path of the JSONL cassette (appended to).
+     * @param {string|null} options.sessionId - Tracer session ID, stored in the header.
+     * @param {string} options.label - Chain link label (e.g., '1:FinnhubAdapter').
+     * @param {function(string): string} [options.toCanonical] - Maps a provider symbol to the one stored; identity by default.
+     * @param {function(): number} [options.clock=Date.now] - Time source (injectable for tests).
+     */
+    constructor(inner, { cassettePath, sessionId, label, toCanonical = symbol => symbol, clock = Date.now } = {}) {
+        super();
+        if (!inner || typeof inner.fetchQuote !== 'function' || !cassettePath) {
+            throw new Error(`[RecordingMarketAdapter] Dependency Injection Failed: Port(${!!inner}) Cassette(${!!cassettePath})`);
+        }
+        this.inner = inner;
+        this.cassettePath = cassettePath;
+        this.sessionId = sessionId ?? null;
+        this.label = label;
+        this.toCanonical = toCanonical;
+        this.clock = clock;
+    }
+
+    /**
+     * Forwards the call and records its outcome; the caller sees exactly what
+     * the provider returned or threw.
+     * @param {string} symbol - The ticker to fetch.
+     * @returns {Promise<Object>} MarketQuote.
+     */
+    async fetchQuote(symbol) {
+        const startedAt = this.clock();
+        const stored = this.toCanonical(symbol);
+        try {
+            const quote = await this.inner.fetchQuote(symbol);
+            const json = { ...quote.toJSON(), symbol: this.toCanonical(quote.symbol) };
+            this.#append({ type: 'fetchQuote', symbol: stored, startedAt, latencyMs: this.clock() - startedAt, quote: json });
+            return quote;
+        } catch (error) {
+            this.#append({ type: 'fetchQuote', symbol: stored, startedAt, latencyMs: this.clock() - startedAt, error: serializeError(error) });
+            throw error;
+        }
+    }
+
+    /**
+     * History is not recorded; requests pass straight through.
+     */
+    async fetchCandles(symbol, resolution, from, to) {
+        return this.inner.fetchCandles(symbol, resolution, from, to);
+    }
+
+    /**
+     * Nor are option chains.
+     */
+    async fetchOptionChain(underlying, expiry) {
+        return this.inner.fetchOptionChain(underlying, expiry);
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get pushesQuotes() {
+        return this.inner.pushesQuotes;
+    }
+
+    /**
+     * Push feeds pass through unrecorded; polling goes through fetchQuote()
+     * and so lands on the cassette.
+     */
+    subscribe(symbols, onQuote, options) {
+        return this.inner.pushesQuotes
+            ? this.inner.subscribe(symbols, onQuote, options)
+            : super.subscribe(symbols, onQuote, options);
+    }
+
+    /**
+     * Appends one line synchronously: the CLI ends failed runs with
+     * process.exit(), which would drop a queued write, and the failure is
+     * usually the call worth keeping. A disk failure is logged and never
+     * fails the market data call.
+     * @private
+     */
+    #append(entry) {
+        const lines = [];
+        if (!this.#headerWritten) {
+            this.#headerWritten = true;
+            lines.push({
+                type: 'header',
+                version: CASSETTE_VERSION,
+                sessionId: this.sessionId,
+                adapter: this.label,
+                recordedAt: new Date(this.clock()).toISOString()
+            });
+        }
+        lines.push(entry);
+        const payload = lines.map(line => `${JSON.stringify(line)}\n`).join('');
+
+        try {
+            mkdirSync(dirname(this.cassettePath), { recursive: true });
+            appendFileSync(this.cassettePath, payload, 'utf-8');
+        } catch (error) {
+            logger.error(`[RecordingAdapter] Could not write cassette ${this.cassettePath}: ${error.message}`);
+        }
+    }
+}
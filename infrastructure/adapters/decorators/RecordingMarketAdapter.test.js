@@ -0,0 +1,85 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RecordingMarketAdapter } from './RecordingMarketAdapter.js';
+import { MarketDataPort } from '../../../domain/ports/outbound/MarketDataPort.js';
+import { MarketQuote } from '../../../domain/entities/MarketQuote.js';
+import { RateLimitedError } from '../../../domain/errors/DomainErrors.js';
+import { readCassette } from '../../cassettes/Cassette.js';
+
+class ScriptedPort extends MarketDataPort {
+    constructor(clock) {
+        super();
+        this.clock = clock;
+        this.calls = 0;
+    }
+
+    async fetchQuote(symbol) {
+        this.calls++;
+        this.clock.now += 40;
+        if (symbol === 'ES') throw new RateLimitedError('Scripted', { retryAfterMs: 1500 });
+        if (symbol === 'BUG') throw new TypeError('payload.c is undefined');
+        return new MarketQuote({ symbol, price: 6834.5, timestamp: this.clock.now, source: 'Scripted' });
+    }
+}
+
+describe('RecordingMarketAdapter', () => {
+    let tempDir;
+
+    afterEach(async () => {
+        if (tempDir) await rm(tempDir, { recursive: true, force: true });
+        tempDir = null;
+    });
+
+    it('should write a header and one line per call, passing results and errors through', async () => {
+        tempDir = await mkdtemp(join(tmpdir(), 'plnexus-recording-'));
+        const cassettePath = join(tempDir, 'nested', 'session.jsonl');
+        const clock = { now: Date.UTC(2026, 0, 2, 14, 30) };
+        const recorder = new RecordingMarketAdapter(new ScriptedPort(clock), {
+            cassettePath, sessionId: 'K3F9Q2A', label: '1:ScriptedPort', clock: () => clock.now
+        });
+
+        const quote = await recorder.fetchQuote('SPX');
+        await expect(recorder.fetchQuote('ES')).rejects.toBeInstanceOf(RateLimitedError);
+        await expect(recorder.fetchQuote('BUG')).rejects.toBeInstanceOf(TypeError);
+        expect(quote.price).toBe(6834.5);
+
+        const lines = (await readFile(cassettePath, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+        expect(lines).toHaveLength(4);
+        expect(lines[0]).toMatchObject({ type: 'header', version: 1, sessionId: 'K3F9Q2A', adapter: '1:ScriptedPort' });
+        expect(lines[1]).toMatchObject({ type: 'fetchQuote', symbol: 'SPX', latencyMs: 40, quote: { price: 6834.5 } });
+        expect(lines[2].error).toMatchObject({ code: 'RATE_LIMITED', retryable: true, retryAfterMs: 1500 });
+        expect(lines[3].error).toEqual({ name: 'TypeError', message: 'payload.c is undefined' });
+    });
+
+    it('should produce a cassette that reads back into quotes and errors', async () => {
+        tempDir = await mkdtemp(join(tmpdir(), 'plnexus-recording-'));
+        const cassettePath = join(tempDir, 'session.jsonl');
+        const clock = { now: Date.UTC(2026, 0, 2, 14, 30) };
+        const recorder = new RecordingMarketAdapter(new ScriptedPort(clock), {
+            cassettePath, sessionId: null, label: '2:ScriptedPort', clock: () => clock.now
+        });
+
+        await recorder.fetchQuote('SPX');
+        await recorder.fetchQuote('ES').catch(() => {});
+
+        const { header, entries } = await readCassette(cassettePath);
+        expect(header.sessionId).toBeNull();
+        expect(entries.map(({ symbol }) => symbol)).toEqual(['SPX', 'ES']);
+        expect(entries[0].quote).toBeInstanceOf(MarketQuote);
+        expect(entries[0].quote.timestamp).toBe(clock.now - 40);
+        expect(entries[1].error.code).toBe('RATE_LIMITED');
+    });
+
+    it('should never fail a call because the cassette cannot be written', async () => {
+        tempDir = await mkdtemp(join(tmpdir(), 'plnexus-recording-'));
+        const clock = { now: Date.UTC(2026, 0, 2, 14, 30) };
+        // A directory where the file should be makes every append fail
+        const recorder = new RecordingMarketAdapter(new ScriptedPort(clock), {
+            cassettePath: tempDir, sessionId: 'K3F9Q2A', label: '1:ScriptedPort', clock: () => clock.now
+        });
+
+        await expect(recorder.fetchQuote('SPX')).resolves.toMatchObject({ symbol: 'SPX' });
+    });
+});
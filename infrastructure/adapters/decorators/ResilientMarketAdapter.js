@@ -0,0 +1,175 @@
+/**
+ * infrastructure/adapters/decorators/ResilientMarketAdapter.js
+ * * Resilience Decorator for any MarketDataPort.
+ * Applies, from the inside out:
+ * 1. A per-call timeout.
+ * 2. A circuit breaker that fails fast while the provider is known to be down.
+ * 3. Exponential backoff retries with jitter for transient failures.
+ * Retries and breaker transitions are recorded through the tracer.
+ */
+
+import { MarketDataPort } from '../../../domain/ports/outbound/MarketDataPort.js';
+import { CircuitBreaker, CircuitOpenError } from '../../resilience/CircuitBreaker.js';
+import { ProviderTimeoutError } from '../../../domain/errors/DomainErrors.js';
+import { logger } from '../../../shared/logger.js';
+
+export class ResilientMarketAdapter extends MarketDataPort {
+    /**
+     * @param {MarketDataPort} inner - The adapter being decorated.
+     * @param {Object} options
+     * @param {Object} options.tracer - Telemetry utility for retry/breaker events.
+     * @param {string} [options.name] - Label for logs and trace events (defaults to the inner class name).
+     * @param {number} [options.timeoutMs=5000] - Per-attempt timeout.
+     * @param {Object} [options.retry]
+     * @param {number} [options.retry.maxAttempts=3] - Total attempts, including the first.
+     * @param {number} [options.retry.baseDelayMs=200] - Delay before the first retry.
+     * @param {number} [options.retry.maxDelayMs=5000] - Upper bound for any single delay.
+     * @param {number} [options.retry.jitter=0.5] - Fraction (0-1) of each delay that is randomised.
+     * @param {Object} [options.circuitBreaker] - Options forwarded to CircuitBreaker.
+     * @param {function(): number} [options.random=Math.random] - Jitter source (injectable for tests).
+     * @param {function(number): Promise<void>} [options.sleep] - Delay implementation (injectable for tests).
+     */
+    constructor(inner, { tracer, name, timeoutMs = 5000, retry = {}, circuitBreaker = {}, random = Math.random, sleep = defaultSleep } = {}) {
+        super();
+        if (!inner || typeof inner.fetchQuote !== 'function' || !tracer) {
+            throw new Error(`[ResilientMarketAdapter] Dependency Injection Failed: Port(${!!inner}) Tracer(${!!tracer})`);
+        }
+        this.inner = inner;
+        this.tracer = tracer;
+        this.name = name || inner.constructor.name;
+        this.timeoutMs = timeoutMs;
+        this.retry = { maxAttempts: 3, baseDelayMs: 200, maxDelayMs: 5000, jitter: 0.5, ...retry };
+        this.random = random;
+        this.sleep = sleep;
+
+        this.breaker = new CircuitBreaker({
+            name: this.name,
+            ...circuitBreaker,
+            onStateChange: ({ from, to }) => {
+                logger.warn(`[Resilience] Circuit for ${this.name} moved ${from} -> ${to}`);
+                this.tracer.record('INFRA', 'CIRCUIT_STATE_CHANGE', { adapter: this.name, from, to });
+            }
+        });
+    }
+
+    /**
+     * @param {string} symbol - The ticker to fetch.
+     * @returns {Promise<Object>} MarketQuote from the inner adapter.
+     */
+    async fetchQuote(symbol) {
+        return this._call('fetchQuote', { symbol }, () => this.inner.fetchQuote(symbol));
+    }
+
+    /**
+     * History calls share the same timeout, retry and breaker policy.
+     */
+    async fetchCandles(symbol, resolution, from, to) {
+        return this._call('fetchCandles', { symbol, resolution }, () => this.inner.fetchCandles(symbol, resolution, from, to));
+    }
+
+    /**
+     * Option chains too.
+     */
+    async fetchOptionChain(underlying, expiry) {
+        return this._call('fetchOptionChain', { symbol: underlying, expiry }, () => this.inner.fetchOptionChain(underlying, expiry));
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get pushesQuotes() {
+        return this.inner.pushesQuotes;
+    }
+
+    /**
+     * A push feed reports its own failures through onError; without one, the
+     * default polling calls fetchQuote() and so runs under the full policy.
+     */
+    subscribe(symbols, onQuote, options) {
+        return this.inner.pushesQuotes
+            ? this.inner.subscribe(symbols, onQuote, options)
+            : super.subscribe(symbols, onQuote, options);
+    }
+
+    /**
+     * Runs one port operation under the full resilience policy.
+     * @private
+     * @param {string} operation - Port method name (for telemetry).
+     * @param {Object} meta - Context recorded with each retry.
+     * @param {function(): Promise<*>} fn - The inner call.
+     */
+    async _call(operation, meta, fn) {
+        const { maxAttempts } = this.retry;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.breaker.execute(() => this._withTimeout(fn, operation));
+            } catch (error) {
+                // An open circuit means the provider is known to be down: don't pile on
+                const exhausted = attempt >= maxAttempts;
+                if (error instanceof CircuitOpenError || exhausted || !this._isRetryable(error)) {
+                    throw error;
+                }
+
+                const delayMs = this.backoffDelay(attempt);
+                logger.debug(`[Resilience] ${this.name}.${operation} attempt ${attempt} failed; retrying in ${delayMs}ms`, {
+                    error: error.message
+                });
+                await this.tracer.record('INFRA', 'ADAPTER_RETRY', {
+                    adapter: this.name,
+                    operation,
+                    ...meta,
+                    attempt,
+                    delayMs,
+                    error: error.message
+                });
+                await this.sleep(delayMs);
+            }
+        }
+    }
+
+    /**
+     * Exponential backoff: base * 2^(attempt-1), capped, with part of the delay randomised.
+     * @param {number} attempt - The attempt that just failed (1-based).
+     * @returns {number} Delay in milliseconds.
+     */
+    backoffDelay(attempt) {
+        const { baseDelayMs, maxDelayMs, jitter } = this.retry;
+        const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+        return Math.round(exponential * (1 - jitter * this.random()));
+    }
+
+    /**
+     * Decides whether a failure is worth another attempt.
+     * Errors flagged with `retryable: false` fail immediately.
+     * @private
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    _isRetryable(error) {
+        return error?.retryable !== false;
+    }
+
+    /**
+     * Rejects if the inner call does not settle within timeoutMs.
+     * @private
+     */
+    async _withTimeout(fn, operation) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                reject(new ProviderTimeoutError(this.name, this.timeoutMs, { operation }));
+            }, this.timeoutMs);
+        });
+        try {
+            return await Promise.race([fn(), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+/** @private */
+function defaultSleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
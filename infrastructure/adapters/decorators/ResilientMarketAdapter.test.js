@@ -0,0 +1,128 @@
+import { describe, it, expect, vi } from 'vitest';
+import { ResilientMarketAdapter } from './ResilientMarketAdapter.js';
+import { CircuitBreaker, CircuitOpenError, CircuitState } from '../../resilience/CircuitBreaker.js';
+import { MarketQuote } from '../../../domain/entities/MarketQuote.js';
+import { SymbolNotFoundError } from '../../../domain/errors/DomainErrors.js';
+
+const quote = symbol => new MarketQuote({ symbol, price: 100, timestamp: Date.now(), source: 'Test' });
+const makeTracer = () => ({ traceSpan: (l, n, fn) => fn(), record: vi.fn() });
+const noSleep = vi.fn(async () => {});
+
+describe('ResilientMarketAdapter', () => {
+    it('should retry transient failures with exponential backoff and record each retry', async () => {
+        const inner = {
+            fetchQuote: vi.fn()
+                .mockRejectedValueOnce(new Error('blip 1'))
+                .mockRejectedValueOnce(new Error('blip 2'))
+                .mockResolvedValue(quote('SPX'))
+        };
+        const tracer = makeTracer();
+        const adapter = new ResilientMarketAdapter(inner, {
+            tracer,
+            retry: { maxAttempts: 3, baseDelayMs: 100, jitter: 0 },
+            sleep: noSleep
+        });
+
+        const result = await adapter.fetchQuote('SPX');
+
+        expect(result.symbol).toBe('SPX');
+        expect(inner.fetchQuote).toHaveBeenCalledTimes(3);
+        expect(noSleep.mock.calls.map(([ms]) => ms)).toEqual([100, 200]);
+        expect(tracer.record).toHaveBeenCalledWith('INFRA', 'ADAPTER_RETRY', expect.objectContaining({ attempt: 2, delayMs: 200 }));
+    });
+
+    it('should not retry errors flagged as non-retryable', async () => {
+        const fatal = Object.assign(new Error('unknown symbol'), { retryable: false });
+        const inner = { fetchQuote: vi.fn().mockRejectedValue(fatal) };
+        const adapter = new ResilientMarketAdapter(inner, { tracer: makeTracer(), sleep: noSleep });
+
+        await expect(adapter.fetchQuote('ZZZ')).rejects.toBe(fatal);
+        expect(inner.fetchQuote).toHaveBeenCalledOnce();
+    });
+
+    it('should time out slow calls', async () => {
+        const inner = { fetchQuote: () => new Promise(resolve => setTimeout(() => resolve(quote('SPX')), 200)) };
+        const adapter = new ResilientMarketAdapter(inner, {
+            tracer: makeTracer(),
+            timeoutMs: 20,
+            retry: { maxAttempts: 1 }
+        });
+
+        await expect(adapter.fetchQuote('SPX')).rejects.toThrow('timed out after 20ms');
+    });
+
+    it('should keep jittered delays within the configured band', () => {
+        const adapter = new ResilientMarketAdapter({ fetchQuote: vi.fn() }, {
+            tracer: makeTracer(),
+            retry: { baseDelayMs: 100, maxDelayMs: 300, jitter: 0.5 },
+            random: () => 1
+        });
+
+        expect(adapter.backoffDelay(1)).toBe(50);
+        expect(adapter.backoffDelay(5)).toBe(150); // capped at 300 before jitter
+    });
+});
+
+describe('CircuitBreaker', () => {
+    it('should open after the threshold, fail fast, then close after a successful half-open probe', async () => {
+        let now = 0;
+        const transitions = [];
+        const breaker = new CircuitBreaker({
+            failureThreshold: 2,
+            resetTimeoutMs: 1000,
+            clock: () => now,
+            onStateChange: ({ from, to }) => transitions.push(`${from}->${to}`)
+        });
+        const fail = () => Promise.reject(new Error('down'));
+
+        await expect(breaker.execute(fail)).rejects.toThrow('down');
+        await expect(breaker.execute(fail)).rejects.toThrow('down');
+        expect(breaker.state).toBe(CircuitState.OPEN);
+
+        const untouched = vi.fn();
+        await expect(breaker.execute(untouched)).rejects.toBeInstanceOf(CircuitOpenError);
+        expect(untouched).not.toHaveBeenCalled();
+
+        now += 1000;
+        expect(breaker.state).toBe(CircuitState.HALF_OPEN);
+        await expect(breaker.execute(async () => 'ok')).resolves.toBe('ok');
+
+        expect(breaker.state).toBe(CircuitState.CLOSED);
+        expect(transitions).toEqual(['CLOSED->OPEN', 'OPEN->HALF_OPEN', 'HALF_OPEN->CLOSED']);
+    });
+
+    it('should re-open when the half-open probe fails', async () => {
+        let now = 0;
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 100, clock: () => now });
+
+        await expect(breaker.execute(() => Promise.reject(new Error('down')))).rejects.toThrow();
+        now += 100;
+        await expect(breaker.execute(() => Promise.reject(new Error('still down')))).rejects.toThrow('still down');
+
+        expect(breaker.state).toBe(CircuitState.OPEN);
+    });
+
+    it('should leave the breaker closed when only unknown symbols fail', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2 });
+        const unknown = symbol => () => Promise.reject(new SymbolNotFoundError(symbol, 'Test'));
+
+        for (const symbol of ['APPL', 'MSFTT', 'GOOGG', 'AMZNN', 'TSLAA']) {
+            await expect(breaker.execute(unknown(symbol))).rejects.toBeInstanceOf(SymbolNotFoundError);
+        }
+        expect(breaker.state).toBe(CircuitState.CLOSED);
+        await expect(breaker.execute(async () => 'ok')).resolves.toBe('ok');
+    });
+
+    it('should close when the half-open probe answers with a non-retryable error', async () => {
+        let now = 0;
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 100, clock: () => now });
+
+        await expect(breaker.execute(() => Promise.reject(new Error('down')))).rejects.toThrow();
+        now += 100;
+        expect(breaker.state).toBe(CircuitState.HALF_OPEN);
+        await expect(breaker.execute(() => Promise.reject(new SymbolNotFoundError('APPL', 'Test')))).rejects.toBeInstanceOf(SymbolNotFoundError);
+
+        expect(breaker.state).toBe(CircuitState.CLOSED);
+        await expect(breaker.execute(async () => 'ok')).resolves.toBe('ok');
+    });
+});
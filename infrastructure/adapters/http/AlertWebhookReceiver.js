@@ -0,0 +1,145 @@
+/**
+ * @fileoverview AlertWebhookReceiver
+ * A local stand-in for the endpoint an alert webhook posts to, so the
+ * webhook sink can be tried without a third-party service. It accepts JSON
+ * POSTs on /alerts and hands each body to a callback.
+ * * ENDPOINTS:
+ * - POST /alerts   One alert payload; answers 204.
+ * - GET  /health   Liveness plus the number of alerts received.
+ */
+
+import { createServer } from 'http';
+import { logger } from '#logger';
+import { HttpStatus } from './HttpStatus.js';
+
+/**
+ * Largest body accepted; an alert payload is well under 1 KiB.
+ */
+const MAX_BODY_BYTES = 64 * 1024;
+
+export class AlertWebhookReceiver {
+    #server = null;
+
+    /**
+     * @param {Object} deps
+     * @param {function(Object): void} deps.onAlert - Receives each parsed payload.
+     * @param {Object} deps.tracer - Telemetry utility.
+     */
+    constructor({ onAlert, tracer }) {
+        if (typeof onAlert !== 'function' || !tracer) {
+            throw new Error(`[AlertWebhookReceiver] Dependency Injection Failed: OnAlert(${typeof onAlert === 'function'}) Tracer(${!!tracer})`);
+        }
+        this.onAlert = onAlert;
+        this.tracer = tracer;
+        this.received = 0;
+    }
+
+    /**
+     * Starts listening. Port 0 picks a free port (used by the tests).
+     * @param {Object} [options]
+     * @param {number} [options.port=9099]
+     * @param {string} [options.host='127.0.0.1']
+     * @returns {Promise<{host: string, port: number}>} The bound address.
+     */
+    async start({ port = 9099, host = '127.0.0.1' } = {}) {
+        if (this.#server) return this.address;
+
+        this.#server = createServer((request, response) => this.#handle(request, response));
+        await new Promise((resolve, reject) => {
+            this.#server.once('error', reject);
+            this.#server.listen(port, host, () => {
+                this.#server.off('error', reject);
+                resolve();
+            });
+        });
+        logger.info(`[AlertWebhookReceiver] Listening on http://${this.address.host}:${this.address.port}/alerts`);
+        return this.address;
+    }
+
+    /**
+     * Stops accepting connections and waits for in-flight requests.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.#server) return;
+        const server = this.#server;
+        this.#server = null;
+        await new Promise(resolve => {
+            server.close(() => resolve());
+            server.closeIdleConnections();
+        });
+        logger.info(`[AlertWebhookReceiver] Stopped after ${this.received} alert(s)`);
+    }
+
+    /**
+     * @returns {{host: string, port: number}|null}
+     */
+    get address() {
+        const bound = this.#server?.address();
+        return bound ? { host: bound.address, port: bound.port } : null;
+    }
+
+    /** @private */
+    async #handle(request, response) {
+        const { pathname } = new URL(request.url, 'http://localhost');
+
+        if (pathname === '/health' && request.method === 'GET') {
+            send(response, HttpStatus.OK, { status: 'ok', received: this.received });
+            return;
+        }
+        if (pathname !== '/alerts') {
+            send(response, HttpStatus.NOT_FOUND, { error: { code: 'NOT_FOUND', message: `No route for ${pathname}.` } });
+            return;
+        }
+        if (request.method !== 'POST') {
+            send(response, HttpStatus.METHOD_NOT_ALLOWED, {
+                error: { code: 'METHOD_NOT_ALLOWED', message: `${request.method} is not supported; use POST.` }
+            }, { Allow: 'POST' });
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(await readBody(request));
+        } catch (error) {
+            const status = error.tooLarge ? HttpStatus.PAYLOAD_TOO_LARGE : HttpStatus.BAD_REQUEST;
+            send(response, status, { error: { code: 'VALIDATION_FAILED', message: `Unreadable alert payload: ${error.message}` } });
+            return;
+        }
+
+        this.received++;
+        await this.tracer.record('HTTP', 'ALERT_WEBHOOK_RECEIVED', { rule: payload?.ruleId ?? null, symbol: payload?.symbol ?? null });
+        this.onAlert(payload);
+        response.writeHead(HttpStatus.NO_CONTENT);
+        response.end();
+    }
+}
+
+/**
+ * @private
+ * @returns {Promise<string>}
+ * @throws {Error} With tooLarge set once the body passes MAX_BODY_BYTES.
+ */
+async function readBody(request) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw Object.assign(new Error(`body exceeds ${MAX_BODY_BYTES} bytes`), { tooLarge: true });
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/** @private */
+function send(response, status, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+    });
+    response.end(payload);
+}
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview HttpApiServer (Primary Driving Adapter)
+ * Serves the market snapshot use cases over local HTTP for dashboards,
+ * alongside the CLI driving adapters. It holds no market logic of its own:
+ * every request goes through GetMarketSnapshot / GetBatchSnapshot on the
+ * same AdapterFactory chain the CLI uses.
+ * * ENDPOINTS:
+ * - GET /health                  Liveness plus the provider chain.
+ * - GET /quotes/:symbol          One MarketQuote.toJSON() payload.
+ * - GET /quotes?symbols=SPX,ES   {quotes, failures}; partial success is 200.
+ * - GET /stream?symbols=SPX,ES    Server-Sent Events of live quotes (QuoteStreamHub).
+ * Every response carries an X-Trace-Id header, also found in the trace log.
+ */
+
+import { createServer } from 'http';
+import { logger, getTraceId } from '#logger';
+import { DomainError, ValidationError } from '../../../domain/errors/DomainErrors.js';
+import { HttpStatus, statusCodeFor, statusCodeForFailures } from './HttpStatus.js';
+
+export class HttpApiServer {
+    #server = null;
+    #startedAt = null;
+
+    /**
+     * @param {Object} deps
+     * @param {Object} deps.snapshot - GetMarketSnapshot use case.
+     * @param {Object} deps.batch - GetBatchSnapshot use case.
+     * @param {Object} deps.tracer - Telemetry utility.
+     * @param {Object} [deps.stream] - QuoteStreamHub; /stream is 404 without it.
+     * @param {function(): Object} [deps.health] - Extra /health fields (e.g., the provider chain).
+     * @param {number} [deps.concurrency=4] - Parallel provider calls per batch request.
+     * @param {number} [deps.maxSymbols=50] - Largest batch one request may ask for.
+     */
+    constructor({ snapshot, batch, tracer, stream = null, health = () => ({}), concurrency = 4, maxSymbols = 50 }) {
+        if (!snapshot || !batch || !tracer) {
+            throw new Error(`[HttpApiServer] Dependency Injection Failed: Snapshot(${!!snapshot}) Batch(${!!batch}) Tracer(${!!tracer})`);
+        }
+        this.snapshot = snapshot;
+        this.batch = batch;
+        this.tracer = tracer;
+        this.stream = stream;
+        this.health = health;
+        this.concurrency = concurrency;
+        this.maxSymbols = maxSymbols;
+    }
+
+    /**
+     * Starts listening. Port 0 picks a free port (used by the tests).
+     * @param {Object} [options]
+     * @param {number} [options.port=8080]
+     * @param {string} [options.host='127.0.0.1'] - Loopback by default; the API has no authentication.
+     * @returns {Promise<{host: string, port: number}>} The bound address.
+     */
+    async start({ port = 8080, host = '127.0.0.1' } = {}) {
+        if (this.#server) return this.address;
+
+        this.#server = createServer((request, response) => this.#handle(request, response));
+        await new Promise((resolve, reject) => {
+            this.#server.once('error', reject);
+            this.#server.listen(port, host, () => {
+                this.#server.off('error', reject);
+                resolve();
+            });
+        });
+        this.#startedAt = Date.now();
+        logger.info(`[HttpApiServer] Listening on http://${this.address.host}:${this.address.port}`);
+        return this.address;
+    }
+
+    /**
+     * Stops accepting connections and waits for in-flight requests.
+     * Open event streams are ended first; they would otherwise never finish.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.#server) return;
+        const server = this.#server;
+        this.#server = null;
+        this.stream?.close();
+        await new Promise(resolve => {
+            server.close(() => resolve());
+            // Idle keep-alive sockets would otherwise hold close() open
+            server.closeIdleConnections();
+        });
+        logger.info(`[HttpApiServer] Stopped`);
+    }
+
+    /**
+     * Swaps the snapshot use cases (e.g., after a manifest reload).
+     * Requests already in flight finish on the old adapter.
+     * @param {Object} useCases
+     * @param {Object} useCases.snapshot - GetMarketSnapshot instance.
+     * @param {Object} useCases.batch - GetBatchSnapshot instance.
+     */
+    replaceUseCases({ snapshot, batch }) {
+        if (!snapshot || !batch) {
+            throw new Error('[HttpApiServer] replaceUseCases() requires a snapshot and a batch use case.');
+        }
+        this.snapshot = snapshot;
+        this.batch = batch;
+    }
+
+    /**
+     * @returns {{host: string, port: number}|null}
+     */
+    get address() {
+        const bound = this.#server?.address();
+        return bound ? { host: bound.address, port: bound.port } : null;
+    }
+
+    /**
+     * Traces the request, routes it and maps any thrown error to a status.
+     * @private
+     */
+    async #handle(request, response) {
+        const traceId = getTraceId();
+        response.setHeader('X-Trace-Id', traceId);
+
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            await this.tracer.traceSpan('HTTP', 'HTTP_REQUEST', async () => {
+                const routed = await this.#route(request, response, url);
+                // The stream hub owns the response once it has accepted the client
+                if (!routed) return;
+                const { status, body, headers } = routed;
+                // Error bodies always name the trace, whether thrown or routed
+                send(response, status, body.error ? { ...body, traceId } : body, headers);
+            }, { traceId, method: request.method, path: url.pathname });
+        } catch (error) {
+            if (!(error instanceof DomainError)) {
+                logger.error(`[HttpApiServer] Unhandled failure for ${request.method} ${request.url}: ${error.message}`, { traceId });
+            }
+            // A failure after a stream started cannot change its status any more
+            if (response.headersSent) {
+                response.end();
+                return;
+            }
+            send(response, statusCodeFor(error), { error: publicError(error), traceId }, retryHeaders(error));
+        }
+    }
+
+    /**
+     * @private
+     * @returns {Promise<{status: number, body: Object, headers?: Object}|null>} null when the response was streamed.
+     */
+    async #route(request, response, url) {
+        const { method } = request;
+        const quoteMatch = /^\/quotes\/([^/]+)$/.exec(url.pathname);
+        const known = url.pathname === '/health' || url.pathname === '/quotes' || url.pathname === '/stream' || quoteMatch;
+
+        if (!known) {
+            return notFound(`No route for ${url.pathname}.`);
+        }
+        if (method !== 'GET') {
+            return {
+                status: HttpStatus.METHOD_NOT_ALLOWED,
+                body: { error: { code: 'METHOD_NOT_ALLOWED', message: `${method} is not supported; use GET.` } },
+                headers: { Allow: 'GET' }
+            };
+        }
+
+        if (url.pathname === '/health') {
+            return {
+                status: HttpStatus.OK,
+                body: { status: 'ok', sessionId: this.tracer.sessionID ?? null, uptimeMs: Date.now() - this.#startedAt, ...this.health() }
+            };
+        }
+
+        if (url.pathname === '/stream') {
+            if (!this.stream) return notFound('Streaming is not enabled on this server.');
+            return this.stream.attach(request, response, url);
+        }
+
+        if (quoteMatch) {
+            const quote = await this.snapshot.execute(decodeSymbol(quoteMatch[1]));
+            return { status: HttpStatus.OK, body: quote.toJSON() };
+        }
+
+        return this.#batch(url.searchParams.get('symbols'));
+    }
+
+    /**
+     * A batch is 200 while any quote succeeded; a fully failed batch takes
+     * the status of its shared cause.
+     * @private
+     */
+    async #batch(param) {
+        const symbols = [...new Set((param ?? '').split(',').map(symbol => symbol.trim()).filter(Boolean))];
+        if (symbols.length === 0) {
+            throw new ValidationError('The symbols query parameter is required.', {
+                field: 'symbols',
+                hint: 'Request /quotes?symbols=SPX,ES or /quotes/SPX.'
+            });
+        }
+        if (symbols.length > this.maxSymbols) {
+            throw new ValidationError(`At most ${this.maxSymbols} symbols per request, received ${symbols.length}.`, { field: 'symbols' });
+        }
+
+        const { quotes, failures } = await this.batch.execute(symbols, { concurrency: this.concurrency });
+        return {
+            status: quotes.length > 0 ? HttpStatus.OK : statusCodeForFailures(failures),
+            body: {
+                quotes: quotes.map(quote => quote.toJSON()),
+                failures: failures.map(({ symbol, reason, code }) => ({ symbol, error: { code, message: reason } }))
+            }
+        };
+    }
+}
+
+/** @private */
+function send(response, status, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    response.end(payload);
+}
+
+/** @private */
+function notFound(message) {
+    return { status: HttpStatus.NOT_FOUND, body: { error: { code: 'NOT_FOUND', message } } };
+}
+
+/**
+ * Domain errors are safe to show; anything else is a bug and stays in the logs.
+ * @private
+ */
+function publicError(error) {
+    if (error instanceof DomainError) return error.toJSON();
+    return { code: 'INTERNAL_ERROR', message: 'Unexpected server error; see the server log for this trace ID.' };
+}
+
+/** @private */
+function retryHeaders(error) {
+    return error?.retryAfterMs ? { 'Retry-After': String(Math.ceil(error.retryAfterMs / 1000)) } : {};
+}
+
+/**
+ * @private
+ * @throws {ValidationError} For malformed percent-encoding.
+ */
+function decodeSymbol(raw) {
+    try {
+        return decodeURIComponent(raw);
+    } catch {
+        throw new ValidationError(`Malformed symbol "${raw}" in the request path.`, { field: 'symbol' });
+    }
+}
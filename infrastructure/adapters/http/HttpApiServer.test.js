@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { HttpApiServer } from './HttpApiServer.js';
+import { statusCodeFor, statusCodeForFailures } from './HttpStatus.js';
+import { GetMarketSnapshot } from '../../../domain/use-cases/GetMarketSnapshot.js';
+import { GetBatchSnapshot } from '../../../domain/use-cases/GetBatchSnapshot.js';
+import { MarketQuote } from '../../../domain/entities/MarketQuote.js';
+import { MarketDataPort } from '../../../domain/ports/outbound/MarketDataPort.js';
+import {
+    SymbolNotFoundError, RateLimitedError, ProviderTimeoutError, ValidationError
+} from '../../../domain/errors/DomainErrors.js';
+
+const tracer = {
+    sessionID: 'TESTSID',
+    traceSpan: vi.fn((layer, label, fn) => fn()),
+    record: vi.fn()
+};
+
+// Each ticker scripts one provider behaviour; batching comes from the port's default fetchQuotes
+class StubPort extends MarketDataPort {
+    async fetchQuote(symbol) {
+        if (symbol === 'THROTTLE') throw new RateLimitedError('Stub', { retryAfterMs: 7000 });
+        if (symbol === 'SLOW') throw new ProviderTimeoutError('Stub', 100);
+        if (symbol === 'BUG') throw new TypeError('cannot read properties of undefined');
+        if (symbol.startsWith('BAD')) throw new SymbolNotFoundError(symbol, 'Stub');
+        return new MarketQuote({ symbol, price: 100, timestamp: Date.UTC(2026, 0, 2), source: 'Stub' });
+    }
+}
+const port = new StubPort();
+
+describe('HttpApiServer', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        server = new HttpApiServer({
+            snapshot: new GetMarketSnapshot(port, tracer),
+            batch: new GetBatchSnapshot(port, tracer),
+            tracer,
+            health: () => ({ providers: ['9:StubAdapter'] }),
+            maxSymbols: 3
+        });
+        const { port: bound } = await server.start({ port: 0 });
+        baseUrl = `http://127.0.0.1:${bound}`;
+    });
+
+    afterAll(() => server.stop());
+
+    const get = async path => {
+        const response = await fetch(`${baseUrl}${path}`);
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+
+    it('should report health with the provider chain and a trace ID header', async () => {
+        const { status, headers, body } = await get('/health');
+
+        expect(status).toBe(200);
+        expect(body).toMatchObject({ status: 'ok', sessionId: 'TESTSID', providers: ['9:StubAdapter'] });
+        expect(headers.get('x-trace-id')).toMatch(/^[a-z0-9]+$/);
+        expect(tracer.traceSpan).toHaveBeenCalledWith('HTTP', 'HTTP_REQUEST', expect.any(Function),
+            expect.objectContaining({ method: 'GET', path: '/health', traceId: headers.get('x-trace-id') }));
+    });
+
+    it('should return MarketQuote.toJSON() for a single symbol', async () => {
+        const { status, body } = await get('/quotes/spx');
+
+        expect(status).toBe(200);
+        expect(body).toMatchObject({ symbol: 'SPX', price: 100, source: 'Stub', capturedAt: '2026-01-02T00:00:00.000Z' });
+    });
+
+    it('should map domain errors to status codes and name the trace in the body', async () => {
+        const missing = await get('/quotes/BADX');
+        expect(missing.status).toBe(404);
+        expect(missing.body.error).toMatchObject({ code: 'SYMBOL_NOT_FOUND', retryable: false });
+        expect(missing.body.traceId).toBe(missing.headers.get('x-trace-id'));
+
+        const throttled = await get('/quotes/THROTTLE');
+        expect(throttled.status).toBe(429);
+        expect(throttled.headers.get('retry-after')).toBe('7');
+
+        expect((await get('/quotes/SLOW')).status).toBe(504);
+    });
+
+    it('should hide the details of untyped failures', async () => {
+        const { status, body } = await get('/quotes/BUG');
+
+        expect(status).toBe(503);
+        expect(body.error.code).toBe('PROVIDER_UNAVAILABLE');
+        expect(JSON.stringify(body)).not.toContain('cannot read properties');
+    });
+
+    it('should serve batches with per-symbol failures and partial success as 200', async () => {
+        const { status, body } = await get('/quotes?symbols=SPX,BADX,es');
+
+        expect(status).toBe(200);
+        expect(body.quotes.map(({ symbol }) => symbol)).toEqual(['SPX', 'ES']);
+        expect(body.failures).toEqual([
+            { symbol: 'BADX', error: { code: 'SYMBOL_NOT_FOUND', message: 'Symbol "BADX" is not recognised by Stub.' } }
+        ]);
+
+        expect((await get('/quotes?symbols=BAD1,BAD2')).status).toBe(404);
+    });
+
+    it('should validate the batch query', async () => {
+        expect((await get('/quotes')).status).toBe(400);
+        expect((await get('/quotes?symbols=A,B,C,D')).body.error.message).toBe('At most 3 symbols per request, received 4.');
+    });
+
+    it('should answer unknown routes with 404 and other methods with 405', async () => {
+        const unknown = await get('/nope');
+        expect(unknown.status).toBe(404);
+        expect(unknown.body.error.code).toBe('NOT_FOUND');
+
+        const post = await fetch(`${baseUrl}/quotes/SPX`, { method: 'POST' });
+        expect(post.status).toBe(405);
+        expect(post.headers.get('allow')).toBe('GET');
+    });
+});
+
+describe('HttpStatus', () => {
+    it('should map every domain code and fall back to 500 for bugs', () => {
+        expect(statusCodeFor(new ValidationError('x'))).toBe(400);
+        expect(statusCodeFor(new SymbolNotFoundError('X'))).toBe(404);
+        expect(statusCodeFor(new Error('bug'))).toBe(500);
+        expect(statusCodeForFailures([{ code: 'RATE_LIMITED' }, { code: 'RATE_LIMITED' }])).toBe(429);
+        expect(statusCodeForFailures([{ code: 'RATE_LIMITED' }, { code: 'SYMBOL_NOT_FOUND' }])).toBe(502);
+    });
+});
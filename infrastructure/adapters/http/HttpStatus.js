@@ -0,0 +1,56 @@
+/**
+ * @fileoverview HttpStatus (HTTP contract)
+ * Maps the domain error taxonomy onto HTTP status codes, the HTTP
+ * counterpart of cli/ExitCodes.js. Provider-side failures use the 5xx
+ * gateway codes: the caller's request was fine, our upstream was not.
+ */
+
+import { ErrorCode } from '../../../domain/errors/DomainErrors.js';
+
+export const HttpStatus = Object.freeze({
+    OK: 200,
+    NO_CONTENT: 204,
+    BAD_REQUEST: 400,
+    NOT_FOUND: 404,
+    METHOD_NOT_ALLOWED: 405,
+    PAYLOAD_TOO_LARGE: 413,
+    TOO_MANY_REQUESTS: 429,
+    INTERNAL_SERVER_ERROR: 500,
+    BAD_GATEWAY: 502,
+    SERVICE_UNAVAILABLE: 503,
+    GATEWAY_TIMEOUT: 504
+});
+
+/**
+ * Status per domain error code.
+ */
+const STATUS_BY_CODE = Object.freeze({
+    [ErrorCode.VALIDATION_FAILED]: HttpStatus.BAD_REQUEST,
+    [ErrorCode.SYMBOL_NOT_FOUND]: HttpStatus.NOT_FOUND,
+    [ErrorCode.INVALID_CONFIG]: HttpStatus.INTERNAL_SERVER_ERROR,
+    // Our credentials were refused upstream; the client cannot fix that
+    [ErrorCode.AUTHENTICATION_FAILED]: HttpStatus.BAD_GATEWAY,
+    [ErrorCode.RATE_LIMITED]: HttpStatus.TOO_MANY_REQUESTS,
+    [ErrorCode.PROVIDER_TIMEOUT]: HttpStatus.GATEWAY_TIMEOUT,
+    [ErrorCode.PROVIDER_UNAVAILABLE]: HttpStatus.SERVICE_UNAVAILABLE
+});
+
+/**
+ * Resolves the status for a failure. Untyped errors (bugs) are 500.
+ * @param {unknown} error
+ * @returns {number}
+ */
+export function statusCodeFor(error) {
+    return STATUS_BY_CODE[error?.code] ?? HttpStatus.INTERNAL_SERVER_ERROR;
+}
+
+/**
+ * Resolves the status for a batch where every symbol failed. A single shared
+ * cause keeps its specific status; mixed causes collapse to 502.
+ * @param {Array<{code?: string}>} failures
+ * @returns {number}
+ */
+export function statusCodeForFailures(failures) {
+    const codes = new Set(failures.map(({ code }) => code));
+    return codes.size === 1 ? statusCodeFor({ code: [...codes][0] }) : HttpStatus.BAD_GATEWAY;
+}
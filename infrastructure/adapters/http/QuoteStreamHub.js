@@ -0,0 +1,352 @@
+/**
+ * @fileoverview QuoteStreamHub (Server-Sent Events fan-out)
+ * Pushes live quotes to any number of HTTP clients over text/event-stream.
+ * Each symbol has one upstream subscription (via the StreamQuotes use case),
+ * reference-counted across the clients that asked for it, so a hundred
+ * dashboards watching SPX cost the provider one feed.
+ * * PROTOCOL (GET /stream?symbols=SPX,ES):
+ * - On connect: a `retry:` hint, an `event: ready` frame naming the symbols,
+ *   then the latest known quote per symbol.
+ * - `event: quote` frames carry MarketQuote.toJSON() and an `id:` from one
+ *   hub-wide increasing sequence; ids skip the other clients' symbols.
+ * - `event: error` frames carry {symbol, error: {code, message}}; the
+ *   subscription stays open and the next good tick resumes the stream.
+ * - A `: heartbeat` comment every heartbeatMs keeps proxies from idling out.
+ * * BACKPRESSURE: when a client's socket buffer is full, the hub stops writing
+ * to it and keeps only the newest frame per symbol until 'drain'. A slow
+ * client therefore sees fewer ticks (gaps in the ids), never stale ones, and
+ * never grows server memory beyond one frame per symbol.
+ * * RECONNECT: clients (EventSource does this itself) resend the last id they
+ * saw as the Last-Event-ID header; only cached quotes newer than it are
+ * replayed, so nothing already seen is sent twice.
+ * * RELOAD: replaceStream() moves every open upstream onto a new adapter
+ * chain without dropping the clients; the old feed ends once the new one is up.
+ */
+
+import { logger } from '#logger';
+import { ValidationError } from '../../../domain/errors/DomainErrors.js';
+import { HttpStatus } from './HttpStatus.js';
+
+export class QuoteStreamHub {
+    #clients = new Set();
+    /** @type {Map<string, {refs: number, ready: Promise<function(): void>, latest: Object|null, stream: Object}>} */
+    #upstreams = new Map();
+    #sequence = 0;
+    #heartbeat = null;
+
+    /**
+     * @param {Object} deps
+     * @param {Object} deps.stream - StreamQuotes use case.
+     * @param {Object} deps.tracer - Telemetry utility.
+     * @param {number} [deps.intervalMs=1000] - Upstream tick interval, forwarded to the port.
+     * @param {number} [deps.heartbeatMs=15000] - Delay between heartbeat comments.
+     * @param {number} [deps.retryMs=3000] - Reconnect delay suggested to clients.
+     * @param {number} [deps.maxClients=100] - Connections beyond this are refused with 503.
+     * @param {number} [deps.maxSymbols=50] - Largest subscription one client may ask for.
+     */
+    constructor({ stream, tracer, intervalMs = 1000, heartbeatMs = 15_000, retryMs = 3000, maxClients = 100, maxSymbols = 50 }) {
+        if (!stream || !tracer) {
+            throw new Error(`[QuoteStreamHub] Dependency Injection Failed: Stream(${!!stream}) Tracer(${!!tracer})`);
+        }
+        this.stream = stream;
+        this.tracer = tracer;
+        this.intervalMs = intervalMs;
+        this.heartbeatMs = heartbeatMs;
+        this.retryMs = retryMs;
+        this.maxClients = maxClients;
+        this.maxSymbols = maxSymbols;
+    }
+
+    /**
+     * @returns {number} Open client connections.
+     */
+    get clientCount() {
+        return this.#clients.size;
+    }
+
+    /**
+     * @returns {string[]} Symbols with a live upstream subscription.
+     */
+    get symbols() {
+        return [...this.#upstreams.keys()];
+    }
+
+    /**
+     * Takes over the response as an event stream. Every symbol is subscribed
+     * before the headers go out, so a bad symbol still fails as a normal
+     * JSON error response.
+     * @param {import('http').IncomingMessage} request
+     * @param {import('http').ServerResponse} response
+     * @param {URL} url
+     * @returns {Promise<null|{status: number, body: Object, headers?: Object}>}
+     *   null once the stream owns the response, or a refusal to send instead.
+     * @throws {ValidationError|DomainError} For a bad query or a refused subscription.
+     */
+    async attach(request, response, url) {
+        const symbols = this.#parseSymbols(url.searchParams.get('symbols'));
+        if (this.#clients.size >= this.maxClients) {
+            return {
+                status: HttpStatus.SERVICE_UNAVAILABLE,
+                body: { error: { code: 'STREAM_CAPACITY', message: `The stream is full (${this.maxClients} clients); retry later.` } },
+                headers: { 'Retry-After': String(Math.ceil(this.retryMs / 1000)) }
+            };
+        }
+
+        const acquired = [];
+        try {
+            for (const symbol of symbols) {
+                await this.#acquire(symbol);
+                acquired.push(symbol);
+            }
+        } catch (error) {
+            acquired.forEach(symbol => this.#release(symbol));
+            throw error;
+        }
+
+        // The client may have hung up while the subscriptions were opening
+        if (response.destroyed) {
+            acquired.forEach(symbol => this.#release(symbol));
+            return null;
+        }
+
+        const client = { response, symbols: new Set(symbols), blocked: false, pending: new Map(), openedAt: Date.now() };
+        this.#clients.add(client);
+        // The response, not the request: a GET request 'close's as soon as its (empty) body is read
+        response.once('close', () => this.#detach(client));
+        this.#startHeartbeat();
+
+        response.writeHead(HttpStatus.OK, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'Connection': 'keep-alive',
+            // Stops reverse proxies (nginx) from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        this.#write(client, `retry: ${this.retryMs}\n\n`);
+        this.#write(client, frame({ event: 'ready', data: { symbols, heartbeatMs: this.heartbeatMs } }));
+
+        const lastEventId = Number.parseInt(request.headers['last-event-id'] ?? '', 10);
+        for (const symbol of symbols) {
+            const latest = this.#upstreams.get(symbol)?.latest;
+            if (latest && !(latest.id <= lastEventId)) this.#push(client, symbol, latest);
+        }
+
+        this.tracer.record('HTTP', 'STREAM_CLIENT_OPENED', { symbols: symbols.join(','), clients: this.#clients.size, lastEventId: Number.isNaN(lastEventId) ? null : lastEventId });
+        return null;
+    }
+
+    /**
+     * Swaps the StreamQuotes use case (e.g., after a manifest reload).
+     * Each open symbol is resubscribed on the new chain before its old feed is
+     * dropped; a symbol the new chain refuses keeps its old feed and its
+     * clients get an error frame.
+     * @param {Object} stream - StreamQuotes use case on the reloaded adapter.
+     * @returns {Promise<void>} Settles once every symbol has moved (or stayed).
+     */
+    async replaceStream(stream) {
+        if (!stream) {
+            throw new Error('[QuoteStreamHub] replaceStream() requires a stream use case.');
+        }
+        this.stream = stream;
+        await Promise.all([...this.#upstreams].map(([symbol, upstream]) => this.#resubscribe(symbol, upstream)));
+    }
+
+    /**
+     * Ends every client stream and every upstream subscription.
+     */
+    close() {
+        for (const client of this.#clients) {
+            this.#clients.delete(client);
+            client.response.end();
+        }
+        for (const symbol of [...this.#upstreams.keys()]) {
+            const upstream = this.#upstreams.get(symbol);
+            this.#upstreams.delete(symbol);
+            upstream.ready.then(unsubscribe => unsubscribe(), () => {});
+        }
+        clearInterval(this.#heartbeat);
+        this.#heartbeat = null;
+    }
+
+    /**
+     * @private
+     * @throws {ValidationError}
+     */
+    #parseSymbols(param) {
+        const symbols = [...new Set((param ?? '').split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean))];
+        if (symbols.length === 0) {
+            throw new ValidationError('The symbols query parameter is required.', {
+                field: 'symbols',
+                hint: 'Request /stream?symbols=SPX,ES.'
+            });
+        }
+        if (symbols.length > this.maxSymbols) {
+            throw new ValidationError(`At most ${this.maxSymbols} symbols per stream, received ${symbols.length}.`, { field: 'symbols' });
+        }
+        return symbols;
+    }
+
+    /**
+     * Joins (or opens) the shared upstream subscription for a symbol.
+     * Concurrent first clients wait on the same pending subscribe.
+     * @private
+     */
+    async #acquire(symbol) {
+        const existing = this.#upstreams.get(symbol);
+        if (existing) {
+            existing.refs += 1;
+            await existing.ready;
+            return;
+        }
+
+        const upstream = { refs: 1, latest: null, ready: null, stream: this.stream };
+        upstream.ready = this.#subscribe(symbol, upstream, this.stream);
+        this.#upstreams.set(symbol, upstream);
+
+        try {
+            await upstream.ready;
+        } catch (error) {
+            // Every waiter fails with the same error; the next client retries afresh
+            if (this.#upstreams.get(symbol) === upstream) this.#upstreams.delete(symbol);
+            throw error;
+        }
+    }
+
+    /**
+     * Opens one feed; its ticks count only while it is the upstream's current stream.
+     * @private
+     */
+    #subscribe(symbol, upstream, stream) {
+        return stream.execute([symbol],
+            quote => {
+                if (upstream.stream === stream) this.#broadcast(symbol, upstream, quote);
+            },
+            {
+                intervalMs: this.intervalMs,
+                onError: error => {
+                    if (upstream.stream === stream) this.#broadcastError(symbol, error);
+                }
+            });
+    }
+
+    /** @private */
+    async #resubscribe(symbol, upstream) {
+        const stream = this.stream;
+        const previous = { stream: upstream.stream, ready: upstream.ready };
+        // Switch first, so the new feed's opening quotes are not dropped
+        upstream.stream = stream;
+        const next = this.#subscribe(symbol, upstream, stream);
+        try {
+            await next;
+        } catch (error) {
+            upstream.stream = previous.stream;
+            this.#broadcastError(symbol, error);
+            return;
+        }
+        upstream.ready = next;
+        previous.ready.then(unsubscribe => unsubscribe(), () => {});
+        // Released while the new feed was opening: #release already ended the old one
+        if (this.#upstreams.get(symbol) !== upstream) next.then(unsubscribe => unsubscribe(), () => {});
+    }
+
+    /** @private */
+    #release(symbol) {
+        const upstream = this.#upstreams.get(symbol);
+        if (!upstream) return;
+        upstream.refs -= 1;
+        if (upstream.refs > 0) return;
+        this.#upstreams.delete(symbol);
+        upstream.ready.then(unsubscribe => unsubscribe(), () => {});
+    }
+
+    /** @private */
+    #detach(client) {
+        if (!this.#clients.delete(client)) return;
+        client.symbols.forEach(symbol => this.#release(symbol));
+        if (this.#clients.size === 0) {
+            clearInterval(this.#heartbeat);
+            this.#heartbeat = null;
+        }
+        this.tracer.record('HTTP', 'STREAM_CLIENT_CLOSED', {
+            symbols: [...client.symbols].join(','),
+            durationMs: Date.now() - client.openedAt,
+            clients: this.#clients.size
+        });
+    }
+
+    /** @private */
+    #broadcast(symbol, upstream, quote) {
+        const message = { id: ++this.#sequence, event: 'quote', data: quote.toJSON() };
+        upstream.latest = message;
+        for (const client of this.#clients) {
+            if (client.symbols.has(symbol)) this.#push(client, symbol, message);
+        }
+    }
+
+    /** @private */
+    #broadcastError(symbol, error) {
+        const message = { event: 'error', data: { symbol, error: { code: error.code, message: error.message } } };
+        for (const client of this.#clients) {
+            if (client.symbols.has(symbol)) this.#push(client, symbol, message);
+        }
+    }
+
+    /**
+     * Writes now, or conflates while the client is blocked.
+     * @private
+     */
+    #push(client, symbol, message) {
+        if (client.blocked) {
+            // Only the newest state per symbol survives; re-insert so drain keeps arrival order
+            client.pending.delete(symbol);
+            client.pending.set(symbol, message);
+            return;
+        }
+        this.#write(client, frame(message));
+    }
+
+    /**
+     * @private
+     * @returns {boolean} False once the client is blocked.
+     */
+    #write(client, chunk) {
+        if (client.response.write(chunk)) return true;
+        if (!client.blocked) {
+            client.blocked = true;
+            client.response.once('drain', () => this.#drain(client));
+        }
+        return false;
+    }
+
+    /** @private */
+    #drain(client) {
+        client.blocked = false;
+        for (const [symbol, message] of client.pending) {
+            client.pending.delete(symbol);
+            if (!this.#write(client, frame(message))) return;
+        }
+    }
+
+    /** @private */
+    #startHeartbeat() {
+        if (this.#heartbeat) return;
+        this.#heartbeat = setInterval(() => {
+            for (const client of this.#clients) {
+                // A blocked socket is already busy; a heartbeat would only queue behind it
+                if (!client.blocked) this.#write(client, ': heartbeat\n\n');
+            }
+        }, this.heartbeatMs);
+        this.#heartbeat.unref?.();
+        logger.debug(`[QuoteStreamHub] Heartbeat every ${this.heartbeatMs}ms`);
+    }
+}
+
+/**
+ * Serialises one SSE frame.
+ * @private
+ * @param {{id?: number, event: string, data: Object}} message
+ * @returns {string}
+ */
+function frame({ id, event, data }) {
+    return `${id === undefined ? '' : `id: ${id}\n`}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
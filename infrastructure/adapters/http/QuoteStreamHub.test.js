@@ -0,0 +1,258 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventEmitter } from 'events';
+import { get } from 'http';
+import { HttpApiServer } from './HttpApiServer.js';
+import { QuoteStreamHub } from './QuoteStreamHub.js';
+import { MarketQuote } from '../../../domain/entities/MarketQuote.js';
+import { SymbolNotFoundError } from '../../../domain/errors/DomainErrors.js';
+import { MarketDataPort } from '../../../domain/ports/outbound/MarketDataPort.js';
+import { StreamQuotes } from '../../../domain/use-cases/StreamQuotes.js';
+
+const tracer = {
+    sessionID: 'TESTSID',
+    traceSpan: (layer, label, fn) => fn(),
+    record: vi.fn()
+};
+
+// Stands in for the StreamQuotes use case: the test decides when each symbol ticks
+class ScriptedFeed {
+    listeners = new Map();
+
+    execute = vi.fn(async ([symbol], onQuote, { onError }) => {
+        if (symbol === 'NOPE') throw new SymbolNotFoundError(symbol, 'Stub');
+        this.listeners.set(symbol, { onQuote, onError });
+        return () => this.listeners.delete(symbol);
+    });
+
+    tick(symbol, price) {
+        this.listeners.get(symbol)?.onQuote(new MarketQuote({ symbol, price, timestamp: Date.UTC(2026, 0, 2), source: 'Stub' }));
+    }
+
+    fail(symbol, error) {
+        this.listeners.get(symbol)?.onError(error, symbol);
+    }
+}
+
+/**
+ * Minimal SSE client: one parsed object per frame, comments included.
+ */
+function connect(baseUrl, path, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const request = get(`${baseUrl}${path}`, { headers }, response => {
+            const client = { status: response.statusCode, headers: response.headers, frames: [], body: '', close: () => request.destroy() };
+            let buffer = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                client.body += chunk;
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    client.frames.push(parseFrame(buffer.slice(0, end)));
+                    buffer = buffer.slice(end + 2);
+                }
+            });
+            client.quotes = () => client.frames.filter(({ event }) => event === 'quote');
+            resolve(client);
+        });
+        request.on('error', reject);
+    });
+}
+
+function parseFrame(block) {
+    const parsed = {};
+    for (const line of block.split('\n')) {
+        const [field, ...rest] = line.split(':');
+        const value = rest.join(':').trimStart();
+        if (field === '') parsed.comment = value;
+        else if (field === 'data') parsed.data = JSON.parse(value);
+        else if (field === 'id' || field === 'retry') parsed[field] = Number(value);
+        else parsed[field] = value;
+    }
+    return parsed;
+}
+
+describe('QuoteStreamHub over HttpApiServer', () => {
+    let feed;
+    let hub;
+    let server;
+    let baseUrl;
+    const clients = [];
+
+    const open = async (path, headers) => {
+        const client = await connect(baseUrl, path, headers);
+        clients.push(client);
+        return client;
+    };
+
+    beforeEach(async () => {
+        feed = new ScriptedFeed();
+        hub = new QuoteStreamHub({ stream: feed, tracer, heartbeatMs: 30, retryMs: 2000, maxClients: 3 });
+        server = new HttpApiServer({ snapshot: {}, batch: {}, tracer, stream: hub });
+        const { port } = await server.start({ port: 0 });
+        baseUrl = `http://127.0.0.1:${port}`;
+    });
+
+    afterEach(async () => {
+        clients.splice(0).forEach(client => client.close());
+        await server.stop();
+    });
+
+    it('should open with a retry hint and a ready frame', async () => {
+        const client = await open('/stream?symbols=spx,es');
+
+        expect(client.status).toBe(200);
+        expect(client.headers['content-type']).toMatch(/^text\/event-stream/);
+        await vi.waitFor(() => expect(client.frames.length).toBe(2));
+        expect(client.frames[0]).toEqual({ retry: 2000 });
+        expect(client.frames[1]).toEqual({ event: 'ready', data: { symbols: ['SPX', 'ES'], heartbeatMs: 30 } });
+    });
+
+    it('should fan ticks out per client subscription over one upstream feed per symbol', async () => {
+        const spxOnly = await open('/stream?symbols=SPX');
+        const both = await open('/stream?symbols=SPX,ES');
+        await vi.waitFor(() => expect(hub.clientCount).toBe(2));
+
+        feed.tick('SPX', 6800);
+        feed.tick('ES', 6810);
+        feed.fail('ES', new SymbolNotFoundError('ES', 'Stub'));
+
+        await vi.waitFor(() => expect(both.quotes()).toHaveLength(2));
+        expect(spxOnly.quotes().map(({ data }) => data.symbol)).toEqual(['SPX']);
+        expect(both.quotes().map(({ id, data }) => [id, data.symbol, data.price])).toEqual([[1, 'SPX', 6800], [2, 'ES', 6810]]);
+        await vi.waitFor(() => expect(both.frames.find(({ event }) => event === 'error')).toMatchObject({ event: 'error', data: { symbol: 'ES', error: { code: 'SYMBOL_NOT_FOUND' } } }));
+        expect(feed.execute).toHaveBeenCalledTimes(2);
+
+        both.close();
+        await vi.waitFor(() => expect(hub.symbols).toEqual(['SPX']));
+        spxOnly.close();
+        await vi.waitFor(() => expect(feed.listeners.size).toBe(0));
+    });
+
+    it('should move open streams onto a reloaded feed without dropping the clients', async () => {
+        const client = await open('/stream?symbols=SPX');
+        await vi.waitFor(() => expect(feed.listeners.has('SPX')).toBe(true));
+        feed.tick('SPX', 6800);
+
+        const old = feed;
+        feed = new ScriptedFeed();
+        await hub.replaceStream(feed);
+
+        old.tick('SPX', 1);
+        feed.tick('SPX', 6801);
+
+        await vi.waitFor(() => expect(client.quotes().map(({ data }) => data.price)).toEqual([6800, 6801]));
+        expect(old.listeners.size).toBe(0);
+        expect(hub.clientCount).toBe(1);
+
+        client.close();
+        await vi.waitFor(() => expect(feed.listeners.size).toBe(0));
+    });
+
+    it('should send heartbeat comments to idle clients', async () => {
+        const client = await open('/stream?symbols=SPX');
+
+        await vi.waitFor(() => expect(client.frames.filter(({ comment }) => comment === 'heartbeat').length).toBeGreaterThanOrEqual(2));
+    });
+
+    it('should replay only quotes newer than Last-Event-ID on reconnect', async () => {
+        const first = await open('/stream?symbols=SPX,ES');
+        await vi.waitFor(() => expect(hub.clientCount).toBe(1));
+        feed.tick('SPX', 6800); // id 1
+        feed.tick('ES', 6810); // id 2
+        feed.tick('SPX', 6801); // id 3
+        await vi.waitFor(() => expect(first.quotes()).toHaveLength(3));
+
+        const resumed = await open('/stream?symbols=SPX,ES', { 'Last-Event-ID': '2' });
+        const fresh = await open('/stream?symbols=SPX,ES');
+
+        await vi.waitFor(() => expect(fresh.quotes()).toHaveLength(2));
+        expect(fresh.quotes().map(({ id }) => id)).toEqual([3, 2]);
+        expect(resumed.quotes().map(({ id, data }) => [id, data.price])).toEqual([[3, 6801]]);
+    });
+
+    it('should refuse bad subscriptions as JSON errors and cap the client count', async () => {
+        const missing = await open('/stream?symbols=SPX,NOPE');
+        expect(missing.status).toBe(404);
+        await vi.waitFor(() => expect(JSON.parse(missing.body).error.code).toBe('SYMBOL_NOT_FOUND'));
+        // The SPX feed opened for the refused client was released again
+        expect(hub.symbols).toEqual([]);
+
+        expect((await open('/stream')).status).toBe(400);
+
+        await Promise.all([1, 2, 3].map(() => open('/stream?symbols=SPX')));
+        const overflow = await open('/stream?symbols=SPX');
+        expect(overflow.status).toBe(503);
+        expect(overflow.headers['retry-after']).toBe('2');
+    });
+
+    it('should refuse an unknown symbol on a polling provider before the stream opens', async () => {
+        class PollingPort extends MarketDataPort {
+            async fetchQuote(symbol) {
+                if (symbol === 'NOPE') throw new SymbolNotFoundError(symbol, 'Stub');
+                return new MarketQuote({ symbol, price: 100, timestamp: Date.now(), source: 'Stub' });
+            }
+        }
+        await hub.replaceStream(new StreamQuotes(new PollingPort(), tracer));
+
+        const missing = await open('/stream?symbols=NOPE');
+        expect(missing.status).toBe(404);
+        expect(missing.headers['content-type']).toMatch(/^application\/json/);
+
+        const known = await open('/stream?symbols=SPX');
+        expect(known.status).toBe(200);
+        await vi.waitFor(() => expect(known.quotes().map(({ data }) => data.price)).toEqual([100]));
+    });
+
+    it('should answer 404 when the server has no stream hub', async () => {
+        const plain = new HttpApiServer({ snapshot: {}, batch: {}, tracer });
+        const { port } = await plain.start({ port: 0 });
+        try {
+            const response = await fetch(`http://127.0.0.1:${port}/stream?symbols=SPX`);
+            expect(response.status).toBe(404);
+        } finally {
+            await plain.stop();
+        }
+    });
+});
+
+describe('QuoteStreamHub backpressure', () => {
+    /**
+     * A response whose socket buffer is full until drain() is called.
+     */
+    class SlowResponse extends EventEmitter {
+        destroyed = false;
+        full = false;
+        chunks = [];
+        writeHead() {}
+        write(chunk) {
+            this.chunks.push(chunk);
+            return !this.full;
+        }
+        end() {}
+        drain() {
+            this.full = false;
+            this.emit('drain');
+        }
+    }
+
+    it('should conflate to the newest tick per symbol until the client drains', async () => {
+        const feed = new ScriptedFeed();
+        const hub = new QuoteStreamHub({ stream: feed, tracer });
+        const response = new SlowResponse();
+        await hub.attach({ headers: {} }, response, new URL('http://localhost/stream?symbols=SPX,ES'));
+        const quotes = () => response.chunks.filter(chunk => chunk.includes('event: quote')).map(chunk => parseFrame(chunk.trim()));
+
+        response.full = true;
+        feed.tick('SPX', 1); // written, but the buffer is now full
+        feed.tick('SPX', 2);
+        feed.tick('ES', 10);
+        feed.tick('SPX', 3);
+        expect(quotes()).toHaveLength(1);
+
+        response.drain();
+        expect(quotes().map(({ id, data }) => [id, data.symbol, data.price])).toEqual([[1, 'SPX', 1], [3, 'ES', 10], [4, 'SPX', 3]]);
+
+        hub.close();
+        await vi.waitFor(() => expect(feed.listeners.size).toBe(0));
+    });
+});
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview AlertSinks
+ * Where fired alerts are delivered. Every sink receives each alert through
+ * notify(); AlertNotifier fans an alert out to all of them, so one failing
+ * sink (an unreachable webhook) never holds back the others.
+ * * SINKS (configured in the rules file, see AlertRulesConfig):
+ * - terminal: the presenter's renderAlert(): a banner and bell on the
+ *   console, one record per alert in the machine formats.
+ * - log:      one JSON line per alert, appended to logs/alerts.jsonl.
+ * - webhook:  one JSON POST per alert. 'alerts receive' is a local stand-in
+ *   endpoint for trying it out.
+ */
+
+import { appendFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { logger } from '#logger';
+import { resolveInsideRoot } from '#shared/paths';
+import { toAlertPayload } from '#shared/alertPayload';
+import { ProviderTimeoutError, ProviderUnavailableError } from '../../../domain/errors/DomainErrors.js';
+
+const WEBHOOK_HINT = 'Check that the endpoint is running; "alerts receive" starts a local one.';
+
+/**
+ * Interface every sink implements.
+ */
+export class AlertSink {
+    /**
+     * @returns {string} Name used in logs.
+     */
+    get name() {
+        return 'sink';
+    }
+
+    /**
+     * @param {import('../../../domain/use-cases/MonitorAlerts.js').Alert} alert
+     * @returns {Promise<void>}
+     */
+    async notify(alert) {}
+}
+
+/**
+ * Hands alerts to the active presenter.
+ */
+export class TerminalAlertSink extends AlertSink {
+    /**
+     * @param {Object} view - Presenter exposing renderAlert().
+     * @param {Object} [options]
+     * @param {boolean} [options.bell=true] - Ring the terminal bell (console only).
+     */
+    constructor(view, { bell = true } = {}) {
+        super();
+        this.view = view;
+        this.bell = bell;
+    }
+
+    get name() {
+        return 'terminal';
+    }
+
+    async notify(alert) {
+        this.view.renderAlert(alert, { bell: this.bell });
+    }
+}
+
+/**
+ * Append-only JSON lines; existing lines are never rewritten.
+ */
+export class JsonlAlertSink extends AlertSink {
+    #ready = null;
+
+    /**
+     * @param {string} filePath - Absolute path of the log file; its directory is created on first use.
+     */
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+    }
+
+    get name() {
+        return 'log';
+    }
+
+    async notify(alert) {
+        this.#ready ??= mkdir(dirname(this.filePath), { recursive: true });
+        await this.#ready;
+        await appendFile(this.filePath, JSON.stringify(toAlertPayload(alert)) + '\n', 'utf8');
+    }
+}
+
+/**
+ * POSTs each alert as JSON. Any non-2xx answer counts as a failed delivery.
+ */
+export class WebhookAlertSink extends AlertSink {
+    /**
+     * @param {Object} config
+     * @param {string} config.url - Endpoint to POST to.
+     * @param {number} [config.timeoutMs=5000] - Per-request timeout.
+     */
+    constructor({ url, timeoutMs = 5000 }) {
+        super();
+        this.url = url;
+        this.timeoutMs = timeoutMs;
+    }
+
+    get name() {
+        return 'webhook';
+    }
+
+    async notify(alert) {
+        let response;
+        try {
+            response = await fetch(this.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'User-Agent': 'plnexus-alerts' },
+                body: JSON.stringify(toAlertPayload(alert)),
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+        } catch (error) {
+            if (error.name === 'TimeoutError') {
+                throw new ProviderTimeoutError('Alert webhook', this.timeoutMs, { operation: 'notify' });
+            }
+            throw new ProviderUnavailableError(`Alert webhook ${this.url} is unreachable: ${error.message}`, { hint: WEBHOOK_HINT, cause: error });
+        }
+        if (!response.ok) {
+            throw new ProviderUnavailableError(`Alert webhook ${this.url} answered HTTP ${response.status}.`, { retryable: false, hint: WEBHOOK_HINT });
+        }
+    }
+}
+
+/**
+ * Delivers each alert to every sink. Sinks fail independently: a failure is
+ * logged and recorded as a tracer event, never thrown.
+ */
+export class AlertNotifier {
+    /**
+     * @param {Object} deps
+     * @param {AlertSink[]} deps.sinks
+     * @param {Object} deps.tracer - Telemetry utility.
+     */
+    constructor({ sinks, tracer }) {
+        if (!Array.isArray(sinks) || !tracer) {
+            throw new Error(`[AlertNotifier] Dependency Injection Failed: Sinks(${Array.isArray(sinks)}) Tracer(${!!tracer})`);
+        }
+        this.sinks = sinks;
+        this.tracer = tracer;
+    }
+
+    /**
+     * @param {import('../../../domain/use-cases/MonitorAlerts.js').Alert} alert
+     * @returns {Promise<void>} Resolves once every sink has settled.
+     */
+    async notify(alert) {
+        const outcomes = await Promise.allSettled(this.sinks.map(sink => sink.notify(alert)));
+        for (const [index, outcome] of outcomes.entries()) {
+            if (outcome.status === 'fulfilled') continue;
+            const sink = this.sinks[index].name;
+            logger.warn(`[AlertNotifier] ${sink} sink failed for ${alert.ruleId}: ${outcome.reason.message}`);
+            await this.tracer.record('INFRA', 'ALERT_SINK_FAILED', { sink, rule: alert.ruleId, error: outcome.reason.message });
+        }
+    }
+}
+
+/**
+ * Builds the configured sinks.
+ * @param {import('../../config/AlertRulesConfig.js').AlertSinksConfig} config - null entries are skipped.
+ * @param {Object} context
+ * @param {Object} context.view - Presenter for the terminal sink.
+ * @param {string} context.root - Project root; relative log paths resolve against it.
+ * @returns {AlertSink[]}
+ * @throws {InvalidConfigError} If the log path escapes the project root.
+ */
+export function createAlertSinks({ terminal, log, webhook }, { view, root }) {
+    return [
+        terminal && new TerminalAlertSink(view, terminal),
+        log && new JsonlAlertSink(resolveInsideRoot(root, log.path, { label: 'Alert log path', hint: 'Fix sinks.log.path in config/alerts.json.' })),
+        webhook && new WebhookAlertSink(webhook)
+    ].filter(Boolean);
+}
+
@@ -0,0 +1,78 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { AlertNotifier, JsonlAlertSink, WebhookAlertSink, createAlertSinks } from './AlertSinks.js';
+import { AlertWebhookReceiver } from '../http/AlertWebhookReceiver.js';
+
+const tracer = {
+    traceSpan: (layer, label, fn) => fn(),
+    record: vi.fn()
+};
+
+const alert = {
+    ruleId: 'spx-above-7000',
+    symbol: 'SPX',
+    type: 'above',
+    condition: 'SPX above 7000',
+    message: null,
+    price: 7001.5,
+    previousPrice: 6998,
+    quoteTimestamp: Date.UTC(2026, 0, 5, 15, 0, 0),
+    firedAt: Date.UTC(2026, 0, 5, 15, 0, 1)
+};
+
+describe('AlertSinks', () => {
+    let receiver;
+    let dir;
+
+    afterEach(async () => {
+        await receiver?.stop();
+        if (dir) await rm(dir, { recursive: true, force: true });
+        receiver = dir = undefined;
+    });
+
+    it('should post alerts to the webhook receiver and append them to the log', async () => {
+        const received = [];
+        receiver = new AlertWebhookReceiver({ onAlert: payload => received.push(payload), tracer });
+        const { port } = await receiver.start({ port: 0 });
+        dir = await mkdtemp(join(tmpdir(), 'plnexus-alerts-'));
+        const logPath = join(dir, 'nested', 'alerts.jsonl');
+
+        const notifier = new AlertNotifier({
+            sinks: [new WebhookAlertSink({ url: `http://127.0.0.1:${port}/alerts` }), new JsonlAlertSink(logPath)],
+            tracer
+        });
+        await notifier.notify(alert);
+        await notifier.notify({ ...alert, ruleId: 'second' });
+
+        const expected = { ...alert, quoteTimestamp: '2026-01-05T15:00:00.000Z', firedAt: '2026-01-05T15:00:01.000Z' };
+        expect(received).toEqual([expected, { ...expected, ruleId: 'second' }]);
+        const lines = (await readFile(logPath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+        expect(lines.map(({ ruleId }) => ruleId)).toEqual(['spx-above-7000', 'second']);
+    });
+
+    it('should keep delivering to the other sinks when one fails', async () => {
+        const healthy = { name: 'healthy', notify: vi.fn() };
+        tracer.record.mockClear();
+        const notifier = new AlertNotifier({
+            sinks: [new WebhookAlertSink({ url: 'http://127.0.0.1:1/alerts', timeoutMs: 1000 }), healthy],
+            tracer
+        });
+
+        await expect(notifier.notify(alert)).resolves.toBeUndefined();
+        expect(healthy.notify).toHaveBeenCalledWith(alert);
+        expect(tracer.record).toHaveBeenCalledWith('INFRA', 'ALERT_SINK_FAILED', expect.objectContaining({ sink: 'webhook', rule: 'spx-above-7000' }));
+    });
+
+    it('should keep the alert log inside the project root', () => {
+        const root = join(tmpdir(), 'plnexus-root');
+
+        const [sink] = createAlertSinks({ terminal: null, log: { path: 'logs/alerts.jsonl' }, webhook: null }, { view: null, root });
+        expect(sink).toBeInstanceOf(JsonlAlertSink);
+        for (const path of ['../alerts.jsonl', '/tmp/alerts.jsonl']) {
+            expect(() => createAlertSinks({ terminal: null, log: { path }, webhook: null }, { view: null, root }))
+                .toThrow(expect.objectContaining({ code: 'INVALID_CONFIG' }));
+        }
+    });
+});
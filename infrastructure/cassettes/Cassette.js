@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Cassette (record/replay file format)
+ * A cassette is a JSONL file of provider calls captured by
+ * RecordingMarketAdapter and served back by CassetteReplayAdapter.
+ * * LINES:
+ * - {"type":"header","version":1,"sessionId":"K3F9Q2A","adapter":"1:FinnhubAdapter","recordedAt":"..."}
+ *   First line of every recording; the sessionId is the Tracer session, so
+ *   `plnexus trace --session <id>` shows the run that produced the cassette.
+ * - {"type":"fetchQuote","symbol":"SPX","startedAt":1767369600000,"latencyMs":183,"quote":{...}}
+ *   One per call, with either "quote" (MarketQuote.toJSON()) or "error".
+ * A recording resumed later (e.g., after a watch hot reload) appends a new header.
+ */
+
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { MarketQuote } from '../../domain/entities/MarketQuote.js';
+import { DomainError, InvalidConfigError } from '../../domain/errors/DomainErrors.js';
+
+export const CASSETTE_VERSION = 1;
+
+/**
+ * Default location of a new recording.
+ * @param {string} projectRoot
+ * @param {Object} params
+ * @param {string|null} params.sessionId - Tracer session ID.
+ * @param {string} params.label - Chain link label (e.g., '1:FinnhubAdapter').
+ * @param {Date} [params.date=new Date()]
+ * @returns {string} logs/cassettes/<YYYY-MM-DD>-<session>-<mode>-<Class>.jsonl
+ */
+export function cassettePathFor(projectRoot, { sessionId, label, date = new Date() }) {
+    const day = date.toLocaleDateString('en-CA');
+    const link = label.replace(/[^A-Za-z0-9_-]+/g, '-');
+    return join(projectRoot, 'logs', 'cassettes', `${day}-${sessionId ?? 'NOSESSION'}-${link}.jsonl`);
+}
+
+/**
+ * Serializable form of a failed call. Domain errors keep their code, hint and
+ * retry advice so a replay drives the resilience policy exactly as live did.
+ * @param {Error} error
+ * @returns {Object}
+ */
+export function serializeError(error) {
+    if (error instanceof DomainError) {
+        const serialized = error.toJSON();
+        if (error.retryAfterMs !== undefined && error.retryAfterMs !== null) serialized.retryAfterMs = error.retryAfterMs;
+        return serialized;
+    }
+    return { name: error?.name ?? 'Error', message: error?.message ?? String(error) };
+}
+
+/**
+ * Rebuilds a recorded failure. Untyped failures stay untyped, so a replay
+ * reaches the same code paths (toDomainError wrapping, bug logging) as live.
+ * @param {Object} recorded - Output of serializeError().
+ * @returns {Error}
+ */
+export function restoreError({ name, code, message, retryable, hint, retryAfterMs }) {
+    const error = code
+        ? new DomainError(message, { code, retryable, hint })
+        : new Error(message);
+    error.name = name;
+    if (retryAfterMs !== undefined) error.retryAfterMs = retryAfterMs;
+    return error;
+}
+
+/**
+ * Reads and validates a cassette.
+ * @param {string} path - Absolute path.
+ * @returns {Promise<{header: Object, entries: Array<Object>}>} Entries in recorded order; quotes rebuilt as MarketQuote.
+ * @throws {InvalidConfigError} If the file is missing, empty, from another format version or malformed.
+ */
+export async function readCassette(path) {
+    let text;
+    try {
+        text = await readFile(path, 'utf-8');
+    } catch (error) {
+        throw new InvalidConfigError(`Cassette unreadable at ${path}: ${error.message}`, {
+            hint: 'Record one with --record, or point PLNEXUS_CASSETTE at an existing file.'
+        });
+    }
+
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const fail = (lineNumber, reason) => new InvalidConfigError(`Malformed cassette ${path} (line ${lineNumber}): ${reason}`);
+    let header = null;
+    const entries = [];
+
+    lines.forEach((line, index) => {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            throw fail(index + 1, error.message);
+        }
+
+        if (record.type === 'header') {
+            if (record.version !== CASSETTE_VERSION) throw fail(index + 1, `unsupported version ${record.version}; expected ${CASSETTE_VERSION}`);
+            header ??= record;
+            return;
+        }
+        if (!header) throw fail(index + 1, 'the first line must be the header');
+        if (record.type !== 'fetchQuote' || typeof record.symbol !== 'string' || !Number.isFinite(record.startedAt)) {
+            throw fail(index + 1, 'expected a fetchQuote entry with symbol and startedAt');
+        }
+        if (!record.quote === !record.error) throw fail(index + 1, 'an entry holds exactly one of quote or error');
+
+        entries.push({
+            symbol: record.symbol.toUpperCase(),
+            startedAt: record.startedAt,
+            latencyMs: record.latencyMs ?? 0,
+            quote: record.quote ? restoreQuote(record.quote, () => fail(index + 1, 'invalid quote')) : null,
+            error: record.error ?? null
+        });
+    });
+
+    if (!header) throw new InvalidConfigError(`Cassette ${path} is empty.`);
+    return { header, entries };
+}
+
+/** @private */
+function restoreQuote(json, fail) {
+    try {
+        return new MarketQuote({ ...json, timestamp: Date.parse(json.capturedAt) });
+    } catch {
+        throw fail();
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * infrastructure/config/AlertRulesConfig.js
+ * * Alert rules and notification sinks for 'alerts watch'.
+ * Loaded from config/alerts.json unless --rules names another file.
+ * * RULES (see domain/entities/AlertRule.js for the types):
+ * - {symbol, type: 'above'|'below', level}
+ * - {symbol, type: 'crosses', level, direction?: 'up'|'down'|'any'}
+ * - {symbol, type: 'percent-move', percent}
+ * - {symbol, type: 'stale', maxAge: '30s'}
+ * Every rule also takes id?, cooldown? (duration, default 5m; '0' never
+ * waits) and message?. Durations use the CLI forms: 500ms, 5s, 2m, 1h.
+ * * SINKS (each may be false to switch it off):
+ * - terminal: {bell?: true}            On by default.
+ * - log:      {path?: 'logs/alerts.jsonl'}  On by default; relative to, and kept inside, the project root.
+ * - webhook:  {url, timeout?: '5s'}    Off unless configured.
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve } from 'path';
+import { parseDuration } from '#shared/duration';
+import { AlertRule } from '../../domain/entities/AlertRule.js';
+import { InvalidConfigError } from '../../domain/errors/DomainErrors.js';
+
+export const DEFAULT_ALERT_LOG = 'logs/alerts.jsonl';
+
+const RULE_FIELDS = Object.freeze(['id', 'symbol', 'type', 'level', 'direction', 'percent', 'maxAge', 'cooldown', 'message']);
+const SINK_FIELDS = Object.freeze({
+    terminal: ['bell'],
+    log: ['path'],
+    webhook: ['url', 'timeout']
+});
+
+/**
+ * @typedef {Object} AlertSinksConfig
+ * @property {{bell: boolean}|null} terminal
+ * @property {{path: string}|null} log
+ * @property {{url: string, timeoutMs: number}|null} webhook
+ */
+
+export class AlertRulesConfig {
+    /**
+     * @param {Object} params
+     * @param {AlertRule[]} params.rules
+     * @param {AlertSinksConfig} params.sinks - null switches a sink off.
+     */
+    constructor({ rules, sinks }) {
+        this.rules = Object.freeze(rules);
+        this.sinks = Object.freeze(sinks);
+        Object.freeze(this);
+    }
+
+    /**
+     * Reads and validates a rules file.
+     * @param {string} filePath - Relative to the current working directory.
+     * @returns {Promise<AlertRulesConfig>}
+     * @throws {InvalidConfigError} If the file is unreadable, malformed or invalid.
+     */
+    static async load(filePath) {
+        const absolutePath = resolve(filePath);
+        let raw;
+        try {
+            raw = JSON.parse(await readFile(absolutePath, 'utf-8'));
+        } catch (error) {
+            throw new InvalidConfigError(`Unable to load alert rules ${absolutePath}: ${error.message}`, {
+                hint: 'Pass --rules with a JSON rules file; config/alerts.json is the example.',
+                cause: error
+            });
+        }
+        return AlertRulesConfig.from(raw, { origin: absolutePath });
+    }
+
+    /**
+     * Validates a raw rules document.
+     * @param {Object} raw - Parsed rules file ({rules, sinks?}).
+     * @param {Object} [options]
+     * @param {string} [options.origin='alert rules'] - Label used in error messages (usually the file path).
+     * @returns {AlertRulesConfig}
+     * @throws {InvalidConfigError} Naming the offending field.
+     */
+    static from(raw, { origin = 'alert rules' } = {}) {
+        const fail = (field, message, cause) => new InvalidConfigError(`Invalid alert rules (${origin}): ${field} ${message}.`, {
+            hint: 'See the RULES and SINKS in infrastructure/config/AlertRulesConfig.js.',
+            cause
+        });
+        if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) throw fail('(root)', 'must be an object');
+        if (!Array.isArray(raw.rules) || raw.rules.length === 0) throw fail('rules', 'must be a non-empty array');
+
+        const rules = raw.rules.map((entry, index) => toRule(entry, `rules.${index}`, fail));
+        const ids = new Set();
+        rules.forEach(({ id }, index) => {
+            if (ids.has(id)) throw fail(`rules.${index}.id`, `"${id}" is already used by another rule`);
+            ids.add(id);
+        });
+
+        return new AlertRulesConfig({ rules, sinks: toSinks(raw.sinks ?? {}, fail) });
+    }
+}
+
+/** @private */
+function toRule(entry, field, fail) {
+    if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) throw fail(field, 'must be an object');
+    for (const key of Object.keys(entry)) {
+        if (!RULE_FIELDS.includes(key)) throw fail(`${field}.${key}`, 'is not a recognised rule field');
+    }
+
+    const { maxAge, cooldown, ...rest } = entry;
+    try {
+        return new AlertRule({
+            ...rest,
+            maxAgeMs: maxAge === undefined ? undefined : toDuration(maxAge, `${field}.maxAge`, fail),
+            cooldownMs: cooldown === undefined ? undefined : (String(cooldown).trim() === '0' ? 0 : toDuration(cooldown, `${field}.cooldown`, fail))
+        });
+    } catch (error) {
+        if (error instanceof InvalidConfigError) throw error;
+        const key = { maxAgeMs: 'maxAge', cooldownMs: 'cooldown' }[error.field] ?? error.field;
+        throw fail(key ? `${field}.${key}` : field, `is invalid: ${error.message}`, error);
+    }
+}
+
+/** @private */
+function toSinks(raw, fail) {
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) throw fail('sinks', 'must be an object');
+    for (const [name, value] of Object.entries(raw)) {
+        if (!Object.hasOwn(SINK_FIELDS, name)) {
+            throw fail(`sinks.${name}`, `is not a sink; use one of [${Object.keys(SINK_FIELDS).join(', ')}]`);
+        }
+        if (value === false) continue;
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) throw fail(`sinks.${name}`, 'must be an object or false');
+        for (const key of Object.keys(value)) {
+            if (!SINK_FIELDS[name].includes(key)) throw fail(`sinks.${name}.${key}`, 'is not a recognised field');
+        }
+    }
+
+    const { terminal = {}, log = {}, webhook = false } = raw;
+    if (terminal && terminal.bell !== undefined && typeof terminal.bell !== 'boolean') throw fail('sinks.terminal.bell', 'must be true or false');
+    if (log && log.path !== undefined && (typeof log.path !== 'string' || log.path.trim() === '')) throw fail('sinks.log.path', 'must be a file path');
+    if (webhook && !isHttpUrl(webhook.url)) throw fail('sinks.webhook.url', 'must be an http(s) URL');
+
+    return {
+        terminal: terminal ? { bell: terminal.bell ?? true } : null,
+        log: log ? { path: log.path ?? DEFAULT_ALERT_LOG } : null,
+        webhook: webhook ? { url: webhook.url, timeoutMs: webhook.timeout === undefined ? 5000 : toDuration(webhook.timeout, 'sinks.webhook.timeout', fail) } : null
+    };
+}
+
+/** @private */
+function toDuration(value, field, fail) {
+    try {
+        return parseDuration(value);
+    } catch (error) {
+        throw fail(field, error.message.replace(/\.$/, ''), error);
+    }
+}
+
+/** @private */
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { AlertRulesConfig, DEFAULT_ALERT_LOG } from './AlertRulesConfig.js';
+
+describe('AlertRulesConfig', () => {
+    it('should build rules with durations and default the sinks', () => {
+        const config = AlertRulesConfig.from({
+            rules: [
+                { id: 'spx', symbol: 'spx', type: 'above', level: 7000, cooldown: '15m' },
+                { symbol: 'ES', type: 'stale', maxAge: '30s', cooldown: 0 }
+            ]
+        });
+
+        expect(config.rules.map(rule => rule.toJSON())).toEqual([
+            expect.objectContaining({ id: 'spx', symbol: 'SPX', level: 7000, cooldownMs: 900_000 }),
+            expect.objectContaining({ id: 'ES-stale-30000', maxAgeMs: 30_000, cooldownMs: 0 })
+        ]);
+        expect(config.sinks).toEqual({ terminal: { bell: true }, log: { path: DEFAULT_ALERT_LOG }, webhook: null });
+    });
+
+    it('should configure and switch off sinks', () => {
+        const { sinks } = AlertRulesConfig.from({
+            sinks: { terminal: false, webhook: { url: 'http://127.0.0.1:9099/alerts', timeout: '2s' } },
+            rules: [{ symbol: 'SPX', type: 'below', level: 6500 }]
+        });
+        expect(sinks).toEqual({ terminal: null, log: { path: DEFAULT_ALERT_LOG }, webhook: { url: 'http://127.0.0.1:9099/alerts', timeoutMs: 2000 } });
+    });
+
+    it('should name the offending field', () => {
+        const from = raw => () => AlertRulesConfig.from(raw, { origin: 'alerts.json' });
+
+        expect(from({ rules: [] })).toThrow('Invalid alert rules (alerts.json): rules must be a non-empty array.');
+        expect(from({ rules: [{ symbol: 'SPX', type: 'stale', maxAge: 'soon' }] })).toThrow('rules.0.maxAge Invalid duration "soon"');
+        expect(from({ rules: [{ symbol: 'SPX', type: 'crosses', level: 1, direction: 'sideways' }] })).toThrow('rules.0.direction is invalid');
+        expect(from({ rules: [{ symbol: 'SPX', type: 'above', level: 1, price: 2 }] })).toThrow('rules.0.price is not a recognised rule field');
+        expect(from({ rules: [{ id: 'a', symbol: 'SPX', type: 'above', level: 1 }, { id: 'a', symbol: 'ES', type: 'above', level: 1 }] }))
+            .toThrow('rules.1.id "a" is already used by another rule');
+        expect(from({ sinks: { webhook: { url: 'ftp://x' } }, rules: [{ symbol: 'SPX', type: 'above', level: 1 }] }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_CONFIG', message: expect.stringContaining('sinks.webhook.url must be an http(s) URL') }));
+    });
+});
@@ -8,6 +8,7 @@ import dotenv from 'dotenv';
 import { join } from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from '../../shared/logger.js';
+import { InvalidConfigError } from '../../domain/errors/DomainErrors.js';
 
 // 1. Resolve Absolute Project Root
 // This ensures the service finds the .env regardless of the execution context.
@@ -26,7 +27,9 @@ export class EnvironmentService {
 
     //Setting Tracing to off explicitly
     static #config = {
-        enableTracing: false 
+        enableTracing: false,
+        traceExporters: ['jsonl'],
+        otlpEndpoint: 'http://localhost:4318'
     };
     
     /**
@@ -48,6 +51,12 @@ export class EnvironmentService {
             this.#config.enableTracing = String(process.env.ENABLE_TRACING).toLowerCase() === 'true';
             logger.info(`[Environment] Successfully hydrated environment variables from: ${ENV_PATH}`);
         }
+        // Exporters only matter once tracing is on; .env or the shell may name them
+        this.#config.traceExporters = String(process.env.TRACE_EXPORTERS || 'jsonl')
+            .split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter(Boolean);
+        this.#config.otlpEndpoint = process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318';
 	//Narrative confirmation of final state
         logger.info('[Environment] Tracing Status: ${this.#config.enableTracing}');
         //this.#config.enableTracing = String(process.env.ENABLE_TRACING).toLowerCase() === 'true';
@@ -60,12 +69,28 @@ export class EnvironmentService {
         return this.#config.enableTracing;
     }
 
+    /**
+     * Trace exporters named in TRACE_EXPORTERS (e.g., ['jsonl', 'otlp']); defaults to ['jsonl'].
+     * @returns {string[]}
+     */
+    static get traceExporters() {
+        return [...this.#config.traceExporters];
+    }
+
+    /**
+     * Collector base URL for the otlp-http exporter (OTEL_EXPORTER_OTLP_ENDPOINT).
+     * @returns {string}
+     */
+    static get otlpEndpoint() {
+        return this.#config.otlpEndpoint;
+    }
+
     /**
      * Dynamic Validator Factory.
      * Offloads the check to provider-specific contracts (e.g., FinnhubConfig.js).
      * * @param {string} provider - The PascalCase name of the provider (e.g., 'Finnhub', 'Schwab').
      * @returns {Promise<Object>} The validated, immutable configuration object.
-     * @throws {Error} If the validator file is missing or the contract is violated.
+     * @throws {InvalidConfigError} If the validator file is missing or the contract is violated.
      */
     static async getProviderConfig(provider) {
         try {
@@ -78,7 +103,7 @@ export class EnvironmentService {
             const validator = module[`${provider}Config`];
 
             if (!validator || typeof validator.validate !== 'function') {
-                throw new Error(`Validator for ${provider} does not implement the .validate() contract.`);
+                throw new InvalidConfigError(`Validator for ${provider} does not implement the .validate() contract.`);
             }
 
             // Execute the specific validation logic
@@ -90,7 +115,11 @@ export class EnvironmentService {
                 error: err.message,
                 hint: "Check if the validator file exists in infrastructure/config/validators/"
             });
-            throw err;
+            if (err instanceof InvalidConfigError) throw err;
+            throw new InvalidConfigError(`No usable config validator for ${provider}: ${err.message}`, {
+                hint: `Add infrastructure/config/validators/${provider}Config.js or fix the manifest configKey.`,
+                cause: err
+            });
         }
     }
 }
@@ -0,0 +1,80 @@
+/**
+ * infrastructure/config/InstrumentRegistryConfig.js
+ * * The instrument registry file (config/instruments.json by default; a
+ * manifest entry's instruments.path names another).
+ * * FORMAT: {instruments: [...]}, each entry
+ *   {symbol, assetClass, currency, tickSize?, multiplier?, name?, aliases?}
+ * - assetClass: index | equity | future | crypto | fx
+ * - aliases:    {<provider>: <provider symbol>}, e.g. {"yahoo": "^GSPC"}.
+ *               The provider is the instruments.provider of a manifest entry;
+ *               a provider without an alias is sent the canonical symbol.
+ */
+
+import { readFile } from 'fs/promises';
+import { resolve } from 'path';
+import { Instrument } from '../../domain/entities/Instrument.js';
+import { InstrumentRegistry } from '../../domain/entities/InstrumentRegistry.js';
+import { InvalidConfigError } from '../../domain/errors/DomainErrors.js';
+
+export const DEFAULT_INSTRUMENTS_PATH = 'config/instruments.json';
+
+const INSTRUMENT_FIELDS = Object.freeze(['symbol', 'name', 'assetClass', 'currency', 'tickSize', 'multiplier', 'aliases']);
+
+export class InstrumentRegistryConfig {
+    /**
+     * Reads and validates a registry file.
+     * @param {string} filePath - Relative to the current working directory.
+     * @returns {Promise<InstrumentRegistry>}
+     * @throws {InvalidConfigError} If the file is unreadable, malformed or invalid.
+     */
+    static async load(filePath) {
+        const absolutePath = resolve(filePath);
+        let raw;
+        try {
+            raw = JSON.parse(await readFile(absolutePath, 'utf-8'));
+        } catch (error) {
+            throw new InvalidConfigError(`Unable to load instrument registry ${absolutePath}: ${error.message}`, {
+                hint: `Restore ${DEFAULT_INSTRUMENTS_PATH}, or fix instruments.path in config/adapters.manifest.json.`,
+                cause: error
+            });
+        }
+        return InstrumentRegistryConfig.from(raw, { origin: absolutePath });
+    }
+
+    /**
+     * Validates a raw registry document.
+     * @param {Object} raw - Parsed registry file ({instruments}).
+     * @param {Object} [options]
+     * @param {string} [options.origin='instrument registry'] - Label used in error messages (usually the file path).
+     * @returns {InstrumentRegistry}
+     * @throws {InvalidConfigError} Naming the offending field.
+     */
+    static from(raw, { origin = 'instrument registry' } = {}) {
+        const fail = (field, message, cause) => new InvalidConfigError(`Invalid instrument registry (${origin}): ${field} ${message}.`, {
+            hint: 'See the FORMAT in infrastructure/config/InstrumentRegistryConfig.js.',
+            cause
+        });
+        if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) throw fail('(root)', 'must be an object');
+        if (!Array.isArray(raw.instruments) || raw.instruments.length === 0) throw fail('instruments', 'must be a non-empty array');
+
+        const instruments = raw.instruments.map((entry, index) => toInstrument(entry, `instruments.${index}`, fail));
+        try {
+            return new InstrumentRegistry({ instruments, origin });
+        } catch (error) {
+            throw fail('instruments', `are inconsistent: ${error.message}`, error);
+        }
+    }
+}
+
+/** @private */
+function toInstrument(entry, field, fail) {
+    if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) throw fail(field, 'must be an object');
+    for (const key of Object.keys(entry)) {
+        if (!INSTRUMENT_FIELDS.includes(key)) throw fail(`${field}.${key}`, 'is not a recognised instrument field');
+    }
+    try {
+        return new Instrument(entry);
+    } catch (error) {
+        throw fail(error.field ? `${field}.${error.field}` : field, `is invalid: ${error.message}`, error);
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * @file ManifestValidator.js
+ * @description Enforces config/adapters.manifest.schema.json on the adapter registry.
+ * Turns schema violations into field-level messages (e.g., 'adapters.1.className')
+ * and optionally verifies that every entry can actually be resolved on disk.
+ */
+
+import { readFileSync } from 'fs';
+import { access } from 'fs/promises';
+import { join, isAbsolute } from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import { InvalidConfigError } from '../../domain/errors/DomainErrors.js';
+import { InstrumentRegistryConfig, DEFAULT_INSTRUMENTS_PATH } from './InstrumentRegistryConfig.js';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const SCHEMA_PATH = join(__dirname, '../../config/adapters.manifest.schema.json');
+const VALIDATORS_DIR = join(__dirname, 'validators');
+
+/**
+ * ManifestValidator
+ * Role: The Notary. Nothing reaches the AdapterFactory without a stamp.
+ */
+export class ManifestValidator {
+    static #compiled = null;
+
+    /**
+     * Validates a parsed manifest against the JSON Schema plus cross-field rules.
+     * @param {Object} manifest - Parsed manifest JSON.
+     * @returns {{valid: boolean, errors: Array<{field: string, message: string}>}}
+     */
+    static validate(manifest) {
+        const validateSchema = ManifestValidator.#schemaValidator();
+        const errors = [];
+
+        if (!validateSchema(manifest)) {
+            // 'if' errors and key-level pattern errors only repeat the
+            // 'then' / 'propertyNames' failures reported alongside them
+            const reported = validateSchema.errors.filter(e => e.keyword !== 'if' && e.propertyName === undefined);
+            for (const error of reported) {
+                errors.push(ManifestValidator.#describe(error));
+            }
+        }
+
+        // Cross-field rule the schema cannot express: the fallback must be a registered mode
+        const fallbackMode = manifest?.defaults?.fallbackMode;
+        if (typeof fallbackMode === 'string' && manifest?.adapters && !Object.hasOwn(manifest.adapters, fallbackMode)) {
+            errors.push({
+                field: 'defaults.fallbackMode',
+                message: `references mode "${fallbackMode}", which is not defined in adapters`
+            });
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Validates and throws a single readable error listing every violation.
+     * @param {Object} manifest - Parsed manifest JSON.
+     * @param {string} [origin='manifest'] - Label used in the error message (usually the file path).
+     * @throws {InvalidConfigError} If the manifest is invalid; `errors` lists each violation.
+     */
+    static assertValid(manifest, origin = 'manifest') {
+        const { valid, errors } = ManifestValidator.validate(manifest);
+        if (!valid) {
+            const details = errors.map(({ field, message }) => `  - ${field}: ${message}`).join('\n');
+            const error = new InvalidConfigError(`Invalid manifest (${origin}):\n${details}`, {
+                hint: 'Run "manifest validate" for a per-entry report.'
+            });
+            error.errors = errors;
+            throw error;
+        }
+    }
+
+    /**
+     * Checks that each entry resolves: the module exists, exports the class,
+     * the class implements fetchQuote(), a config validator exists when required,
+     * every options file (keys ending in Path) exists, and the instrument
+     * registry loads when symbol translation is enabled.
+     * No adapter is instantiated and no quote is requested.
+     * @param {Object} manifest - A schema-valid manifest.
+     * @param {string} projectRoot - Root used to resolve relative adapter paths.
+     * @returns {Promise<Array<{mode: string, className: string, checks: Array<{check: string, ok: boolean, detail?: string}>}>>}
+     */
+    static async inspectEntries(manifest, projectRoot) {
+        const report = [];
+
+        for (const [mode, entry] of Object.entries(manifest.adapters)) {
+            const checks = [];
+            const modulePath = isAbsolute(entry.path) ? entry.path : join(projectRoot, entry.path);
+
+            let module = null;
+            const exists = await access(modulePath).then(() => true, () => false);
+            checks.push({ check: 'module file exists', ok: exists, detail: exists ? undefined : `expected at ${modulePath}` });
+            if (exists) {
+                try {
+                    module = await import(modulePath);
+                    checks.push({ check: 'module imports cleanly', ok: true });
+                } catch (error) {
+                    checks.push({ check: 'module imports cleanly', ok: false, detail: error.message });
+                }
+            }
+
+            if (module) {
+                const AdapterClass = module[entry.className];
+                checks.push({
+                    check: `exports ${entry.className}`,
+                    ok: typeof AdapterClass === 'function',
+                    detail: typeof AdapterClass === 'function' ? undefined : `available exports: [${Object.keys(module).join(', ')}]`
+                });
+                if (typeof AdapterClass === 'function') {
+                    checks.push({
+                        check: 'implements fetchQuote()',
+                        ok: typeof AdapterClass.prototype.fetchQuote === 'function'
+                    });
+                }
+            }
+
+            if (entry.requiresConfig) {
+                const validatorPath = join(VALIDATORS_DIR, `${entry.configKey}Config.js`);
+                const exists = await access(validatorPath).then(() => true, () => false);
+                checks.push({
+                    check: `config validator ${entry.configKey}Config.js`,
+                    ok: exists,
+                    detail: exists ? undefined : `expected at ${validatorPath}`
+                });
+            }
+
+            // Files handed to the constructor (marketPath, replayPath, ...) must exist
+            for (const [key, value] of Object.entries(entry.options ?? {})) {
+                if (!key.endsWith('Path') || typeof value !== 'string') continue;
+                const optionPath = isAbsolute(value) ? value : join(projectRoot, value);
+                const exists = await access(optionPath).then(() => true, () => false);
+                checks.push({ check: `options.${key} exists`, ok: exists, detail: exists ? undefined : `expected at ${optionPath}` });
+            }
+
+            if (entry.instruments?.enabled) {
+                const registryPath = entry.instruments.path ?? DEFAULT_INSTRUMENTS_PATH;
+                try {
+                    const registry = await InstrumentRegistryConfig.load(isAbsolute(registryPath) ? registryPath : join(projectRoot, registryPath));
+                    checks.push({ check: 'instrument registry loads', ok: true, detail: `${registry.instruments.length} instruments` });
+                } catch (error) {
+                    checks.push({ check: 'instrument registry loads', ok: false, detail: error.message });
+                }
+            }
+
+            report.push({ mode, className: entry.className, checks });
+        }
+        return report;
+    }
+
+    /**
+     * Compiles the schema once per process.
+     * @private
+     */
+    static #schemaValidator() {
+        if (!ManifestValidator.#compiled) {
+            const schema = JSON.parse(readFileSync(SCHEMA_PATH, 'utf-8'));
+            const ajv = new Ajv({ allErrors: true, strict: false });
+            ManifestValidator.#compiled = ajv.compile(schema);
+        }
+        return ManifestValidator.#compiled;
+    }
+
+    /**
+     * Converts an Ajv error into a dotted field path and a human message.
+     * @private
+     */
+    static #describe(error) {
+        const segments = error.instancePath.split('/').filter(Boolean).map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+        switch (error.keyword) {
+            case 'required':
+                segments.push(error.params.missingProperty);
+                return { field: segments.join('.') || '(root)', message: 'is required' };
+            case 'additionalProperties':
+                segments.push(error.params.additionalProperty);
+                return { field: segments.join('.'), message: 'is not a recognised field' };
+            case 'enum':
+                return { field: segments.join('.'), message: `must be one of [${error.params.allowedValues.join(', ')}]` };
+            case 'propertyNames':
+                return { field: segments.join('.'), message: `has an invalid key "${error.params.propertyName}"` };
+            default:
+                return { field: segments.join('.') || '(root)', message: error.message };
+        }
+    }
+}
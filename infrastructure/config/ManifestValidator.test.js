@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { ManifestValidator } from './ManifestValidator.js';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const PROJECT_ROOT = join(__dirname, '../..');
+const shipped = JSON.parse(readFileSync(join(PROJECT_ROOT, 'config/adapters.manifest.json'), 'utf-8'));
+
+/** Deep copy of the shipped manifest so each test can break it independently. */
+const copy = () => structuredClone(shipped);
+
+describe('ManifestValidator', () => {
+    it('accepts the shipped manifest', () => {
+        expect(ManifestValidator.validate(shipped)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('reports missing and unknown fields by path', () => {
+        const manifest = copy();
+        delete manifest.adapters['2'].className;
+        manifest.adapters['2'].colour = 'blue';
+
+        const { valid, errors } = ManifestValidator.validate(manifest);
+        expect(valid).toBe(false);
+        expect(errors).toContainEqual({ field: 'adapters.2.className', message: 'is required' });
+        expect(errors).toContainEqual({ field: 'adapters.2.colour', message: 'is not a recognised field' });
+    });
+
+    it('requires configKey when requiresConfig is true', () => {
+        const manifest = copy();
+        delete manifest.adapters['1'].configKey;
+
+        const { errors } = ManifestValidator.validate(manifest);
+        expect(errors).toEqual([{ field: 'adapters.1.configKey', message: 'is required' }]);
+    });
+
+    it('rejects a fallbackMode that is not a registered mode', () => {
+        const manifest = copy();
+        manifest.defaults.fallbackMode = '9';
+
+        const { errors } = ManifestValidator.validate(manifest);
+        expect(errors).toEqual([expect.objectContaining({ field: 'defaults.fallbackMode' })]);
+    });
+
+    it('assertValid() lists every violation in one error', () => {
+        const manifest = copy();
+        manifest.version = 'one';
+        manifest.adapters['2'].path = 'adapters/Mock.ts';
+
+        expect(() => ManifestValidator.assertValid(manifest, 'test.json'))
+            .toThrow(/Invalid manifest \(test\.json\):\n  - version: .*\n  - adapters\.2\.path: /);
+    });
+
+    it('inspectEntries() resolves every shipped entry without instantiating it', async () => {
+        const report = await ManifestValidator.inspectEntries(shipped, PROJECT_ROOT);
+
+        expect(report.map(({ mode }) => mode)).toEqual(Object.keys(shipped.adapters));
+        for (const { checks } of report) {
+            expect(checks.every(({ ok }) => ok)).toBe(true);
+        }
+    });
+
+    it('inspectEntries() flags a missing module and a missing export', async () => {
+        const manifest = copy();
+        manifest.adapters['1'].path = './infrastructure/adapters/api/Nowhere.js';
+        manifest.adapters['2'].className = 'GhostAdapter';
+
+        const [live, mock] = await ManifestValidator.inspectEntries(manifest, PROJECT_ROOT);
+        expect(live.checks[0]).toMatchObject({ check: 'module file exists', ok: false });
+        expect(mock.checks).toContainEqual(expect.objectContaining({ check: 'exports GhostAdapter', ok: false }));
+    });
+
+    it('checks option files and option key shape', async () => {
+        const manifest = copy();
+        manifest.adapters['2'].options.replayPath = './fixtures/missing.ndjson';
+
+        const [, mock] = await ManifestValidator.inspectEntries(manifest, PROJECT_ROOT);
+        expect(mock.checks).toContainEqual(expect.objectContaining({ check: 'options.marketPath exists', ok: true }));
+        expect(mock.checks).toContainEqual(expect.objectContaining({ check: 'options.replayPath exists', ok: false }));
+
+        manifest.adapters['2'].options.marketPath = 42;
+        expect(ManifestValidator.validate(manifest).errors).toContainEqual({ field: 'adapters.2.options.marketPath', message: 'must be string,null' });
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * @file ManifestWatcher.js
+ * @description Watches config/adapters.manifest.json for edits during long-running modes.
+ * Each change is re-validated before anyone is notified; an invalid edit is logged
+ * and ignored, so the running adapters keep the last good configuration.
+ */
+
+import { watch } from 'fs';
+import { readFile } from 'fs/promises';
+import { basename, dirname } from 'path';
+import { logger } from '#logger';
+import { ManifestValidator } from './ManifestValidator.js';
+
+export class ManifestWatcher {
+    #watcher = null;
+    #debounceTimer = null;
+    #lastContent = null;
+    #reloading = Promise.resolve();
+
+    /**
+     * @param {Object} deps
+     * @param {string} deps.manifestPath - Absolute path of the manifest file.
+     * @param {Object} deps.tracer - Telemetry utility.
+     * @param {function(Object): Promise<void>} deps.onReload - Called with each valid new manifest.
+     * @param {number} [deps.debounceMs=250] - Editors emit several events per save; wait for them to settle.
+     */
+    constructor({ manifestPath, tracer, onReload, debounceMs = 250 }) {
+        if (!manifestPath || !tracer || typeof onReload !== 'function') {
+            throw new Error(`[ManifestWatcher] Dependency Injection Failed: Path(${!!manifestPath}) Tracer(${!!tracer}) OnReload(${typeof onReload === 'function'})`);
+        }
+        this.manifestPath = manifestPath;
+        this.tracer = tracer;
+        this.onReload = onReload;
+        this.debounceMs = debounceMs;
+    }
+
+    /**
+     * Starts watching. The directory is watched rather than the file because
+     * editors commonly save by replacing the file, which ends a file-level watch.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.#watcher) return;
+        this.#lastContent = await readFile(this.manifestPath, 'utf-8').catch(() => null);
+
+        const fileName = basename(this.manifestPath);
+        this.#watcher = watch(dirname(this.manifestPath), (eventType, changed) => {
+            if (changed && changed !== fileName) return;
+            clearTimeout(this.#debounceTimer);
+            this.#debounceTimer = setTimeout(() => {
+                this.#reloading = this.#reloading.then(() => this.check());
+            }, this.debounceMs);
+        });
+        logger.debug(`[ManifestWatcher] Watching ${this.manifestPath}`);
+    }
+
+    /**
+     * Stops watching and waits for a reload already in progress.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        clearTimeout(this.#debounceTimer);
+        this.#watcher?.close();
+        this.#watcher = null;
+        await this.#reloading;
+    }
+
+    /**
+     * Re-reads the manifest and notifies onReload when it changed and is valid.
+     * @returns {Promise<boolean>} True when a reload was applied.
+     */
+    async check() {
+        let content;
+        try {
+            content = await readFile(this.manifestPath, 'utf-8');
+        } catch (error) {
+            logger.warn(`[ManifestWatcher] Manifest unreadable; keeping current adapters: ${error.message}`);
+            return false;
+        }
+        // Touches and duplicate events leave the content unchanged
+        if (content === this.#lastContent) return false;
+
+        let manifest;
+        try {
+            manifest = JSON.parse(content);
+            ManifestValidator.assertValid(manifest, this.manifestPath);
+        } catch (error) {
+            logger.error(`[ManifestWatcher] Rejected manifest change; keeping current adapters.\n${error.message}`);
+            await this.tracer.record('SYSTEM', 'MANIFEST_RELOAD_REJECTED', { error: error.message });
+            return false;
+        }
+
+        try {
+            await this.onReload(manifest);
+        } catch (error) {
+            logger.error(`[ManifestWatcher] Reload failed; keeping current adapters: ${error.message}`);
+            await this.tracer.record('SYSTEM', 'MANIFEST_RELOAD_REJECTED', { error: error.message });
+            return false;
+        }
+
+        this.#lastContent = content;
+        logger.info(`[ManifestWatcher] Manifest reloaded`);
+        await this.tracer.record('SYSTEM', 'MANIFEST_RELOADED', { modes: Object.keys(manifest.adapters).join(',') });
+        return true;
+    }
+}
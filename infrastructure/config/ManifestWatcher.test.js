@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, readFile, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { ManifestWatcher } from './ManifestWatcher.js';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const SHIPPED_PATH = join(__dirname, '../../config/adapters.manifest.json');
+
+describe('ManifestWatcher', () => {
+    let dir;
+    let manifestPath;
+    let shipped;
+    let tracer;
+    let onReload;
+    let watcher;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(join(tmpdir(), 'plnexus-manifest-'));
+        manifestPath = join(dir, 'adapters.manifest.json');
+        shipped = JSON.parse(await readFile(SHIPPED_PATH, 'utf-8'));
+        await writeFile(manifestPath, JSON.stringify(shipped));
+
+        tracer = { record: vi.fn(async () => {}) };
+        onReload = vi.fn(async () => {});
+        watcher = new ManifestWatcher({ manifestPath, tracer, onReload });
+        await watcher.start();
+    });
+
+    afterEach(async () => {
+        await watcher.stop();
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('ignores checks when the content has not changed', async () => {
+        expect(await watcher.check()).toBe(false);
+        expect(onReload).not.toHaveBeenCalled();
+    });
+
+    it('reloads a valid edit and records MANIFEST_RELOADED', async () => {
+        shipped.defaults.defaultSymbol = 'ES';
+        await writeFile(manifestPath, JSON.stringify(shipped));
+
+        expect(await watcher.check()).toBe(true);
+        expect(onReload).toHaveBeenCalledWith(expect.objectContaining({ defaults: expect.objectContaining({ defaultSymbol: 'ES' }) }));
+        expect(tracer.record).toHaveBeenCalledWith('SYSTEM', 'MANIFEST_RELOADED', expect.any(Object));
+    });
+
+    it('keeps the current adapters when the edit breaks the schema', async () => {
+        delete shipped.adapters['2'].path;
+        await writeFile(manifestPath, JSON.stringify(shipped));
+
+        expect(await watcher.check()).toBe(false);
+        expect(onReload).not.toHaveBeenCalled();
+        expect(tracer.record).toHaveBeenCalledWith('SYSTEM', 'MANIFEST_RELOAD_REJECTED', {
+            error: expect.stringContaining('adapters.2.path: is required')
+        });
+    });
+
+    it('keeps the current adapters when the edit is not valid JSON', async () => {
+        await writeFile(manifestPath, '{ "version": ');
+
+        expect(await watcher.check()).toBe(false);
+        expect(onReload).not.toHaveBeenCalled();
+    });
+
+    it('retries a change whose reload failed on the next check', async () => {
+        shipped.defaults.defaultSymbol = 'NDX';
+        await writeFile(manifestPath, JSON.stringify(shipped));
+        onReload.mockRejectedValueOnce(new Error('import failed'));
+
+        expect(await watcher.check()).toBe(false);
+        expect(await watcher.check()).toBe(true);
+        expect(onReload).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * @file CassetteConfig.js
+ * @description Configuration contract for the cassette replay adapter.
+ * Loaded on demand by EnvironmentService.getProviderConfig('Cassette').
+ */
+
+import { readdirSync, statSync } from 'fs';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { InvalidConfigError } from '../../../domain/errors/DomainErrors.js';
+
+// Recordings land in <root>/logs/cassettes (see cassettePathFor)
+const ROOT_DIR = fileURLToPath(new URL('../../../', import.meta.url));
+const CASSETTE_DIR = join(ROOT_DIR, 'logs', 'cassettes');
+
+/**
+ * CassetteConfig
+ * Role: The Librarian. Finds the tape to play, or explains how to record one.
+ */
+export class CassetteConfig {
+    /**
+     * Reads and validates the replay settings from process.env.
+     * * PLNEXUS_CASSETTE     - Optional. Cassette to play; defaults to the newest recording in logs/cassettes/.
+     * * PLNEXUS_REPLAY_SPEED - Optional. Playback speed (1 recorded timing, 0 no delays); overrides the manifest option.
+     * @param {Object} [env=process.env] - Source of the raw settings.
+     * @param {string} [cassetteDir] - Where to look for the newest recording.
+     * @returns {Readonly<{cassettePath: string, speed?: number}>}
+     * @throws {InvalidConfigError} If any setting violates the contract or there is nothing to play.
+     */
+    static validate(env = process.env, cassetteDir = CASSETTE_DIR) {
+        const rawPath = (env.PLNEXUS_CASSETTE || '').trim();
+        const cassettePath = rawPath ? resolve(ROOT_DIR, rawPath) : CassetteConfig.#newest(cassetteDir);
+
+        const config = { cassettePath };
+        if (env.PLNEXUS_REPLAY_SPEED !== undefined && env.PLNEXUS_REPLAY_SPEED !== '') {
+            const speed = Number(env.PLNEXUS_REPLAY_SPEED);
+            if (!Number.isFinite(speed) || speed < 0) {
+                throw new InvalidConfigError(`PLNEXUS_REPLAY_SPEED must be a number >= 0, received "${env.PLNEXUS_REPLAY_SPEED}"`);
+            }
+            // Only when set, so the manifest's options.speed applies otherwise
+            config.speed = speed;
+        }
+        return Object.freeze(config);
+    }
+
+    /**
+     * The most recently modified cassette in the directory.
+     * @private
+     * @throws {InvalidConfigError} If there is none.
+     */
+    static #newest(cassetteDir) {
+        let files = [];
+        try {
+            files = readdirSync(cassetteDir).filter(name => name.endsWith('.jsonl'));
+        } catch {
+            // No recordings yet; reported below
+        }
+        if (files.length === 0) {
+            throw new InvalidConfigError(`No cassette found in ${cassetteDir}.`, {
+                hint: 'Record one with --record (e.g., "quote --mock --record SPX"), or set PLNEXUS_CASSETTE.'
+            });
+        }
+        return files
+            .map(name => join(cassetteDir, name))
+            .map(path => ({ path, modifiedMs: statSync(path).mtimeMs }))
+            .reduce((newest, candidate) => candidate.modifiedMs > newest.modifiedMs ? candidate : newest)
+            .path;
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * @file FinnhubConfig.js
+ * @description Configuration contract for the Finnhub REST provider.
+ * Loaded on demand by EnvironmentService.getProviderConfig('Finnhub').
+ */
+
+import { InvalidConfigError } from '../../../domain/errors/DomainErrors.js';
+
+const DEFAULT_BASE_URL = 'https://finnhub.io/api/v1';
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * FinnhubConfig
+ * Role: The Gatekeeper. Refuses to hand out a config the adapter cannot use.
+ */
+export class FinnhubConfig {
+    /**
+     * Reads and validates the Finnhub settings from process.env.
+     * * FINNHUB_API_KEY    - Required. Personal API token.
+     * * FINNHUB_BASE_URL   - Optional. Overrides the REST endpoint (e.g., a local stand-in).
+     * * FINNHUB_TIMEOUT_MS - Optional. Per-request timeout in milliseconds.
+     * @param {Object} [env=process.env] - Source of the raw settings.
+     * @returns {Readonly<{apiKey: string, baseUrl: string, timeoutMs: number}>}
+     * @throws {InvalidConfigError} If any setting violates the contract.
+     */
+    static validate(env = process.env) {
+        const apiKey = (env.FINNHUB_API_KEY || '').trim();
+        if (!apiKey) {
+            throw new InvalidConfigError('FINNHUB_API_KEY is missing.', {
+                hint: 'Add FINNHUB_API_KEY to .env or the shell environment, or run with --mock.'
+            });
+        }
+
+        const rawBaseUrl = (env.FINNHUB_BASE_URL || DEFAULT_BASE_URL).trim();
+        let parsed;
+        try {
+            parsed = new URL(rawBaseUrl);
+        } catch {
+            throw new InvalidConfigError(`FINNHUB_BASE_URL is not a valid URL: "${rawBaseUrl}"`);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new InvalidConfigError(`FINNHUB_BASE_URL must use http or https, received "${parsed.protocol}"`);
+        }
+
+        const timeoutMs = env.FINNHUB_TIMEOUT_MS === undefined || env.FINNHUB_TIMEOUT_MS === ''
+            ? DEFAULT_TIMEOUT_MS
+            : Number(env.FINNHUB_TIMEOUT_MS);
+        if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+            throw new InvalidConfigError(`FINNHUB_TIMEOUT_MS must be a positive integer, received "${env.FINNHUB_TIMEOUT_MS}"`);
+        }
+
+        return Object.freeze({
+            apiKey,
+            // Strip trailing slashes so path joins stay predictable
+            baseUrl: rawBaseUrl.replace(/\/+$/, ''),
+            timeoutMs
+        });
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * @file AdapterConformanceKit.js
+ * @description Contract checks every MarketDataPort implementation must pass.
+ * DISCLAIMER.md invites users to drop their own adapters into
+ * infrastructure/adapters/; this kit is how they (and we) prove an adapter
+ * honours the port before the AdapterFactory ever routes a quote through it.
+ *
+ * The same checks run from vitest (adapters.conformance.test.js) and from
+ * the CLI ('adapters conformance'), so both report identical results.
+ */
+
+import { MarketQuote } from '../../domain/entities/MarketQuote.js';
+
+/**
+ * Ticker that no provider lists: too long and containing underscores.
+ */
+const UNKNOWN_SYMBOL = 'INVALID_SYMBOL_XYZ';
+
+export class AdapterConformanceKit {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.probeSymbol='SPX'] - A ticker every provider is expected to know.
+     * @param {string} [options.unknownSymbol] - A ticker no provider should know.
+     * @param {number} [options.timeoutMs=5000] - Budget for any single port call.
+     * @param {number} [options.attempts=3] - Tries for checks that expect success; only
+     *   transient failures are repeated, so a flaky network is not reported as a contract breach.
+     */
+    constructor({ probeSymbol = 'SPX', unknownSymbol = UNKNOWN_SYMBOL, timeoutMs = 5000, attempts = 3 } = {}) {
+        this.probeSymbol = probeSymbol.toUpperCase();
+        this.unknownSymbol = unknownSymbol;
+        this.timeoutMs = timeoutMs;
+        this.attempts = attempts;
+    }
+
+    /**
+     * The contract, in report order. Each check resolves with an optional
+     * detail string on success and throws with the reason on failure.
+     * @returns {Array<{name: string, run: function(Object): Promise<string|undefined>}>}
+     */
+    get checks() {
+        return [
+            {
+                name: 'fetchQuote returns a MarketQuote',
+                run: async adapter => {
+                    const quote = await this._expectSuccess(() => adapter.fetchQuote(this.probeSymbol));
+                    if (!(quote instanceof MarketQuote)) {
+                        throw new Error(`returned ${describeValue(quote)} instead of a MarketQuote`);
+                    }
+                    return `${quote.symbol} @ ${quote.price} from ${quote.source}`;
+                }
+            },
+            {
+                name: 'uppercases symbols',
+                run: async adapter => {
+                    const quote = await this._expectSuccess(() => adapter.fetchQuote(this.probeSymbol.toLowerCase()));
+                    if (quote?.symbol !== this.probeSymbol) {
+                        throw new Error(`asked for "${this.probeSymbol.toLowerCase()}", got symbol "${quote?.symbol}"`);
+                    }
+                }
+            },
+            {
+                name: 'rejects an empty symbol',
+                run: async adapter => {
+                    const error = await this._expectRejection(() => adapter.fetchQuote(''));
+                    if (!(error instanceof Error)) {
+                        throw new Error(`rejected with ${describeValue(error)} instead of an Error`);
+                    }
+                    return error.message;
+                }
+            },
+            {
+                name: 'throws a typed error for unknown symbols',
+                run: async adapter => {
+                    const error = await this._expectRejection(() => adapter.fetchQuote(this.unknownSymbol));
+                    if (!(error instanceof Error) || typeof error.code !== 'string') {
+                        throw new Error(`rejected without a string error.code: ${error?.message ?? describeValue(error)}`);
+                    }
+                    return error.code;
+                }
+            },
+            {
+                name: `responds within ${this.timeoutMs}ms`,
+                run: async adapter => {
+                    const startTime = Date.now();
+                    await this._expectSuccess(() => adapter.fetchQuote(this.probeSymbol));
+                    return `${Date.now() - startTime}ms`;
+                }
+            }
+        ];
+    }
+
+    /**
+     * Runs one check and never throws.
+     * @param {{name: string, run: function(Object): Promise<string|undefined>}} check
+     * @param {Object} adapter - The MarketDataPort implementation under test.
+     * @returns {Promise<{check: string, ok: boolean, detail?: string, durationMs: number}>}
+     */
+    async runCheck(check, adapter) {
+        const startTime = Date.now();
+        try {
+            const detail = await check.run(adapter);
+            return { check: check.name, ok: true, detail, durationMs: Date.now() - startTime };
+        } catch (error) {
+            return { check: check.name, ok: false, detail: error.message, durationMs: Date.now() - startTime };
+        }
+    }
+
+    /**
+     * Runs every check in order against one adapter.
+     * @param {Object} adapter - The MarketDataPort implementation under test.
+     * @returns {Promise<{passed: boolean, results: Array<{check: string, ok: boolean, detail?: string, durationMs: number}>}>}
+     */
+    async run(adapter) {
+        const results = [];
+        for (const check of this.checks) {
+            results.push(await this.runCheck(check, adapter));
+        }
+        return { passed: results.every(({ ok }) => ok), results };
+    }
+
+    /**
+     * Resolves with the call's value, repeating transient failures up to `attempts` times.
+     * @private
+     */
+    async _expectSuccess(call) {
+        let lastError;
+        for (let attempt = 1; attempt <= this.attempts; attempt++) {
+            try {
+                return await this._withinBudget(call);
+            } catch (error) {
+                lastError = error;
+                // A timeout already is the verdict; a typed refusal was deliberate
+                if (error?.retryable === false || error?.code === 'CONFORMANCE_TIMEOUT') break;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Resolves with the rejection reason; a resolved call is a failure.
+     * @private
+     */
+    async _expectRejection(call) {
+        let value;
+        try {
+            value = await this._withinBudget(call);
+        } catch (error) {
+            if (error?.code === 'CONFORMANCE_TIMEOUT') throw error;
+            return error;
+        }
+        throw new Error(`resolved with ${describeValue(value)} instead of rejecting`);
+    }
+
+    /**
+     * Races a call against the kit's timeout.
+     * @private
+     */
+    async _withinBudget(call) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                reject(Object.assign(new Error(`no answer within ${this.timeoutMs}ms`), { code: 'CONFORMANCE_TIMEOUT' }));
+            }, this.timeoutMs);
+        });
+        try {
+            return await Promise.race([call(), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+/** @private */
+function describeValue(value) {
+    if (value === null || value === undefined) return String(value);
+    return value.constructor?.name ? `a ${value.constructor.name}` : typeof value;
+}
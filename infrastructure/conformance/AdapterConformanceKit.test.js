@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { AdapterConformanceKit } from './AdapterConformanceKit.js';
+import { MarketDataPort } from '../../domain/ports/outbound/MarketDataPort.js';
+import { MarketQuote } from '../../domain/entities/MarketQuote.js';
+import { SymbolNotFoundError } from '../../domain/errors/DomainErrors.js';
+
+class WellBehavedAdapter extends MarketDataPort {
+    async fetchQuote(symbol) {
+        if (!symbol) throw new Error('A symbol is required.');
+        if (symbol.includes('_')) throw new SymbolNotFoundError(symbol.toUpperCase());
+        return new MarketQuote({ symbol: symbol.toUpperCase(), price: 10, timestamp: Date.now(), source: 'Stub' });
+    }
+}
+
+class SloppyAdapter extends MarketDataPort {
+    async fetchQuote(symbol) {
+        if (symbol.includes('_')) throw new Error('not found');
+        // Plain object, original casing, and it happily accepts ''
+        return { symbol, price: 10 };
+    }
+}
+
+const matrix = ({ results }) => Object.fromEntries(results.map(({ check, ok }) => [check, ok]));
+
+describe('AdapterConformanceKit', () => {
+    it('passes an adapter that honours the port contract', async () => {
+        const report = await new AdapterConformanceKit().run(new WellBehavedAdapter());
+
+        expect(report.passed).toBe(true);
+        expect(report.results).toHaveLength(5);
+        expect(report.results.find(r => r.check.includes('typed error')).detail).toBe('SYMBOL_NOT_FOUND');
+    });
+
+    it('reports each contract breach separately', async () => {
+        const report = await new AdapterConformanceKit().run(new SloppyAdapter());
+
+        expect(report.passed).toBe(false);
+        expect(matrix(report)).toEqual({
+            'fetchQuote returns a MarketQuote': false,
+            'uppercases symbols': false,
+            'rejects an empty symbol': false,
+            'throws a typed error for unknown symbols': false,
+            'responds within 5000ms': true
+        });
+    });
+
+    it('fails the timeout check when the adapter hangs', async () => {
+        const hanging = { fetchQuote: () => new Promise(() => {}) };
+        const kit = new AdapterConformanceKit({ timeoutMs: 20 });
+
+        const result = await kit.runCheck(kit.checks.at(-1), hanging);
+        expect(result).toMatchObject({ check: 'responds within 20ms', ok: false, detail: 'no answer within 20ms' });
+    });
+
+    it('retries transient failures before judging a success check', async () => {
+        let calls = 0;
+        const flaky = new WellBehavedAdapter();
+        const inner = flaky.fetchQuote.bind(flaky);
+        flaky.fetchQuote = async symbol => {
+            if (++calls === 1) throw new Error('socket hang up');
+            return inner(symbol);
+        };
+
+        const kit = new AdapterConformanceKit({ attempts: 2 });
+        const result = await kit.runCheck(kit.checks[0], flaky);
+        expect(result.ok).toBe(true);
+        expect(calls).toBe(2);
+    });
+});
@@ -0,0 +1,34 @@
+/**
+ * Runs the conformance kit against every adapter registered in
+ * config/adapters.manifest.json. Entries whose configuration is missing
+ * (e.g., no FINNHUB_API_KEY) are skipped rather than failed.
+ */
+import { describe, it, expect } from 'vitest';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { AdapterFactory } from '../factories/AdapterFactory.js';
+import { EnvironmentService } from '../config/EnvironmentService.js';
+import { AdapterConformanceKit } from './AdapterConformanceKit.js';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const factory = new AdapterFactory(join(__dirname, '../..'));
+const kit = new AdapterConformanceKit({ probeSymbol: (await factory.getDefaults()).defaultSymbol });
+
+const entries = await Promise.all((await factory.listModes()).map(async ({ mode, className }) => {
+    try {
+        return { mode, className, ...(await factory.createRawAdapter(mode, EnvironmentService)) };
+    } catch (error) {
+        return { mode, className, adapter: null, reason: error.message };
+    }
+}));
+
+for (const { mode, className, adapter } of entries) {
+    describe.skipIf(!adapter)(`MarketDataPort conformance: mode ${mode} (${className})`, () => {
+        for (const check of kit.checks) {
+            it(check.name, async () => {
+                const { ok, detail } = await kit.runCheck(check, adapter);
+                expect(ok, detail).toBe(true);
+            }, kit.timeoutMs * kit.attempts + 1000);
+        }
+    });
+}
@@ -10,8 +10,19 @@
  */
 
 import { readFile } from 'fs/promises';
-import { join, isAbsolute } from 'path';
+import { join, isAbsolute, relative } from 'path';
 import { logger } from '#logger'; // ESM alias established in project baseline 
+import { tracer } from '#tracer';
+import { resolveInsideRoot } from '#shared/paths';
+import { CachingMarketAdapter } from '../adapters/decorators/CachingMarketAdapter.js';
+import { ResilientMarketAdapter } from '../adapters/decorators/ResilientMarketAdapter.js';
+import { FailoverMarketAdapter } from '../adapters/decorators/FailoverMarketAdapter.js';
+import { RecordingMarketAdapter } from '../adapters/decorators/RecordingMarketAdapter.js';
+import { InstrumentMarketAdapter } from '../adapters/decorators/InstrumentMarketAdapter.js';
+import { InstrumentRegistryConfig, DEFAULT_INSTRUMENTS_PATH } from '../config/InstrumentRegistryConfig.js';
+import { cassettePathFor } from '../cassettes/Cassette.js';
+import { ManifestValidator } from '../config/ManifestValidator.js';
+import { InvalidConfigError } from '../../domain/errors/DomainErrors.js';
 
 /**
  * Factory class for orchestrating the lifecycle of Driven Adapters.
@@ -34,73 +45,376 @@ export class AdapterFactory {
 
     /**
      * Dynamically loads and instantiates an adapter based on a specific execution mode.
-     * * @param {string} mode - The mode identifier (e.g., '1' for Live, '2' for Mock).
+     * Unless disabled, the manifest's defaults.fallbackMode is chained behind the
+     * primary: if the primary fails to load the chain starts at the fallback,
+     * and any call the primary cannot serve (outage, timeout, rate limit) is
+     * retried there. Nothing is probed up front, so a run spends no provider
+     * quota beyond its own (possibly cached) calls. Every switch is reported
+     * through onFailover, once per link.
+     * An offline primary (manifest "offline": true, e.g. cassette replay) gets
+     * no fallback: a replay quietly served by another provider would no longer
+     * reproduce the session.
+     * * @param {string|null} mode - The mode identifier (e.g., '1' for Live, '2' for Mock). Defaults to defaults.fallbackMode.
      * @param {Object} envService - The EnvironmentService for credential/config hydration.
-     * @returns {Promise<Object>} A fully instantiated Adapter class.
-     * @throws {Error} If the manifest is missing, the mode is undefined, or the module fails to load.
+     * @param {Object} [options]
+     * @param {boolean} [options.fallback=true] - Build a failover chain (false for strict runs).
+     * @param {boolean} [options.record=false] - Record every provider call to a cassette under logs/cassettes/.
+     * @param {function({from: string, to: string, reason: string}): void} [options.onFailover] - Told when the chain
+     *   moves past a provider, at load time or on its first failed call.
+     * @returns {Promise<FailoverMarketAdapter>} The provider chain; every quote reports servedBy.
+     * @throws {InvalidConfigError} If the manifest is missing, the mode is undefined, or no provider in the chain can be loaded.
      */
-    async loadAdapter(mode, envService) {
+    async loadAdapter(mode, envService, { fallback = true, record = false, onFailover = () => {} } = {}) {
+        // 1. Retrieve the latest manifest state
+        let manifest;
         try {
-            // 1. Retrieve the latest manifest state
-            const manifest = await this._getManifest();
-            
-            // 2. Validate requested execution mode
-            const adapterDef = manifest.adapters[mode];
-            if (!adapterDef) {
-                const available = Object.keys(manifest.adapters).join(', ');
-                throw new Error(`Execution mode "${mode}" is not defined in manifest. Available: [${available}]`);
+            manifest = await this._getManifest();
+        } catch (error) {
+            throw this._loadFailure(mode, error);
+        }
+
+        const defaults = manifest.defaults || {};
+        const primaryMode = mode ?? defaults.fallbackMode;
+        const fallbackMode = defaults.fallbackMode;
+        const offline = manifest.adapters[primaryMode]?.offline === true;
+        const useFallback = fallback && !offline && fallbackMode !== undefined && String(fallbackMode) !== String(primaryMode);
+        const chain = [];
+        if (offline && fallback) {
+            logger.info(`[AdapterFactory] Mode ${primaryMode} is offline; running without failover`);
+        }
+
+        // 2. Primary provider: a load failure moves straight to the fallback
+        try {
+            chain.push(await this._buildAdapter(primaryMode, manifest, envService, { record }));
+        } catch (error) {
+            if (!useFallback) throw error;
+            await this._recordFailover(`mode ${primaryMode}`, fallbackMode, error.message);
+            onFailover({ from: `mode ${primaryMode}`, to: `mode ${fallbackMode}`, reason: error.message });
+        }
+
+        // 3. Fallback provider: optional while the primary is up, mandatory once it is down
+        if (useFallback) {
+            try {
+                chain.push(await this._buildAdapter(fallbackMode, manifest, envService, { record }));
+            } catch (error) {
+                if (chain.length === 0) throw error;
+                logger.warn(`[AdapterFactory] Fallback mode ${fallbackMode} unavailable; continuing without failover`);
             }
+        }
 
-            // 3. Resolve Module Path
-            // Ensures support for both relative (to root) and absolute paths
-            const rawPath = adapterDef.path;
-            const modulePath = isAbsolute(rawPath) ? rawPath : join(this.root, rawPath);
+        logger.info(`[AdapterFactory] Provider chain: ${chain.map(({ label }) => label).join(' -> ')}`);
+        return new FailoverMarketAdapter(chain, { tracer, onFailover });
+    }
 
-            logger.debug(`[AdapterFactory] Resolving dependency: ${adapterDef.className}`, { path: rawPath });
+    /**
+     * Reads the manifest defaults block.
+     * @returns {Promise<{fallbackMode?: string, defaultSymbol?: string}>}
+     */
+    async getDefaults() {
+        const manifest = await this._getManifest();
+        return { ...(manifest.defaults || {}) };
+    }
 
-            // 4. Dynamic ESM Import
-            // We use dynamic imports to keep the main execution thread lean
-            const module = await import(modulePath);
-            const AdapterClass = module[adapterDef.className];
+    /**
+     * Checks the manifest without loading a provider or requesting a quote:
+     * schema and cross-field rules first, then per-entry resolution on disk.
+     * @returns {Promise<{valid: boolean, errors: Array<{field: string, message: string}>, entries: Array<Object>}>}
+     * @throws {InvalidConfigError} If the manifest file is missing or is not valid JSON.
+     */
+    async inspectManifest() {
+        const manifest = await this._readManifest();
+        const { valid, errors } = ManifestValidator.validate(manifest);
+        // Entry checks need well-formed entries; skip them when the schema already failed
+        const entries = valid ? await ManifestValidator.inspectEntries(manifest, this.root) : [];
+        const entriesOk = entries.every(({ checks }) => checks.every(({ ok }) => ok));
+        return { valid: valid && entriesOk, errors, entries };
+    }
 
-            if (!AdapterClass) {
-                throw new Error(`Export "${adapterDef.className}" not found in module at ${rawPath}`);
-            }
+    /**
+     * Builds one manifest entry without decorators or failover, exactly as the
+     * adapter author wrote it. Used by the conformance kit.
+     * @param {string} mode - The mode identifier.
+     * @param {Object} envService - The EnvironmentService for credential/config hydration.
+     * @returns {Promise<{label: string, adapter: Object}>}
+     * @throws {InvalidConfigError} If the manifest is invalid or the entry fails to load.
+     */
+    async createRawAdapter(mode, envService) {
+        const manifest = await this._getManifest();
+        try {
+            const { adapterDef, adapter } = await this._instantiate(mode, manifest, envService);
+            return { label: `${mode}:${adapterDef.className}`, adapter };
+        } catch (error) {
+            throw this._loadFailure(mode, error, { log: false });
+        }
+    }
 
-            // 5. Context-Aware Dependency Injection
-            if (adapterDef.requiresConfig) {
-                const providerKey = adapterDef.configKey;
-                const config = await envService.getProviderConfig(providerKey);
-                
-                logger.info(`[AdapterFactory] Injecting configuration for ${adapterDef.className} (${providerKey})`);
-                return new AdapterClass(config);
-            }
+    /**
+     * Lists the registered modes with their display names and decorations.
+     * @returns {Promise<Array<{mode: string, name: string, className: string, description?: string,
+     *   requiresConfig: boolean, cached: boolean, resilient: boolean, fallback: boolean}>>}
+     */
+    async listModes() {
+        const manifest = await this._getManifest();
+        return Object.entries(manifest.adapters).map(([mode, adapterDef]) => ({
+            mode,
+            name: adapterDef.name,
+            className: adapterDef.className,
+            description: adapterDef.description,
+            requiresConfig: adapterDef.requiresConfig === true,
+            cached: adapterDef.cache?.enabled === true,
+            resilient: adapterDef.resilience?.enabled === true,
+            fallback: mode === manifest.defaults?.fallbackMode
+        }));
+    }
+
+    /**
+     * Reads an instrument registry: the one a manifest entry translates
+     * through, or the default one for commands that need instrument details
+     * (e.g., contract multipliers). Read on every call, so a manifest reload
+     * also picks up registry edits.
+     * @param {string} [rawPath=DEFAULT_INSTRUMENTS_PATH] - Relative (to root) or absolute path.
+     * @returns {Promise<Object>} InstrumentRegistry.
+     * @throws {InvalidConfigError} If the path escapes the root or the file is invalid.
+     */
+    async loadInstruments(rawPath = DEFAULT_INSTRUMENTS_PATH) {
+        return InstrumentRegistryConfig.load(resolveInsideRoot(this.root, rawPath));
+    }
+
+    /**
+     * Resolves, imports, instantiates and decorates a single manifest entry.
+     * @private
+     * @param {string} mode - The mode identifier.
+     * @param {Object} manifest - Parsed manifest.
+     * @param {Object} envService - The EnvironmentService for credential/config hydration.
+     * @param {Object} [options]
+     * @param {boolean} [options.record=false] - Wrap the raw adapter in a RecordingMarketAdapter.
+     * @returns {Promise<{label: string, adapter: Object}>} A failover chain link.
+     * @throws {InvalidConfigError} If the entry is missing or fails to load.
+     */
+    async _buildAdapter(mode, manifest, envService, { record = false } = {}) {
+        try {
+            const { adapterDef, adapter } = await this._instantiate(mode, manifest, envService);
+            const label = `${mode}:${adapterDef.className}`;
+
+            const registry = adapterDef.instruments?.enabled ? await this.loadInstruments(adapterDef.instruments.path) : null;
 
-            logger.info(`[AdapterFactory] Initializing ${adapterDef.className} (Standard)`);
-            return new AdapterClass();
+            // 5. Recording sits innermost: the cassette holds what the provider itself answered,
+            //    under canonical symbols so any mode can replay it
+            const recorded = record ? this._record(adapter, label, registry && { registry, provider: adapterDef.instruments.provider }) : adapter;
+
+            // 6. Manifest-Driven Decoration (resilience, cache, instruments)
+            return { label, adapter: this._decorate(recorded, adapterDef, registry) };
 
         } catch (error) {
-            // Wrap error with specific context for the Tracer/Logger
-            const failureContext = `[AdapterFactory] Load failure for mode ${mode}: ${error.message}`;
-            logger.error(failureContext, { stack: error.stack });
-            throw new Error(failureContext);
+            throw this._loadFailure(mode, error);
+        }
+    }
+
+    /**
+     * Wraps any load-time failure with the mode it happened in. Whatever broke
+     * (a missing module, export, API key or manifest field), the fix is configuration.
+     * @private
+     * @param {string} mode - The mode being loaded.
+     * @param {Error} error - The underlying failure.
+     * @param {Object} [options]
+     * @param {boolean} [options.log=true] - Log the failure with its stack.
+     * @returns {InvalidConfigError}
+     */
+    _loadFailure(mode, error, { log = true } = {}) {
+        const failureContext = `Load failure for mode ${mode}: ${error.message}`;
+        if (log) logger.error(`[AdapterFactory] ${failureContext}`, { stack: error.stack });
+        return new InvalidConfigError(failureContext, { hint: error.hint, cause: error });
+    }
+
+    /**
+     * Resolves, imports and instantiates a single manifest entry (steps 1-4).
+     * @private
+     * @param {string} mode - The mode identifier.
+     * @param {Object} manifest - Parsed manifest.
+     * @param {Object} envService - The EnvironmentService for credential/config hydration.
+     * @returns {Promise<{adapterDef: Object, adapter: Object}>}
+     * @throws {InvalidConfigError} If the entry is missing, the export is absent or configuration fails.
+     */
+    async _instantiate(mode, manifest, envService) {
+        // 1. Validate requested execution mode
+        const adapterDef = manifest.adapters[mode];
+        if (!adapterDef) {
+            const available = Object.keys(manifest.adapters).join(', ');
+            throw new InvalidConfigError(`Execution mode "${mode}" is not defined in manifest. Available: [${available}]`, {
+                hint: 'Pick one of the available modes, or register the adapter in config/adapters.manifest.json.'
+            });
         }
+
+        // 2. Resolve Module Path
+        // Ensures support for both relative (to root) and absolute paths
+        const rawPath = adapterDef.path;
+        const modulePath = isAbsolute(rawPath) ? rawPath : join(this.root, rawPath);
+
+        logger.debug(`[AdapterFactory] Resolving dependency: ${adapterDef.className}`, { path: rawPath });
+
+        // 3. Dynamic ESM Import
+        // We use dynamic imports to keep the main execution thread lean
+        const module = await import(modulePath);
+        const AdapterClass = module[adapterDef.className];
+
+        if (!AdapterClass) {
+            throw new InvalidConfigError(`Export "${adapterDef.className}" not found in module at ${rawPath}`);
+        }
+
+        // 4. Context-Aware Dependency Injection
+        // Manifest options tune the adapter; validated provider config (credentials) wins on conflict
+        const options = this._resolveOptions(adapterDef.options);
+        let adapter;
+        if (adapterDef.requiresConfig) {
+            const providerKey = adapterDef.configKey;
+            const config = await envService.getProviderConfig(providerKey);
+
+            logger.info(`[AdapterFactory] Injecting configuration for ${adapterDef.className} (${providerKey})`);
+            adapter = new AdapterClass({ ...options, ...config });
+        } else {
+            logger.info(`[AdapterFactory] Initializing ${adapterDef.className} (Standard)`, { options: Object.keys(options) });
+            adapter = new AdapterClass(options);
+        }
+        return { adapterDef, adapter };
     }
 
     /**
-     * Internal helper to securely read and parse the manifest.
+     * Logs and traces a load-time switch to the fallback provider.
+     * @private
+     */
+    async _recordFailover(from, fallbackMode, reason) {
+        logger.warn(`[AdapterFactory] ${from} unavailable (${reason}); failing over to mode ${fallbackMode}`);
+        await tracer.record('INFRA', 'ADAPTER_FAILOVER', { from, to: `mode ${fallbackMode}`, reason });
+    }
+
+    /**
+     * Wraps a raw adapter in a RecordingMarketAdapter writing to a cassette
+     * named after the Tracer session and the chain link.
+     * @private
+     * @param {Object} adapter - The instantiated adapter.
+     * @param {string} label - Chain link label (e.g., '1:FinnhubAdapter').
+     * @param {{registry: Object, provider: string}|null} [instruments=null] - Translates provider symbols back to canonical ones.
+     * @returns {RecordingMarketAdapter}
+     */
+    _record(adapter, label, instruments = null) {
+        const cassettePath = cassettePathFor(this.root, { sessionId: tracer.sessionID, label });
+        logger.info(`[AdapterFactory] Recording ${label} to ${relative(this.root, cassettePath)}`);
+        const toCanonical = instruments
+            ? symbol => instruments.registry.fromProvider(instruments.provider, symbol)?.symbol ?? symbol
+            : undefined;
+        return new RecordingMarketAdapter(adapter, { cassettePath, sessionId: tracer.sessionID, label, toCanonical });
+    }
+
+    /**
+     * Wraps a raw adapter in the decorators its manifest entry enables.
+     * Resilience sits closest to the provider so the cache only sees the
+     * final outcome of all retries (and can then serve stale if allowed).
+     * Symbol translation sits outermost, so an unknown symbol is rejected
+     * before it reaches the cache, the retries or the provider.
+     * @private
+     * @param {Object} adapter - The instantiated adapter.
+     * @param {Object} adapterDef - The manifest entry it was built from.
+     * @param {Object|null} [registry=null] - InstrumentRegistry, when the entry enables instruments.
+     * @returns {Object} The (possibly) decorated adapter.
+     */
+    _decorate(adapter, adapterDef, registry = null) {
+        const decorated = this._decorateProvider(adapter, adapterDef);
+        if (!registry) return decorated;
+
+        const { provider } = adapterDef.instruments;
+        logger.info(`[AdapterFactory] Translating symbols for ${adapterDef.className}`, { provider, instruments: registry.instruments.length });
+        return new InstrumentMarketAdapter(decorated, { registry, provider });
+    }
+
+    /**
+     * Applies the resilience and cache decorators.
+     * @private
+     * @param {Object} adapter - The instantiated adapter.
+     * @param {Object} adapterDef - The manifest entry it was built from.
+     * @returns {Object}
+     */
+    _decorateProvider(adapter, adapterDef) {
+        let decorated = adapter;
+
+        const resilience = adapterDef.resilience;
+        if (resilience?.enabled) {
+            logger.info(`[AdapterFactory] Enabling resilience policy for ${adapterDef.className}`, {
+                timeoutMs: resilience.timeoutMs,
+                maxAttempts: resilience.retry?.maxAttempts
+            });
+            decorated = new ResilientMarketAdapter(decorated, {
+                tracer,
+                name: adapterDef.className,
+                timeoutMs: resilience.timeoutMs,
+                retry: resilience.retry,
+                circuitBreaker: resilience.circuitBreaker
+            });
+        }
+
+        const cache = adapterDef.cache;
+        if (!cache?.enabled) return decorated;
+
+        const persistPath = cache.store === 'disk'
+            ? resolveInsideRoot(this.root, cache.path || join('.cache', `${adapterDef.className}.quotes.json`))
+            : null;
+
+        logger.info(`[AdapterFactory] Enabling quote cache for ${adapterDef.className}`, {
+            ttlMs: cache.ttlMs,
+            store: persistPath ? 'disk' : 'memory'
+        });
+        return new CachingMarketAdapter(decorated, {
+            ttlMs: cache.ttlMs,
+            ttlBySymbol: cache.ttlBySymbol,
+            persistPath,
+            serveStaleOnError: cache.serveStaleOnError
+        });
+    }
+
+    /**
+     * Copies a manifest entry's constructor options, resolving every string
+     * option whose key ends in 'Path' (e.g., marketPath) inside the project root.
+     * @private
+     * @param {Object} [options={}]
+     * @returns {Object}
+     * @throws {InvalidConfigError} If a path escapes the project root.
+     */
+    _resolveOptions(options = {}) {
+        return Object.fromEntries(Object.entries(options).map(([key, value]) => [
+            key,
+            key.endsWith('Path') && typeof value === 'string' ? resolveInsideRoot(this.root, value) : value
+        ]));
+    }
+
+    /**
+     * Internal helper to securely read, parse and schema-validate the manifest.
      * @private
      * @returns {Promise<Object>} Parsed JSON manifest.
+     * @throws {InvalidConfigError} If the file is missing, malformed or violates the schema.
      */
     async _getManifest() {
+        const manifest = await this._readManifest();
+        // Field-level schema errors surface here instead of as a vague import failure
+        ManifestValidator.assertValid(manifest, this.manifestPath);
+        return manifest;
+    }
+
+    /**
+     * Reads and parses the manifest without schema validation.
+     * @private
+     * @returns {Promise<Object>} Parsed JSON manifest.
+     * @throws {InvalidConfigError} If the file is missing or is not valid JSON.
+     */
+    async _readManifest() {
         try {
             const data = await readFile(this.manifestPath, 'utf-8');
             return JSON.parse(data);
         } catch (error) {
             if (error.code === 'ENOENT') {
-                throw new Error(`Manifest missing at: ${this.manifestPath}. Please check your config/ directory.`);
+                throw new InvalidConfigError(`Manifest missing at: ${this.manifestPath}.`, {
+                    hint: 'Restore config/adapters.manifest.json from version control.'
+                });
             }
-            throw new Error(`Malformed manifest: ${error.message}`);
+            throw new InvalidConfigError(`Malformed manifest: ${error.message}`);
         }
     }
 }
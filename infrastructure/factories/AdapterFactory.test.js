@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, mkdir, writeFile, rm, readdir, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { AdapterFactory } from './AdapterFactory.js';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const ENTITY_URL = pathToFileURL(join(__dirname, '../../domain/entities/MarketQuote.js')).href;
+const PORT_URL = pathToFileURL(join(__dirname, '../../domain/ports/outbound/MarketDataPort.js')).href;
+const ERRORS_URL = pathToFileURL(join(__dirname, '../../domain/errors/DomainErrors.js')).href;
+const REPLAY_PATH = join(__dirname, '../adapters/api/CassetteReplayAdapter.js');
+
+// Stand-in adapters written into a throwaway project root
+const STUB_SOURCE = `
+import { MarketDataPort } from '${PORT_URL}';
+import { MarketQuote } from '${ENTITY_URL}';
+import { ProviderUnavailableError } from '${ERRORS_URL}';
+
+export class HealthyAdapter extends MarketDataPort {
+    constructor(options) {
+        super();
+        this.options = options;
+    }
+
+    async fetchQuote(symbol) {
+        return new MarketQuote({ symbol, price: 1, timestamp: Date.now(), source: 'Healthy' });
+    }
+}
+
+export class SickAdapter extends MarketDataPort {
+    async fetchQuote() {
+        throw new ProviderUnavailableError('provider down');
+    }
+}
+`;
+
+const manifest = {
+    version: '1.0.0',
+    adapters: {
+        '1': { name: 'Sick', path: './adapters/Stubs.js', className: 'SickAdapter', requiresConfig: false },
+        '2': {
+            name: 'Healthy', path: './adapters/Stubs.js', className: 'HealthyAdapter', requiresConfig: false,
+            options: { seed: 7, dataPath: './data/ticks.ndjson', replayPath: null }
+        },
+        '3': { name: 'Broken', path: './adapters/Missing.js', className: 'MissingAdapter', requiresConfig: false }
+    },
+    defaults: { fallbackMode: '2', defaultSymbol: 'ES' }
+};
+
+describe('AdapterFactory failover', () => {
+    let root;
+
+    beforeAll(async () => {
+        root = await mkdtemp(join(tmpdir(), 'plnexus-factory-'));
+        await mkdir(join(root, 'config'));
+        await mkdir(join(root, 'adapters'));
+        await writeFile(join(root, 'config', 'adapters.manifest.json'), JSON.stringify(manifest));
+        await writeFile(join(root, 'adapters', 'Stubs.js'), STUB_SOURCE);
+    });
+
+    afterAll(() => rm(root, { recursive: true, force: true }));
+
+    it('should expose the manifest defaults', async () => {
+        await expect(new AdapterFactory(root).getDefaults()).resolves.toEqual({ fallbackMode: '2', defaultSymbol: 'ES' });
+    });
+
+    it('should list every mode and mark the fallback', async () => {
+        const modes = await new AdapterFactory(root).listModes();
+
+        expect(modes.map(({ mode }) => mode)).toEqual(['1', '2', '3']);
+        expect(modes[1]).toMatchObject({ name: 'Healthy', className: 'HealthyAdapter', fallback: true, cached: false });
+        expect(modes.filter(({ fallback }) => fallback)).toHaveLength(1);
+    });
+
+    it('should use the fallback mode when no mode is requested', async () => {
+        const adapter = await new AdapterFactory(root).loadAdapter(null, {});
+        expect(adapter.labels).toEqual(['2:HealthyAdapter']);
+    });
+
+    it('should fail over on the first outage and stamp quotes with the serving provider', async () => {
+        const notices = [];
+        const adapter = await new AdapterFactory(root).loadAdapter('1', {}, { onFailover: notice => notices.push(notice) });
+
+        expect(adapter.labels).toEqual(['1:SickAdapter', '2:HealthyAdapter']);
+        expect((await adapter.fetchQuote('SPX')).servedBy).toBe('2:HealthyAdapter');
+        await adapter.fetchQuote('NDX');
+
+        expect(notices).toEqual([{ from: '1:SickAdapter', to: '2:HealthyAdapter', reason: 'PROVIDER_UNAVAILABLE' }]);
+    });
+
+    it('should fail over when the primary cannot be loaded and say so', async () => {
+        const notices = [];
+        const adapter = await new AdapterFactory(root).loadAdapter('3', {}, { onFailover: notice => notices.push(notice) });
+
+        expect((await adapter.fetchQuote('SPX')).servedBy).toBe('2:HealthyAdapter');
+        expect(notices).toEqual([expect.objectContaining({ from: 'mode 3', to: 'mode 2' })]);
+    });
+
+    it('should not fail over in strict (no-fallback) runs', async () => {
+        await expect(new AdapterFactory(root).loadAdapter('3', {}, { fallback: false }))
+            .rejects.toThrow('Load failure for mode 3');
+
+        const strict = await new AdapterFactory(root).loadAdapter('1', {}, { fallback: false });
+        expect(strict.labels).toEqual(['1:SickAdapter']);
+        await expect(strict.fetchQuote('SPX')).rejects.toThrow('provider down');
+    });
+
+    it('should hand manifest options to the constructor with paths resolved inside the root', async () => {
+        const { adapter } = await new AdapterFactory(root).createRawAdapter('2', {});
+
+        expect(adapter.options).toEqual({ seed: 7, dataPath: join(root, 'data', 'ticks.ndjson'), replayPath: null });
+    });
+
+    it('should record every link of the chain to its own cassette when asked', async () => {
+        const adapter = await new AdapterFactory(root).loadAdapter('1', {}, { record: true });
+        await adapter.fetchQuote('SPX');
+
+        const cassettes = await readdir(join(root, 'logs', 'cassettes'));
+        expect(cassettes).toHaveLength(2);
+        expect(cassettes.find(name => name.endsWith('-1-SickAdapter.jsonl'))).toBeDefined();
+
+        const healthy = cassettes.find(name => name.endsWith('-2-HealthyAdapter.jsonl'));
+        const lines = (await readFile(join(root, 'logs', 'cassettes', healthy), 'utf-8')).trim().split('\n');
+        expect(JSON.parse(lines[0])).toMatchObject({ type: 'header', adapter: '2:HealthyAdapter' });
+        expect(JSON.parse(lines.at(-1))).toMatchObject({ type: 'fetchQuote', symbol: 'SPX' });
+    });
+});
+
+describe('AdapterFactory offline replay', () => {
+    let root;
+    const instruments = { enabled: true, provider: 'cassette', path: './config/instruments.json' };
+    const replayManifest = {
+        ...manifest,
+        adapters: {
+            '1': { ...manifest.adapters['2'], instruments: { ...instruments, provider: 'yahoo' } },
+            '2': manifest.adapters['2'],
+            '3': {
+                name: 'Replay', path: REPLAY_PATH, className: 'CassetteReplayAdapter', requiresConfig: false, offline: true,
+                options: { cassettePath: './cassettes/recorded.jsonl', speed: 0 }, instruments
+            },
+            '4': {
+                name: 'Replay', path: REPLAY_PATH, className: 'CassetteReplayAdapter', requiresConfig: false, offline: true,
+                options: { cassettePath: './cassettes/session.jsonl', speed: 0 }
+            }
+        }
+    };
+    const entry = (symbol, price) => JSON.stringify({
+        type: 'fetchQuote', symbol, startedAt: 1767369600000, latencyMs: 0,
+        quote: { symbol, price, capturedAt: '2026-01-02T15:00:00.000Z', source: 'Finnhub' }
+    });
+
+    beforeAll(async () => {
+        root = await mkdtemp(join(tmpdir(), 'plnexus-factory-'));
+        await mkdir(join(root, 'config'));
+        await mkdir(join(root, 'adapters'));
+        await mkdir(join(root, 'cassettes'));
+        await writeFile(join(root, 'config', 'adapters.manifest.json'), JSON.stringify(replayManifest));
+        await writeFile(join(root, 'config', 'instruments.json'), JSON.stringify({
+            instruments: [{ symbol: 'SPX', assetClass: 'index', currency: 'USD', aliases: { yahoo: '^GSPC' } }]
+        }));
+        await writeFile(join(root, 'adapters', 'Stubs.js'), STUB_SOURCE);
+        // The manifest's defaultSymbol (ES) is recorded, SPX is not
+        await writeFile(join(root, 'cassettes', 'session.jsonl'), [
+            JSON.stringify({ type: 'header', version: 1, sessionId: 'K3F9Q2A', adapter: '1:FinnhubAdapter', recordedAt: '2026-01-02T15:00:00.000Z' }),
+            entry('ES', 101),
+            entry('ES', 102),
+            entry('NQ', 201)
+        ].join('\n') + '\n');
+    });
+
+    afterAll(() => rm(root, { recursive: true, force: true }));
+
+    it('should replay a cassette from its first call, without a fallback', async () => {
+        const adapter = await new AdapterFactory(root).loadAdapter('4', {});
+
+        expect(adapter.labels).toEqual(['4:CassetteReplayAdapter']);
+        expect((await adapter.fetchQuote('ES')).price).toBe(101);
+        expect((await adapter.fetchQuote('ES')).price).toBe(102);
+        expect(await adapter.fetchQuote('NQ')).toMatchObject({ price: 201, servedBy: '4:CassetteReplayAdapter' });
+        await expect(adapter.fetchQuote('SPX')).rejects.toMatchObject({ code: 'SYMBOL_NOT_FOUND' });
+    });
+
+    it('should record canonical symbols, so a cassette replays under the symbols that were asked for', async () => {
+        const live = await new AdapterFactory(root).loadAdapter('1', {}, { record: true, fallback: false });
+        await live.fetchQuote('SPX');
+
+        const [recording] = await readdir(join(root, 'logs', 'cassettes'));
+        const lines = (await readFile(join(root, 'logs', 'cassettes', recording), 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+        expect(lines[1]).toMatchObject({ symbol: 'SPX', quote: { symbol: 'SPX' } });
+        await writeFile(join(root, 'cassettes', 'recorded.jsonl'), lines.map(line => JSON.stringify(line)).join('\n'));
+
+        const replay = await new AdapterFactory(root).loadAdapter('3', {});
+        expect(await replay.fetchQuote('SPX')).toMatchObject({ symbol: 'SPX', price: 1, servedBy: '3:CassetteReplayAdapter' });
+        expect(await replay.fetchQuote('^GSPC')).toMatchObject({ symbol: 'SPX', price: 1 });
+    });
+});
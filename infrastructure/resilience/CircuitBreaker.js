@@ -0,0 +1,129 @@
+/**
+ * @fileoverview CircuitBreaker
+ * Classic three-state breaker guarding an unreliable dependency.
+ * * STATES:
+ * - CLOSED: Calls flow; consecutive failures are counted. Errors flagged
+ *   retryable === false (unknown symbol, bad input) are the dependency
+ *   answering, so they are passed through and settle the breaker like a
+ *   success: they reset the count and close a HALF_OPEN probe.
+ * - OPEN: Calls fail fast until resetTimeoutMs has elapsed.
+ * - HALF_OPEN: A limited number of probe calls decide whether to close again.
+ */
+
+import { ProviderUnavailableError } from '../../domain/errors/DomainErrors.js';
+
+export const CircuitState = Object.freeze({
+    CLOSED: 'CLOSED',
+    OPEN: 'OPEN',
+    HALF_OPEN: 'HALF_OPEN'
+});
+
+/**
+ * Thrown when a call is rejected without reaching the dependency.
+ * To callers this is simply an unavailable provider.
+ */
+export class CircuitOpenError extends ProviderUnavailableError {
+    constructor(name, retryInMs) {
+        const retryInSeconds = Math.max(0, Math.ceil(retryInMs / 1000));
+        super(`Circuit "${name}" is open; retry in ${retryInSeconds}s.`, {
+            hint: `${name} failed repeatedly and is being rested; it is probed again in ${retryInSeconds}s.`
+        });
+        this.retryInMs = retryInMs;
+    }
+}
+
+export class CircuitBreaker {
+    #state = CircuitState.CLOSED;
+    #failures = 0;
+    #openedAt = 0;
+    #probesInFlight = 0;
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name='default'] - Label used in errors and state-change events.
+     * @param {number} [options.failureThreshold=5] - Consecutive failures that trip the breaker.
+     * @param {number} [options.resetTimeoutMs=30000] - Time spent OPEN before probing.
+     * @param {number} [options.halfOpenMaxCalls=1] - Concurrent probes allowed while HALF_OPEN.
+     * @param {function({from: string, to: string, name: string}): void} [options.onStateChange] - Transition hook.
+     * @param {function(): number} [options.clock=Date.now] - Time source (injectable for tests).
+     */
+    constructor({ name = 'default', failureThreshold = 5, resetTimeoutMs = 30000, halfOpenMaxCalls = 1, onStateChange = () => {}, clock = Date.now } = {}) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.halfOpenMaxCalls = halfOpenMaxCalls;
+        this.onStateChange = onStateChange;
+        this.clock = clock;
+    }
+
+    /**
+     * Current state, promoting OPEN to HALF_OPEN once the reset timeout has passed.
+     * @returns {string} One of CircuitState.
+     */
+    get state() {
+        if (this.#state === CircuitState.OPEN && this.clock() - this.#openedAt >= this.resetTimeoutMs) {
+            this.#transition(CircuitState.HALF_OPEN);
+        }
+        return this.#state;
+    }
+
+    /**
+     * Runs an operation under breaker protection.
+     * @template T
+     * @param {function(): Promise<T>} operation
+     * @returns {Promise<T>}
+     * @throws {CircuitOpenError} When the breaker rejects the call.
+     */
+    async execute(operation) {
+        const state = this.state;
+
+        if (state === CircuitState.OPEN) {
+            throw new CircuitOpenError(this.name, this.resetTimeoutMs - (this.clock() - this.#openedAt));
+        }
+        if (state === CircuitState.HALF_OPEN && this.#probesInFlight >= this.halfOpenMaxCalls) {
+            throw new CircuitOpenError(this.name, 0);
+        }
+
+        const isProbe = state === CircuitState.HALF_OPEN;
+        if (isProbe) this.#probesInFlight++;
+
+        try {
+            const result = await operation();
+            this.#onSuccess();
+            return result;
+        } catch (error) {
+            if (error?.retryable === false) this.#onSuccess();
+            else this.#onFailure();
+            throw error;
+        } finally {
+            if (isProbe) this.#probesInFlight--;
+        }
+    }
+
+    /** @private */
+    #onSuccess() {
+        this.#failures = 0;
+        if (this.#state !== CircuitState.CLOSED) {
+            this.#transition(CircuitState.CLOSED);
+        }
+    }
+
+    /** @private */
+    #onFailure() {
+        this.#failures++;
+        // A failed probe re-opens immediately; otherwise wait for the threshold
+        if (this.#state === CircuitState.HALF_OPEN || this.#failures >= this.failureThreshold) {
+            this.#openedAt = this.clock();
+            if (this.#state !== CircuitState.OPEN) {
+                this.#transition(CircuitState.OPEN);
+            }
+        }
+    }
+
+    /** @private */
+    #transition(to) {
+        const from = this.#state;
+        this.#state = to;
+        this.onStateChange({ from, to, name: this.name });
+    }
+}
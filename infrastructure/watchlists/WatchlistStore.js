@@ -0,0 +1,150 @@
+/**
+ * @fileoverview WatchlistStore
+ * Saved watchlists, one JSON file per list under <project root>/watchlists/
+ * (Watchlist.toJSON(): {name, symbols, lastResults, updatedAt}). The files
+ * are plain JSON and safe to edit by hand; writes go through a temporary
+ * file and a rename, so an interrupted save never leaves half a list.
+ */
+
+import { mkdir, readdir, readFile, rename, unlink, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { Watchlist, WATCHLIST_NAME_PATTERN } from '../../domain/entities/Watchlist.js';
+import { InvalidConfigError, ValidationError } from '../../domain/errors/DomainErrors.js';
+
+/**
+ * Directory, relative to the project root, that holds the lists.
+ */
+export const WATCHLIST_DIR = 'watchlists';
+
+export class WatchlistStore {
+    /**
+     * @param {string} directory - Absolute path; created on the first save.
+     */
+    constructor(directory) {
+        if (!directory) {
+            throw new Error('[WatchlistStore] Initialization failed: a directory is required.');
+        }
+        this.directory = directory;
+    }
+
+    /**
+     * @param {string} projectRoot
+     * @returns {WatchlistStore} The store under <projectRoot>/watchlists.
+     */
+    static forProject(projectRoot) {
+        return new WatchlistStore(join(projectRoot, WATCHLIST_DIR));
+    }
+
+    /**
+     * @returns {Promise<Watchlist[]>} Every saved list, by name; none when the directory does not exist yet.
+     * @throws {InvalidConfigError} If a list file is malformed.
+     */
+    async list() {
+        let files;
+        try {
+            files = await readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw new InvalidConfigError(`Unable to read watchlists in ${this.directory}: ${error.message}`, { cause: error });
+        }
+        const names = files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length)).sort();
+        return Promise.all(names.map(name => this.load(name)));
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<boolean>}
+     */
+    async has(name) {
+        try {
+            await readFile(this.#pathFor(name));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<Watchlist>}
+     * @throws {ValidationError} If the name is invalid or no such list is saved.
+     * @throws {InvalidConfigError} If the file is malformed.
+     */
+    async load(name) {
+        const path = this.#pathFor(name);
+        let raw;
+        try {
+            raw = await readFile(path, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') throw notFound(name);
+            throw new InvalidConfigError(`Unable to read watchlist ${path}: ${error.message}`, { cause: error });
+        }
+        try {
+            const document = JSON.parse(raw);
+            // The file name wins over a stale name field inside it
+            return new Watchlist({ ...document, name: normalize(name) });
+        } catch (error) {
+            throw new InvalidConfigError(`Malformed watchlist ${path}: ${error.message}`, {
+                hint: 'Fix the file by hand, or delete it and create the list again.',
+                cause: error
+            });
+        }
+    }
+
+    /**
+     * Writes the list, replacing any saved one of the same name.
+     * @param {Watchlist} watchlist
+     * @returns {Promise<void>}
+     */
+    async save(watchlist) {
+        const path = this.#pathFor(watchlist.name);
+        await mkdir(this.directory, { recursive: true });
+        const temporary = `${path}.${process.pid}.tmp`;
+        await writeFile(temporary, JSON.stringify(watchlist, null, 2) + '\n', 'utf8');
+        await rename(temporary, path);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<void>}
+     * @throws {ValidationError} If no such list is saved.
+     */
+    async delete(name) {
+        try {
+            await unlink(this.#pathFor(name));
+        } catch (error) {
+            if (error.code === 'ENOENT') throw notFound(name);
+            throw error;
+        }
+    }
+
+    /**
+     * Validating the name first keeps every path inside the directory.
+     * @private
+     * @throws {ValidationError}
+     */
+    #pathFor(name) {
+        const clean = normalize(name);
+        if (!WATCHLIST_NAME_PATTERN.test(clean)) {
+            throw new ValidationError(`Invalid watchlist name: "${name}"`, {
+                field: 'name',
+                hint: 'Use letters, digits, "-" and "_" (e.g., morning-futures).'
+            });
+        }
+        return join(this.directory, `${clean}.json`);
+    }
+}
+
+/** @private */
+function normalize(name) {
+    return String(name ?? '').trim().toLowerCase();
+}
+
+/** @private */
+function notFound(name) {
+    return new ValidationError(`Watchlist "${normalize(name)}" does not exist.`, {
+        field: 'name',
+        hint: 'Run "watchlist list" to see the saved watchlists, or "watchlist create" to start one.'
+    });
+}
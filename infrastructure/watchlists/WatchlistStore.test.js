@@ -0,0 +1,46 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, readdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { WatchlistStore } from './WatchlistStore.js';
+import { Watchlist } from '../../domain/entities/Watchlist.js';
+import { InvalidConfigError, ValidationError } from '../../domain/errors/DomainErrors.js';
+
+describe('WatchlistStore', () => {
+    let root;
+
+    afterEach(async () => {
+        if (root) await rm(root, { recursive: true, force: true });
+        root = undefined;
+    });
+
+    it('should save, list, load and delete watchlists under the project root', async () => {
+        root = await mkdtemp(join(tmpdir(), 'plnexus-watchlists-'));
+        const store = WatchlistStore.forProject(root);
+        expect(await store.list()).toEqual([]);
+
+        await store.save(new Watchlist({ name: 'tech', symbols: ['AAPL'] }));
+        await store.save(new Watchlist({ name: 'morning', symbols: ['SPX', 'ES'] }).withResults([
+            { symbol: 'SPX', price: 7000, changePercent: 0.4, timestamp: 1767625200000, source: 'Stub' }
+        ], 1767625201000));
+
+        expect((await store.list()).map(({ name }) => name)).toEqual(['morning', 'tech']);
+        const loaded = await store.load('MORNING');
+        expect(loaded.lastResults.SPX).toEqual({ price: 7000, changePercent: 0.4, capturedAt: 1767625200000, source: 'Stub' });
+        expect(await readdir(join(root, 'watchlists'))).toEqual(['morning.json', 'tech.json']);
+
+        await store.delete('tech');
+        expect(await store.has('tech')).toBe(false);
+        await expect(store.load('tech')).rejects.toThrow(ValidationError);
+    });
+
+    it('should reject names that escape the directory and report malformed files', async () => {
+        root = await mkdtemp(join(tmpdir(), 'plnexus-watchlists-'));
+        const store = WatchlistStore.forProject(root);
+
+        await expect(store.load('../secrets')).rejects.toThrow(ValidationError);
+        await store.save(new Watchlist({ name: 'broken' }));
+        await writeFile(join(root, 'watchlists', 'broken.json'), '{"symbols": "SPX"}');
+        await expect(store.load('broken')).rejects.toThrow(InvalidConfigError);
+    });
+});
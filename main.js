@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 /**
  * @fileoverview 
  * PLNexus Market Discovery Tool - Core Orchestrator
@@ -31,125 +32,209 @@ dotenv.config({ path: join(PROJECT_ROOT, '.env') });
 
 // --- 2. ARCHITECTURAL LAYER IMPORTS ---
 // Cross-Cutting Concerns (Observability)
-import { logger } from '#logger';
+import { logger, configureConsoleOutput } from '#logger';
 import { tracer } from '#tracer';
 
-// Domain Layer (Business Logic)
-import { GetMarketSnapshot } from './domain/use-cases/GetMarketSnapshot.js';
-
 // Infrastructure Layer (Driving & Outbound Adapters)
 import { ConsoleAdapter } from './infrastructure/adapters/cli/ConsoleAdapter.js';
+import { PresenterFactory } from './infrastructure/adapters/cli/presenters/PresenterFactory.js';
 import { EnvironmentService } from './infrastructure/config/EnvironmentService.js';
 import { MenuSystem } from './infrastructure/adapters/cli/MenuSystem.js';
 import { AdapterFactory } from './infrastructure/factories/AdapterFactory.js';
+import { ExitCode, exitCodeFor } from './infrastructure/adapters/cli/ExitCodes.js';
+
+// Command Layer (one registry drives parsing and --help)
+import { CommandRegistry } from './infrastructure/adapters/cli/commands/CommandRegistry.js';
+import { GLOBAL_OPTIONS, GLOBAL_CONFLICTS, resolveFormat } from './infrastructure/adapters/cli/commands/CliOptions.js';
+import { QuoteCommand } from './infrastructure/adapters/cli/commands/QuoteCommand.js';
+import { HistoryCommand } from './infrastructure/adapters/cli/commands/HistoryCommand.js';
+import { WatchCommand } from './infrastructure/adapters/cli/commands/WatchCommand.js';
+import { AdaptersListCommand, AdaptersConformanceCommand } from './infrastructure/adapters/cli/commands/AdapterCommands.js';
+import { ManifestValidateCommand } from './infrastructure/adapters/cli/commands/ManifestCommands.js';
+import { TraceCommand } from './infrastructure/adapters/cli/commands/TraceCommand.js';
+import { ServeCommand } from './infrastructure/adapters/cli/commands/ServeCommand.js';
+import { GexCommand } from './infrastructure/adapters/cli/commands/GexCommand.js';
+import { PortfolioCommand } from './infrastructure/adapters/cli/commands/PortfolioCommand.js';
+import { AlertsWatchCommand, AlertsReceiveCommand } from './infrastructure/adapters/cli/commands/AlertCommands.js';
+import {
+    WatchlistCreateCommand, WatchlistAddCommand, WatchlistRemoveCommand, WatchlistDeleteCommand, WatchlistListCommand, WatchlistRunCommand
+} from './infrastructure/adapters/cli/commands/WatchlistCommands.js';
+import { WatchlistStore } from './infrastructure/watchlists/WatchlistStore.js';
 
 /**
- * Provides user-facing guidance for CLI-driven execution.
- * Invoked via -h or --help flags.
+ * Appended to the top-level --help.
  */
-function displayHelp() {
-    console.log(`
-PLNEXUS MARKET DISCOVERY TOOL
------------------------------
-USAGE: node main.js [FLAGS] [SYMBOL]
-
-FLAGS:
-  -h, --help      Display this guide
-  --live          Connect to live market providers (Finnhub)
-  --mock          Use local simulated data providers
-    `);
-    process.exit(0);
-}
+const HELP_EPILOG = `EXIT CODES:
+  0  Success                      5  Provider rejected credentials
+  1  Unexpected failure           6  Provider rate limit reached
+  2  Invalid input                7  Provider timed out
+  3  Unknown symbol               8  Provider unavailable
+  4  Invalid configuration
+
+EXAMPLES:
+  plnexus --mock SPX
+  plnexus quote --mock SPX,ES,NDX
+  plnexus --symbol=LOW --mode=1
+  plnexus watch --mock --interval 2s SPX,ES
+  plnexus history --mock --resolution=60 --from=2026-01-05 SPX
+  plnexus gex --mock SPX
+  plnexus portfolio --mock ./positions.csv
+  plnexus watchlist create morning SPX,ES,NQ && plnexus watchlist run --mock morning
+  plnexus alerts watch --mock --webhook http://127.0.0.1:9099/alerts
+  plnexus serve --mock --port 8080
+  plnexus --mock --json SPX | jq .price`;
+
+/**
+ * Every command the CLI understands. Legacy spellings keep working:
+ * '--watch' and '--history' select their commands when none is named.
+ */
+const registry = new CommandRegistry({
+    program: 'plnexus',
+    defaultCommand: QuoteCommand.name,
+    globalOptions: GLOBAL_OPTIONS,
+    globalConflicts: GLOBAL_CONFLICTS,
+    epilog: HELP_EPILOG
+})
+    .register(QuoteCommand)
+    .register(HistoryCommand)
+    .register(WatchCommand)
+    .register(GexCommand)
+    .register(PortfolioCommand)
+    .register(WatchlistCreateCommand)
+    .register(WatchlistAddCommand)
+    .register(WatchlistRemoveCommand)
+    .register(WatchlistDeleteCommand)
+    .register(WatchlistListCommand)
+    .register(WatchlistRunCommand)
+    .register(AlertsWatchCommand)
+    .register(AlertsReceiveCommand)
+    .register(ServeCommand)
+    .register(AdaptersListCommand)
+    .register(AdaptersConformanceCommand)
+    .register(ManifestValidateCommand)
+    .register(TraceCommand);
+
+/**
+ * Cleanup registered by long-running commands (watch sessions, manifest
+ * watchers, the HTTP server). Held at module scope so the SIGINT handler
+ * can run it in order.
+ * @type {Array<function(): Promise<void>>}
+ */
+const shutdownHooks = [];
+
+/**
+ * The presenter chosen by --format. Module scope lets the failure boundary
+ * report errors in the same format as the data.
+ * @type {Object|null}
+ */
+let presenter = null;
 
 /**
  * Application Entry Point (Bootstrap)
  * Coordinates the transition from Infrastructure to Domain layers.
  */
 async function bootstrap() {
+    const args = process.argv.slice(2);
+
+    // --- 3. INPUT CAPTURE (Driving Adapters) ---
+    // COMMAND RESOLUTION: Unknown flags and invalid combinations fail here, before any side effect
+    const invocation = registry.parse(args);
+    if (invocation.help) {
+        console.log(registry.formatHelp(invocation.command));
+        return;
+    }
+
+    // OUTPUT SELECTION: Must precede the first log line, so machine-readable
+    // formats never see a log message on stdout
+    const format = resolveFormat(invocation.options);
+    presenter = PresenterFactory.create(format);
+    configureConsoleOutput({
+        stream: PresenterFactory.isMachineReadable(format) ? 'stderr' : 'stdout',
+        silent: invocation.options.quiet === true
+    });
+
     /** * TRACER INITIALIZATION: Must occur before logic execution to 
      * establish the Session ID (SID) and trace log files.
      */
     await tracer.initialize(PROJECT_ROOT);
     
-    // Hydrate system configurations and initialize the primary view
+    // Hydrate system configurations
     EnvironmentService.hydrate();
-    const consoleView = new ConsoleAdapter();
-    
-    // Execution Context: State container for input capture
-    const context = {
-        mode: null,
-        symbol: null,
-        isAutomated: process.argv.slice(2).length > 0
-    };
 
-    // --- 3. INPUT CAPTURE (Driving Adapters) ---
-    const args = process.argv.slice(2);
-    
-    if (args.includes('--help') || args.includes('-h')) {
-        displayHelp();
-    }
+    // Manifest defaults (fallbackMode, defaultSymbol) replace hardcoded values.
+    // A broken manifest is reported by loadAdapter() with full context later.
+    const factory = new AdapterFactory(PROJECT_ROOT);
+    const defaults = await factory.getDefaults().catch(() => ({}));
 
-    if (context.isAutomated) {
-        // AUTOMATED STRATEGY: Resolves mode and symbol from CLI arguments
-        context.mode = args.includes('--mock') ? '2' : (args.includes('--live') ? '1' : null);
-        context.symbol = args.find(arg => !arg.startsWith('--') && !arg.startsWith('-'));
-    } else {
-        // INTERACTIVE STRATEGY: Delegates to the MenuSystem driving adapter
-        const menu = new MenuSystem();
-        try {
-            // Observed Interaction: Captured as a CLI-layer trace span
-            const selection = await tracer.traceSpan('CLI', 'USER_INTERACTION', () => menu.getInitialSelection());
-            context.mode = selection.mode;
-            context.symbol = selection.symbol;
-        } catch (error) {
-            logger.error("Terminal Menu System failure", { error: error.message });
-            process.exit(1);
-        } finally {
-            menu.close(); // Ensure terminal resources are released
-        }
-    }
+    // INTERACTIVE STRATEGY: A bare invocation delegates to the MenuSystem,
+    // whose selection runs through the same 'quote' (or 'watchlist run') command as the flags would
+    const { command, options, positionals, given } = args.length > 0
+        ? invocation
+        : await promptForQuote(defaults);
 
     // --- 4. EXECUTION PHASE (Observed Flow) ---
-    /**
-     * BOOTSTRAP_SEQUENCE: Tracks the 'Velocity vs. Reliability' of the 
-     * adapter loading and use-case execution phases.
-     */
-    await tracer.traceSpan('SYSTEM', 'BOOTSTRAP_SEQUENCE', async () => {
-        
-        // ADAPTER INJECTION: Factory resolves the outbound port implementation
-        const factory = new AdapterFactory(PROJECT_ROOT);
-        const adapter = await factory.loadAdapter(context.mode, EnvironmentService);
-
-        /**
-         * DOMAIN ORCHESTRATION:
-         * We initialize the Use Case with the selected adapter. 
-         * Note: Validation logic and domain-specific tracing now reside 
-         * within the GetMarketSnapshot service to maintain boundary integrity.
-         */
-        const useCase = new GetMarketSnapshot(adapter, tracer);
-        const sanitizedSymbol = context.symbol?.toUpperCase() || 'SPX'; 
-        
-        // Provide immediate narrative feedback to the operator
-        logger.info(`Initiating Market Snapshot...`, { symbol: sanitizedSymbol, mode: context.mode });
-        
-        // Trigger the use case (Passing 'mode' ensures trace context continuity)
-        const quote = await useCase.execute(sanitizedSymbol, context.mode);
-        
-        // Render results via the secondary driving adapter
-        consoleView.render(quote);
-
-    }, { mode: context.mode, symbol: context.symbol });
+    await command.run({
+        options,
+        positionals,
+        given,
+        factory,
+        environment: EnvironmentService,
+        tracer,
+        presenter,
+        defaults,
+        onShutdown: hook => shutdownHooks.push(hook)
+    });
+}
+
+/**
+ * Runs the interactive menu and turns the selection into a 'quote' invocation,
+ * or a 'watchlist run' one when a saved watchlist was picked.
+ * @param {{fallbackMode?: string, defaultSymbol?: string}} defaults - Manifest defaults.
+ * @returns {Promise<Object>} A parsed invocation, as returned by CommandRegistry.parse().
+ */
+async function promptForQuote(defaults) {
+    // A broken watchlist file must not block free-form entry
+    const watchlists = await WatchlistStore.forProject(PROJECT_ROOT).list().catch(() => []);
+    const menu = new MenuSystem({ defaultMode: defaults.fallbackMode, defaultSymbol: defaults.defaultSymbol, watchlists });
+    try {
+        // Observed Interaction: Captured as a CLI-layer trace span
+        const selection = await tracer.traceSpan('CLI', 'USER_INTERACTION', () => menu.getInitialSelection());
+        if (selection.watchlist) {
+            return registry.parse([...WatchlistRunCommand.name.split(' '), '--mode', selection.mode, selection.watchlist]);
+        }
+        return registry.parse([QuoteCommand.name, '--mode', selection.mode, ...(selection.symbol ? ['--symbol', selection.symbol] : [])]);
+    } catch (error) {
+        logger.error("Terminal Menu System failure", { error: error.message });
+        process.exit(ExitCode.FAILURE);
+    } finally {
+        menu.close(); // Ensure terminal resources are released
+    }
 }
 
 // --- 5. GLOBAL LIFECYCLE MANAGEMENT ---
 /**
  * SIGNAL HANDLING: Ensures the application exits gracefully on SIGINT (Ctrl+C).
  */
-process.on('SIGINT', () => {
-    console.log("\n[SIGINT] Terminating PLNexus...");
+process.on('SIGINT', async () => {
+    // stderr, so machine-readable stdout ends on a complete record
+    console.error("\n[SIGINT] Terminating PLNexus...");
+    // Let an active watch session finish its in-flight poll and log its shutdown
+    for (const hook of shutdownHooks) await hook();
     process.exit(0);
 });
 
+/**
+ * FAILURE BOUNDARY: Anything bootstrap() could not handle ends the run here.
+ * Typed domain errors get their code, hint and a distinct exit code;
+ * the full error (with cause) goes to the log file for troubleshooting.
+ * @param {Error} error
+ */
+function handleFatalError(error) {
+    logger.error(`Run failed: ${error.message}`, { code: error.code, cause: error.cause?.message });
+    (presenter ?? new ConsoleAdapter()).renderError(error);
+    process.exit(exitCodeFor(error));
+}
+
 /**
  * ERROR BOUNDARY: Captures unhandled promise rejections to prevent silent failures.
  */
@@ -159,4 +244,4 @@ process.on('unhandledRejection', (reason) => {
 });
 
 // Launch the application
-bootstrap();
+bootstrap().catch(handleFatalError);
@@ -0,0 +1,248 @@
+/**
+ * shared/TraceExporters.js
+ * Where Tracer sends what it records. Every exporter sees each event line
+ * (event()) and each finished span (spanEnded()) and keeps what its format
+ * needs. Exporters never throw: a failing exporter is logged and skipped.
+ * * Selected with TRACE_EXPORTERS (comma-separated, default 'jsonl'):
+ * - jsonl: the `{ts, sid, lyr, evt, dat, tid, spn, psn}` lines the trace
+ *   command, the bats suites and jq read (logs/traces/<ns>-<date>.trace.log).
+ * - otlp:  one OTLP/JSON ExportTraceServiceRequest per finished span
+ *   (logs/traces/<ns>-<date>.otlp.jsonl), the format an OpenTelemetry
+ *   Collector's otlpjsonfile receiver ingests.
+ * - otlp-http: the same requests POSTed to a collector's OTLP/HTTP receiver
+ *   (OTEL_EXPORTER_OTLP_ENDPOINT, default http://localhost:4318).
+ */
+
+import { appendFile } from 'fs/promises';
+import { join } from 'path';
+import { logger } from '#logger';
+import { SpanStatus } from './TraceSpan.js';
+
+export const TRACE_EXPORTERS = Object.freeze(['jsonl', 'otlp', 'otlp-http']);
+
+const SCOPE_NAME = 'plnexus.tracer';
+const OTLP_HTTP_TIMEOUT_MS = 5000;
+// OTLP enum values (opentelemetry-proto trace.proto)
+const SPAN_KIND_INTERNAL = 1;
+const SPAN_KIND_SERVER = 2;
+const STATUS_CODES = Object.freeze({ [SpanStatus.UNSET]: 0, [SpanStatus.OK]: 1, [SpanStatus.ERROR]: 2 });
+
+/**
+ * Interface every exporter implements; the defaults ignore the call.
+ */
+export class TraceExporter {
+    /**
+     * @param {{ts: string, sid: string, lyr: string, evt: string, dat: Object, tid?: string, spn?: string, psn?: string}} entry
+     * @returns {Promise<void>}
+     */
+    async event(entry) {}
+
+    /**
+     * @param {import('./TraceSpan.js').TraceSpan} span - Ended span.
+     * @param {{sessionId: string}} context
+     * @returns {Promise<void>}
+     */
+    async spanEnded(span, context) {}
+}
+
+/**
+ * The line-per-event log Tracer has always written.
+ */
+export class JsonlTraceExporter extends TraceExporter {
+    /**
+     * @param {string} filePath - Absolute path of the .trace.log file.
+     */
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+    }
+
+    async event(entry) {
+        await appendFile(this.filePath, JSON.stringify(entry) + '\n', 'utf8');
+    }
+}
+
+/**
+ * Keeps entries and finished spans in memory, for tests and embedders that
+ * inspect a run instead of reading files.
+ */
+export class MemoryTraceExporter extends TraceExporter {
+    constructor() {
+        super();
+        /** @type {Object[]} Event entries, oldest first. */
+        this.entries = [];
+        /** @type {import('./TraceSpan.js').TraceSpan[]} In the order they ended (children before parents). */
+        this.spans = [];
+    }
+
+    async event(entry) {
+        this.entries.push(entry);
+    }
+
+    async spanEnded(span) {
+        this.spans.push(span);
+    }
+
+    /**
+     * @returns {string[]} Event names in the order they were recorded.
+     */
+    get events() {
+        return this.entries.map(({ evt }) => evt);
+    }
+
+    /**
+     * Forgets everything kept so far.
+     */
+    clear() {
+        this.entries.length = 0;
+        this.spans.length = 0;
+    }
+}
+
+/**
+ * Shared OTLP/JSON encoding: one ExportTraceServiceRequest per finished span.
+ * Events recorded outside any span have no OTLP home and are not exported.
+ */
+export class OtlpTraceExporter extends TraceExporter {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.resource={}] - Extra resource attributes (service.name is always set).
+     * @param {string} [options.scopeVersion] - Instrumentation scope version (Tracer's TRACER_VERSION).
+     */
+    constructor({ resource = {}, scopeVersion } = {}) {
+        super();
+        this.resource = resource;
+        this.scope = Object.freeze(scopeVersion ? { name: SCOPE_NAME, version: scopeVersion } : { name: SCOPE_NAME });
+    }
+
+    /**
+     * @param {import('./TraceSpan.js').TraceSpan} span
+     * @param {string} sessionId
+     * @returns {Object} An ExportTraceServiceRequest holding the one span.
+     */
+    toRequest(span, sessionId) {
+        const otlpSpan = {
+            traceId: span.traceId,
+            spanId: span.spanId,
+            name: span.label,
+            kind: span.layer === 'HTTP' ? SPAN_KIND_SERVER : SPAN_KIND_INTERNAL,
+            startTimeUnixNano: toUnixNano(span.startMs),
+            endTimeUnixNano: toUnixNano(span.endMs),
+            attributes: toAttributes({ 'plnexus.layer': span.layer, ...span.attributes }),
+            events: span.events.map(({ name, timeMs, attributes }) => ({
+                timeUnixNano: toUnixNano(timeMs),
+                name,
+                attributes: toAttributes(attributes)
+            })),
+            status: {
+                code: STATUS_CODES[span.status.code],
+                ...(span.status.message ? { message: span.status.message } : {})
+            }
+        };
+        if (span.parentSpanId) otlpSpan.parentSpanId = span.parentSpanId;
+
+        return {
+            resourceSpans: [{
+                resource: { attributes: toAttributes({ 'service.name': 'plnexus', 'plnexus.session.id': sessionId, ...this.resource }) },
+                scopeSpans: [{ scope: this.scope, spans: [otlpSpan] }]
+            }]
+        };
+    }
+}
+
+/**
+ * Finished spans as OTLP/JSON, one ExportTraceServiceRequest per line.
+ */
+export class OtlpJsonFileExporter extends OtlpTraceExporter {
+    /**
+     * @param {string} filePath - Absolute path of the .otlp.jsonl file.
+     * @param {Object} [options] - See OtlpTraceExporter.
+     */
+    constructor(filePath, options) {
+        super(options);
+        this.filePath = filePath;
+    }
+
+    async spanEnded(span, { sessionId }) {
+        await appendFile(this.filePath, JSON.stringify(this.toRequest(span, sessionId)) + '\n', 'utf8');
+    }
+}
+
+/**
+ * Finished spans POSTed to a collector's OTLP/HTTP receiver as JSON.
+ * A refused or unanswered export throws, which Tracer logs and skips.
+ */
+export class OtlpHttpExporter extends OtlpTraceExporter {
+    /**
+     * @param {string} endpoint - Collector base URL; requests go to <endpoint>/v1/traces.
+     * @param {Object} [options] - See OtlpTraceExporter.
+     */
+    constructor(endpoint, options) {
+        super(options);
+        this.url = new URL('v1/traces', endpoint.endsWith('/') ? endpoint : `${endpoint}/`).href;
+    }
+
+    async spanEnded(span, { sessionId }) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(this.toRequest(span, sessionId)),
+            signal: AbortSignal.timeout(OTLP_HTTP_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`Collector at ${this.url} answered ${response.status}`);
+        }
+    }
+}
+
+/**
+ * Builds the exporters named in TRACE_EXPORTERS. Unknown names are logged
+ * and skipped; with nothing usable left, JSONL is used.
+ * @param {string[]} names - e.g., ['jsonl', 'otlp'].
+ * @param {Object} params
+ * @param {string} params.traceDir - Directory for the files (logs/traces).
+ * @param {string} params.baseName - '<namespace>-<YYYY-MM-DD>'.
+ * @param {string} [params.otlpEndpoint='http://localhost:4318'] - Collector base URL for otlp-http.
+ * @param {string} [params.scopeVersion] - Version the OTLP exporters report for the tracer.
+ * @returns {TraceExporter[]}
+ */
+export function createTraceExporters(names, { traceDir, baseName, otlpEndpoint = 'http://localhost:4318', scopeVersion }) {
+    const builders = {
+        jsonl: () => new JsonlTraceExporter(join(traceDir, `${baseName}.trace.log`)),
+        otlp: () => new OtlpJsonFileExporter(join(traceDir, `${baseName}.otlp.jsonl`), { scopeVersion }),
+        'otlp-http': () => new OtlpHttpExporter(otlpEndpoint, { scopeVersion })
+    };
+    const unknown = names.filter(name => !builders[name]);
+    if (unknown.length > 0) {
+        logger.warn(`[Tracer] Unknown trace exporter(s) ignored: ${unknown.join(', ')}. Available: ${TRACE_EXPORTERS.join(', ')}`);
+    }
+    const known = [...new Set(names.filter(name => builders[name]))];
+    return (known.length > 0 ? known : ['jsonl']).map(name => builders[name]());
+}
+
+/**
+ * OTLP/JSON encodes 64-bit integers as decimal strings.
+ * @private
+ */
+function toUnixNano(ms) {
+    return (BigInt(Math.round(ms)) * 1_000_000n).toString();
+}
+
+/**
+ * OTLP KeyValue list; nested values are flattened to JSON strings and
+ * null or undefined values are dropped.
+ * @private
+ */
+function toAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+/** @private */
+function toAnyValue(value) {
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (typeof value === 'number') return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    if (typeof value === 'string') return { stringValue: value };
+    return { stringValue: JSON.stringify(value) };
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createServer } from 'http';
+import { OtlpJsonFileExporter, JsonlTraceExporter, createTraceExporters } from './TraceExporters.js';
+import { TraceSpan, SpanStatus } from './TraceSpan.js';
+import { TRACER_VERSION } from './Tracer.js';
+
+describe('Trace exporters', () => {
+    let tempDir;
+
+    afterEach(async () => {
+        if (tempDir) await rm(tempDir, { recursive: true, force: true });
+        tempDir = null;
+    });
+
+    it('should write each finished span as an OTLP/JSON ExportTraceServiceRequest line', async () => {
+        tempDir = await mkdtemp(join(tmpdir(), 'plnexus-otlp-'));
+        const path = join(tempDir, 'plnexus-2026-01-02.otlp.jsonl');
+        let now = Date.UTC(2026, 0, 2, 14, 30);
+        const clock = () => now;
+
+        const parent = new TraceSpan({ layer: 'SYSTEM', label: 'BOOTSTRAP_SEQUENCE', clock });
+        const span = new TraceSpan({ layer: 'DOMAIN', label: 'GET_MARKET_SNAPSHOT', attributes: { symbol: 'SPX', attempt: 2, ratio: 0.5, nested: { a: 1 }, missing: null }, parent, clock });
+        now += 5;
+        span.addEvent('ADAPTER_RETRY', { attempt: 1 });
+        now += 120;
+        span.end(SpanStatus.ERROR, 'rate limited');
+
+        await new OtlpJsonFileExporter(path).spanEnded(span, { sessionId: 'K3F9Q2A' });
+
+        const [line] = (await readFile(path, 'utf-8')).trim().split('\n');
+        const { resourceSpans: [{ resource, scopeSpans: [{ scope, spans: [otlp] }] }] } = JSON.parse(line);
+        expect(resource.attributes).toContainEqual({ key: 'plnexus.session.id', value: { stringValue: 'K3F9Q2A' } });
+        expect(scope.name).toBe('plnexus.tracer');
+        expect(otlp).toMatchObject({
+            traceId: parent.traceId,
+            spanId: span.spanId,
+            parentSpanId: parent.spanId,
+            name: 'GET_MARKET_SNAPSHOT',
+            kind: 1,
+            startTimeUnixNano: '1767364200000000000',
+            endTimeUnixNano: '1767364200125000000',
+            status: { code: 2, message: 'rate limited' }
+        });
+        expect(otlp.attributes).toEqual([
+            { key: 'plnexus.layer', value: { stringValue: 'DOMAIN' } },
+            { key: 'symbol', value: { stringValue: 'SPX' } },
+            { key: 'attempt', value: { intValue: '2' } },
+            { key: 'ratio', value: { doubleValue: 0.5 } },
+            { key: 'nested', value: { stringValue: '{"a":1}' } }
+        ]);
+        expect(otlp.events).toEqual([
+            { timeUnixNano: '1767364200005000000', name: 'ADAPTER_RETRY', attributes: [{ key: 'attempt', value: { intValue: '1' } }] }
+        ]);
+    });
+
+    it('should POST each finished span to a collector stand-in under the tracer version', async () => {
+        const received = [];
+        let status = 200;
+        const collector = createServer((request, response) => {
+            let body = '';
+            request.setEncoding('utf8');
+            request.on('data', chunk => { body += chunk; });
+            request.on('end', () => {
+                received.push({ method: request.method, url: request.url, type: request.headers['content-type'], body: JSON.parse(body) });
+                response.writeHead(status, { 'Content-Type': 'application/json' }).end('{}');
+            });
+        });
+        await new Promise(resolve => collector.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const [exporter] = createTraceExporters(['otlp-http'], {
+                traceDir: '/unused',
+                baseName: 'unused',
+                otlpEndpoint: `http://127.0.0.1:${collector.address().port}`,
+                scopeVersion: TRACER_VERSION
+            });
+            const span = new TraceSpan({ layer: 'HTTP', label: 'HTTP_REQUEST', attributes: { path: '/quotes/SPX' } });
+            span.end(SpanStatus.OK);
+
+            await exporter.spanEnded(span, { sessionId: 'K3F9Q2A' });
+
+            expect(received).toHaveLength(1);
+            const [{ method, url, type, body }] = received;
+            expect({ method, url, type }).toEqual({ method: 'POST', url: '/v1/traces', type: 'application/json' });
+            const { resourceSpans: [{ resource, scopeSpans: [{ scope, spans: [otlp] }] }] } = body;
+            expect(scope).toEqual({ name: 'plnexus.tracer', version: TRACER_VERSION });
+            expect(resource.attributes).toContainEqual({ key: 'plnexus.session.id', value: { stringValue: 'K3F9Q2A' } });
+            expect(otlp).toMatchObject({ traceId: span.traceId, spanId: span.spanId, name: 'HTTP_REQUEST', kind: 2, status: { code: 1 } });
+
+            status = 503;
+            await expect(exporter.spanEnded(span, { sessionId: 'K3F9Q2A' })).rejects.toThrow('answered 503');
+        } finally {
+            await new Promise(resolve => collector.close(resolve));
+        }
+    });
+
+    it('should build the named exporters, ignoring unknown names and defaulting to JSONL', () => {
+        const params = { traceDir: '/var/traces', baseName: 'plnexus-2026-01-02' };
+
+        const both = createTraceExporters(['jsonl', 'otlp', 'zipkin'], params);
+        expect(both.map(exporter => exporter.constructor.name)).toEqual(['JsonlTraceExporter', 'OtlpJsonFileExporter']);
+        expect(both[1].filePath).toBe(join('/var/traces', 'plnexus-2026-01-02.otlp.jsonl'));
+
+        const [fallback] = createTraceExporters(['zipkin'], params);
+        expect(fallback).toBeInstanceOf(JsonlTraceExporter);
+        expect(fallback.filePath).toBe(join('/var/traces', 'plnexus-2026-01-02.trace.log'));
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * shared/TraceSpan.js
+ * One timed operation of a trace. Spans are created by Tracer.traceSpan()
+ * and carried through async calls by AsyncLocalStorage, so a span started
+ * inside another one (across awaits, timers and callbacks) becomes its child.
+ * * IDs follow W3C Trace Context / OpenTelemetry: a 16-byte trace ID shared
+ * by every span of one tree and an 8-byte span ID, both lower-case hex.
+ */
+
+import { randomBytes } from 'crypto';
+
+/**
+ * OpenTelemetry span status codes.
+ */
+export const SpanStatus = Object.freeze({
+    UNSET: 'UNSET',
+    OK: 'OK',
+    ERROR: 'ERROR'
+});
+
+export class TraceSpan {
+    /**
+     * @param {Object} params
+     * @param {string} params.layer - Architectural layer ('CLI', 'HTTP', 'DOMAIN', 'INFRA', 'SYSTEM').
+     * @param {string} params.label - Operation name (e.g., 'GET_MARKET_SNAPSHOT').
+     * @param {Object} [params.attributes={}] - Context known at the start (symbol, adapter, ...).
+     * @param {TraceSpan|null} [params.parent=null] - Enclosing span; null starts a new trace.
+     * @param {function(): number} [params.clock=Date.now]
+     */
+    constructor({ layer, label, attributes = {}, parent = null, clock = Date.now }) {
+        this.layer = layer;
+        this.label = label;
+        this.traceId = parent?.traceId ?? randomBytes(16).toString('hex');
+        this.spanId = randomBytes(8).toString('hex');
+        this.parentSpanId = parent?.spanId ?? null;
+        this.attributes = { ...attributes };
+        /** @type {Array<{name: string, timeMs: number, attributes: Object}>} Point events recorded inside the span. */
+        this.events = [];
+        this.status = { code: SpanStatus.UNSET, message: null };
+        this.clock = clock;
+        this.startMs = clock();
+        this.endMs = null;
+    }
+
+    /**
+     * Adds or overwrites attributes; they are logged with the span's end.
+     * @param {Object} attributes
+     * @returns {TraceSpan} this, for chaining.
+     */
+    setAttributes(attributes) {
+        Object.assign(this.attributes, attributes);
+        return this;
+    }
+
+    /**
+     * @param {string} name - Event name (e.g., 'ADAPTER_RETRY').
+     * @param {Object} [attributes={}]
+     */
+    addEvent(name, attributes = {}) {
+        this.events.push({ name, timeMs: this.clock(), attributes });
+    }
+
+    /**
+     * Closes the span once; later calls are ignored.
+     * @param {('OK'|'ERROR')} code
+     * @param {string|null} [message=null] - Error description for ERROR.
+     */
+    end(code, message = null) {
+        if (this.endMs !== null) return;
+        this.endMs = this.clock();
+        this.status = { code, message };
+    }
+
+    /**
+     * @returns {number|null} Milliseconds from start to end; null while open.
+     */
+    get durationMs() {
+        return this.endMs === null ? null : this.endMs - this.startMs;
+    }
+}
+
+/**
+ * Stand-in handed to traceSpan() callbacks while tracing is off, so callers
+ * can set attributes without checking whether tracing is enabled.
+ */
+export const NOOP_SPAN = Object.freeze({
+    traceId: null,
+    spanId: null,
+    parentSpanId: null,
+    setAttributes() {
+        return NOOP_SPAN;
+    },
+    addEvent() {},
+    end() {}
+});
@@ -1,30 +1,63 @@
 /**
- * @fileoverview Tracer - High-fidelity execution observability singleton.
+ * @fileoverview Tracer - High-fidelity execution observability.
  * Designed for Hexagonal Architecture to capture telemetry across Port/Adapter boundaries.
  * * Features:
  * - Atomic Writes: Uses fs/promises appendFile for thread-safe sequential logging.
  * - Session Correlation: Automatically generates a unique ID for every execution run.
  * - Non-Blocking: Logic is wrapped to ensure tracer failures never crash the main application.
  * - Higher-Order Tracing: Supports 'spans' for timing complex domain logic.
- * * @version 1.1.0
+ * - Nested Spans: trace/span/parent IDs travel through async calls (AsyncLocalStorage),
+ *   so CLI, SYSTEM, DOMAIN and INFRA spans of one run link into a single tree.
+ * - Pluggable Export: JSONL lines by default, OTLP/JSON files or OTLP/HTTP on request (TRACE_EXPORTERS).
+ * - Isolated Instances: createTracer() builds tracers with their own exporters,
+ *   clock and switches (tests, embedding); `tracer` is the application's default.
+ * * @version See TRACER_VERSION, which OTLP exporters also report as the scope version.
  * @author Gemini Thought Partner
  */
 
-import { appendFile, mkdir } from 'fs/promises';
+import { mkdir } from 'fs/promises';
 import { join } from 'path';
-import { logger } from '#logger';
+import { AsyncLocalStorage } from 'async_hooks';
+import { logger as defaultLogger } from '#logger';
+import { TraceSpan, SpanStatus, NOOP_SPAN } from './TraceSpan.js';
+import { createTraceExporters } from './TraceExporters.js';
 import { EnvironmentService } from '../infrastructure/config/EnvironmentService.js';
 
 const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3};
 
+/** The tracer's version; the single source for docs and the OTLP instrumentation scope. */
+export const TRACER_VERSION = '1.3.0';
+
 /**
  * Tracer Class - Manages the lifecycle of execution traces.
  */
 class Tracer {
+    /** Span of the code currently running, carried across awaits. */
+    #context = new AsyncLocalStorage();
+    /** @type {import('./TraceExporters.js').TraceExporter[]|null} Built on first use, after .env is loaded. */
+    #exporters;
+    /** @type {boolean|undefined} */
+    #enabled;
+    /** @type {string|undefined} */
+    #level;
+    /** @type {function(): number} */
+    #clock;
+    /** @type {string|undefined} */
+    #sessionId;
+    /** @type {import('winston').Logger} */
+    #logger;
+
     /**
      * @private
+     * @param {TracerOptions} [options]
      */
-    constructor() {
+    constructor({ enabled, level, exporters = null, clock = Date.now, sessionId, logger = defaultLogger } = {}) {
+        this.#enabled = enabled;
+        this.#level = level;
+        this.#exporters = exporters;
+        this.#clock = clock;
+        this.#sessionId = sessionId;
+        this.#logger = logger;
         /** @type {string|null} */
         this.projectRoot = null;
         /** @type {string|null} */
@@ -33,33 +66,41 @@ class Tracer {
         this.isInitialized = false;
         /** @type {string|null} */
         this.sessionID = null;
+        /** @type {string|null} Directory holding every exporter's files. */
+        this.traceDir = null;
+        /** @type {string|null} File name stem shared by the exporters ('<namespace>-<YYYY-MM-DD>'). */
+        this.baseName = null;
     }
 
     /**
      * Initializes the tracing engine and ensures the log directory exists.
-     * @param {string} projectRoot - Absolute path provided by main.js.
+     * A tracer given its own exporters needs no directory.
+     * @param {string|null} [projectRoot=null] - Absolute path provided by main.js.
      * @param {string} [namespace='plnexus'] - Prefix for the trace file name.
      * @returns {Promise<void>}
      */
-    async initialize(projectRoot, namespace = 'plnexus') {
+    async initialize(projectRoot = null, namespace = 'plnexus') {
         if (this.isInitialized) return;
 
         try {
             this.projectRoot = projectRoot;
             // Generate a unique Session ID to correlate logs for a single execution
-            this.sessionID = Math.random().toString(36).substring(2, 9).toUpperCase();
-            
-            const traceDir = join(this.projectRoot, 'logs', 'traces');
-            
-            // Ensure directory exists (Recursive creates parent logs/ if missing)
-            await mkdir(traceDir, { recursive: true });
+            this.sessionID = this.#sessionId ?? Math.random().toString(36).substring(2, 9).toUpperCase();
 
             // Rotate file by date to prevent massive single-file growth
-            //const dateStr = new Date().toISOString().split('T')[0];
-            // Change this line in initialize():
-            const dateStr = new Date().toLocaleDateString('en-CA'); // Outputs YYYY-MM-DD in local time
-            this.traceFile = join(traceDir, `${namespace}-${dateStr}.trace.log`);
-            
+            const dateStr = new Date(this.#clock()).toLocaleDateString('en-CA'); // Outputs YYYY-MM-DD in local time
+            this.baseName = `${namespace}-${dateStr}`;
+
+            if (this.projectRoot) {
+                const traceDir = join(this.projectRoot, 'logs', 'traces');
+                // Ensure directory exists (Recursive creates parent logs/ if missing)
+                await mkdir(traceDir, { recursive: true });
+                this.traceDir = traceDir;
+                this.traceFile = join(traceDir, `${this.baseName}.trace.log`);
+            } else if (!this.#exporters) {
+                throw new Error('A project root is required unless exporters are given.');
+            }
+
             this.isInitialized = true;
             
             await this.record('SYSTEM', 'TRACER_READY', { 
@@ -70,89 +111,179 @@ class Tracer {
 
         } catch (error) {
             // Fallback to standard logger if the tracer itself cannot access the disk
-            logger.error(`[Tracer] Initialization Failure: ${error.message}`);
+            this.#logger.error(`[Tracer] Initialization Failure: ${error.message}`);
         }
     }
 
     /**
-     * Records an architectural event with metadata.
-     * @param {('CLI'|'DOMAIN'|'INFRA'|'SYSTEM')} layer - The architectural layer responsible.
+     * Whether events are recorded: the `enabled` option when given, else ENABLE_TRACING.
+     * @returns {boolean}
+     */
+    get isEnabled() {
+        return this.#enabled ?? EnvironmentService.isTracingEnabled;
+    }
+
+    /**
+     * Replaces the exporters chosen by TRACE_EXPORTERS (e.g., in tests).
+     * @param {import('./TraceExporters.js').TraceExporter[]} exporters
+     */
+    useExporters(exporters) {
+        this.#exporters = exporters;
+    }
+
+    /**
+     * The span the calling code runs in, or null outside any span (or with
+     * tracing off). Use it to attach attributes discovered mid-operation.
+     * @returns {TraceSpan|null}
+     */
+    get activeSpan() {
+        return this.#context.getStore() ?? null;
+    }
+
+    /**
+     * Records an architectural event with metadata. Inside a span the entry
+     * carries its trace and span IDs, and the event is added to the span.
+     * @param {('CLI'|'HTTP'|'DOMAIN'|'INFRA'|'SYSTEM')} layer - The architectural layer responsible.
      * @param {string} event - Short, uppercase descriptor (e.g., 'GEX_CALCULATION').
      * @param {Object} [data={}] - Key-value pairs of context (symbols, paths, etc.).
      * @returns {Promise<void>}
      */
     async record(layer, event, data = {}) {
+        await this.#emit(layer, event, data, { boundary: false });
+    }
+
+    /**
+     * Wraps a function execution to trace its start, end, and duration.
+     * Ideal for monitoring performance-heavy market analysis.
+     * The span is active for everything fn() awaits, so spans opened there
+     * become its children; fn() receives it to add attributes.
+     * * @template T
+     * @param {string} layer - Architectural layer.
+     * @param {string} label - Name of the operation.
+     * @param {function(TraceSpan): Promise<T>|T} fn - The operation to execute.
+     * @param {Object} [meta={}] - Additional context (the span's starting attributes).
+     * @returns {Promise<T>}
+     */
+    async traceSpan(layer, label, fn, meta = {}) {
+        //Tracing kill switch
+        //If the tracer is switched off (option, else ENABLE_TRACING in .env)
+        //callback is executed and exit immediately
+        if (!this.isEnabled) {
+            return await fn(NOOP_SPAN);
+        }
+
+        const span = new TraceSpan({ layer, label, attributes: meta, parent: this.activeSpan, clock: this.#clock });
+        return this.#context.run(span, async () => {
+            await this.#emit(layer, `${label}_START`, meta, { boundary: true });
+
+            try {
+                const result = await fn(span);
+                span.end(SpanStatus.OK);
+                await this.#emit(layer, `${label}_COMPLETE`, {
+                    ...span.attributes,
+                    durationMs: span.durationMs
+                }, { boundary: true });
+                return result;
+            } catch (error) {
+                span.end(SpanStatus.ERROR, error.message);
+                await this.#emit(layer, `${label}_FAILED`, {
+                    ...span.attributes,
+                    durationMs: span.durationMs,
+                    error: error.message
+                }, { boundary: true });
+                throw error; // Re-throw to ensure the Domain/UseCase handles the failure
+            } finally {
+                await this.#export(exporter => exporter.spanEnded(span, { sessionId: this.sessionID }));
+            }
+        });
+    }
+
+    /**
+     * Builds the entry and hands it to every exporter.
+     * @private
+     * @param {string} layer
+     * @param {string} event
+     * @param {Object} data
+     * @param {{boundary: boolean}} options - True for a span's own START/COMPLETE/FAILED lines.
+     */
+    async #emit(layer, event, data, { boundary }) {
         // 1. Basic initialization and global kill-switch for logging: ENABLE_TRACING in .env
-        if (!this.isInitialized || !EnvironmentService.isTracingEnabled) return;
+        if (!this.isInitialized || !this.isEnabled) return;
 
         // 2. SELF-CONTAINED LEVEL CHECK
         // Default to 'info' if no level is provided in metadata
         const requestLevel = data.level || 'info';
-        const systemLevel = process.env.LOG_LEVEL || 'info';
+        const systemLevel = this.#level ?? (process.env.LOG_LEVEL || 'info');
 
         //If the request level is more verbose than the system allows, exit silently
         if (LOG_LEVELS[requestLevel] > LOG_LEVELS[systemLevel]) return;
 
         const entry = {
-            ts: new Date().toISOString(),
+            ts: new Date(this.#clock()).toISOString(),
             sid: this.sessionID,
             lyr: layer.toUpperCase(),
             evt: event.toUpperCase(),
             dat: data
         };
 
-        try {
-            // Write as a JSON-Line for easy parsing with tools like jq
-            await appendFile(this.traceFile, JSON.stringify(entry) + '\n', 'utf8');
-        } catch (error) {
-            // Fail silently regarding the app flow to maintain "Pristine" business logic
-            //console.error(`[Tracer Error]: ${error.message}`);
-            logger.error(`[Tracer Error]: ${error.message}`);
+        // 3. SPAN CONTEXT: IDs of the enclosing span (the span itself for its boundaries)
+        const span = this.activeSpan;
+        if (span) {
+            entry.tid = span.traceId;
+            entry.spn = span.spanId;
+            if (span.parentSpanId) entry.psn = span.parentSpanId;
+            if (!boundary) span.addEvent(entry.evt, data);
         }
+
+        await this.#export(exporter => exporter.event(entry));
     }
 
     /**
-     * Wraps a function execution to trace its start, end, and duration.
-     * Ideal for monitoring performance-heavy market analysis.
-     * * @template T
-     * @param {string} layer - Architectural layer.
-     * @param {string} label - Name of the operation.
-     * @param {function(): Promise<T>|T} fn - The operation to execute.
-     * @param {Object} [meta={}] - Additional context.
-     * @returns {Promise<T>}
+     * Runs one call on every exporter; failures are logged, never thrown.
+     * @private
+     * @param {function(Object): Promise<void>} call
      */
+    async #export(call) {
+        if (!this.isInitialized || !this.isEnabled) return;
+        this.#exporters ??= createTraceExporters(EnvironmentService.traceExporters, {
+            traceDir: this.traceDir,
+            baseName: this.baseName,
+            otlpEndpoint: EnvironmentService.otlpEndpoint,
+            scopeVersion: TRACER_VERSION
+        });
 
-     async traceSpan(layer, label, fn, meta = {}) {
-	    //Tracing kill switch
-            //If EnvironmentService checks .env and says false
-            //callback is executed and exit immediately
-            if (!EnvironmentService.isTracingEnabled) {
-             return await fn();
-	    }
-
-        const startTime = Date.now();
-        await this.record(layer, `${label}_START`, meta);
-        
-        try {
-            const result = await fn();
-            const duration = Date.now() - startTime;
-            
-            await this.record(layer, `${label}_COMPLETE`, { 
-                ...meta, 
-                durationMs: duration 
-            });
-            return result;
-        } catch (error) {
-            const duration = Date.now() - startTime;
-            await this.record(layer, `${label}_FAILED`, { 
-                ...meta, 
-                durationMs: duration,
-                error: error.message 
-            });
-            throw error; // Re-throw to ensure the Domain/UseCase handles the failure
+        for (const exporter of this.#exporters) {
+            try {
+                await call(exporter);
+            } catch (error) {
+                // Fail silently regarding the app flow to maintain "Pristine" business logic
+                this.#logger.error(`[Tracer Error]: ${exporter.constructor.name}: ${error.message}`);
+            }
         }
     }
 }
 
-// Export as a Singleton to maintain a single session per execution
-export const tracer = new Tracer();
+/**
+ * @typedef {Object} TracerOptions
+ * @property {boolean} [enabled] - Record events; defaults to ENABLE_TRACING, read on every call
+ *   (main.js initializes the tracer before the .env is loaded).
+ * @property {('error'|'warn'|'info'|'debug')} [level] - Most verbose level recorded; defaults to LOG_LEVEL, else 'info'.
+ * @property {import('./TraceExporters.js').TraceExporter[]} [exporters] - Sinks; defaults to TRACE_EXPORTERS files.
+ * @property {function(): number} [clock=Date.now] - Time source for entries and spans.
+ * @property {string} [sessionId] - Fixed session ID instead of a random one.
+ * @property {import('winston').Logger} [logger] - Where the tracer reports its own failures.
+ */
+
+/**
+ * Builds an independent tracer. `createTracer({ enabled: false })` is a
+ * no-op tracer that still runs spans; pair `enabled: true` with a
+ * MemoryTraceExporter to inspect what was recorded.
+ * @param {TracerOptions} [options]
+ * @returns {Tracer}
+ */
+export function createTracer(options) {
+    return new Tracer(options);
+}
+
+// Shared default to maintain a single session per execution
+export const tracer = createTracer();
@@ -0,0 +1,138 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, rm, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createTracer } from './Tracer.js';
+import { MemoryTraceExporter, JsonlTraceExporter } from './TraceExporters.js';
+import { createLogger, MemoryTransport } from './logger.js';
+
+async function memoryTracer(options = {}) {
+    const memory = new MemoryTraceExporter();
+    const tracer = createTracer({ enabled: true, exporters: [memory], sessionId: 'T3ST001', ...options });
+    await tracer.initialize();
+    memory.clear();
+    return { tracer, memory };
+}
+
+describe('Tracer spans', () => {
+    let root;
+
+    afterEach(async () => {
+        if (root) await rm(root, { recursive: true, force: true });
+        root = null;
+    });
+
+    it('should link nested spans across awaits into one trace and tag point events', async () => {
+        const { tracer, memory } = await memoryTracer();
+
+        await tracer.traceSpan('CLI', 'USER_INTERACTION', async () => {
+            await tracer.traceSpan('SYSTEM', 'BOOTSTRAP_SEQUENCE', async () => {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                await tracer.traceSpan('DOMAIN', 'GET_MARKET_SNAPSHOT', async span => {
+                    span.setAttributes({ servedBy: '2:MockMarketAdapter' });
+                    await tracer.record('INFRA', 'ADAPTER_RETRY', { attempt: 1 });
+                }, { symbol: 'SPX' });
+            }, { mode: '2' });
+        });
+
+        const [snapshot, bootstrap, interaction] = memory.spans;
+        expect(new Set(memory.spans.map(({ traceId }) => traceId)).size).toBe(1);
+        expect(interaction.parentSpanId).toBeNull();
+        expect(bootstrap.parentSpanId).toBe(interaction.spanId);
+        expect(snapshot.parentSpanId).toBe(bootstrap.spanId);
+        expect(snapshot.status).toEqual({ code: 'OK', message: null });
+        expect(snapshot.events.map(({ name }) => name)).toEqual(['ADAPTER_RETRY']);
+
+        const retry = memory.entries.find(({ evt }) => evt === 'ADAPTER_RETRY');
+        expect(retry).toMatchObject({ sid: 'T3ST001', tid: snapshot.traceId, spn: snapshot.spanId, psn: bootstrap.spanId });
+        const complete = memory.entries.find(({ evt }) => evt === 'GET_MARKET_SNAPSHOT_COMPLETE');
+        expect(complete.dat).toMatchObject({ symbol: 'SPX', servedBy: '2:MockMarketAdapter' });
+        expect(complete.dat.durationMs).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should keep concurrent spans apart and mark failures with an ERROR status', async () => {
+        const { tracer, memory } = await memoryTracer();
+
+        await Promise.allSettled([
+            tracer.traceSpan('HTTP', 'HTTP_REQUEST', () => new Promise(resolve => setTimeout(resolve, 10)), { path: '/a' }),
+            tracer.traceSpan('HTTP', 'HTTP_REQUEST', async () => {
+                throw new Error('provider down');
+            }, { path: '/b' })
+        ]);
+
+        const [failed, ok] = memory.spans;
+        expect(failed.traceId).not.toBe(ok.traceId);
+        expect([failed.parentSpanId, ok.parentSpanId]).toEqual([null, null]);
+        expect(failed.status).toEqual({ code: 'ERROR', message: 'provider down' });
+        expect(memory.entries.find(({ evt }) => evt === 'HTTP_REQUEST_FAILED').dat.error).toBe('provider down');
+    });
+
+    it('should survive a failing exporter and still write the JSONL log', async () => {
+        root = await mkdtemp(join(tmpdir(), 'plnexus-tracer-'));
+        const broken = new MemoryTraceExporter();
+        broken.event = async () => {
+            throw new Error('disk full');
+        };
+        const logs = new MemoryTransport();
+        const tracer = createTracer({ enabled: true, logger: createLogger({ console: false, logDir: null, transports: [logs] }) });
+        await tracer.initialize(root);
+        tracer.useExporters([broken, new JsonlTraceExporter(tracer.traceFile)]);
+
+        await expect(tracer.traceSpan('DOMAIN', 'GET_PRICE_HISTORY', async () => 42)).resolves.toBe(42);
+
+        const lines = (await readFile(tracer.traceFile, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+        expect(lines.map(({ evt }) => evt)).toEqual(['TRACER_READY', 'GET_PRICE_HISTORY_START', 'GET_PRICE_HISTORY_COMPLETE']);
+        lines.shift();
+        expect(lines[0].spn).toBe(lines[1].spn);
+        expect(lines[0].tid).toMatch(/^[0-9a-f]{32}$/);
+        expect(logs.records.map(({ level, message }) => [level, message])).toContainEqual(['error', '[Tracer Error]: MemoryTraceExporter: disk full']);
+    });
+});
+
+describe('createTracer', () => {
+    it('should stamp entries and spans with the injected clock', async () => {
+        let now = Date.UTC(2026, 0, 2, 14, 30);
+        const { tracer, memory } = await memoryTracer({ clock: () => now });
+
+        await tracer.traceSpan('DOMAIN', 'GET_MARKET_SNAPSHOT', async () => {
+            now += 250;
+        });
+
+        expect(memory.entries.map(({ ts }) => ts)).toEqual(['2026-01-02T14:30:00.000Z', '2026-01-02T14:30:00.250Z']);
+        expect(memory.entries[1].dat.durationMs).toBe(250);
+        expect(memory.spans[0]).toMatchObject({ startMs: Date.UTC(2026, 0, 2, 14, 30), durationMs: 250 });
+    });
+
+    it('should drop events more verbose than its level', async () => {
+        const { tracer, memory } = await memoryTracer({ level: 'warn' });
+
+        await tracer.record('INFRA', 'CACHE_HIT', { level: 'debug' });
+        await tracer.record('INFRA', 'ADAPTER_RETRY', { level: 'warn' });
+
+        expect(memory.events).toEqual(['ADAPTER_RETRY']);
+    });
+
+    it('should run spans without recording anything when disabled', async () => {
+        const memory = new MemoryTraceExporter();
+        const tracer = createTracer({ enabled: false, exporters: [memory] });
+        await tracer.initialize();
+
+        const result = await tracer.traceSpan('DOMAIN', 'GET_MARKET_SNAPSHOT', span => span.setAttributes({ a: 1 }) && 'done');
+        await tracer.record('DOMAIN', 'IGNORED');
+
+        expect(result).toBe('done');
+        expect(memory.entries).toEqual([]);
+        expect(memory.spans).toEqual([]);
+    });
+
+    it('should keep instances isolated from each other', async () => {
+        const first = await memoryTracer({ sessionId: 'FIRST01' });
+        const second = await memoryTracer({ sessionId: 'SECOND1' });
+
+        await first.tracer.record('CLI', 'ONLY_FIRST');
+
+        expect(first.memory.events).toEqual(['ONLY_FIRST']);
+        expect(second.memory.entries).toEqual([]);
+        expect([first.tracer.sessionID, second.tracer.sessionID]).toEqual(['FIRST01', 'SECOND1']);
+    });
+});
@@ -0,0 +1,19 @@
+/**
+ * shared/alertPayload.js
+ * The wire and log form of an alert, shared by the notification sinks and
+ * the machine-readable presenters so both write the same fields.
+ */
+
+/**
+ * Timestamps become ISO strings; a payload that already carries them (one
+ * read back from a webhook) passes through unchanged.
+ * @param {import('../domain/use-cases/MonitorAlerts.js').Alert} alert
+ * @returns {Object}
+ */
+export function toAlertPayload(alert) {
+    return {
+        ...alert,
+        quoteTimestamp: alert.quoteTimestamp === null ? null : new Date(alert.quoteTimestamp).toISOString(),
+        firedAt: new Date(alert.firedAt).toISOString()
+    };
+}
@@ -0,0 +1,25 @@
+/**
+ * shared/duration.js
+ * Parses human-friendly durations used by CLI flags and configuration
+ * (e.g., '500ms', '5s', '2m', '1h'). A bare number is read as seconds.
+ */
+
+const UNIT_MS = { ms: 1, s: 1000, m: 60_000, h: 3_600_000 };
+
+/**
+ * @param {string|number} input - Duration expression.
+ * @returns {number} Duration in milliseconds.
+ * @throws {Error} If the expression is malformed or not positive.
+ */
+export function parseDuration(input) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h)?\s*$/i.exec(String(input ?? ''));
+    if (!match) {
+        throw new Error(`Invalid duration "${input}". Use forms like 500ms, 5s, 2m or 1h.`);
+    }
+
+    const ms = Math.round(parseFloat(match[1]) * UNIT_MS[(match[2] || 's').toLowerCase()]);
+    if (ms <= 0) {
+        throw new Error(`Duration "${input}" must be greater than zero.`);
+    }
+    return ms;
+}
@@ -33,29 +33,83 @@ const cliFormat = printf(({ level, message, timestamp, stack, ...metadata }) =>
 });
 
 /**
- * The Production Logger Configuration
+ * Keeps log records in memory instead of writing them anywhere, so tests can
+ * assert on what was logged.
  */
-export const logger = winston.createLogger({
-    // In production, default to 'info'. Use 'debug' in dev for deep tracing.
-    level: process.env.LOG_LEVEL || 'info',
-    format: combine(
-        errors({ stack: true }), // Automatically capture and format error stacks
-        timestamp({ format: 'YYYY-MM-DD HH:mm:ss.SSS' }),
-        json() // Force JSON for all file transports for easier troubleshooting
-    ),
-    defaultMeta: { service: 'plnexus-discovery' },
-    transports: [
-        // 1. CONSOLE: Optimized for the developer's terminal
-        new winston.transports.Console({
-            format: combine(
-                colorize(),
-                cliFormat
-            )
-        }),
+export class MemoryTransport extends winston.Transport {
+    /**
+     * @param {Object} [options] - Standard winston transport options (level, format, ...).
+     */
+    constructor(options = {}) {
+        super(options);
+        /** @type {Array<{level: string, message: string, timestamp: string}>} Oldest first. */
+        this.records = [];
+    }
+
+    log(info, callback) {
+        this.records.push(info);
+        callback();
+    }
+
+    /**
+     * Forgets every record kept so far.
+     */
+    clear() {
+        this.records.length = 0;
+    }
+}
 
-        // 2. ERROR LOGS: Dedicated file for critical troubleshooting
+/**
+ * Builds an independent logger. Every option defaults to the application
+ * setup, so createLogger() alone reproduces the shared `logger`.
+ * @param {Object} [options]
+ * @param {string} [options.level] - Minimum level (default: LOG_LEVEL, else 'info').
+ * @param {boolean} [options.console=true] - Write human-readable lines to the terminal.
+ * @param {string|null} [options.logDir] - Directory for the rotating error/combined files; null writes none.
+ * @param {winston.transport[]} [options.transports=[]] - Extra sinks (e.g., a MemoryTransport).
+ * @param {function(): number} [options.clock] - Time source for timestamps (ISO format when given).
+ * @param {Object} [options.defaultMeta] - Metadata merged into every record.
+ * @returns {winston.Logger}
+ */
+export function createLogger({
+    level = process.env.LOG_LEVEL || 'info',
+    console: toConsole = true,
+    logDir = LOG_DIR,
+    transports = [],
+    clock,
+    defaultMeta = { service: 'plnexus-discovery' }
+} = {}) {
+    return winston.createLogger({
+        // In production, default to 'info'. Use 'debug' in dev for deep tracing.
+        level,
+        format: combine(
+            errors({ stack: true }), // Automatically capture and format error stacks
+            timestamp({ format: clock ? () => new Date(clock()).toISOString() : 'YYYY-MM-DD HH:mm:ss.SSS' }),
+            json() // Force JSON for all file transports for easier troubleshooting
+        ),
+        defaultMeta,
+        transports: [
+            // 1. CONSOLE: Optimized for the developer's terminal
+            ...(toConsole ? [new winston.transports.Console({ format: combine(colorize(), cliFormat) })] : []),
+            // 2. FILES: error and combined logs, rotated daily
+            ...(logDir ? fileTransports(logDir) : []),
+            ...transports
+        ],
+        // Ensure the logger doesn't exit on handled errors
+        exitOnError: false
+    });
+}
+
+/**
+ * @private
+ * @param {string} logDir
+ * @returns {winston.transport[]}
+ */
+function fileTransports(logDir) {
+    return [
+        // Dedicated file for critical troubleshooting
         new winston.transports.DailyRotateFile({
-	    dirname: LOG_DIR,
+            dirname: logDir,
             filename: 'error-%DATE%.log',
             datePattern: 'YYYY-MM-DD',
             level: 'error',
@@ -63,19 +117,40 @@ export const logger = winston.createLogger({
             zippedArchive: true
         }),
 
-        // 3. COMBINED LOGS: Every event for full request tracing
+        // Every event for full request tracing
         new winston.transports.DailyRotateFile({
-	    dirname: LOG_DIR,
+            dirname: logDir,
             filename: 'combined-%DATE%.log',
             datePattern: 'YYYY-MM-DD',
             maxSize: '20m',   // Rotate if file exceeds 20MB
             maxFiles: '14d',   // Retain 14 days of full history
             zippedArchive: true
         })
-    ],
-    // Ensure the logger doesn't exit on handled errors
-    exitOnError: false
-});
+    ];
+}
+
+/**
+ * The Production Logger Configuration, shared by the application.
+ */
+export const logger = createLogger();
+
+/**
+ * Redirects or mutes console logging without touching the file transports.
+ * Machine-readable output modes send logs to stderr so stdout carries only data;
+ * --quiet silences the console entirely.
+ * @param {Object} options
+ * @param {'stdout'|'stderr'} [options.stream='stdout'] - Where console log lines go.
+ * @param {boolean} [options.silent=false] - Drop console log lines altogether.
+ * @param {winston.Logger} [target=logger] - Logger whose console output changes.
+ */
+export const configureConsoleOutput = ({ stream = 'stdout', silent = false } = {}, target = logger) => {
+    for (const transport of target.transports.filter(transport => transport instanceof winston.transports.Console)) {
+        transport.stderrLevels = stream === 'stderr'
+            ? Object.fromEntries(Object.keys(target.levels).map(level => [level, true]))
+            : {};
+        transport.silent = silent;
+    }
+};
 
 /**
  * PRO-TIP: We export a helper to generate a unique Trace ID
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import winston from 'winston';
+import { createLogger, configureConsoleOutput, MemoryTransport } from './logger.js';
+
+describe('createLogger', () => {
+    it('should send records at or above its level to the injected sinks only', () => {
+        const memory = new MemoryTransport();
+        const log = createLogger({ level: 'warn', console: false, logDir: null, transports: [memory], clock: () => Date.UTC(2026, 0, 2, 14, 30) });
+
+        log.info('ignored');
+        log.warn('[Cache] Degraded', { adapter: 'Finnhub' });
+
+        expect(log.transports).toEqual([memory]);
+        expect(memory.records).toEqual([expect.objectContaining({
+            level: 'warn',
+            message: '[Cache] Degraded',
+            adapter: 'Finnhub',
+            timestamp: '2026-01-02T14:30:00.000Z'
+        })]);
+        memory.clear();
+        expect(memory.records).toEqual([]);
+    });
+
+    it('should redirect only the console of the logger it is given', () => {
+        const mine = createLogger({ logDir: null });
+        const other = createLogger({ logDir: null });
+
+        configureConsoleOutput({ stream: 'stderr', silent: true }, mine);
+
+        const [console] = mine.transports;
+        expect(console).toBeInstanceOf(winston.transports.Console);
+        expect(console).toMatchObject({ silent: true, stderrLevels: expect.objectContaining({ info: true, error: true }) });
+        expect(other.transports[0].silent).toBeFalsy();
+    });
+});
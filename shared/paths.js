@@ -0,0 +1,26 @@
+/**
+ * shared/paths.js
+ * Confines configured file paths to the project root, so a manifest or a
+ * rules file cannot point the application at files elsewhere on the disk.
+ */
+
+import { isAbsolute, relative, resolve } from 'path';
+import { InvalidConfigError } from '../domain/errors/DomainErrors.js';
+
+/**
+ * @param {string} root - Absolute project root.
+ * @param {string} rawPath - Relative (to root) or absolute path.
+ * @param {Object} [options]
+ * @param {string} [options.label='Path'] - Names the path in the error (e.g., 'Alert log path').
+ * @param {string} [options.hint] - Where to fix it.
+ * @returns {string} Absolute path.
+ * @throws {InvalidConfigError} If the path escapes the project root.
+ */
+export function resolveInsideRoot(root, rawPath, { label = 'Path', hint } = {}) {
+    const absolutePath = resolve(root, rawPath);
+    const fromRoot = relative(root, absolutePath);
+    if (fromRoot.startsWith('..') || isAbsolute(fromRoot)) {
+        throw new InvalidConfigError(`${label} "${rawPath}" must stay inside the project root.`, { hint });
+    }
+    return absolutePath;
+}
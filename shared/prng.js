@@ -0,0 +1,35 @@
+/**
+ * shared/prng.js
+ * Small, dependency-free pseudo-random helpers for reproducible simulations.
+ * Not suitable for anything security related.
+ */
+
+/**
+ * Hashes an arbitrary string into a 32-bit unsigned seed (FNV-1a).
+ * @param {string} input
+ * @returns {number}
+ */
+export function hashSeed(input) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < input.length; i++) {
+        hash ^= input.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a seeded generator (Mulberry32) with the same contract as Math.random().
+ * @param {number|string} seed - Numeric seed, or a string hashed via hashSeed().
+ * @returns {function(): number} Returns floats in [0, 1).
+ */
+export function createPrng(seed) {
+    let state = (typeof seed === 'string' ? hashSeed(seed) : seed) >>> 0;
+    return function next() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}